@@ -6,8 +6,16 @@
 #include <WiFi.h>
 #include <WebServer.h>
 #include <WebSocketsServer.h>
+#include <DNSServer.h>
 #include <ArduinoJson.h>
 #include <LittleFS.h>
+#include <Preferences.h>
+#include <Update.h>
+#include <esp_ota_ops.h>
+#include <time.h>
+#include <sys/time.h>
+#include <functional>
+#include <mbedtls/md.h>
 #include <stdarg.h>   // ✅ REQUIRED for debug_log
 #include <freertos/FreeRTOS.h>
 #include <freertos/task.h>
@@ -16,80 +24,542 @@
 
 
 // ============ CONFIGURATION ============
-#define ADC_PIN 34
-#define RELAY_PIN 25
 #define RELAY_ACTIVE_HIGH 0
 
+// Zones: one soil sensor (ADC1 pin) and one pump/valve relay per bed.
+// The tag marks the zone's log rows, so keep it stable once logs exist.
+typedef struct {
+  uint8_t adc_pin;
+  uint8_t relay_pin;
+  const char* tag;
+  const char* default_name;
+} ZoneHardware;
+
+const ZoneHardware ZONES[] = {
+  {34, 25, "Z1", "Zone 1"},
+  // {35, 26, "Z2", "Zone 2"},
+  // {32, 27, "Z3", "Zone 3"},
+};
+#define ZONE_COUNT (sizeof(ZONES) / sizeof(ZONES[0]))
+#define ZONE_ALL 0xFF
+
 #define DEFAULT_DRY_THRESHOLD 45.0
 #define DEFAULT_EXPECTED_VALUE 60.0
 #define DEFAULT_MAX_RETRIES 3
 #define DEFAULT_SAMPLING_INTERVAL 3000
 #define DEFAULT_ADC_DRY 4095
 #define DEFAULT_ADC_WET 1500
+#define DEFAULT_LOG_SEGMENT_KB 64
+#define DEFAULT_LOG_SEGMENT_HOURS 24
+#define DEFAULT_LOG_MAX_SEGMENTS 8
+#define DEFAULT_LOG_RETENTION_DAYS 7
+#define DEFAULT_NTP_SERVER "pool.ntp.org"
+#define DEFAULT_TIMEZONE "UTC0"
+#define DEFAULT_SENSOR_OVERSAMPLE 16
+#define DEFAULT_SENSOR_FILTER SENSOR_FILTER_MEDIAN
+#define DEFAULT_SENSOR_EMA_ALPHA 0.3
+#define DEFAULT_SENSOR_SPIKE_ADC 300
+#define DEFAULT_PUMP_MAX_RUN_S 600          // longest allowed scheduled run
+#define DEFAULT_PUMP_MIN_OFF_S 20           // below SOAK_TIME_MS so auto retries are not held up
+#define DEFAULT_PUMP_MAX_RUNS_DAY 48
+#define DEFAULT_PUMP_MAX_RUNTIME_DAY_MIN 60
+
+// Sensor filtering and fault detection
+#define SENSOR_OVERSAMPLE_MAX 64
+#define SENSOR_MEDIAN_WINDOW 5
+#define SENSOR_SPIKE_CONFIRM 3      // out-of-line readings in a row accepted as a real change
+#define SENSOR_ADC_MIN 100          // plausible range for a connected sensor
+#define SENSOR_ADC_MAX 4000
+#define SENSOR_RAIL_MARGIN 20       // this close to 0 or 4095 means an open or shorted input
+#define SENSOR_FLOAT_STDDEV 150     // spread within one oversampled reading of a floating input
+#define SENSOR_STUCK_DELTA 2        // ADC counts; moving less than this...
+#define SENSOR_STUCK_MS 3600000     // ...for this long is a stuck reading
+#define SENSOR_MAX_RATE 60.0        // % per minute; faster changes are implausible
+#define SENSOR_RATE_HOLD_MS 60000   // a rate fault holds this long after the last fast change
+
+// Settings validation
+#define THRESHOLD_MIN_BAND 5.0      // % between dry threshold and target before warning
+#define CALIBRATION_MIN_SPAN 200    // ADC counts between dry and wet, below this is rejected
+#define CALIBRATION_WARN_SPAN 800   // ...and below this readings get coarse
+
+// Multi-point calibration curves
+#define CAL_MAX_POINTS 8
+#define CAL_MAX_DEGREE 3
+#define CAL_MIN_POINT_GAP 10        // ADC counts between neighbouring reference points
+#define CAL_FIT_WARN_RMS 3.0        // % average fit error before warning
+#define CAL_CURVE_SAMPLES 33        // points sent to the dashboard to draw the curve
+
+// Calibration wizard
+#define CAL_STREAM_INTERVAL_MS 250  // live ADC frames while a wizard is open
+#define CAL_STREAM_WINDOW 16        // readings in the stability window (4 s)
+#define CAL_STABLE_STDDEV 8.0       // ADC counts; a steadier window counts as settled
+#define CAL_CAPTURE_SAMPLES 64      // readings averaged into one calibration point
+#define CAL_CAPTURE_INTERVAL_MS 5
 
-const char* ssid = "Amrit";
-const char* password = "kali@254";
+// Auto-watering cycle timing
+#define PUMP_PULSE_MS 5000
+#define SOAK_TIME_MS 30000
+#define RETRY_EXHAUSTED_COOLDOWN_MS 3600000
+#define EMERGENCY_STOP_HOLD_MS 600000
+
+// Manual and test pump runs
+#define MANUAL_PUMP_DURATION_MS 5000
+#define PUMP_TEST_MAX_MS 30000
+
+// Wi-Fi provisioning (networks are set up from the portal or the System panel)
+#define WIFI_MAX_NETWORKS 4
+#define WIFI_CONNECT_TIMEOUT_MS 15000
+#define WIFI_PORTAL_RETRY_MS 120000
+#define WIFI_AP_SSID_PREFIX "TerraNurture"
+#define WIFI_AP_PASSWORD_LEN 10    // per device, made on first boot; see loadApPassword()
+#define WIFI_PORTAL_PATH "/portal"
 
 // System constants
 #define LOG_QUEUE_SIZE 50
 #define WS_PORT 81
 #define HTTP_PORT 80
 #define LOG_FILE "/logs.csv"
+#define LOG_HEADER "timestamp,raw_adc,percentage,event,details,uptime,boot_id,zone"
 #define CONFIG_FILE "/config.json"
+#define CONFIG_SCHEMA_VERSION 1   // bump when config.json or export fields change meaning
+#define SCHEDULES_FILE "/schedules.json"
+
+// Wall-clock time (anything earlier than 2021-01-01 means SNTP has not synced)
+#define MIN_VALID_EPOCH 1609459200UL
+#define MIN_VALID_EPOCH_MS 1609459200000ULL
+
+// Log rotation (rotated segments are /logs.1.csv, /logs.2.csv, ... oldest last)
+#define LOG_SEGMENTS_LIMIT 32
+#define LOG_FS_RESERVE_BYTES 32768
+#define LOG_RETENTION_CHECK_MS 3600000
+
+// Log queries
+#define LOG_LINE_MAX 256
+#define LOG_PAGE_DEFAULT 50
+#define LOG_PAGE_MAX 200
+#define LOG_SCAN_MAX_LINES 2000
+#define LOG_READ_CHUNK 1024         // bytes read per xLogMutex hold by downloads and history
+
+// Moisture history
+#define HISTORY_MAX_POINTS 240
+#define HISTORY_MAX_PUMP_SPANS 50
+#define HISTORY_LOG_RANGE_MS 3600000UL   // longer ranges come from the history files
+#define HISTORY_RECORD_MS 300000UL       // one averaged record per zone every 5 minutes
+#define HISTORY_RECORDS 2048             // per zone: 7.1 days, more than the 7d range
+#define HISTORY_READ_RECORDS 64
+
+// Watering schedules
+#define MAX_SCHEDULES 16
+#define SCHEDULE_RUN_MAX_S 600
+#define SCHEDULE_ALL_DAYS 0x7F
+
+// WebSocket pushes
+#define WS_LOG_QUEUE_SIZE 10
+#define ZONE_PUSH_CHECK_MS 250
+#define SENSOR_DELTA_PERCENT 0.5
+#define SENSOR_PUSH_MAX_MS 30000
+#define SYSTEM_PUSH_MS 10000       // also the client's liveness signal, see "push_interval"
+#define WS_PING_INTERVAL_MS 15000  // protocol pings that drop half-open sockets
+#define WS_PONG_TIMEOUT_MS 5000
+#define WS_MISSED_PONGS 2
+
+// Authentication (change the default passwords after the first login)
+#define USERS_FILE "/users.json"
+#define DEFAULT_ADMIN_PASSWORD "terranurture"
+#define DEFAULT_VIEWER_PASSWORD "viewonly"
+#define AUTH_HASH_ITERATIONS 2000
+#define AUTH_MIN_PASSWORD_LENGTH 8
+#define AUTH_MAX_USERS 4
+#define AUTH_MAX_SESSIONS 16
+#define AUTH_SESSIONS_PER_USER (AUTH_MAX_SESSIONS / AUTH_MAX_USERS)
+#define AUTH_TOKEN_BYTES 16
+#define AUTH_SESSION_IDLE_MS 43200000UL
+#define AUTH_MAX_FAILURES 5          // per client address
+#define AUTH_LOCKOUT_MS 60000        // doubles with each lockout, up to AUTH_LOCKOUT_MAX_MS
+#define AUTH_LOCKOUT_MAX_MS 900000
+#define AUTH_THROTTLE_SLOTS 8
+
+// Over-the-air updates (firmware and LittleFS images uploaded from the System panel)
+#define FIRMWARE_VERSION "2.1.0"
+#define OTA_VERIFY_TIMEOUT_MS 180000
+#define OTA_PROGRESS_STEP 5
+#define OTA_RESTART_DELAY_MS 1500
 
 // ============ GLOBAL STATE ============
+// Timestamps are epoch milliseconds, or 0 when the clock was not yet synced;
+// uptime (millis) and boot_id always identify when a record was made.
+// zone holds the zone's log tag, or is empty for system-wide events.
 typedef struct {
-  uint32_t timestamp;
+  uint64_t timestamp;
+  uint32_t uptime;
+  uint32_t boot_id;
   int raw_adc;
   float percentage;
   char event[32];
   char details[64];
+  char zone[8];
 } LogEntry;
 
+typedef enum {
+  SENSOR_FILTER_NONE,
+  SENSOR_FILTER_MEDIAN,
+  SENSOR_FILTER_EMA
+} SensorFilterMode;
+
+// Anything but SENSOR_OK makes the reading invalid, which stops auto-watering
+typedef enum {
+  SENSOR_OK,
+  SENSOR_DISCONNECTED,    // input at a rail or floating
+  SENSOR_OUT_OF_RANGE,    // outside what a connected sensor reads
+  SENSOR_STUCK,           // no movement for SENSOR_STUCK_MS
+  SENSOR_RATE             // moisture changing faster than soil can
+} SensorHealth;
+
+// raw_adc is the oversampled average; moisture comes from filtered_adc
 typedef struct {
   float moisture;
-  uint32_t timestamp;
+  uint64_t timestamp;
+  uint32_t uptime;
   bool valid;
   int raw_adc;
+  int filtered_adc;
+  float noise;
+  SensorHealth health;
 } SensorReading;
 
+// The usage and lockout fields mirror pump_task's interlock for the dashboard
 typedef struct {
   bool pump_active;
   uint8_t retry_count;
   char status[32];
-  uint32_t last_change;
+  uint64_t last_change;
+  uint32_t last_change_uptime;
+  bool locked_out;
+  char lockout_reason[48];
+  uint16_t runs_today;
+  uint32_t runtime_today_s;
 } PumpState;
 
+// How raw ADC readings become moisture %: the two-point map between adc_dry
+// and adc_wet, or a curve through measured reference points
+typedef enum {
+  CAL_LINEAR,
+  CAL_PIECEWISE,
+  CAL_POLYNOMIAL
+} CalibrationMode;
+
+typedef struct {
+  int adc;
+  float moisture;
+} CalibrationPoint;
+
+// Points are kept sorted by ADC value. Polynomial coefficients are fitted
+// from them whenever they change and are not stored.
 typedef struct {
+  CalibrationMode mode;
+  uint8_t degree;
+  uint8_t point_count;
+  CalibrationPoint points[CAL_MAX_POINTS];
+  float coeffs[CAL_MAX_DEGREE + 1];
+} CalibrationCurve;
+
+typedef struct {
+  float mean;
+  float stddev;
+  int min;
+  int max;
+  uint8_t count;
+} AdcStats;
+
+// Rolling window of raw readings for a zone a calibration wizard is watching
+typedef struct {
+  uint16_t samples[CAL_STREAM_WINDOW];
+  uint8_t count;
+  uint8_t next;
+} CalibrationStream;
+
+typedef struct {
+  char name[24];
   float dry_threshold;
   float expected_value;
   uint8_t max_retries;
-  uint32_t sampling_interval;
   int adc_dry;
   int adc_wet;
+  CalibrationCurve curve;
+} ZoneConfig;
+
+typedef struct {
+  uint32_t sampling_interval;
+  uint16_t log_segment_kb;
+  uint16_t log_segment_hours;
+  uint8_t log_max_segments;
+  uint8_t log_retention_days;
+  char ntp_server[64];
+  char timezone[48];
+  uint8_t sensor_oversample;
+  SensorFilterMode sensor_filter;
+  float sensor_ema_alpha;
+  uint16_t sensor_spike_adc;  // 0 turns spike rejection off
+  uint16_t pump_max_run_s;    // pump limits apply to each zone's pump separately
+  uint16_t pump_min_off_s;
+  uint16_t pump_max_runs_day;
+  uint16_t pump_max_runtime_day_min;
+  ZoneConfig zones[ZONE_COUNT];
 } SystemConfig;
 
+typedef enum {
+  AUTO_IDLE,
+  AUTO_WATERING,
+  AUTO_SOAKING,
+  AUTO_TARGET_REACHED,
+  AUTO_RETRY_EXHAUSTED,
+  AUTO_STOPPED
+} AutoWaterPhase;
+
+typedef enum {
+  PUMP_CMD_MANUAL,
+  PUMP_CMD_TEST,
+  PUMP_CMD_STOP,
+  PUMP_CMD_SCHEDULED,
+  PUMP_CMD_ACK        // operator acknowledged an interlock lockout
+} PumpCommandType;
+
+// zone is a zone index, or ZONE_ALL for a stop that covers every zone
+typedef struct {
+  PumpCommandType type;
+  uint8_t zone;
+  uint32_t duration_ms;
+  char reason[32];
+} PumpCommand;
+
+typedef enum {
+  SCHEDULE_RUN,       // fixed daily run at start for duration_s
+  SCHEDULE_WINDOW,    // threshold watering is only allowed inside windows
+  SCHEDULE_BLACKOUT   // no watering at all, including scheduled runs
+} ScheduleType;
+
+// Times are minutes since local midnight; a range whose end is before its
+// start runs past midnight. Day bits (bit 0 = Sunday) select the start day.
+// Windows and blackouts cover every zone; a run waters its own zone.
+typedef struct {
+  uint8_t id;
+  ScheduleType type;
+  uint8_t zone;
+  bool enabled;
+  uint8_t days;
+  uint16_t start_min;
+  uint16_t end_min;
+  uint16_t duration_s;
+  char name[24];
+  int16_t last_run_yday;
+} Schedule;
+
+// Viewers can read everything; operators can also run pumps and change settings
+typedef enum {
+  ROLE_NONE,
+  ROLE_VIEWER,
+  ROLE_OPERATOR
+} Role;
+
+typedef struct {
+  char username[16];
+  Role role;
+  char salt[33];
+  char hash[65];
+  bool default_password;
+} UserAccount;
+
+// A free slot has an empty token
+typedef struct {
+  char token[AUTH_TOKEN_BYTES * 2 + 1];
+  uint8_t user;
+  uint32_t last_used;
+} Session;
+
+// Failed logins from one client address; a free slot has address 0
+typedef struct {
+  uint32_t address;
+  uint8_t failures;
+  uint8_t lockouts;
+  uint32_t last_failure;
+} LoginThrottle;
+
+typedef struct {
+  char ssid[33];
+  char password[65];
+} WifiNetwork;
+
+// Networks are tried in order; the most recently added comes first
+typedef struct {
+  WifiNetwork networks[WIFI_MAX_NETWORKS];
+  uint8_t network_count;
+  bool static_ip;
+  char ip[16];
+  char gateway[16];
+  char subnet[16];
+  char dns[16];
+} WifiSettings;
+
+// WebSocket connections are bound to the session that opened them
+typedef struct {
+  Role role;
+  char token[AUTH_TOKEN_BYTES * 2 + 1];
+  int8_t calibration_zone;  // zone streamed to a calibration wizard, -1 for none
+} WsClient;
+
+typedef enum {
+  OTA_TARGET_FIRMWARE,
+  OTA_TARGET_FILESYSTEM
+} OtaTarget;
+
+// The upload in progress; status and error are what the final handler answers with
+typedef struct {
+  bool active;
+  bool done;
+  bool fs_unmounted;
+  OtaTarget target;
+  size_t size;
+  size_t written;
+  uint8_t last_progress;
+  int status;
+  char error[64];
+} OtaUpload;
+
+// Per-zone smoothing and health-check state; only sensor_task touches it
+typedef struct {
+  uint16_t window[SENSOR_MEDIAN_WINDOW];
+  uint8_t count;
+  uint8_t next;
+  bool primed;
+  float ema;
+  float output;
+  int accepted;           // last reading that passed spike rejection
+  uint8_t spike_count;
+  
+  int stuck_min;
+  int stuck_max;
+  uint32_t stuck_since;
+  
+  float last_moisture;
+  uint32_t last_sample;   // 0 until a plausible reading has been seen
+  uint32_t rate_fault_at;
+  bool rate_fault;
+  
+  SensorHealth health;
+} SensorFilter;
+
+// A page of log rows, newest first. The cursor is "<segment id>:<byte offset>";
+// pages are read backwards from the active file into older segments.
+typedef struct {
+  bool time_filter;
+  uint64_t from;
+  uint64_t to;
+  String category;
+  String query;
+  int zone;
+  int limit;
+  uint32_t segment_id;
+  uint32_t position;
+} LogQuery;
+
+// One HISTORY_RECORD_MS bucket of a zone's moisture history. A zone's file
+// holds HISTORY_RECORDS of them, bucket number modulo HISTORY_RECORDS being the slot.
+typedef struct {
+  uint32_t bucket;   // epoch ms / HISTORY_RECORD_MS; 0 for a slot never written
+  float moisture;    // mean of the bucket's healthy readings
+  uint16_t samples;
+  uint8_t pump;      // the pump ran during the bucket
+  uint8_t reserved;
+} HistoryRecord;
+
+// A segment being streamed in chunks. `index` is where it was last seen;
+// rotation only ever moves it older. Forward reads continue from `position`,
+// backward reads (runLogQuery) stop there, at the first row.
+typedef struct {
+  uint32_t id;
+  int index;
+  uint32_t position;
+  uint32_t end;
+} LogSegmentRef;
+
+// Auto-watering and run state for one zone; only pump_task touches it
+typedef struct {
+  AutoWaterPhase phase;
+  uint32_t phase_started;
+  uint8_t retry_count;
+  
+  // Dry soil is waiting for a watering window or the end of a blackout
+  bool deferred;
+  
+  // Manual/test/scheduled run in progress (takes precedence over the auto cycle)
+  bool run_active;
+  PumpCommandType run_type;
+  uint32_t run_started;
+  uint32_t run_duration;
+} ZoneController;
+
 SemaphoreHandle_t xMutex = NULL;
-SensorReading current_reading = {0.0, 0, false, 0};
-PumpState pump_state = {false, 0, "IDLE", 0};
+SemaphoreHandle_t xLogMutex = NULL;
+SemaphoreHandle_t xScheduleMutex = NULL;
+SemaphoreHandle_t xWifiMutex = NULL;
+// Per-zone readings and pump states, indexed like ZONES[]
+SensorReading zone_readings[ZONE_COUNT];
+PumpState zone_pumps[ZONE_COUNT];
+// Zone settings are filled in by resetZoneConfig() at startup
 SystemConfig config = {
-  DEFAULT_DRY_THRESHOLD,
-  DEFAULT_EXPECTED_VALUE,
-  DEFAULT_MAX_RETRIES,
   DEFAULT_SAMPLING_INTERVAL,
-  DEFAULT_ADC_DRY,
-  DEFAULT_ADC_WET
+  DEFAULT_LOG_SEGMENT_KB,
+  DEFAULT_LOG_SEGMENT_HOURS,
+  DEFAULT_LOG_MAX_SEGMENTS,
+  DEFAULT_LOG_RETENTION_DAYS,
+  DEFAULT_NTP_SERVER,
+  DEFAULT_TIMEZONE,
+  DEFAULT_SENSOR_OVERSAMPLE,
+  DEFAULT_SENSOR_FILTER,
+  DEFAULT_SENSOR_EMA_ALPHA,
+  DEFAULT_SENSOR_SPIKE_ADC,
+  DEFAULT_PUMP_MAX_RUN_S,
+  DEFAULT_PUMP_MIN_OFF_S,
+  DEFAULT_PUMP_MAX_RUNS_DAY,
+  DEFAULT_PUMP_MAX_RUNTIME_DAY_MIN
 };
 
 bool wifi_connected = false;
+bool provisioning_active = false;
+char ap_password[WIFI_AP_PASSWORD_LEN + 1] = "";
+volatile bool wifi_reconfigure = false;
+WifiSettings wifi_settings = {};
 bool fs_available = false;
-bool ota_enabled = false;
+bool ota_enabled = false;          // an OTA slot exists and the running image is confirmed
+bool ota_pending_verify = false;   // booted a new image that is not confirmed yet
+OtaUpload ota_upload = {};
+uint32_t ota_installed_at = 0;      // millis() when a firmware image was installed, 0 if none
+uint32_t boot_id = 0;
+
+Schedule schedules[MAX_SCHEDULES];
+uint8_t schedule_count = 0;
+uint8_t next_schedule_id = 1;
+
+UserAccount users[AUTH_MAX_USERS];
+uint8_t user_count = 0;
+Session sessions[AUTH_MAX_SESSIONS];
+WsClient ws_clients[WEBSOCKETS_SERVER_CLIENT_MAX];
+CalibrationStream calibration_streams[ZONE_COUNT];
+LoginThrottle login_throttles[AUTH_THROTTLE_SLOTS];
+
+// Buckets logger_task is filling, written out when the next one starts (xLogMutex)
+HistoryRecord history_pending[ZONE_COUNT];
+bool history_pump_on[ZONE_COUNT];
 
 QueueHandle_t log_queue = NULL;
+uint32_t log_rows_dropped = 0;  // rows lost to a full log_queue, reported by logger_task
+portMUX_TYPE log_drop_lock = portMUX_INITIALIZER_UNLOCKED;
 QueueHandle_t pump_command_queue = NULL;
+QueueHandle_t ws_log_queue = NULL;  // rows written by logger_task, pushed by web_task
 
 WebServer server(HTTP_PORT);
 WebSocketsServer webSocket(WS_PORT);
+DNSServer dnsServer;
 
 // ============ DEBUG LOGGING ============
 void debug_log(const char* tag, const char* format, ...) {
@@ -102,33 +572,400 @@ void debug_log(const char* tag, const char* format, ...) {
   Serial.printf("[%s] %s\n", tag, buffer);
 }
 
+// ============ TIME FUNCTIONS ============
+bool time_synced() {
+  return time(NULL) > (time_t)MIN_VALID_EPOCH;
+}
+
+uint64_t epoch_ms() {
+  if (!time_synced()) return 0;
+  
+  struct timeval tv;
+  gettimeofday(&tv, NULL);
+  return (uint64_t)tv.tv_sec * 1000ULL + tv.tv_usec / 1000;
+}
+
+// Rows from this boot logged before SNTP synced can be placed on the clock later
+uint64_t resolve_timestamp(uint64_t timestamp, uint32_t uptime, uint32_t record_boot_id) {
+  if (timestamp != 0) return timestamp;
+  if (record_boot_id != boot_id || !time_synced()) return 0;
+  return epoch_ms() - (millis() - uptime);
+}
+
+void apply_time_config() {
+  configTzTime(config.timezone, config.ntp_server);
+  debug_log("TIME", "SNTP server %s, TZ %s", config.ntp_server, config.timezone);
+}
+
+// ============ EVENT LOGGING ============
+void stamp_log_entry(LogEntry* entry) {
+  entry->timestamp = epoch_ms();
+  entry->uptime = millis();
+  entry->boot_id = boot_id;
+}
+
+// Never blocks the caller; a row that does not fit is counted instead
+void queue_log_entry(const LogEntry* entry) {
+  if (xQueueSend(log_queue, entry, 0) == pdTRUE) return;
+  
+  portENTER_CRITICAL(&log_drop_lock);
+  log_rows_dropped++;
+  portEXIT_CRITICAL(&log_drop_lock);
+}
+
+uint32_t take_dropped_log_rows() {
+  portENTER_CRITICAL(&log_drop_lock);
+  uint32_t dropped = log_rows_dropped;
+  log_rows_dropped = 0;
+  portEXIT_CRITICAL(&log_drop_lock);
+  return dropped;
+}
+
+void log_event(const char* event, const char* details) {
+  LogEntry entry;
+  stamp_log_entry(&entry);
+  entry.raw_adc = 0;
+  entry.percentage = 0.0;
+  entry.zone[0] = '\0';
+  
+  strlcpy(entry.event, event, sizeof(entry.event));
+  strlcpy(entry.details, details, sizeof(entry.details));
+  queue_log_entry(&entry);
+}
+
+// Zone events carry the zone's tag and its latest reading
+void log_zone_event(uint8_t zone, const char* event, const char* details) {
+  LogEntry entry;
+  stamp_log_entry(&entry);
+  entry.raw_adc = 0;
+  entry.percentage = 0.0;
+  
+  if (xSemaphoreTake(xMutex, portMAX_DELAY) == pdTRUE) {
+    entry.raw_adc = zone_readings[zone].raw_adc;
+    entry.percentage = zone_readings[zone].moisture;
+    xSemaphoreGive(xMutex);
+  }
+  
+  strlcpy(entry.event, event, sizeof(entry.event));
+  strlcpy(entry.details, details, sizeof(entry.details));
+  strlcpy(entry.zone, ZONES[zone].tag, sizeof(entry.zone));
+  queue_log_entry(&entry);
+}
+
 // ============ CALIBRATION FUNCTIONS ============
-float map_adc_to_percentage(int raw_adc) {
-  if (raw_adc < 0 || raw_adc > 4095) return 0.0;
+const char* calibrationModeName(CalibrationMode mode) {
+  if (mode == CAL_PIECEWISE) return "piecewise";
+  if (mode == CAL_POLYNOMIAL) return "polynomial";
+  return "linear";
+}
+
+// Least-squares polynomial through the reference points, in terms of
+// t = adc / 4095 to keep the normal equations well conditioned
+bool fitCalibrationCurve(CalibrationCurve& curve) {
+  uint8_t n = curve.degree + 1;
+  if (curve.degree < 1 || curve.degree > CAL_MAX_DEGREE || curve.point_count < n) return false;
+  
+  double a[CAL_MAX_DEGREE + 1][CAL_MAX_DEGREE + 2] = {};
+  for (uint8_t p = 0; p < curve.point_count; p++) {
+    double powers[2 * CAL_MAX_DEGREE + 1];
+    powers[0] = 1.0;
+    for (uint8_t k = 1; k <= 2 * curve.degree; k++) {
+      powers[k] = powers[k - 1] * (curve.points[p].adc / 4095.0);
+    }
+    
+    for (uint8_t i = 0; i < n; i++) {
+      for (uint8_t j = 0; j < n; j++) a[i][j] += powers[i + j];
+      a[i][n] += curve.points[p].moisture * powers[i];
+    }
+  }
+  
+  // Gauss-Jordan elimination with partial pivoting
+  for (uint8_t col = 0; col < n; col++) {
+    uint8_t pivot = col;
+    for (uint8_t r = col + 1; r < n; r++) {
+      if (fabs(a[r][col]) > fabs(a[pivot][col])) pivot = r;
+    }
+    if (fabs(a[pivot][col]) < 1e-12) return false;
+    
+    for (uint8_t c = 0; c <= n; c++) {
+      double tmp = a[col][c];
+      a[col][c] = a[pivot][c];
+      a[pivot][c] = tmp;
+    }
+    
+    for (uint8_t r = 0; r < n; r++) {
+      if (r == col) continue;
+      double factor = a[r][col] / a[col][col];
+      for (uint8_t c = col; c <= n; c++) a[r][c] -= factor * a[col][c];
+    }
+  }
+  
+  for (uint8_t i = 0; i < n; i++) {
+    curve.coeffs[i] = a[i][n] / a[i][i];
+  }
+  return true;
+}
+
+// Outside the measured range both curve types hold their end values rather
+// than extrapolating
+float curve_moisture(const ZoneConfig& zone_config, int raw_adc) {
+  const CalibrationCurve& curve = zone_config.curve;
+  
+  if (curve.mode == CAL_PIECEWISE && curve.point_count >= 2) {
+    const CalibrationPoint* p = curve.points;
+    uint8_t last = curve.point_count - 1;
+    
+    if (raw_adc <= p[0].adc) return constrain(p[0].moisture, 0.0, 100.0);
+    if (raw_adc >= p[last].adc) return constrain(p[last].moisture, 0.0, 100.0);
+    
+    for (uint8_t i = 1; i <= last; i++) {
+      if (raw_adc <= p[i].adc) {
+        float f = (float)(raw_adc - p[i - 1].adc) / (float)(p[i].adc - p[i - 1].adc);
+        return constrain(p[i - 1].moisture + f * (p[i].moisture - p[i - 1].moisture), 0.0, 100.0);
+      }
+    }
+  }
+  
+  if (curve.mode == CAL_POLYNOMIAL && curve.point_count > curve.degree) {
+    int adc = constrain(raw_adc, curve.points[0].adc, curve.points[curve.point_count - 1].adc);
+    double t = adc / 4095.0;
+    double value = 0.0;
+    for (int i = curve.degree; i >= 0; i--) {
+      value = value * t + curve.coeffs[i];
+    }
+    return constrain(value, 0.0, 100.0);
+  }
   
   // Check if calibration values are valid
-  if (config.adc_dry <= config.adc_wet) {
+  if (zone_config.adc_dry <= zone_config.adc_wet) {
     return 0.0;
   }
   
-  if (raw_adc <= config.adc_wet) return 100.0;
-  if (raw_adc >= config.adc_dry) return 0.0;
+  if (raw_adc <= zone_config.adc_wet) return 100.0;
+  if (raw_adc >= zone_config.adc_dry) return 0.0;
   
-  float percentage = 100.0 * (1.0 - (float)(raw_adc - config.adc_wet) / (float)(config.adc_dry - config.adc_wet));
+  float percentage = 100.0 * (1.0 - (float)(raw_adc - zone_config.adc_wet) / (float)(zone_config.adc_dry - zone_config.adc_wet));
   return constrain(percentage, 0.0, 100.0);
 }
 
+float map_adc_to_percentage(uint8_t zone, int raw_adc) {
+  if (raw_adc < 0 || raw_adc > 4095) return 0.0;
+  return curve_moisture(config.zones[zone], raw_adc);
+}
+
+void computeAdcStats(const uint16_t* samples, uint8_t count, AdcStats& stats) {
+  stats.count = count;
+  stats.mean = 0;
+  stats.stddev = 0;
+  stats.min = 4095;
+  stats.max = 0;
+  if (count == 0) return;
+  
+  for (uint8_t i = 0; i < count; i++) {
+    stats.mean += samples[i];
+    stats.min = min(stats.min, (int)samples[i]);
+    stats.max = max(stats.max, (int)samples[i]);
+  }
+  stats.mean /= count;
+  
+  for (uint8_t i = 0; i < count; i++) {
+    stats.stddev += (samples[i] - stats.mean) * (samples[i] - stats.mean);
+  }
+  stats.stddev = sqrt(stats.stddev / count);
+}
+
+void addAdcStatsJson(JsonObject out, const AdcStats& stats) {
+  out["mean"] = roundf(stats.mean * 10) / 10;
+  out["stddev"] = roundf(stats.stddev * 10) / 10;
+  out["min"] = stats.min;
+  out["max"] = stats.max;
+  out["samples"] = stats.count;
+}
+
+void resetCurve(CalibrationCurve& curve) {
+  memset(&curve, 0, sizeof(curve));
+  curve.mode = CAL_LINEAR;
+  curve.degree = 2;
+}
+
+void addCurveJson(JsonObject out, const CalibrationCurve& curve) {
+  out["mode"] = calibrationModeName(curve.mode);
+  out["degree"] = curve.degree;
+  
+  JsonArray points = out["points"].to<JsonArray>();
+  for (uint8_t i = 0; i < curve.point_count; i++) {
+    JsonObject point = points.add<JsonObject>();
+    point["adc"] = curve.points[i].adc;
+    point["moisture"] = curve.points[i].moisture;
+  }
+}
+
+// {"mode", "degree", "points": [{"adc", "moisture"}]}. `out` is only changed
+// when the curve is usable; returns the reason otherwise.
+const char* parseCurve(JsonObjectConst in, CalibrationCurve& out) {
+  CalibrationCurve curve;
+  resetCurve(curve);
+  
+  const char* mode = in["mode"] | "linear";
+  if (strcmp(mode, "piecewise") == 0) {
+    curve.mode = CAL_PIECEWISE;
+  } else if (strcmp(mode, "polynomial") == 0) {
+    curve.mode = CAL_POLYNOMIAL;
+  } else if (strcmp(mode, "linear") != 0) {
+    return "Mode must be linear, piecewise or polynomial";
+  }
+  
+  int degree = in["degree"] | 2;
+  if (degree < 1 || degree > CAL_MAX_DEGREE) return "Degree must be from 1 to 3";
+  curve.degree = degree;
+  
+  JsonArrayConst points = in["points"].as<JsonArrayConst>();
+  if (points.size() > CAL_MAX_POINTS) return "At most 8 reference points";
+  
+  for (JsonObjectConst point : points) {
+    if (!point["adc"].is<int>() || !point["moisture"].is<float>()) return "Each point needs adc and moisture";
+    
+    int adc = point["adc"];
+    float moisture = point["moisture"];
+    if (adc < 0 || adc > 4095) return "Point ADC values must be from 0 to 4095";
+    if (moisture < 0 || moisture > 100) return "Point moisture must be from 0 to 100%";
+    
+    // Insertion sort by ADC value
+    uint8_t i = curve.point_count++;
+    while (i > 0 && curve.points[i - 1].adc > adc) {
+      curve.points[i] = curve.points[i - 1];
+      i--;
+    }
+    curve.points[i].adc = adc;
+    curve.points[i].moisture = moisture;
+  }
+  
+  for (uint8_t i = 1; i < curve.point_count; i++) {
+    if (curve.points[i].adc - curve.points[i - 1].adc < CAL_MIN_POINT_GAP) {
+      return "Reference points are too close together, keep them at least 10 ADC apart";
+    }
+    // Wetter soil reads lower, so a rising segment means a swapped or mistyped point
+    if (curve.mode == CAL_PIECEWISE && curve.points[i].moisture >= curve.points[i - 1].moisture) {
+      return "Moisture must fall as the ADC value rises";
+    }
+  }
+  
+  if (curve.mode == CAL_PIECEWISE && curve.point_count < 2) return "A piecewise curve needs at least 2 points";
+  if (curve.mode == CAL_POLYNOMIAL) {
+    if (curve.point_count <= curve.degree) return "A polynomial needs more points than its degree";
+    if (!fitCalibrationCurve(curve)) return "These points cannot be fitted";
+  }
+  
+  out = curve;
+  return NULL;
+}
+
+// One line per curve, used to show calibration changes in config diffs
+void describeCurve(const CalibrationCurve& curve, char* out, size_t size) {
+  size_t len;
+  if (curve.mode == CAL_POLYNOMIAL) {
+    len = snprintf(out, size, "polynomial (degree %u)", curve.degree);
+  } else {
+    len = snprintf(out, size, "%s", calibrationModeName(curve.mode));
+  }
+  
+  for (uint8_t i = 0; i < curve.point_count && len < size; i++) {
+    len += snprintf(out + len, size - len, "%s%d=%.1f%%", i == 0 ? ": " : ", ",
+                    curve.points[i].adc, curve.points[i].moisture);
+  }
+}
+
 // ============ CONFIGURATION MANAGEMENT ============
+const char* sensorFilterName(SensorFilterMode mode) {
+  if (mode == SENSOR_FILTER_MEDIAN) return "median";
+  if (mode == SENSOR_FILTER_EMA) return "ema";
+  return "none";
+}
+
+// -1 for an unknown name
+int parseSensorFilter(const char* name) {
+  if (strcmp(name, "none") == 0) return SENSOR_FILTER_NONE;
+  if (strcmp(name, "median") == 0) return SENSOR_FILTER_MEDIAN;
+  if (strcmp(name, "ema") == 0) return SENSOR_FILTER_EMA;
+  return -1;
+}
+
+void defaultZoneConfig(uint8_t zone, ZoneConfig& zone_config) {
+  strlcpy(zone_config.name, ZONES[zone].default_name, sizeof(zone_config.name));
+  zone_config.dry_threshold = DEFAULT_DRY_THRESHOLD;
+  zone_config.expected_value = DEFAULT_EXPECTED_VALUE;
+  zone_config.max_retries = DEFAULT_MAX_RETRIES;
+  zone_config.adc_dry = DEFAULT_ADC_DRY;
+  zone_config.adc_wet = DEFAULT_ADC_WET;
+  resetCurve(zone_config.curve);
+}
+
+void resetZoneConfig(uint8_t zone) {
+  defaultZoneConfig(zone, config.zones[zone]);
+}
+
+void defaultConfig(SystemConfig& out) {
+  out.sampling_interval = DEFAULT_SAMPLING_INTERVAL;
+  out.log_segment_kb = DEFAULT_LOG_SEGMENT_KB;
+  out.log_segment_hours = DEFAULT_LOG_SEGMENT_HOURS;
+  out.log_max_segments = DEFAULT_LOG_MAX_SEGMENTS;
+  out.log_retention_days = DEFAULT_LOG_RETENTION_DAYS;
+  strlcpy(out.ntp_server, DEFAULT_NTP_SERVER, sizeof(out.ntp_server));
+  strlcpy(out.timezone, DEFAULT_TIMEZONE, sizeof(out.timezone));
+  out.sensor_oversample = DEFAULT_SENSOR_OVERSAMPLE;
+  out.sensor_filter = DEFAULT_SENSOR_FILTER;
+  out.sensor_ema_alpha = DEFAULT_SENSOR_EMA_ALPHA;
+  out.sensor_spike_adc = DEFAULT_SENSOR_SPIKE_ADC;
+  out.pump_max_run_s = DEFAULT_PUMP_MAX_RUN_S;
+  out.pump_min_off_s = DEFAULT_PUMP_MIN_OFF_S;
+  out.pump_max_runs_day = DEFAULT_PUMP_MAX_RUNS_DAY;
+  out.pump_max_runtime_day_min = DEFAULT_PUMP_MAX_RUNTIME_DAY_MIN;
+  
+  for (uint8_t i = 0; i < ZONE_COUNT; i++) {
+    defaultZoneConfig(i, out.zones[i]);
+  }
+}
+
+// The config.json layout, also used for exports
+void addConfigJson(JsonObject doc) {
+  doc["schema"] = CONFIG_SCHEMA_VERSION;
+  doc["sampling_interval"] = config.sampling_interval;
+  doc["log_segment_kb"] = config.log_segment_kb;
+  doc["log_segment_hours"] = config.log_segment_hours;
+  doc["log_max_segments"] = config.log_max_segments;
+  doc["log_retention_days"] = config.log_retention_days;
+  doc["ntp_server"] = config.ntp_server;
+  doc["timezone"] = config.timezone;
+  doc["sensor_oversample"] = config.sensor_oversample;
+  doc["sensor_filter"] = sensorFilterName(config.sensor_filter);
+  doc["sensor_ema_alpha"] = config.sensor_ema_alpha;
+  doc["sensor_spike_adc"] = config.sensor_spike_adc;
+  doc["pump_max_run_s"] = config.pump_max_run_s;
+  doc["pump_min_off_s"] = config.pump_min_off_s;
+  doc["pump_max_runs_day"] = config.pump_max_runs_day;
+  doc["pump_max_runtime_day_min"] = config.pump_max_runtime_day_min;
+  
+  // Zones are matched by tag so reordering ZONES[] keeps each bed's settings
+  JsonArray zones = doc["zones"].to<JsonArray>();
+  for (uint8_t i = 0; i < ZONE_COUNT; i++) {
+    const ZoneConfig& zone_config = config.zones[i];
+    JsonObject zone = zones.add<JsonObject>();
+    zone["tag"] = ZONES[i].tag;
+    zone["name"] = zone_config.name;
+    zone["dry_threshold"] = zone_config.dry_threshold;
+    zone["expected_value"] = zone_config.expected_value;
+    zone["max_retries"] = zone_config.max_retries;
+    zone["adc_dry"] = zone_config.adc_dry;
+    zone["adc_wet"] = zone_config.adc_wet;
+    addCurveJson(zone["curve"].to<JsonObject>(), zone_config.curve);
+  }
+}
+
 bool saveConfig() {
   if (!fs_available) return false;
   
   JsonDocument doc;
-  doc["dry_threshold"] = config.dry_threshold;
-  doc["expected_value"] = config.expected_value;
-  doc["max_retries"] = config.max_retries;
-  doc["sampling_interval"] = config.sampling_interval;
-  doc["adc_dry"] = config.adc_dry;
-  doc["adc_wet"] = config.adc_wet;
+  addConfigJson(doc.to<JsonObject>());
   
   File file = LittleFS.open(CONFIG_FILE, FILE_WRITE);
   if (!file) return false;
@@ -160,320 +997,4065 @@ bool loadConfig() {
     return false;
   }
   
-  config.dry_threshold = doc["dry_threshold"] | DEFAULT_DRY_THRESHOLD;
-  config.expected_value = doc["expected_value"] | DEFAULT_EXPECTED_VALUE;
-  config.max_retries = doc["max_retries"] | DEFAULT_MAX_RETRIES;
   config.sampling_interval = doc["sampling_interval"] | DEFAULT_SAMPLING_INTERVAL;
-  config.adc_dry = doc["adc_dry"] | DEFAULT_ADC_DRY;
-  config.adc_wet = doc["adc_wet"] | DEFAULT_ADC_WET;
+  config.log_segment_kb = doc["log_segment_kb"] | DEFAULT_LOG_SEGMENT_KB;
+  config.log_segment_hours = doc["log_segment_hours"] | DEFAULT_LOG_SEGMENT_HOURS;
+  config.log_max_segments = doc["log_max_segments"] | DEFAULT_LOG_MAX_SEGMENTS;
+  config.log_retention_days = doc["log_retention_days"] | DEFAULT_LOG_RETENTION_DAYS;
+  strlcpy(config.ntp_server, doc["ntp_server"] | DEFAULT_NTP_SERVER, sizeof(config.ntp_server));
+  strlcpy(config.timezone, doc["timezone"] | DEFAULT_TIMEZONE, sizeof(config.timezone));
+  config.sensor_oversample = constrain(doc["sensor_oversample"] | DEFAULT_SENSOR_OVERSAMPLE, 1, SENSOR_OVERSAMPLE_MAX);
+  int filter = parseSensorFilter(doc["sensor_filter"] | "");
+  config.sensor_filter = filter < 0 ? DEFAULT_SENSOR_FILTER : (SensorFilterMode)filter;
+  config.sensor_ema_alpha = doc["sensor_ema_alpha"] | DEFAULT_SENSOR_EMA_ALPHA;
+  config.sensor_spike_adc = doc["sensor_spike_adc"] | DEFAULT_SENSOR_SPIKE_ADC;
+  config.pump_max_run_s = doc["pump_max_run_s"] | DEFAULT_PUMP_MAX_RUN_S;
+  config.pump_min_off_s = doc["pump_min_off_s"] | DEFAULT_PUMP_MIN_OFF_S;
+  config.pump_max_runs_day = doc["pump_max_runs_day"] | DEFAULT_PUMP_MAX_RUNS_DAY;
+  config.pump_max_runtime_day_min = doc["pump_max_runtime_day_min"] | DEFAULT_PUMP_MAX_RUNTIME_DAY_MIN;
+  
+  for (uint8_t i = 0; i < ZONE_COUNT; i++) {
+    JsonVariantConst saved;
+    for (JsonVariantConst zone : doc["zones"].as<JsonArrayConst>()) {
+      if (strcmp(zone["tag"] | "", ZONES[i].tag) == 0) saved = zone;
+    }
+    
+    // Single-zone configs kept these settings at the top level
+    if (saved.isNull() && i == 0 && !doc.containsKey("zones")) {
+      saved = doc.as<JsonVariantConst>();
+    }
+    
+    ZoneConfig& zone_config = config.zones[i];
+    strlcpy(zone_config.name, saved["name"] | ZONES[i].default_name, sizeof(zone_config.name));
+    zone_config.dry_threshold = saved["dry_threshold"] | DEFAULT_DRY_THRESHOLD;
+    zone_config.expected_value = saved["expected_value"] | DEFAULT_EXPECTED_VALUE;
+    zone_config.max_retries = saved["max_retries"] | DEFAULT_MAX_RETRIES;
+    zone_config.adc_dry = saved["adc_dry"] | DEFAULT_ADC_DRY;
+    zone_config.adc_wet = saved["adc_wet"] | DEFAULT_ADC_WET;
+    
+    // A curve that no longer parses falls back to the dry/wet points
+    resetCurve(zone_config.curve);
+    if (saved["curve"].is<JsonObjectConst>() && parseCurve(saved["curve"].as<JsonObjectConst>(), zone_config.curve)) {
+      debug_log("CONFIG", "Invalid calibration curve for %s, using linear", ZONES[i].tag);
+    }
+  }
   
   debug_log("CONFIG", "Configuration loaded");
   return true;
 }
 
-// ============ WEB SOCKET FUNCTIONS ============
-void webSocketEvent(uint8_t num, WStype_t type, uint8_t * payload, size_t length) {
-  switch(type) {
-    case WStype_DISCONNECTED:
-      debug_log("WS", "Client %u disconnected", num);
-      break;
-      
-    case WStype_CONNECTED: {
-      IPAddress ip = webSocket.remoteIP(num);
-      debug_log("WS", "Client %u connected from %s", num, ip.toString().c_str());
-      break;
-    }
-      
-    case WStype_TEXT:
-      debug_log("WS", "Received: %s", payload);
-      break;
-  }
+// ---- Validation, import and reset ----
+// Settings from the API and from imported files are checked against a copy of
+// the configuration, so a rejected request changes nothing. Problems are
+// reported per field as {"zone", "field", "message"}: "errors" reject the
+// request, "warnings" are passed back with the applied result. Zones are
+// identified by tag.
+void addConfigError(JsonArray errors, const char* zone, const char* field, const char* message) {
+  JsonObject error = errors.add<JsonObject>();
+  if (zone) error["zone"] = zone;
+  error["field"] = field;
+  error["message"] = message;
 }
 
-void sendStateToClient(uint8_t client) {
-  JsonDocument doc;
+// Returns true when the field is present and within range
+bool parseConfigNumber(JsonObjectConst in, const char* field, double min, double max, double& out,
+                       JsonArray errors, const char* zone) {
+  JsonVariantConst value = in[field];
+  if (value.isNull()) return false;
   
-  // Get sensor data safely
-  float moisture = 0.0;
-  int raw_adc = 0;
-  bool valid = false;
-  uint32_t sensor_timestamp = 0;
+  if (!value.is<double>() || value.as<double>() < min || value.as<double>() > max) {
+    char message[48];
+    snprintf(message, sizeof(message), "Must be a number from %g to %g", min, max);
+    addConfigError(errors, zone, field, message);
+    return false;
+  }
   
-  if (xSemaphoreTake(xMutex, portMAX_DELAY) == pdTRUE) {
-    moisture = current_reading.moisture;
-    raw_adc = current_reading.raw_adc;
-    valid = current_reading.valid;
-    sensor_timestamp = current_reading.timestamp;
-    xSemaphoreGive(xMutex);
+  out = value.as<double>();
+  return true;
+}
+
+// An empty string selects `fallback`
+bool parseConfigString(JsonObjectConst in, const char* field, const char* fallback, char* out, size_t size,
+                       JsonArray errors, const char* zone) {
+  JsonVariantConst value = in[field];
+  if (value.isNull()) return false;
+  
+  const char* text = value.as<const char*>();
+  if (!value.is<const char*>() || strlen(text) >= size) {
+    char message[48];
+    snprintf(message, sizeof(message), "Must be text of up to %u characters", size - 1);
+    addConfigError(errors, zone, field, message);
+    return false;
   }
   
-  doc["type"] = "state";
+  strlcpy(out, strlen(text) > 0 ? text : fallback, size);
+  return true;
+}
+
+void parseGlobalConfig(JsonObjectConst in, SystemConfig& out, JsonArray errors) {
+  double value;
   
-  // Sensor data
-  JsonObject sensor = doc["sensor"].to<JsonObject>();
-  sensor["moisture"] = moisture;
-  sensor["raw_adc"] = raw_adc;
-  sensor["timestamp"] = sensor_timestamp;
-  sensor["valid"] = valid;
+  if (parseConfigNumber(in, "sampling_interval", 1000, 60000, value, errors, NULL)) out.sampling_interval = value;
+  if (parseConfigNumber(in, "log_segment_kb", 8, 512, value, errors, NULL)) out.log_segment_kb = value;
+  if (parseConfigNumber(in, "log_segment_hours", 1, 168, value, errors, NULL)) out.log_segment_hours = value;
+  if (parseConfigNumber(in, "log_max_segments", 1, LOG_SEGMENTS_LIMIT, value, errors, NULL)) out.log_max_segments = value;
+  if (parseConfigNumber(in, "log_retention_days", 0, 30, value, errors, NULL)) out.log_retention_days = value;
+  parseConfigString(in, "ntp_server", DEFAULT_NTP_SERVER, out.ntp_server, sizeof(out.ntp_server), errors, NULL);
+  parseConfigString(in, "timezone", DEFAULT_TIMEZONE, out.timezone, sizeof(out.timezone), errors, NULL);
   
-  // Calibration data
-  JsonObject cal = doc["calibration"].to<JsonObject>();
-  cal["adc_dry"] = config.adc_dry;
-  cal["adc_wet"] = config.adc_wet;
-  cal["threshold"] = config.dry_threshold;
-  cal["target"] = config.expected_value;
+  if (parseConfigNumber(in, "sensor_oversample", 1, SENSOR_OVERSAMPLE_MAX, value, errors, NULL)) out.sensor_oversample = value;
+  if (parseConfigNumber(in, "sensor_ema_alpha", 0.05, 1, value, errors, NULL)) out.sensor_ema_alpha = value;
+  if (parseConfigNumber(in, "sensor_spike_adc", 0, 2000, value, errors, NULL)) out.sensor_spike_adc = value;
+  if (parseConfigNumber(in, "pump_max_run_s", 5, 3600, value, errors, NULL)) out.pump_max_run_s = value;
+  if (parseConfigNumber(in, "pump_min_off_s", 0, 3600, value, errors, NULL)) out.pump_min_off_s = value;
+  if (parseConfigNumber(in, "pump_max_runs_day", 1, 500, value, errors, NULL)) out.pump_max_runs_day = value;
+  if (parseConfigNumber(in, "pump_max_runtime_day_min", 1, 1440, value, errors, NULL)) out.pump_max_runtime_day_min = value;
+  if (!in["sensor_filter"].isNull()) {
+    int filter = parseSensorFilter(in["sensor_filter"] | "");
+    if (filter < 0) {
+      addConfigError(errors, NULL, "sensor_filter", "Must be none, median or ema");
+    } else {
+      out.sensor_filter = (SensorFilterMode)filter;
+    }
+  }
+}
+
+// Calibration points are only read from imported files; the API captures them
+void parseZoneConfig(JsonObjectConst in, uint8_t zone, ZoneConfig& out, bool calibration, JsonArray errors) {
+  const char* tag = ZONES[zone].tag;
+  double value;
   
-  // Network data
-  JsonObject network = doc["network"].to<JsonObject>();
-  network["connected"] = wifi_connected;
-  network["ip"] = WiFi.localIP().toString();
-  network["mac"] = WiFi.macAddress();
-  network["gateway"] = WiFi.gatewayIP().toString();
-  network["subnet"] = WiFi.subnetMask().toString();
-  network["dns"] = WiFi.dnsIP().toString();
-  network["ssid"] = WiFi.SSID();
-  network["rssi"] = WiFi.RSSI();
+  parseConfigString(in, "name", ZONES[zone].default_name, out.name, sizeof(out.name), errors, tag);
+  if (parseConfigNumber(in, "dry_threshold", 0, 100, value, errors, tag)) out.dry_threshold = value;
+  if (parseConfigNumber(in, "expected_value", 0, 100, value, errors, tag)) out.expected_value = value;
+  if (parseConfigNumber(in, "max_retries", 1, 10, value, errors, tag)) out.max_retries = value;
   
-  // System data
-  JsonObject system = doc["system"].to<JsonObject>();
-  system["uptime"] = millis();
+  if (calibration) {
+    if (parseConfigNumber(in, "adc_dry", 0, 4095, value, errors, tag)) out.adc_dry = value;
+    if (parseConfigNumber(in, "adc_wet", 0, 4095, value, errors, tag)) out.adc_wet = value;
+    
+    if (!in["curve"].isNull()) {
+      const char* invalid = in["curve"].is<JsonObjectConst>() ? parseCurve(in["curve"].as<JsonObjectConst>(), out.curve) : "Must be an object";
+      if (invalid) addConfigError(errors, tag, "curve", invalid);
+    }
+  }
+}
+
+// Watering stops at the target, so it has to sit above the threshold that starts it
+void validateThresholds(const ZoneConfig& zone_config, const char* tag, JsonArray errors, JsonArray warnings) {
+  char message[80];
+  float band = zone_config.expected_value - zone_config.dry_threshold;
+  
+  if (band <= 0) {
+    snprintf(message, sizeof(message), "Must be below the target (%.1f%%)", zone_config.expected_value);
+    addConfigError(errors, tag, "dry_threshold", message);
+  } else if (band < THRESHOLD_MIN_BAND) {
+    snprintf(message, sizeof(message), "Only %.1f%% below the target, the pump will cycle often", band);
+    addConfigError(warnings, tag, "dry_threshold", message);
+  }
+}
+
+// The limits are hard stops, so settings that trip them in normal use are flagged
+void validatePumpLimits(const SystemConfig& settings, JsonArray warnings) {
+  char message[80];
+  
+  if (settings.pump_min_off_s * 1000UL >= SOAK_TIME_MS) {
+    snprintf(message, sizeof(message), "Auto-watering retries will wait longer than the %u s soak", SOAK_TIME_MS / 1000);
+    addConfigError(warnings, NULL, "pump_min_off_s", message);
+  }
+  if (settings.pump_max_run_s > settings.pump_max_runtime_day_min * 60UL) {
+    addConfigError(warnings, NULL, "pump_max_run_s", "One run can use up the whole daily runtime");
+  }
+}
+
+// parseCurve() has already rejected unusable curves; a polynomial can still
+// fit its points badly or bend back on itself between them
+void validateCurve(const ZoneConfig& zone_config, const char* tag, JsonArray warnings) {
+  const CalibrationCurve& curve = zone_config.curve;
+  if (curve.mode != CAL_POLYNOMIAL) return;
+  
+  char message[96];
+  float sum = 0;
+  for (uint8_t i = 0; i < curve.point_count; i++) {
+    float error = curve_moisture(zone_config, curve.points[i].adc) - curve.points[i].moisture;
+    sum += error * error;
+  }
+  
+  float rms = sqrt(sum / curve.point_count);
+  if (rms > CAL_FIT_WARN_RMS) {
+    snprintf(message, sizeof(message), "Curve misses the points by %.1f%% on average, try another degree", rms);
+    addConfigError(warnings, tag, "curve", message);
+  }
+  
+  int first = curve.points[0].adc;
+  int last = curve.points[curve.point_count - 1].adc;
+  float previous = curve_moisture(zone_config, first);
+  for (uint8_t i = 1; i < CAL_CURVE_SAMPLES; i++) {
+    float value = curve_moisture(zone_config, first + (long)(last - first) * i / (CAL_CURVE_SAMPLES - 1));
+    if (value > previous + 0.5) {
+      addConfigError(warnings, tag, "curve", "Curve rises again between points, some readings are ambiguous");
+      break;
+    }
+    previous = value;
+  }
+}
+
+// `field` names the calibration point that was just set. The dry/wet span only
+// matters while the zone uses the linear map.
+void validateCalibration(const ZoneConfig& zone_config, const char* field, const char* tag,
+                         JsonArray errors, JsonArray warnings) {
+  if (zone_config.curve.mode != CAL_LINEAR) {
+    validateCurve(zone_config, tag, warnings);
+    return;
+  }
+  
+  char message[96];
+  int span = zone_config.adc_dry - zone_config.adc_wet;
+  
+  // map_adc_to_percentage() reports 0% for every reading without a usable span
+  if (span < CALIBRATION_MIN_SPAN) {
+    snprintf(message, sizeof(message), "Dry (%d) must be at least %d above wet (%d); recalibrate both points if the sensor changed",
+             zone_config.adc_dry, CALIBRATION_MIN_SPAN, zone_config.adc_wet);
+    addConfigError(errors, tag, field, message);
+  } else if (span < CALIBRATION_WARN_SPAN) {
+    snprintf(message, sizeof(message), "Dry and wet are only %d apart, moisture readings will be coarse", span);
+    addConfigError(warnings, tag, field, message);
+  }
+}
+
+void importConfig(JsonObjectConst in, SystemConfig& out, JsonArray errors, JsonArray warnings) {
+  parseGlobalConfig(in, out, errors);
+  validatePumpLimits(out, warnings);
+  
+  bool imported[ZONE_COUNT] = {};
+  for (JsonObjectConst zone : in["zones"].as<JsonArrayConst>()) {
+    const char* tag = zone["tag"] | "";
+    int index = -1;
+    for (uint8_t i = 0; i < ZONE_COUNT; i++) {
+      if (strcmp(tag, ZONES[i].tag) == 0) index = i;
+    }
+    
+    if (index < 0) {
+      addConfigError(warnings, tag, "tag", "Zone is not on this controller and was skipped");
+      continue;
+    }
+    imported[index] = true;
+    
+    parseZoneConfig(zone, index, out.zones[index], true, errors);
+    validateThresholds(out.zones[index], tag, errors, warnings);
+    validateCalibration(out.zones[index], "adc_dry", tag, errors, warnings);
+  }
+  
+  for (uint8_t i = 0; i < ZONE_COUNT; i++) {
+    if (!imported[i]) addConfigError(warnings, ZONES[i].tag, "tag", "Zone is not in the file and keeps its settings");
+  }
+}
+
+JsonObject addChange(JsonArray changes, const char* zone, const char* field) {
+  JsonObject change = changes.add<JsonObject>();
+  if (zone) change["zone"] = zone;
+  change["field"] = field;
+  return change;
+}
+
+void diffInt(JsonArray changes, const char* zone, const char* field, long from, long to) {
+  if (from == to) return;
+  JsonObject change = addChange(changes, zone, field);
+  change["from"] = from;
+  change["to"] = to;
+}
+
+void diffFloat(JsonArray changes, const char* zone, const char* field, float from, float to) {
+  if (from == to) return;
+  JsonObject change = addChange(changes, zone, field);
+  change["from"] = from;
+  change["to"] = to;
+}
+
+void diffString(JsonArray changes, const char* zone, const char* field, const char* from, const char* to) {
+  if (strcmp(from, to) == 0) return;
+  JsonObject change = addChange(changes, zone, field);
+  change["from"] = from;
+  change["to"] = to;
+}
+
+void diffConfig(const SystemConfig& from, const SystemConfig& to, JsonArray changes) {
+  diffInt(changes, NULL, "sampling_interval", from.sampling_interval, to.sampling_interval);
+  diffInt(changes, NULL, "log_segment_kb", from.log_segment_kb, to.log_segment_kb);
+  diffInt(changes, NULL, "log_segment_hours", from.log_segment_hours, to.log_segment_hours);
+  diffInt(changes, NULL, "log_max_segments", from.log_max_segments, to.log_max_segments);
+  diffInt(changes, NULL, "log_retention_days", from.log_retention_days, to.log_retention_days);
+  diffString(changes, NULL, "ntp_server", from.ntp_server, to.ntp_server);
+  diffString(changes, NULL, "timezone", from.timezone, to.timezone);
+  diffInt(changes, NULL, "sensor_oversample", from.sensor_oversample, to.sensor_oversample);
+  diffString(changes, NULL, "sensor_filter", sensorFilterName(from.sensor_filter), sensorFilterName(to.sensor_filter));
+  diffFloat(changes, NULL, "sensor_ema_alpha", from.sensor_ema_alpha, to.sensor_ema_alpha);
+  diffInt(changes, NULL, "sensor_spike_adc", from.sensor_spike_adc, to.sensor_spike_adc);
+  diffInt(changes, NULL, "pump_max_run_s", from.pump_max_run_s, to.pump_max_run_s);
+  diffInt(changes, NULL, "pump_min_off_s", from.pump_min_off_s, to.pump_min_off_s);
+  diffInt(changes, NULL, "pump_max_runs_day", from.pump_max_runs_day, to.pump_max_runs_day);
+  diffInt(changes, NULL, "pump_max_runtime_day_min", from.pump_max_runtime_day_min, to.pump_max_runtime_day_min);
+  
+  for (uint8_t i = 0; i < ZONE_COUNT; i++) {
+    const ZoneConfig& a = from.zones[i];
+    const ZoneConfig& b = to.zones[i];
+    const char* tag = ZONES[i].tag;
+    diffString(changes, tag, "name", a.name, b.name);
+    diffFloat(changes, tag, "dry_threshold", a.dry_threshold, b.dry_threshold);
+    diffFloat(changes, tag, "expected_value", a.expected_value, b.expected_value);
+    diffInt(changes, tag, "max_retries", a.max_retries, b.max_retries);
+    diffInt(changes, tag, "adc_dry", a.adc_dry, b.adc_dry);
+    diffInt(changes, tag, "adc_wet", a.adc_wet, b.adc_wet);
+    
+    char curve_a[160];
+    char curve_b[160];
+    describeCurve(a.curve, curve_a, sizeof(curve_a));
+    describeCurve(b.curve, curve_b, sizeof(curve_b));
+    diffString(changes, tag, "curve", curve_a, curve_b);
+  }
+}
+
+// ============ AUTHENTICATION ============
+// Passwords are stored as PBKDF2-HMAC-SHA256 hashes with a per-user salt.
+// Sessions live in RAM only, so a restart logs everyone out. Everything here
+// runs on web_task (HTTP handlers and WebSocket events), so no mutex is needed.
+const char* roleName(Role role) {
+  switch (role) {
+    case ROLE_OPERATOR: return "operator";
+    case ROLE_VIEWER: return "viewer";
+    default: return "none";
+  }
+}
+
+Role parseRole(const char* name) {
+  if (strcmp(name, "operator") == 0) return ROLE_OPERATOR;
+  if (strcmp(name, "viewer") == 0) return ROLE_VIEWER;
+  return ROLE_NONE;
+}
+
+// Fills out (2 * bytes + 1 chars) with random hex
+void randomHex(char* out, size_t bytes) {
+  for (size_t i = 0; i < bytes; i++) {
+    sprintf(out + i * 2, "%02x", (uint8_t)esp_random());
+  }
+  out[bytes * 2] = '\0';
+}
+
+// PBKDF2 with a single 32-byte block; out receives 64 hex chars
+void hashPassword(const char* password, const char* salt, char* out) {
+  const uint8_t block_index[4] = {0, 0, 0, 1};
+  uint8_t block[32];
+  uint8_t derived[32];
+  
+  mbedtls_md_context_t ctx;
+  mbedtls_md_init(&ctx);
+  mbedtls_md_setup(&ctx, mbedtls_md_info_from_type(MBEDTLS_MD_SHA256), 1);
+  
+  mbedtls_md_hmac_starts(&ctx, (const uint8_t*)password, strlen(password));
+  mbedtls_md_hmac_update(&ctx, (const uint8_t*)salt, strlen(salt));
+  mbedtls_md_hmac_update(&ctx, block_index, sizeof(block_index));
+  mbedtls_md_hmac_finish(&ctx, block);
+  memcpy(derived, block, sizeof(block));
+  
+  for (int i = 1; i < AUTH_HASH_ITERATIONS; i++) {
+    mbedtls_md_hmac_reset(&ctx);
+    mbedtls_md_hmac_update(&ctx, block, sizeof(block));
+    mbedtls_md_hmac_finish(&ctx, block);
+    for (int j = 0; j < 32; j++) derived[j] ^= block[j];
+  }
+  mbedtls_md_free(&ctx);
+  
+  for (int j = 0; j < 32; j++) {
+    sprintf(out + j * 2, "%02x", derived[j]);
+  }
+}
+
+bool checkPassword(const UserAccount& user, const char* password) {
+  char hash[65];
+  hashPassword(password, user.salt, hash);
+  
+  // Compare every byte so the time taken does not depend on where they differ
+  uint8_t diff = 0;
+  for (int i = 0; i < 64; i++) diff |= hash[i] ^ user.hash[i];
+  return diff == 0;
+}
+
+void setPassword(UserAccount& user, const char* password) {
+  randomHex(user.salt, 16);
+  hashPassword(password, user.salt, user.hash);
+  user.default_password = false;
+}
+
+int findUser(const char* username) {
+  for (uint8_t i = 0; i < user_count; i++) {
+    if (strcmp(users[i].username, username) == 0) return i;
+  }
+  return -1;
+}
+
+void resetUsers() {
+  const struct { const char* username; Role role; const char* password; } defaults[] = {
+    {"admin", ROLE_OPERATOR, DEFAULT_ADMIN_PASSWORD},
+    {"viewer", ROLE_VIEWER, DEFAULT_VIEWER_PASSWORD}
+  };
+  
+  user_count = 0;
+  for (const auto& account : defaults) {
+    UserAccount& user = users[user_count++];
+    strlcpy(user.username, account.username, sizeof(user.username));
+    user.role = account.role;
+    setPassword(user, account.password);
+    user.default_password = true;
+  }
+}
+
+bool saveUsers() {
+  if (!fs_available) return false;
+  
+  JsonDocument doc;
+  JsonArray list = doc["users"].to<JsonArray>();
+  for (uint8_t i = 0; i < user_count; i++) {
+    JsonObject item = list.add<JsonObject>();
+    item["username"] = users[i].username;
+    item["role"] = roleName(users[i].role);
+    item["salt"] = users[i].salt;
+    item["hash"] = users[i].hash;
+    item["default_password"] = users[i].default_password;
+  }
+  
+  File file = LittleFS.open(USERS_FILE, FILE_WRITE);
+  if (!file) return false;
+  
+  serializeJson(doc, file);
+  file.close();
+  return true;
+}
+
+// Falls back to the default accounts when the file is missing or unreadable
+void loadUsers() {
+  user_count = 0;
+  
+  if (fs_available && LittleFS.exists(USERS_FILE)) {
+    File file = LittleFS.open(USERS_FILE, FILE_READ);
+    JsonDocument doc;
+    if (file && !deserializeJson(doc, file)) {
+      for (JsonObjectConst item : doc["users"].as<JsonArrayConst>()) {
+        if (user_count >= AUTH_MAX_USERS) break;
+        
+        const char* hash = item["hash"] | "";
+        Role role = parseRole(item["role"] | "");
+        if (strlen(hash) != 64 || role == ROLE_NONE) continue;
+        
+        UserAccount& user = users[user_count++];
+        strlcpy(user.username, item["username"] | "", sizeof(user.username));
+        strlcpy(user.salt, item["salt"] | "", sizeof(user.salt));
+        strlcpy(user.hash, hash, sizeof(user.hash));
+        user.role = role;
+        user.default_password = item["default_password"] | false;
+      }
+    }
+    if (file) file.close();
+  }
+  
+  if (user_count == 0) {
+    debug_log("AUTH", "No user accounts found, creating defaults");
+    resetUsers();
+    saveUsers();
+  }
+  
+  for (uint8_t i = 0; i < user_count; i++) {
+    if (users[i].default_password) {
+      debug_log("AUTH", "User '%s' still has the default password", users[i].username);
+    }
+  }
+}
+
+// Returns the live session for a token and marks it used, or NULL
+Session* findSession(const char* token) {
+  if (strlen(token) != AUTH_TOKEN_BYTES * 2) return NULL;
+  
+  for (uint8_t i = 0; i < AUTH_MAX_SESSIONS; i++) {
+    Session& session = sessions[i];
+    if (session.token[0] == '\0') continue;
+    
+    if (millis() - session.last_used > AUTH_SESSION_IDLE_MS) {
+      session.token[0] = '\0';
+      continue;
+    }
+    
+    if (strcmp(session.token, token) == 0) {
+      session.last_used = millis();
+      return &session;
+    }
+  }
+  return NULL;
+}
+
+// Closes the WebSocket connections opened with a session's token
+void disconnectSessionClients(const char* token) {
+  for (uint8_t i = 0; i < WEBSOCKETS_SERVER_CLIENT_MAX; i++) {
+    if (ws_clients[i].role != ROLE_NONE && strcmp(ws_clients[i].token, token) == 0) {
+      ws_clients[i].role = ROLE_NONE;
+      webSocket.disconnect(i);
+    }
+  }
+}
+
+void endSession(Session& session) {
+  disconnectSessionClients(session.token);
+  session.token[0] = '\0';
+}
+
+// Uses a free or idle slot while the user holds fewer than their share of
+// the slots, and otherwise ends the user's own least recently used session,
+// so no account can crowd out or log out another. NULL if there is neither.
+Session* createSession(uint8_t user) {
+  Session* free_slot = NULL;
+  Session* own = NULL;
+  uint8_t own_count = 0;
+  
+  for (uint8_t i = 0; i < AUTH_MAX_SESSIONS; i++) {
+    Session& session = sessions[i];
+    if (session.token[0] == '\0' || millis() - session.last_used > AUTH_SESSION_IDLE_MS) {
+      if (!free_slot) free_slot = &session;
+      continue;
+    }
+    if (session.user != user) continue;
+    
+    own_count++;
+    if (!own || millis() - session.last_used > millis() - own->last_used) own = &session;
+  }
+  
+  Session* slot = (free_slot && own_count < AUTH_SESSIONS_PER_USER) ? free_slot : own;
+  if (!slot) return NULL;
+  
+  if (slot->token[0] != '\0') endSession(*slot);
+  
+  randomHex(slot->token, AUTH_TOKEN_BYTES);
+  slot->user = user;
+  slot->last_used = millis();
+  return slot;
+}
+
+// Logins are throttled per client address, so one host guessing passwords
+// cannot lock everyone else out. Each lockout of the same address lasts
+// twice as long as the one before.
+LoginThrottle* findLoginThrottle(uint32_t address) {
+  for (uint8_t i = 0; i < AUTH_THROTTLE_SLOTS; i++) {
+    if (login_throttles[i].address == address) return &login_throttles[i];
+  }
+  return NULL;
+}
+
+uint32_t loginLockoutMs(const LoginThrottle& throttle) {
+  uint32_t lockout = AUTH_LOCKOUT_MS;
+  for (uint8_t i = 1; i < throttle.lockouts && lockout < AUTH_LOCKOUT_MAX_MS; i++) {
+    lockout *= 2;
+  }
+  return min(lockout, (uint32_t)AUTH_LOCKOUT_MAX_MS);
+}
+
+bool loginLocked(uint32_t address) {
+  LoginThrottle* throttle = findLoginThrottle(address);
+  if (!throttle || throttle->failures < AUTH_MAX_FAILURES) return false;
+  if (millis() - throttle->last_failure < loginLockoutMs(*throttle)) return true;
+  
+  // The lockout has run out; the next lockout remembers this one
+  throttle->failures = 0;
+  return false;
+}
+
+// Uses the address's slot, a free one, or the one idle longest
+void recordLoginFailure(uint32_t address) {
+  LoginThrottle* slot = findLoginThrottle(address);
+  if (!slot) {
+    slot = &login_throttles[0];
+    for (uint8_t i = 0; i < AUTH_THROTTLE_SLOTS; i++) {
+      if (login_throttles[i].address == 0) {
+        slot = &login_throttles[i];
+        break;
+      }
+      if (millis() - login_throttles[i].last_failure > millis() - slot->last_failure) {
+        slot = &login_throttles[i];
+      }
+    }
+    *slot = { address, 0, 0, 0 };
+  }
+  
+  slot->last_failure = millis();
+  if (++slot->failures >= AUTH_MAX_FAILURES) slot->lockouts++;
+}
+
+void clearLoginFailures(uint32_t address) {
+  LoginThrottle* throttle = findLoginThrottle(address);
+  if (throttle) throttle->address = 0;
+}
+
+// ============ WIFI SETTINGS ============
+// Saved networks and the static IP live in NVS so they survive a LittleFS
+// format. wifi_task reads them; the web handlers change them and set
+// wifi_reconfigure so wifi_task reconnects with the new settings.
+bool loadWifiSettings() {
+  Preferences prefs;
+  prefs.begin("wifi", true);
+  String json = prefs.getString("settings", "");
+  prefs.end();
+  
+  JsonDocument doc;
+  if (json.length() == 0 || deserializeJson(doc, json)) return false;
+  
+  if (xSemaphoreTake(xWifiMutex, portMAX_DELAY) == pdTRUE) {
+    wifi_settings.network_count = 0;
+    for (JsonObjectConst item : doc["networks"].as<JsonArrayConst>()) {
+      if (wifi_settings.network_count >= WIFI_MAX_NETWORKS) break;
+      
+      WifiNetwork& network = wifi_settings.networks[wifi_settings.network_count++];
+      strlcpy(network.ssid, item["ssid"] | "", sizeof(network.ssid));
+      strlcpy(network.password, item["password"] | "", sizeof(network.password));
+    }
+    
+    wifi_settings.static_ip = doc["static_ip"] | false;
+    strlcpy(wifi_settings.ip, doc["ip"] | "", sizeof(wifi_settings.ip));
+    strlcpy(wifi_settings.gateway, doc["gateway"] | "", sizeof(wifi_settings.gateway));
+    strlcpy(wifi_settings.subnet, doc["subnet"] | "", sizeof(wifi_settings.subnet));
+    strlcpy(wifi_settings.dns, doc["dns"] | "", sizeof(wifi_settings.dns));
+    xSemaphoreGive(xWifiMutex);
+  }
+  
+  debug_log("WIFI", "Loaded %u saved networks", wifi_settings.network_count);
+  return true;
+}
+
+// Call with xWifiMutex held
+bool saveWifiSettings() {
+  JsonDocument doc;
+  JsonArray networks = doc["networks"].to<JsonArray>();
+  for (uint8_t i = 0; i < wifi_settings.network_count; i++) {
+    JsonObject item = networks.add<JsonObject>();
+    item["ssid"] = wifi_settings.networks[i].ssid;
+    item["password"] = wifi_settings.networks[i].password;
+  }
+  
+  doc["static_ip"] = wifi_settings.static_ip;
+  doc["ip"] = wifi_settings.ip;
+  doc["gateway"] = wifi_settings.gateway;
+  doc["subnet"] = wifi_settings.subnet;
+  doc["dns"] = wifi_settings.dns;
+  
+  String json;
+  serializeJson(doc, json);
+  
+  Preferences prefs;
+  prefs.begin("wifi", false);
+  bool saved = prefs.putString("settings", json) > 0;
+  prefs.end();
+  return saved;
+}
+
+// The setup AP's WPA2 password is random per device and kept in NVS, so it
+// survives a LittleFS format. wifi_task prints it on the serial console at
+// every boot; copy it onto the device label when the board is first flashed.
+void loadApPassword() {
+  // No 0/o or 1/l, so it reads back off a label without guessing
+  static const char alphabet[] = "abcdefghijkmnpqrstuvwxyz23456789";
+  
+  Preferences prefs;
+  prefs.begin("wifi", false);
+  String saved = prefs.getString("ap_password", "");
+  if (saved.length() == WIFI_AP_PASSWORD_LEN) {
+    strlcpy(ap_password, saved.c_str(), sizeof(ap_password));
+  } else {
+    for (uint8_t i = 0; i < WIFI_AP_PASSWORD_LEN; i++) {
+      ap_password[i] = alphabet[esp_random() % (sizeof(alphabet) - 1)];
+    }
+    ap_password[WIFI_AP_PASSWORD_LEN] = '\0';
+    prefs.putString("ap_password", ap_password);
+  }
+  prefs.end();
+}
+
+// "TerraNurture-XXXX" from the last two bytes of the station MAC
+void formatApSsid(char* out, size_t size) {
+  uint8_t mac[6];
+  WiFi.macAddress(mac);
+  snprintf(out, size, "%s-%02X%02X", WIFI_AP_SSID_PREFIX, mac[4], mac[5]);
+}
+
+// Passwords never leave the device
+void addWifiSettingsJson(JsonObject wifi) {
+  if (xSemaphoreTake(xWifiMutex, portMAX_DELAY) == pdTRUE) {
+    JsonArray networks = wifi["networks"].to<JsonArray>();
+    for (uint8_t i = 0; i < wifi_settings.network_count; i++) {
+      JsonObject item = networks.add<JsonObject>();
+      item["ssid"] = wifi_settings.networks[i].ssid;
+      item["secure"] = wifi_settings.networks[i].password[0] != '\0';
+    }
+    
+    JsonObject static_ip = wifi["static_ip"].to<JsonObject>();
+    static_ip["enabled"] = wifi_settings.static_ip;
+    static_ip["ip"] = wifi_settings.ip;
+    static_ip["gateway"] = wifi_settings.gateway;
+    static_ip["subnet"] = wifi_settings.subnet;
+    static_ip["dns"] = wifi_settings.dns;
+    xSemaphoreGive(xWifiMutex);
+  }
+  
+  wifi["provisioning"] = provisioning_active;
+  wifi["ap_ssid"] = provisioning_active ? WiFi.softAPSSID() : "";
+}
+
+// Starts the setup access point next to any station connection attempts
+void startProvisioning() {
+  if (provisioning_active) return;
+  
+  char ap_ssid[32];
+  formatApSsid(ap_ssid, sizeof(ap_ssid));
+  
+  WiFi.mode(WIFI_AP_STA);
+  WiFi.softAP(ap_ssid, ap_password);
+  provisioning_active = true;
+  
+  debug_log("WIFI", "Setup portal on '%s' at http://%s%s", ap_ssid, WiFi.softAPIP().toString().c_str(), WIFI_PORTAL_PATH);
+  log_event("WIFI_PROVISIONING", ap_ssid);
+}
+
+void stopProvisioning() {
+  if (!provisioning_active) return;
+  
+  WiFi.softAPdisconnect(true);
+  WiFi.mode(WIFI_STA);
+  provisioning_active = false;
+  debug_log("WIFI", "Setup portal closed");
+}
+
+// Returns false when there is no saved network at that index
+bool beginNetwork(uint8_t index) {
+  WifiNetwork network;
+  bool static_ip = false;
+  IPAddress ip, gateway, subnet, dns;
+  
+  if (xSemaphoreTake(xWifiMutex, portMAX_DELAY) != pdTRUE) return false;
+  bool found = index < wifi_settings.network_count;
+  if (found) {
+    network = wifi_settings.networks[index];
+    static_ip = wifi_settings.static_ip &&
+                ip.fromString(wifi_settings.ip) &&
+                gateway.fromString(wifi_settings.gateway) &&
+                subnet.fromString(wifi_settings.subnet);
+    if (!dns.fromString(wifi_settings.dns)) dns = gateway;
+  }
+  xSemaphoreGive(xWifiMutex);
+  
+  if (!found) return false;
+  
+  // 0.0.0.0 switches the station back to DHCP
+  if (static_ip) {
+    WiFi.config(ip, gateway, subnet, dns);
+  } else {
+    WiFi.config(INADDR_NONE, INADDR_NONE, INADDR_NONE);
+  }
+  
+  debug_log("WIFI", "Connecting to '%s'%s", network.ssid, static_ip ? " with static IP" : "");
+  WiFi.begin(network.ssid, network.password);
+  return true;
+}
+
+// ============ SCHEDULE FUNCTIONS ============
+const char* scheduleTypeName(ScheduleType type) {
+  switch (type) {
+    case SCHEDULE_WINDOW: return "window";
+    case SCHEDULE_BLACKOUT: return "blackout";
+    default: return "run";
+  }
+}
+
+bool parseScheduleType(const char* name, ScheduleType* type) {
+  if (strcmp(name, "run") == 0) *type = SCHEDULE_RUN;
+  else if (strcmp(name, "window") == 0) *type = SCHEDULE_WINDOW;
+  else if (strcmp(name, "blackout") == 0) *type = SCHEDULE_BLACKOUT;
+  else return false;
+  return true;
+}
+
+// "HH:MM" -> minutes since midnight, or -1 if malformed
+int parseScheduleTime(const char* text) {
+  int hours, minutes;
+  char extra;
+  if (sscanf(text, "%d:%d%c", &hours, &minutes, &extra) != 2) return -1;
+  if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) return -1;
+  return hours * 60 + minutes;
+}
+
+void formatScheduleTime(uint16_t minutes, char* out, size_t size) {
+  snprintf(out, size, "%02u:%02u", minutes / 60, minutes % 60);
+}
+
+void scheduleToJson(const Schedule& schedule, JsonObject out) {
+  char time[6];
+  out["id"] = schedule.id;
+  out["type"] = scheduleTypeName(schedule.type);
+  out["name"] = schedule.name;
+  out["enabled"] = schedule.enabled;
+  out["days"] = schedule.days;
+  formatScheduleTime(schedule.start_min, time, sizeof(time));
+  out["start"] = time;
+  if (schedule.type == SCHEDULE_RUN) {
+    out["duration"] = schedule.duration_s;
+    out["zone"] = schedule.zone;
+  } else {
+    formatScheduleTime(schedule.end_min, time, sizeof(time));
+    out["end"] = time;
+  }
+}
+
+// Fills a schedule from JSON, keeping existing values for missing fields.
+// Returns NULL on success or a message describing the first invalid field.
+const char* scheduleFromJson(JsonObjectConst in, Schedule* schedule) {
+  if (in["type"].is<const char*>() && !parseScheduleType(in["type"], &schedule->type)) {
+    return "Invalid type";
+  }
+  if (in["start"].is<const char*>()) {
+    int start = parseScheduleTime(in["start"]);
+    if (start < 0) return "Invalid start time";
+    schedule->start_min = start;
+  }
+  if (in["end"].is<const char*>()) {
+    int end = parseScheduleTime(in["end"]);
+    if (end < 0) return "Invalid end time";
+    schedule->end_min = end;
+  }
+  if (in.containsKey("duration")) {
+    int duration = in["duration"] | 0;
+    if (duration < 1 || duration > SCHEDULE_RUN_MAX_S) return "Invalid duration";
+    schedule->duration_s = duration;
+  }
+  if (in.containsKey("zone")) {
+    int zone = in["zone"] | -1;
+    if (zone < 0 || zone >= (int)ZONE_COUNT) return "Invalid zone";
+    schedule->zone = zone;
+  }
+  if (in.containsKey("days")) {
+    int days = in["days"] | -1;
+    if (days < 1 || days > SCHEDULE_ALL_DAYS) return "Invalid days";
+    schedule->days = days;
+  }
+  if (in.containsKey("enabled")) {
+    schedule->enabled = in["enabled"] | true;
+  }
+  if (in["name"].is<const char*>()) {
+    strlcpy(schedule->name, in["name"], sizeof(schedule->name));
+  }
+  
+  if (schedule->type == SCHEDULE_RUN && schedule->duration_s == 0) return "Missing duration";
+  if (schedule->type != SCHEDULE_RUN && schedule->start_min == schedule->end_min) return "Start and end must differ";
+  return NULL;
+}
+
+bool saveSchedules() {
+  if (!fs_available) return false;
+  
+  JsonDocument doc;
+  uint8_t count = 0;
+  if (xSemaphoreTake(xScheduleMutex, portMAX_DELAY) == pdTRUE) {
+    doc["next_id"] = next_schedule_id;
+    JsonArray list = doc["schedules"].to<JsonArray>();
+    for (uint8_t i = 0; i < schedule_count; i++) {
+      JsonObject item = list.add<JsonObject>();
+      scheduleToJson(schedules[i], item);
+      // Kept on flash so a reboot inside the start minute does not run it again
+      item["last_run_yday"] = schedules[i].last_run_yday;
+    }
+    count = schedule_count;
+    xSemaphoreGive(xScheduleMutex);
+  }
+  
+  File file = LittleFS.open(SCHEDULES_FILE, FILE_WRITE);
+  if (!file) return false;
+  
+  serializeJson(doc, file);
+  file.close();
+  
+  debug_log("SCHEDULE", "Saved %u schedules", count);
+  return true;
+}
+
+bool loadSchedules() {
+  if (!fs_available || !LittleFS.exists(SCHEDULES_FILE)) return false;
+  
+  File file = LittleFS.open(SCHEDULES_FILE, FILE_READ);
+  if (!file) return false;
+  
+  JsonDocument doc;
+  DeserializationError error = deserializeJson(doc, file);
+  file.close();
+  
+  if (error) {
+    debug_log("SCHEDULE", "Failed to parse schedules");
+    return false;
+  }
+  
+  if (xSemaphoreTake(xScheduleMutex, portMAX_DELAY) == pdTRUE) {
+    schedule_count = 0;
+    next_schedule_id = doc["next_id"] | 1;
+    
+    for (JsonObjectConst item : doc["schedules"].as<JsonArrayConst>()) {
+      if (schedule_count >= MAX_SCHEDULES) break;
+      
+      Schedule schedule = {0, SCHEDULE_RUN, 0, true, SCHEDULE_ALL_DAYS, 0, 0, 0, "", -1};
+      if (scheduleFromJson(item, &schedule) != NULL) continue;
+      schedule.id = item["id"] | 0;
+      if (schedule.id == 0) schedule.id = next_schedule_id++;
+      schedule.last_run_yday = item["last_run_yday"] | -1;
+      schedules[schedule_count++] = schedule;
+    }
+    xSemaphoreGive(xScheduleMutex);
+  }
+  
+  debug_log("SCHEDULE", "Loaded %u schedules", schedule_count);
+  return true;
+}
+
+int findSchedule(uint8_t id) {
+  for (uint8_t i = 0; i < schedule_count; i++) {
+    if (schedules[i].id == id) return i;
+  }
+  return -1;
+}
+
+// Local time of day; time-of-day rules are inactive until SNTP has synced
+bool local_time(struct tm* now) {
+  if (!time_synced()) return false;
+  time_t t = time(NULL);
+  localtime_r(&t, now);
+  return true;
+}
+
+bool schedule_covers(const Schedule& schedule, const struct tm& now) {
+  uint16_t minute = now.tm_hour * 60 + now.tm_min;
+  uint8_t today = 1 << now.tm_wday;
+  uint8_t yesterday = 1 << ((now.tm_wday + 6) % 7);
+  
+  if (schedule.start_min < schedule.end_min) {
+    return (schedule.days & today) && minute >= schedule.start_min && minute < schedule.end_min;
+  }
+  // Overnight range: the evening part belongs to today, the morning part to yesterday
+  if (minute >= schedule.start_min) return schedule.days & today;
+  if (minute < schedule.end_min) return schedule.days & yesterday;
+  return false;
+}
+
+// Whether the pump may run right now. Blackouts block everything; when any
+// window is enabled, threshold watering must also fall inside one of them.
+bool watering_allowed(bool threshold_watering, char* reason, size_t size) {
+  struct tm now;
+  if (!local_time(&now)) return true;
+  
+  bool has_window = false;
+  bool in_window = false;
+  bool allowed = true;
+  
+  if (xSemaphoreTake(xScheduleMutex, portMAX_DELAY) == pdTRUE) {
+    for (uint8_t i = 0; i < schedule_count && allowed; i++) {
+      const Schedule& schedule = schedules[i];
+      if (!schedule.enabled) continue;
+      
+      if (schedule.type == SCHEDULE_BLACKOUT && schedule_covers(schedule, now)) {
+        snprintf(reason, size, "Blackout: %s", schedule.name[0] ? schedule.name : "unnamed");
+        allowed = false;
+      } else if (schedule.type == SCHEDULE_WINDOW) {
+        has_window = true;
+        if (schedule_covers(schedule, now)) in_window = true;
+      }
+    }
+    xSemaphoreGive(xScheduleMutex);
+  }
+  
+  if (allowed && threshold_watering && has_window && !in_window) {
+    snprintf(reason, size, "Outside watering windows");
+    allowed = false;
+  }
+  return allowed;
+}
+
+// Returns the duration of a zone's fixed run that starts this minute, once per
+// day. The run counts as today's whether the caller starts it or skips it.
+uint32_t due_scheduled_run(uint8_t zone, char* name, size_t size) {
+  struct tm now;
+  if (!local_time(&now)) return 0;
+  
+  uint16_t minute = now.tm_hour * 60 + now.tm_min;
+  uint32_t duration_ms = 0;
+  
+  if (xSemaphoreTake(xScheduleMutex, portMAX_DELAY) == pdTRUE) {
+    for (uint8_t i = 0; i < schedule_count; i++) {
+      Schedule& schedule = schedules[i];
+      if (!schedule.enabled || schedule.type != SCHEDULE_RUN || schedule.zone != zone) continue;
+      if (!(schedule.days & (1 << now.tm_wday)) || schedule.start_min != minute) continue;
+      if (schedule.last_run_yday == now.tm_yday) continue;
+      
+      schedule.last_run_yday = now.tm_yday;
+      snprintf(name, size, "%s", schedule.name[0] ? schedule.name : "Scheduled run");
+      duration_ms = schedule.duration_s * 1000UL;
+      break;
+    }
+    xSemaphoreGive(xScheduleMutex);
+  }
+  return duration_ms;
+}
+
+// ============ LOG FILE FUNCTIONS ============
+// Writes a CSV field, quoting it when it contains a delimiter or quote.
+// Line breaks become spaces so every row stays on one line.
+void printCsvField(Print& out, const char* value) {
+  if (!strpbrk(value, ",\"\r\n")) {
+    out.print(value);
+    return;
+  }
+  
+  out.print('"');
+  for (const char* c = value; *c; c++) {
+    if (*c == '"') {
+      out.print("\"\"");
+    } else if (*c == '\r' || *c == '\n') {
+      out.print(' ');
+    } else {
+      out.print(*c);
+    }
+  }
+  out.print('"');
+}
+
+// Reads one CSV field into `out` and returns a pointer to the character after it
+const char* parseCsvField(const char* in, char* out, size_t out_size) {
+  size_t length = 0;
+  
+  if (*in == '"') {
+    in++;
+    while (*in) {
+      char c = *in++;
+      if (c == '"') {
+        if (*in != '"') break;
+        in++;
+      }
+      if (length < out_size - 1) out[length++] = c;
+    }
+  } else {
+    while (*in && *in != ',' && *in != '\r' && *in != '\n') {
+      if (length < out_size - 1) out[length++] = *in;
+      in++;
+    }
+  }
+  
+  out[length] = '\0';
+  return in;
+}
+
+bool parseLogLine(const char* line, LogEntry* entry) {
+  char* end;
+  
+  entry->timestamp = strtoull(line, &end, 10);
+  if (end == line || *end != ',') return false;
+  
+  entry->raw_adc = strtol(end + 1, &end, 10);
+  if (*end != ',') return false;
+  
+  entry->percentage = strtof(end + 1, &end);
+  if (*end != ',') return false;
+  
+  const char* next = parseCsvField(end + 1, entry->event, sizeof(entry->event));
+  if (entry->event[0] == '\0') return false;
+  
+  // Older rows end after the event (no details), after details (no uptime/boot ID)
+  // or after the boot ID (no zone tag)
+  entry->details[0] = '\0';
+  entry->uptime = 0;
+  entry->boot_id = 0;
+  entry->zone[0] = '\0';
+  if (*next == ',') {
+    next = parseCsvField(next + 1, entry->details, sizeof(entry->details));
+  }
+  if (*next == ',') {
+    entry->uptime = strtoul(next + 1, &end, 10);
+    if (*end == ',') {
+      entry->boot_id = strtoul(end + 1, &end, 10);
+      if (*end == ',') parseCsvField(end + 1, entry->zone, sizeof(entry->zone));
+    }
+  } else if (entry->timestamp < MIN_VALID_EPOCH_MS) {
+    // Legacy rows stored millis() in the timestamp column
+    entry->uptime = entry->timestamp;
+    entry->timestamp = 0;
+  }
+  return true;
+}
+
+// Reads the line that ends at byte offset `end` into `line` (at least
+// LOG_LINE_MAX bytes) and returns the offset where that line starts.
+uint32_t readLineBefore(File& file, uint32_t end, char* line) {
+  uint32_t start = (end > LOG_LINE_MAX - 1) ? end - (LOG_LINE_MAX - 1) : 0;
+  size_t length = end - start;
+  
+  file.seek(start);
+  length = file.read((uint8_t*)line, length);
+  line[length] = '\0';
+  
+  // Drop this line's own terminator before looking for the previous one
+  while (length > 0 && (line[length - 1] == '\n' || line[length - 1] == '\r')) {
+    line[--length] = '\0';
+  }
+  
+  char* newline = strrchr(line, '\n');
+  if (!newline) return start;
+  
+  uint32_t line_start = start + (newline - line) + 1;
+  memmove(line, newline + 1, strlen(newline + 1) + 1);
+  return line_start;
+}
+
+// Rows logged before zones existed belong to the first zone
+bool logEntryInZone(const LogEntry& entry, uint8_t zone) {
+  if (entry.zone[0] == '\0') return zone == 0;
+  return strcmp(entry.zone, ZONES[zone].tag) == 0;
+}
+
+bool logMatchesFilter(const LogEntry& entry, const String& category, const String& query) {
+  if (category == "sensor" && !strstr(entry.event, "SENSOR")) return false;
+  if (category == "pump" && !strstr(entry.event, "PUMP") && !strstr(entry.event, "WATERING") && !strstr(entry.event, "SCHEDULE")) return false;
+  if (category == "system" && !strstr(entry.event, "SYSTEM") && !strstr(entry.event, "WIFI") &&
+      !strstr(entry.event, "AUTH") && !strstr(entry.event, "OTA") && !strstr(entry.event, "CONFIG")) return false;
+  
+  if (query.length() > 0) {
+    String searchable = String(entry.event) + " " + entry.details;
+    searchable.toLowerCase();
+    if (searchable.indexOf(query) == -1) return false;
+  }
+  
+  return true;
+}
+
+void appendLogJson(String& out, const LogEntry& entry) {
+  JsonDocument doc;
+  doc["timestamp"] = resolve_timestamp(entry.timestamp, entry.uptime, entry.boot_id);
+  doc["uptime"] = entry.uptime;
+  doc["boot_id"] = entry.boot_id;
+  doc["raw_adc"] = entry.raw_adc;
+  doc["percentage"] = entry.percentage;
+  doc["event"] = entry.event;
+  doc["details"] = entry.details;
+  doc["zone"] = entry.zone;
+  
+  String json;
+  serializeJson(doc, json);
+  out += json;
+}
+
+// Segment 0 is the active LOG_FILE; callers hold xLogMutex around segment access
+String logSegmentPath(int index) {
+  if (index == 0) return LOG_FILE;
+  return "/logs." + String(index) + ".csv";
+}
+
+int countLogSegments() {
+  int segments = 0;
+  while (segments < LOG_SEGMENTS_LIMIT && LittleFS.exists(logSegmentPath(segments + 1))) {
+    segments++;
+  }
+  return segments;
+}
+
+bool createLogFile() {
+  File file = LittleFS.open(LOG_FILE, FILE_WRITE);
+  if (!file) return false;
+  
+  file.println(LOG_HEADER);
+  file.close();
+  return true;
+}
+
+// Rotation shifts every archive one index older, so cursors name a segment by
+// a hash of its first row instead. A segment with no rows has ID 0.
+uint32_t logSegmentId(File& file) {
+  char line[LOG_LINE_MAX];
+  file.seek(0);
+  file.readBytesUntil('\n', line, sizeof(line) - 1);
+  size_t length = file.readBytesUntil('\n', line, sizeof(line) - 1);
+  if (length == 0) return 0;
+  
+  // FNV-1a, kept clear of the empty-segment ID
+  uint32_t id = 2166136261UL;
+  for (size_t i = 0; i < length; i++) {
+    id = (id ^ (uint8_t)line[i]) * 16777619UL;
+  }
+  return id != 0 ? id : 1;
+}
+
+// Rotation only moves a segment older, so the search starts where it was last seen
+int findLogSegment(uint32_t id, int first, int segments) {
+  for (int index = first; index <= segments; index++) {
+    File file = LittleFS.open(logSegmentPath(index), FILE_READ);
+    if (!file) continue;
+    
+    bool found = logSegmentId(file) == id;
+    file.close();
+    if (found) return index;
+  }
+  return -1;
+}
+
+// Long readers walk a snapshot of segments first..last (oldest first) and hold
+// xLogMutex for one chunk at a time, so logger_task is never kept waiting for
+// a whole download. Call with xLogMutex held; segments with no rows are left out.
+int snapshotLogSegments(int first, int last, LogSegmentRef* refs) {
+  int count = 0;
+  for (int index = first; index >= last; index--) {
+    File file = LittleFS.open(logSegmentPath(index), FILE_READ);
+    if (!file) continue;
+    
+    uint32_t id = logSegmentId(file);
+    if (id != 0) {
+      // Rows start after the header
+      file.seek(0);
+      file.readStringUntil('\n');
+      refs[count++] = { id, index, (uint32_t)file.position(), (uint32_t)file.size() };
+    }
+    file.close();
+  }
+  return count;
+}
+
+// Copies the next whole lines of a snapshotted segment into `buffer` and
+// returns their length; 0 once the segment is done or has been removed
+size_t readLogChunk(LogSegmentRef& ref, char* buffer, size_t size) {
+  size_t length = 0;
+  
+  xSemaphoreTake(xLogMutex, portMAX_DELAY);
+  if (fs_available && ref.position < ref.end) {
+    ref.index = findLogSegment(ref.id, ref.index, countLogSegments());
+    File file = ref.index >= 0 ? LittleFS.open(logSegmentPath(ref.index), FILE_READ) : File();
+    if (file) {
+      file.seek(ref.position);
+      length = file.read((uint8_t*)buffer, min((size_t)(ref.end - ref.position), size - 1));
+      file.close();
+    }
+  }
+  xSemaphoreGive(xLogMutex);
+  
+  // Stop after the last complete line unless one line fills the whole buffer
+  buffer[length] = '\0';
+  char* newline = strrchr(buffer, '\n');
+  if (newline && ref.position + length < ref.end) {
+    length = newline - buffer + 1;
+    buffer[length] = '\0';
+  }
+  ref.position += length;
+  if (length == 0) ref.position = ref.end;
+  return length;
+}
+
+// Reads the whole lines of a snapshotted segment that end at `end`, back to
+// its first row at most, into `buffer` and returns where the first of them
+// starts. Returns `end` once there is nothing before it or the segment is gone.
+uint32_t readLogChunkBefore(LogSegmentRef& ref, uint32_t end, char* buffer, size_t size) {
+  uint32_t start = max(ref.position, end > size - 1 ? end - (uint32_t)(size - 1) : (uint32_t)0);
+  size_t length = 0;
+  
+  xSemaphoreTake(xLogMutex, portMAX_DELAY);
+  if (fs_available && start < end) {
+    ref.index = findLogSegment(ref.id, ref.index, countLogSegments());
+    File file = ref.index >= 0 ? LittleFS.open(logSegmentPath(ref.index), FILE_READ) : File();
+    if (file) {
+      file.seek(start);
+      length = file.read((uint8_t*)buffer, end - start);
+      file.close();
+    }
+  }
+  xSemaphoreGive(xLogMutex);
+  
+  buffer[length] = '\0';
+  if (length < end - start) return end;
+  
+  // Drop the partial line the chunk starts in, unless one line fills the whole buffer
+  char* newline = strchr(buffer, '\n');
+  if (start > ref.position && newline && newline[1] != '\0') {
+    start += newline + 1 - buffer;
+    memmove(buffer, newline + 1, strlen(newline + 1) + 1);
+  }
+  return start;
+}
+
+void removeLogSegment(int index) {
+  LittleFS.remove(logSegmentPath(index));
+  debug_log("LOGGER", "Removed log segment %d", index);
+}
+
+void rotateLogs() {
+  int segments = countLogSegments();
+  
+  // Make room at the end of the chain, then shift every segment one place older
+  while (segments > 0 && segments >= config.log_max_segments) {
+    removeLogSegment(segments--);
+  }
+  for (int i = segments; i >= 1; i--) {
+    LittleFS.rename(logSegmentPath(i), logSegmentPath(i + 1));
+  }
+  
+  LittleFS.rename(LOG_FILE, logSegmentPath(1));
+  createLogFile();
+  debug_log("LOGGER", "Log rotated, %d archived segments", segments + 1);
+}
+
+void applyLogRetention() {
+  int segments = countLogSegments();
+  while (segments > config.log_max_segments) {
+    removeLogSegment(segments--);
+  }
+  
+  // Age-based retention needs wall-clock time
+  if (config.log_retention_days == 0 || !time_synced()) return;
+  
+  uint64_t now = epoch_ms();
+  uint64_t max_age = config.log_retention_days * 86400000ULL;
+  char line[LOG_LINE_MAX];
+  
+  // Oldest segments go first, and only once their newest row has expired
+  while (segments > 0) {
+    LogEntry newest;
+    bool has_entry = false;
+    
+    File file = LittleFS.open(logSegmentPath(segments), FILE_READ);
+    if (file) {
+      readLineBefore(file, file.size(), line);
+      has_entry = parseLogLine(line, &newest);
+      file.close();
+    }
+    
+    uint64_t newest_time = has_entry ? resolve_timestamp(newest.timestamp, newest.uptime, newest.boot_id) : 0;
+    
+    // Segments with no wall-clock time cannot be aged and are left to the count limit
+    if (has_entry && (newest_time == 0 || newest_time > now || now - newest_time < max_age)) break;
+    removeLogSegment(segments--);
+  }
+}
+
+// Keeps LOG_FS_RESERVE_BYTES free so config writes never fail on a full flash
+bool ensureLogSpace() {
+  while (LittleFS.totalBytes() - LittleFS.usedBytes() < LOG_FS_RESERVE_BYTES) {
+    int segments = countLogSegments();
+    if (segments == 0) return false;
+    removeLogSegment(segments);
+  }
+  return true;
+}
+
+void addStorageInfo(JsonObject system) {
+  system["fs_total"] = fs_available ? LittleFS.totalBytes() : 0;
+  system["fs_used"] = fs_available ? LittleFS.usedBytes() : 0;
+  system["log_segments"] = fs_available ? countLogSegments() : 0;
+}
+
+// ============ MOISTURE HISTORY ============
+// The event log only reaches back a few hours at the default sampling rate,
+// so logger_task also keeps 5-minute averages per zone in a ring file that
+// covers the 7d chart. Only rows with wall-clock time go into it.
+String historyPath(uint8_t zone) {
+  return "/history." + String(ZONES[zone].tag) + ".bin";
+}
+
+// The file is created at full size so every slot has a fixed offset.
+// Callers hold xLogMutex.
+void writeHistoryRecord(uint8_t zone, const HistoryRecord& record) {
+  String path = historyPath(zone);
+  if (!LittleFS.exists(path)) {
+    File file = LittleFS.open(path, FILE_WRITE);
+    if (!file) return;
+    
+    HistoryRecord empty = {};
+    for (int i = 0; i < HISTORY_RECORDS; i++) {
+      file.write((const uint8_t*)&empty, sizeof(empty));
+    }
+    file.close();
+  }
+  
+  File file = LittleFS.open(path, "r+");
+  if (!file) return;
+  
+  file.seek((record.bucket % HISTORY_RECORDS) * sizeof(HistoryRecord));
+  file.write((const uint8_t*)&record, sizeof(record));
+  file.close();
+}
+
+// Folds a logged row into its zone's pending bucket. Callers hold xLogMutex.
+void recordHistory(const LogEntry& entry) {
+  if (entry.timestamp < MIN_VALID_EPOCH_MS) return;
+  
+  int zone = -1;
+  for (uint8_t i = 0; i < ZONE_COUNT; i++) {
+    if (strcmp(entry.zone, ZONES[i].tag) == 0) zone = i;
+  }
+  if (zone == -1) return;
+  
+  HistoryRecord& pending = history_pending[zone];
+  uint32_t bucket = entry.timestamp / HISTORY_RECORD_MS;
+  if (pending.bucket != bucket) {
+    if (pending.bucket != 0 && (pending.samples > 0 || pending.pump)) {
+      writeHistoryRecord(zone, pending);
+    }
+    pending = { bucket, 0.0, 0, history_pump_on[zone], 0 };
+  }
+  
+  String event = entry.event;
+  if (event == "SENSOR_READ") {
+    // Faulted readings are left out of the curve
+    if (strcmp(entry.details, "OK") != 0) return;
+    pending.samples++;
+    pending.moisture += (entry.percentage - pending.moisture) / pending.samples;
+  } else if (event.startsWith("PUMP_") && event.endsWith("_START")) {
+    history_pump_on[zone] = true;
+    pending.pump = 1;
+  } else if (event.startsWith("PUMP_") && event.endsWith("_STOP")) {
+    history_pump_on[zone] = false;
+  }
+}
+
+void clearHistory() {
+  for (uint8_t i = 0; i < ZONE_COUNT; i++) {
+    LittleFS.remove(historyPath(i));
+    history_pending[i] = {};
+  }
+}
+
+// Adds a zone's stored buckets between `from` and `now` (epoch ms) to the
+// chart's sums and counts, and consecutive pump buckets as pump spans.
+// The file is read a few records per xLogMutex hold.
+void addStoredHistory(uint8_t zone, uint64_t from, uint64_t now, uint32_t bucket_ms,
+                      float* sums, uint16_t* counts, JsonArray pump) {
+  xSemaphoreTake(xLogMutex, portMAX_DELAY);
+  HistoryRecord pending = history_pending[zone];
+  bool pump_on = history_pump_on[zone];
+  xSemaphoreGive(xLogMutex);
+  
+  uint64_t span_start = 0;
+  uint64_t span_end = 0;
+  bool span_open = false;
+  
+  auto fold = [&](const HistoryRecord* record, uint32_t bucket) {
+    uint64_t start = (uint64_t)bucket * HISTORY_RECORD_MS;
+    uint64_t middle = start + HISTORY_RECORD_MS / 2;
+    
+    if (record && record->samples > 0 && middle >= from && middle <= now) {
+      uint32_t index = (middle - from) / bucket_ms;
+      if (index >= HISTORY_MAX_POINTS) index = HISTORY_MAX_POINTS - 1;
+      sums[index] += record->moisture * record->samples;
+      counts[index] += record->samples;
+    }
+    
+    if (record && record->pump) {
+      if (!span_open) span_start = max(start, from);
+      span_end = min(start + HISTORY_RECORD_MS, now);
+      span_open = true;
+    } else if (span_open) {
+      if (pump.size() < HISTORY_MAX_PUMP_SPANS) {
+        JsonObject span = pump.add<JsonObject>();
+        span["start"] = span_start;
+        span["end"] = span_end;
+      }
+      span_open = false;
+    }
+  };
+  
+  HistoryRecord records[HISTORY_READ_RECORDS];
+  uint32_t first = from / HISTORY_RECORD_MS;
+  uint32_t last = now / HISTORY_RECORD_MS;
+  
+  // Oldest first, so pump buckets join up into spans in order
+  for (uint32_t bucket = first; bucket <= last; ) {
+    uint32_t slot = bucket % HISTORY_RECORDS;
+    uint32_t count = min(min(last - bucket + 1, (uint32_t)HISTORY_READ_RECORDS), (uint32_t)(HISTORY_RECORDS - slot));
+    size_t read = 0;
+    
+    xSemaphoreTake(xLogMutex, portMAX_DELAY);
+    File file = fs_available ? LittleFS.open(historyPath(zone), FILE_READ) : File();
+    if (file) {
+      file.seek(slot * sizeof(HistoryRecord));
+      read = file.read((uint8_t*)records, count * sizeof(HistoryRecord)) / sizeof(HistoryRecord);
+      file.close();
+    }
+    xSemaphoreGive(xLogMutex);
+    
+    // Slots still holding an older lap of the ring, or never written, are gaps.
+    // The bucket being filled is only in RAM.
+    for (uint32_t i = 0; i < count; i++) {
+      if (bucket + i == pending.bucket) {
+        fold(&pending, bucket + i);
+      } else {
+        fold(i < read && records[i].bucket == bucket + i ? &records[i] : NULL, bucket + i);
+      }
+    }
+    bucket += count;
+  }
+  
+  // A pump run still in progress is reported without an end
+  if (span_open && pump.size() < HISTORY_MAX_PUMP_SPANS) {
+    JsonObject span = pump.add<JsonObject>();
+    span["start"] = span_start;
+    if (!pump_on) span["end"] = span_end;
+  }
+}
+
+// ============ ZONE STATE ============
+bool valid_zone(int zone) {
+  return zone >= 0 && zone < (int)ZONE_COUNT;
+}
+
+const char* sensorHealthName(SensorHealth health) {
+  switch (health) {
+    case SENSOR_DISCONNECTED: return "DISCONNECTED";
+    case SENSOR_OUT_OF_RANGE: return "OUT_OF_RANGE";
+    case SENSOR_STUCK: return "STUCK";
+    case SENSOR_RATE: return "RATE_OF_CHANGE";
+    default: return "OK";
+  }
+}
+
+void addSensorJson(JsonObject sensor, const SensorReading& reading) {
+  sensor["moisture"] = reading.moisture;
+  sensor["raw_adc"] = reading.raw_adc;
+  sensor["filtered_adc"] = reading.filtered_adc;
+  sensor["noise"] = roundf(reading.noise * 10) / 10;
+  sensor["timestamp"] = resolve_timestamp(reading.timestamp, reading.uptime, boot_id);
+  sensor["uptime"] = reading.uptime;
+  sensor["valid"] = reading.valid;
+  sensor["health"] = sensorHealthName(reading.health);
+}
+
+// Seconds of minimum off-time left since the pump last stopped
+uint32_t pumpCooldownSeconds(const PumpState& pump_state) {
+  if (pump_state.pump_active || pump_state.last_change_uptime == 0) return 0;
+  
+  uint32_t off_ms = millis() - pump_state.last_change_uptime;
+  uint32_t min_off_ms = config.pump_min_off_s * 1000UL;
+  return off_ms < min_off_ms ? (min_off_ms - off_ms + 999) / 1000 : 0;
+}
+
+void addPumpJson(JsonObject pump, const PumpState& pump_state) {
+  pump["active"] = pump_state.pump_active;
+  pump["status"] = pump_state.status;
+  pump["retry_count"] = pump_state.retry_count;
+  pump["last_change"] = resolve_timestamp(pump_state.last_change, pump_state.last_change_uptime, boot_id);
+  pump["last_change_uptime"] = pump_state.last_change_uptime;
+  pump["locked_out"] = pump_state.locked_out;
+  pump["lockout_reason"] = pump_state.lockout_reason;
+  pump["runs_today"] = pump_state.runs_today;
+  pump["runtime_today_s"] = pump_state.runtime_today_s;
+  pump["cooldown_s"] = pumpCooldownSeconds(pump_state);
+}
+
+// "curve" samples the active mapping as [adc, moisture] pairs so the
+// dashboard can draw it without reimplementing the fit
+void addCalibrationJson(JsonObject cal, const ZoneConfig& zone_config) {
+  cal["adc_dry"] = zone_config.adc_dry;
+  cal["adc_wet"] = zone_config.adc_wet;
+  cal["threshold"] = zone_config.dry_threshold;
+  cal["target"] = zone_config.expected_value;
+  addCurveJson(cal, zone_config.curve);
+  
+  JsonArray samples = cal["curve"].to<JsonArray>();
+  for (uint8_t i = 0; i < CAL_CURVE_SAMPLES; i++) {
+    int adc = 4095L * i / (CAL_CURVE_SAMPLES - 1);
+    JsonArray sample = samples.add<JsonArray>();
+    sample.add(adc);
+    sample.add(roundf(curve_moisture(zone_config, adc) * 10) / 10);
+  }
+}
+
+void addZoneConfigJson(JsonObject settings, const ZoneConfig& zone_config) {
+  settings["dry_threshold"] = zone_config.dry_threshold;
+  settings["expected_value"] = zone_config.expected_value;
+  settings["max_retries"] = zone_config.max_retries;
+}
+
+// Settings that apply to the whole device; zone settings are reported per zone
+void addGlobalConfigJson(JsonObject settings) {
+  settings["sampling_interval"] = config.sampling_interval;
+  settings["log_segment_kb"] = config.log_segment_kb;
+  settings["log_segment_hours"] = config.log_segment_hours;
+  settings["log_max_segments"] = config.log_max_segments;
+  settings["log_retention_days"] = config.log_retention_days;
+  settings["ntp_server"] = config.ntp_server;
+  settings["timezone"] = config.timezone;
+  settings["sensor_oversample"] = config.sensor_oversample;
+  settings["sensor_filter"] = sensorFilterName(config.sensor_filter);
+  settings["sensor_ema_alpha"] = config.sensor_ema_alpha;
+  settings["sensor_spike_adc"] = config.sensor_spike_adc;
+  settings["pump_max_run_s"] = config.pump_max_run_s;
+  settings["pump_min_off_s"] = config.pump_min_off_s;
+  settings["pump_max_runs_day"] = config.pump_max_runs_day;
+  settings["pump_max_runtime_day_min"] = config.pump_max_runtime_day_min;
+}
+
+void addFirmwareJson(JsonObject firmware) {
+  const esp_partition_t* running = esp_ota_get_running_partition();
+  const esp_partition_t* next = esp_ota_get_next_update_partition(NULL);
+  const esp_partition_t* fs = esp_partition_find_first(ESP_PARTITION_TYPE_DATA, ESP_PARTITION_SUBTYPE_DATA_SPIFFS, NULL);
+  
+  firmware["version"] = FIRMWARE_VERSION;
+  firmware["partition"] = running ? running->label : "";
+  firmware["firmware_max"] = next ? next->size : 0;
+  firmware["filesystem_max"] = fs ? fs->size : 0;
+  firmware["updates_enabled"] = ota_enabled;
+  firmware["pending_verify"] = ota_pending_verify;
+  firmware["updating"] = ota_upload.active;
+}
+
+// The fast-changing part of the system data
+void addSystemStatusJson(JsonObject system) {
+  system["uptime"] = millis();
+  system["time"] = epoch_ms();
+  system["time_synced"] = time_synced();
   system["free_heap"] = ESP.getFreeHeap();
+  addStorageInfo(system);
+  addFirmwareJson(system["firmware"].to<JsonObject>());
+}
+
+// One entry per zone with its reading, pump state, calibration and settings
+void addZonesJson(JsonArray zones) {
+  for (uint8_t i = 0; i < ZONE_COUNT; i++) {
+    SensorReading reading;
+    PumpState pump_state;
+    
+    if (xSemaphoreTake(xMutex, portMAX_DELAY) == pdTRUE) {
+      reading = zone_readings[i];
+      pump_state = zone_pumps[i];
+      xSemaphoreGive(xMutex);
+    }
+    
+    const ZoneConfig& zone_config = config.zones[i];
+    JsonObject zone = zones.add<JsonObject>();
+    zone["id"] = i;
+    zone["name"] = zone_config.name;
+    zone["tag"] = ZONES[i].tag;
+    
+    addSensorJson(zone["sensor"].to<JsonObject>(), reading);
+    addPumpJson(zone["pump"].to<JsonObject>(), pump_state);
+    addCalibrationJson(zone["calibration"].to<JsonObject>(), zone_config);
+    addZoneConfigJson(zone["config"].to<JsonObject>(), zone_config);
+  }
+}
+
+// ============ WEB SOCKET FUNCTIONS ============
+// Clients get one full "state" snapshot when they connect. After that only
+// changes are pushed: "zones" deltas, "log" rows, "config" and "calibration"
+// updates, and a small periodic "system" frame.
+void sendStateToClient(uint8_t client) {
+  JsonDocument doc;
+  
+  doc["type"] = "state";
+  
+  // Zone data
+  addZonesJson(doc["zones"].to<JsonArray>());
+  
+  // Network data
+  JsonObject network = doc["network"].to<JsonObject>();
+  network["connected"] = wifi_connected;
+  network["ip"] = WiFi.localIP().toString();
+  network["mac"] = WiFi.macAddress();
+  network["gateway"] = WiFi.gatewayIP().toString();
+  network["subnet"] = WiFi.subnetMask().toString();
+  network["dns"] = WiFi.dnsIP().toString();
+  network["ssid"] = WiFi.SSID();
+  network["rssi"] = WiFi.RSSI();
+  network["provisioning"] = provisioning_active;
+  
+  // System data
+  JsonObject system = doc["system"].to<JsonObject>();
+  addSystemStatusJson(system);
+  system["boot_id"] = boot_id;
+  system["fs_available"] = fs_available;
+  system["build_date"] = __DATE__ " " __TIME__;
+  // A "system" frame follows at least this often, so clients can spot a dead link
+  system["push_interval"] = SYSTEM_PUSH_MS;
+  
+  String json;
+  serializeJson(doc, json);
+  webSocket.sendTXT(client, json);
+}
+
+void broadcastJson(JsonDocument& doc) {
+  String json;
+  serializeJson(doc, json);
+  webSocket.broadcastTXT(json);
+}
+
+void broadcastLogEntry(const LogEntry& entry) {
+  String frame = "{\"type\":\"log\",\"data\":";
+  appendLogJson(frame, entry);
+  frame += "}";
+  webSocket.broadcastTXT(frame);
+}
+
+// Global settings plus one zone's, as pushed in "config" frames
+void addConfigUpdateJson(JsonObject data, uint8_t zone) {
+  addGlobalConfigJson(data);
+  
+  JsonObject zone_data = data["zone"].to<JsonObject>();
+  zone_data["id"] = zone;
+  zone_data["name"] = config.zones[zone].name;
+  addZoneConfigJson(zone_data, config.zones[zone]);
+}
+
+void broadcastConfig(uint8_t zone) {
+  JsonDocument doc;
+  doc["type"] = "config";
+  addConfigUpdateJson(doc["data"].to<JsonObject>(), zone);
+  broadcastJson(doc);
+}
+
+void broadcastCalibration(uint8_t zone) {
+  JsonDocument doc;
+  doc["type"] = "calibration";
+  
+  JsonObject data = doc["data"].to<JsonObject>();
+  data["zone"] = zone;
+  addCalibrationJson(data, config.zones[zone]);
+  
+  broadcastJson(doc);
+}
+
+void broadcastSystemStatus() {
+  JsonDocument doc;
+  doc["type"] = "system";
+  addSystemStatusJson(doc["data"].to<JsonObject>());
+  broadcastJson(doc);
+}
+
+// Pushes the sensor and pump sections that changed since the last push. A new
+// reading is always pushed after SENSOR_PUSH_MAX_MS so its age stays truthful.
+void broadcastZoneChanges() {
+  static SensorReading sent_readings[ZONE_COUNT];
+  static PumpState sent_pumps[ZONE_COUNT];
+  static uint32_t sensor_pushed_at[ZONE_COUNT];
+  
+  JsonDocument doc;
+  doc["type"] = "zones";
+  JsonArray zones = doc["zones"].to<JsonArray>();
+  
+  for (uint8_t i = 0; i < ZONE_COUNT; i++) {
+    SensorReading reading;
+    PumpState pump_state;
+    
+    if (xSemaphoreTake(xMutex, portMAX_DELAY) == pdTRUE) {
+      reading = zone_readings[i];
+      pump_state = zone_pumps[i];
+      xSemaphoreGive(xMutex);
+    }
+    
+    const SensorReading& sent = sent_readings[i];
+    bool sensor_changed = reading.valid != sent.valid || reading.health != sent.health ||
+                          fabs(reading.moisture - sent.moisture) >= SENSOR_DELTA_PERCENT ||
+                          (reading.uptime != sent.uptime && millis() - sensor_pushed_at[i] >= SENSOR_PUSH_MAX_MS);
+    
+    const PumpState& sent_pump = sent_pumps[i];
+    bool pump_changed = pump_state.pump_active != sent_pump.pump_active ||
+                        pump_state.retry_count != sent_pump.retry_count ||
+                        pump_state.last_change_uptime != sent_pump.last_change_uptime ||
+                        pump_state.locked_out != sent_pump.locked_out ||
+                        pump_state.runs_today != sent_pump.runs_today ||
+                        pump_state.runtime_today_s != sent_pump.runtime_today_s ||
+                        strcmp(pump_state.status, sent_pump.status) != 0;
+    
+    if (!sensor_changed && !pump_changed) continue;
+    
+    JsonObject zone = zones.add<JsonObject>();
+    zone["id"] = i;
+    
+    if (sensor_changed) {
+      addSensorJson(zone["sensor"].to<JsonObject>(), reading);
+      sent_readings[i] = reading;
+      sensor_pushed_at[i] = millis();
+    }
+    
+    if (pump_changed) {
+      addPumpJson(zone["pump"].to<JsonObject>(), pump_state);
+      sent_pumps[i] = pump_state;
+    }
+  }
+  
+  if (zones.size() > 0) broadcastJson(doc);
+}
+
+// ============ FIRMWARE UPDATE ============
+// A firmware upload is written to the idle OTA slot and boots once as
+// "pending verification". web_task confirms it when the web server is up and
+// the device is reachable; if that takes longer than OTA_VERIFY_TIMEOUT_MS,
+// or the new image crashes first, the bootloader goes back to the previous
+// slot. A LittleFS image replaces the web assets in place without a restart.
+
+// Tells the Arduino core not to mark a new image valid before setup();
+// confirmFirmware() does that once the image has proven itself
+bool verifyRollbackLater() {
+  return true;
+}
+
+const char* otaTargetName(OtaTarget target) {
+  return target == OTA_TARGET_FILESYSTEM ? "filesystem" : "firmware";
+}
+
+void broadcastUpdateStatus(const char* state, const char* message) {
+  JsonDocument doc;
+  doc["type"] = "update";
+  
+  JsonObject data = doc["data"].to<JsonObject>();
+  data["state"] = state;
+  data["target"] = otaTargetName(ota_upload.target);
+  data["size"] = ota_upload.size;
+  data["written"] = ota_upload.written;
+  data["progress"] = ota_upload.size ? (uint8_t)(ota_upload.written * 100ULL / ota_upload.size) : 0;
+  if (message) data["message"] = message;
+  
+  broadcastJson(doc);
+}
+
+// The logger is the only other task using LittleFS, and it checks
+// fs_available while holding xLogMutex
+void unmountFilesystem() {
+  xSemaphoreTake(xLogMutex, portMAX_DELAY);
+  fs_available = false;
+  xSemaphoreGive(xLogMutex);
+  
+  LittleFS.end();
+  ota_upload.fs_unmounted = true;
+}
+
+// Mounts LittleFS again after an image upload. Settings, accounts and
+// schedules are still in RAM, so they are written back into the new image;
+// log history is not carried over. Returns false if the partition did not
+// hold a usable filesystem and had to be formatted.
+bool remountFilesystem() {
+  ota_upload.fs_unmounted = false;
+  
+  bool intact = LittleFS.begin(false);
+  if (!intact && !LittleFS.begin(true)) {
+    debug_log("OTA", "LittleFS could not be mounted");
+    return false;
+  }
+  
+  xSemaphoreTake(xLogMutex, portMAX_DELAY);
+  fs_available = true;
+  if (!LittleFS.exists(LOG_FILE)) createLogFile();
+  xSemaphoreGive(xLogMutex);
+  
+  saveConfig();
+  saveUsers();
+  saveSchedules();
+  
+  return intact;
+}
+
+// Runs once at startup: finds out whether this boot is a new image waiting
+// for confirmation, or the old one after the bootloader rolled back
+void checkFirmwareBoot() {
+  const esp_partition_t* running = esp_ota_get_running_partition();
+  esp_ota_img_states_t state;
+  ota_pending_verify = esp_ota_get_state_partition(running, &state) == ESP_OK &&
+                       state == ESP_OTA_IMG_PENDING_VERIFY;
+  ota_enabled = esp_ota_get_next_update_partition(NULL) != NULL && !ota_pending_verify;
+  
+  Preferences prefs;
+  prefs.begin("ota", false);
+  String installed = prefs.getString("partition", "");
+  String from = prefs.getString("from", "");
+  char details[64];
+  
+  if (installed.length() > 0 && installed != running->label) {
+    snprintf(details, sizeof(details), "Update did not start, still running %s", FIRMWARE_VERSION);
+    debug_log("OTA", "%s", details);
+    log_event("OTA_ROLLED_BACK", details);
+    prefs.clear();
+  } else if (installed.length() > 0 && !ota_pending_verify) {
+    // Bootloaders without rollback support start new images as valid
+    snprintf(details, sizeof(details), "%s -> %s", from.c_str(), FIRMWARE_VERSION);
+    log_event("OTA_CONFIRMED", details);
+    prefs.clear();
+  }
+  prefs.end();
+}
+
+// Called from web_task's loop while a new image is pending verification
+void confirmFirmware() {
+  if (!ota_pending_verify) return;
+  
+  char details[64];
+  if (wifi_connected || provisioning_active) {
+    esp_ota_mark_app_valid_cancel_rollback();
+    ota_pending_verify = false;
+    ota_enabled = esp_ota_get_next_update_partition(NULL) != NULL;
+    
+    Preferences prefs;
+    prefs.begin("ota", false);
+    snprintf(details, sizeof(details), "%s -> %s", prefs.getString("from", "").c_str(), FIRMWARE_VERSION);
+    prefs.clear();
+    prefs.end();
+    
+    debug_log("OTA", "Firmware confirmed: %s", details);
+    log_event("OTA_CONFIRMED", details);
+    broadcastSystemStatus();
+  } else if (millis() > OTA_VERIFY_TIMEOUT_MS) {
+    snprintf(details, sizeof(details), "%s not reachable after %lu s", FIRMWARE_VERSION, OTA_VERIFY_TIMEOUT_MS / 1000UL);
+    debug_log("OTA", "Rolling back: %s", details);
+    log_event("OTA_VERIFY_FAILED", details);
+    
+    // Give the logger a moment to write the row before the restart
+    vTaskDelay(pdMS_TO_TICKS(1000));
+    esp_ota_mark_app_invalid_rollback_and_reboot();
+    ota_pending_verify = false;
+  }
+}
+
+// ============ SENSOR TASK ============
+// Each reading is the average of sensor_oversample ADC samples. It then passes
+// spike rejection (a jump of more than sensor_spike_adc is held back until it
+// repeats SENSOR_SPIKE_CONFIRM times) and the median or EMA filter before it
+// is mapped to moisture. Health checks look at both the raw and filtered value.
+int oversampleAdc(uint8_t zone, AdcStats& stats) {
+  uint16_t samples[SENSOR_OVERSAMPLE_MAX];
+  uint8_t count = constrain(config.sensor_oversample, 1, SENSOR_OVERSAMPLE_MAX);
+  
+  for (uint8_t i = 0; i < count; i++) {
+    samples[i] = analogRead(ZONES[zone].adc_pin);
+  }
+  
+  computeAdcStats(samples, count, stats);
+  return lroundf(stats.mean);
+}
+
+float medianOf(const uint16_t* values, uint8_t count) {
+  uint16_t sorted[SENSOR_MEDIAN_WINDOW];
+  memcpy(sorted, values, count * sizeof(uint16_t));
+  
+  for (uint8_t i = 1; i < count; i++) {
+    uint16_t value = sorted[i];
+    int j = i - 1;
+    while (j >= 0 && sorted[j] > value) {
+      sorted[j + 1] = sorted[j];
+      j--;
+    }
+    sorted[j + 1] = value;
+  }
+  
+  if (count % 2 == 1) return sorted[count / 2];
+  return (sorted[count / 2 - 1] + sorted[count / 2]) / 2.0;
+}
+
+float filterReading(SensorFilter& filter, int adc) {
+  if (filter.primed && config.sensor_spike_adc > 0 && abs(adc - filter.accepted) > config.sensor_spike_adc) {
+    if (++filter.spike_count < SENSOR_SPIKE_CONFIRM) {
+      debug_log("SENSOR", "Spike rejected: %d (last %d)", adc, filter.accepted);
+      return filter.output;
+    }
+    
+    // The jump held, so it is a real change: restart the filter at the new level
+    filter.count = 0;
+    filter.next = 0;
+    filter.primed = false;
+  }
+  filter.spike_count = 0;
+  filter.accepted = adc;
+  
+  filter.window[filter.next] = adc;
+  filter.next = (filter.next + 1) % SENSOR_MEDIAN_WINDOW;
+  if (filter.count < SENSOR_MEDIAN_WINDOW) filter.count++;
+  
+  switch (config.sensor_filter) {
+    case SENSOR_FILTER_MEDIAN:
+      filter.output = medianOf(filter.window, filter.count);
+      break;
+    case SENSOR_FILTER_EMA:
+      filter.ema = filter.primed ? config.sensor_ema_alpha * adc + (1.0 - config.sensor_ema_alpha) * filter.ema : adc;
+      filter.output = filter.ema;
+      break;
+    default:
+      filter.output = adc;
+      break;
+  }
+  
+  filter.primed = true;
+  return filter.output;
+}
+
+SensorHealth assessSensor(SensorFilter& filter, const AdcStats& stats, float moisture, uint32_t now) {
+  if (stats.mean <= SENSOR_RAIL_MARGIN || stats.mean >= 4095 - SENSOR_RAIL_MARGIN || stats.stddev > SENSOR_FLOAT_STDDEV) {
+    filter.last_sample = 0;
+    return SENSOR_DISCONNECTED;
+  }
+  if (stats.mean < SENSOR_ADC_MIN || stats.mean > SENSOR_ADC_MAX) {
+    filter.last_sample = 0;
+    return SENSOR_OUT_OF_RANGE;
+  }
+  
+  // Real sensors always wander a little; a reading that never moves has frozen
+  int adc = lroundf(stats.mean);
+  if (filter.stuck_since == 0 || max(filter.stuck_max, adc) - min(filter.stuck_min, adc) > SENSOR_STUCK_DELTA) {
+    filter.stuck_since = now;
+    filter.stuck_min = adc;
+    filter.stuck_max = adc;
+  } else {
+    filter.stuck_min = min(filter.stuck_min, adc);
+    filter.stuck_max = max(filter.stuck_max, adc);
+  }
+  
+  if (filter.last_sample != 0 && now > filter.last_sample) {
+    float rate = fabs(moisture - filter.last_moisture) * 60000.0 / (now - filter.last_sample);
+    if (rate > SENSOR_MAX_RATE) {
+      filter.rate_fault = true;
+      filter.rate_fault_at = now;
+    }
+  }
+  filter.last_moisture = moisture;
+  filter.last_sample = now;
+  
+  if (now - filter.stuck_since >= SENSOR_STUCK_MS) return SENSOR_STUCK;
+  if (filter.rate_fault && now - filter.rate_fault_at < SENSOR_RATE_HOLD_MS) return SENSOR_RATE;
+  filter.rate_fault = false;
+  return SENSOR_OK;
+}
+
+void sensor_task(void* pvParameters) {
+  debug_log("SENSOR", "Task started");
+  
+  static SensorFilter filters[ZONE_COUNT] = {};
+  
+  while(1) {
+    for (uint8_t zone = 0; zone < ZONE_COUNT; zone++) {
+      SensorFilter& filter = filters[zone];
+      
+      AdcStats stats;
+      int raw_adc = oversampleAdc(zone, stats);
+      int filtered_adc = lroundf(filterReading(filter, raw_adc));
+      float percentage = map_adc_to_percentage(zone, filtered_adc);
+      SensorHealth health = assessSensor(filter, stats, percentage, millis());
+      bool connected = health != SENSOR_DISCONNECTED && health != SENSOR_OUT_OF_RANGE;
+      
+      // Stamp once so the stored reading and its log row share a time
+      LogEntry entry;
+      stamp_log_entry(&entry);
+      
+      if (xSemaphoreTake(xMutex, portMAX_DELAY) == pdTRUE) {
+        SensorReading& reading = zone_readings[zone];
+        reading.moisture = connected ? percentage : 0.0;
+        reading.valid = health == SENSOR_OK;
+        reading.health = health;
+        reading.timestamp = entry.timestamp;
+        reading.uptime = entry.uptime;
+        reading.raw_adc = raw_adc;
+        reading.filtered_adc = filtered_adc;
+        reading.noise = stats.stddev;
+        xSemaphoreGive(xMutex);
+      }
+      
+      // Health changes get one event each instead of showing up only in SENSOR_READ rows
+      if (health != filter.health) {
+        char details[64];
+        if (health == SENSOR_OK) {
+          snprintf(details, sizeof(details), "Recovered from %s", sensorHealthName(filter.health));
+          log_zone_event(zone, "SENSOR_RECOVERED", details);
+        } else {
+          snprintf(details, sizeof(details), "%s (ADC %d, noise %.0f)", sensorHealthName(health), raw_adc, stats.stddev);
+          log_zone_event(zone, "SENSOR_FAULT", details);
+        }
+        debug_log("SENSOR", "%s %s", ZONES[zone].tag, details);
+        filter.health = health;
+      }
+      
+      // Log sensor reading
+      entry.raw_adc = raw_adc;
+      entry.percentage = percentage;
+      strcpy(entry.event, "SENSOR_READ");
+      strlcpy(entry.details, sensorHealthName(health), sizeof(entry.details));
+      strlcpy(entry.zone, ZONES[zone].tag, sizeof(entry.zone));
+      
+      queue_log_entry(&entry);
+    }
+    
+    vTaskDelay(pdMS_TO_TICKS(config.sampling_interval));
+  }
+}
+
+// ============ PUMP TASK ============
+// Hard pump limits that apply to every run, whoever started it. set_relay()
+// does the accounting, so nothing can switch a pump on without being counted.
+// Usage is per local day, or per 24 h of uptime until the clock is set.
+// Only pump_task touches it.
+typedef struct {
+  bool relay_on;
+  uint32_t relay_on_since;
+  uint32_t counted_since;     // start of the current run's share of today's runtime
+  uint32_t relay_off_since;
+  bool has_run;
+  int usage_day;
+  uint16_t runs_today;
+  uint32_t runtime_today_ms;
+  bool locked_out;            // cleared only by an operator acknowledging it
+  char lockout_reason[48];
+} PumpInterlock;
+
+PumpInterlock interlocks[ZONE_COUNT];
+
+int interlock_day() {
+  struct tm now;
+  if (local_time(&now)) return (now.tm_year + 1900) * 400 + now.tm_yday;
+  return -1 - (int)(millis() / 86400000UL);
+}
+
+// Copies the interlock's usage into the shared pump state for the dashboard
+void publish_interlock(uint8_t zone) {
+  const PumpInterlock& lock = interlocks[zone];
+  if (xSemaphoreTake(xMutex, portMAX_DELAY) == pdTRUE) {
+    PumpState& pump_state = zone_pumps[zone];
+    pump_state.locked_out = lock.locked_out;
+    strlcpy(pump_state.lockout_reason, lock.lockout_reason, sizeof(pump_state.lockout_reason));
+    pump_state.runs_today = lock.runs_today;
+    pump_state.runtime_today_s = lock.runtime_today_ms / 1000;
+    xSemaphoreGive(xMutex);
+  }
+}
+
+void set_relay(uint8_t zone, bool on) {
+  if (on) {
+    digitalWrite(ZONES[zone].relay_pin, RELAY_ACTIVE_HIGH ? HIGH : LOW);
+  } else {
+    digitalWrite(ZONES[zone].relay_pin, RELAY_ACTIVE_HIGH ? LOW : HIGH);
+  }
+  
+  PumpInterlock& lock = interlocks[zone];
+  if (on == lock.relay_on) return;
+  
+  lock.relay_on = on;
+  if (on) {
+    lock.relay_on_since = millis();
+    lock.counted_since = lock.relay_on_since;
+    lock.runs_today++;
+  } else {
+    lock.relay_off_since = millis();
+    lock.runtime_today_ms += lock.relay_off_since - lock.counted_since;
+    lock.has_run = true;
+  }
+  publish_interlock(zone);
+}
+
+void set_pump_state(uint8_t zone, bool active, const char* status, uint8_t retry_count) {
+  if (xSemaphoreTake(xMutex, portMAX_DELAY) == pdTRUE) {
+    PumpState& pump_state = zone_pumps[zone];
+    if (pump_state.pump_active != active) {
+      pump_state.last_change = epoch_ms();
+      pump_state.last_change_uptime = millis();
+    }
+    pump_state.pump_active = active;
+    pump_state.retry_count = retry_count;
+    strlcpy(pump_state.status, status, sizeof(pump_state.status));
+    xSemaphoreGive(xMutex);
+  }
+}
+
+void pump_off(uint8_t zone, const char* event, const char* reason) {
+  set_relay(zone, false);
+  debug_log("PUMP", "%s stopped: %s", ZONES[zone].tag, reason);
+  log_zone_event(zone, event, reason);
+}
+
+void pump_lockout(uint8_t zone, const char* reason) {
+  PumpInterlock& lock = interlocks[zone];
+  lock.locked_out = true;
+  strlcpy(lock.lockout_reason, reason, sizeof(lock.lockout_reason));
+  debug_log("PUMP", "%s locked out: %s", ZONES[zone].tag, reason);
+  log_zone_event(zone, "PUMP_LOCKOUT", reason);
+  publish_interlock(zone);
+  set_pump_state(zone, false, "LOCKED_OUT", 0);
+}
+
+// False with the reason when a run of duration_ms may not start now. Running
+// into a daily limit locks the zone out rather than just refusing this run.
+bool pump_start_allowed(uint8_t zone, uint32_t duration_ms, char* reason, size_t size) {
+  PumpInterlock& lock = interlocks[zone];
+  uint32_t off_ms = millis() - lock.relay_off_since;
+  uint32_t min_off_ms = config.pump_min_off_s * 1000UL;
+  
+  if (lock.locked_out) {
+    snprintf(reason, size, "Locked out: %s", lock.lockout_reason);
+  } else if (duration_ms > config.pump_max_run_s * 1000UL) {
+    snprintf(reason, size, "Longer than the %u s run limit", config.pump_max_run_s);
+  } else if (lock.has_run && off_ms < min_off_ms) {
+    snprintf(reason, size, "Cooling down, %lu s left", (min_off_ms - off_ms + 999) / 1000);
+  } else if (lock.runs_today >= config.pump_max_runs_day) {
+    snprintf(reason, size, "Daily limit of %u runs reached", config.pump_max_runs_day);
+    pump_lockout(zone, reason);
+  } else if (lock.runtime_today_ms >= config.pump_max_runtime_day_min * 60000UL) {
+    snprintf(reason, size, "Daily limit of %u min runtime reached", config.pump_max_runtime_day_min);
+    pump_lockout(zone, reason);
+  } else {
+    return true;
+  }
+  return false;
+}
+
+// Runs after run_zone() so a run that ends on its limit finishes normally. A
+// relay still on past the run limit or the daily runtime is cut and locked out.
+void enforce_interlocks(uint8_t zone, ZoneController& ctl) {
+  PumpInterlock& lock = interlocks[zone];
+  
+  int day = interlock_day();
+  if (day != lock.usage_day) {
+    lock.usage_day = day;
+    lock.runs_today = lock.relay_on ? 1 : 0;
+    lock.runtime_today_ms = 0;
+    lock.counted_since = millis();
+    publish_interlock(zone);
+  }
+  
+  if (!lock.relay_on) return;
+  
+  char reason[48];
+  uint32_t run_ms = millis() - lock.relay_on_since;
+  uint32_t today_ms = lock.runtime_today_ms + (millis() - lock.counted_since);
+  
+  if (run_ms > config.pump_max_run_s * 1000UL) {
+    snprintf(reason, sizeof(reason), "Ran past the %u s run limit", config.pump_max_run_s);
+  } else if (today_ms >= config.pump_max_runtime_day_min * 60000UL) {
+    snprintf(reason, sizeof(reason), "Daily limit of %u min runtime reached", config.pump_max_runtime_day_min);
+  } else {
+    return;
+  }
+  
+  pump_off(zone, "PUMP_INTERLOCK_STOP", reason);
+  ctl.run_active = false;
+  ctl.deferred = false;
+  ctl.retry_count = 0;
+  ctl.phase = AUTO_IDLE;
+  ctl.phase_started = millis();
+  pump_lockout(zone, reason);
+}
+
+void handle_pump_command(uint8_t zone, ZoneController& ctl, const PumpCommand& command) {
+  char details[64];
+  bool cycle_running = (ctl.phase == AUTO_WATERING || ctl.phase == AUTO_SOAKING);
+  
+  if (command.type == PUMP_CMD_STOP) {
+    // Always drive the relay off, even if nothing appears to be running
+    if (ctl.run_active || cycle_running) {
+      pump_off(zone, "PUMP_EMERGENCY_STOP", command.reason);
+    } else {
+      set_relay(zone, false);
+      log_zone_event(zone, "PUMP_EMERGENCY_STOP", "No run active");
+    }
+    ctl.run_active = false;
+    ctl.deferred = false;
+    set_pump_state(zone, false, interlocks[zone].locked_out ? "LOCKED_OUT" : "STOPPED", ctl.retry_count);
+    ctl.phase = AUTO_STOPPED;
+    ctl.phase_started = millis();
+  } else if (command.type == PUMP_CMD_ACK) {
+    // The operator has seen why; the day's usage starts over so a budget
+    // lockout does not come straight back on the next run
+    PumpInterlock& lock = interlocks[zone];
+    if (!lock.locked_out) return;
+    
+    snprintf(details, sizeof(details), "%s (%s)", command.reason, lock.lockout_reason);
+    debug_log("PUMP", "%s lockout cleared: %s", ZONES[zone].tag, details);
+    log_zone_event(zone, "PUMP_LOCKOUT_CLEARED", details);
+    lock.locked_out = false;
+    lock.lockout_reason[0] = '\0';
+    lock.runs_today = 0;
+    lock.runtime_today_ms = 0;
+    publish_interlock(zone);
+    
+    set_pump_state(zone, false, "IDLE", 0);
+    ctl.retry_count = 0;
+    ctl.phase = AUTO_IDLE;
+    ctl.phase_started = millis();
+  } else if (ctl.run_active || cycle_running) {
+    debug_log("PUMP", "%s command rejected, pump busy", ZONES[zone].tag);
+    log_zone_event(zone, "PUMP_COMMAND_REJECTED", ctl.run_active ? "Run in progress" : "Auto cycle in progress");
+  } else if (!pump_start_allowed(zone, command.duration_ms, details, sizeof(details))) {
+    debug_log("PUMP", "%s command rejected: %s", ZONES[zone].tag, details);
+    log_zone_event(zone, "PUMP_COMMAND_REJECTED", details);
+  } else {
+    bool is_test = (command.type == PUMP_CMD_TEST);
+    snprintf(details, sizeof(details), "%s for %lu ms", command.reason, command.duration_ms);
+    debug_log("PUMP", "%s %s activation: %s", ZONES[zone].tag, is_test ? "test" : "manual", details);
+    log_zone_event(zone, is_test ? "PUMP_TEST_START" : "PUMP_MANUAL_START", details);
+    
+    set_relay(zone, true);
+    set_pump_state(zone, true, is_test ? "TEST" : "MANUAL", 0);
+    ctl.run_active = true;
+    ctl.run_type = command.type;
+    ctl.run_started = millis();
+    ctl.run_duration = command.duration_ms;
+  }
+}
+
+void run_zone(uint8_t zone, ZoneController& ctl) {
+  char details[64];
+  char reason[48];
+  const ZoneConfig& zone_config = config.zones[zone];
+  
+  // Fixed daily runs only start when nothing else owns the pump
+  char name[24];
+  uint32_t scheduled_ms = due_scheduled_run(zone, name, sizeof(name));
+  
+  if (scheduled_ms > 0) {
+    bool cycle_running = (ctl.phase == AUTO_WATERING || ctl.phase == AUTO_SOAKING);
+    
+    if (ctl.run_active) {
+      snprintf(details, sizeof(details), "%s: %s run in progress", name,
+               ctl.run_type == PUMP_CMD_TEST ? "test" : ctl.run_type == PUMP_CMD_SCHEDULED ? "scheduled" : "manual");
+      log_zone_event(zone, "SCHEDULE_SKIPPED", details);
+    } else if (cycle_running || ctl.phase == AUTO_STOPPED) {
+      snprintf(details, sizeof(details), "%s: %s", name, cycle_running ? "auto cycle in progress" : "emergency stop hold");
+      log_zone_event(zone, "SCHEDULE_SKIPPED", details);
+    } else if (!watering_allowed(false, reason, sizeof(reason)) ||
+               !pump_start_allowed(zone, scheduled_ms, reason, sizeof(reason))) {
+      snprintf(details, sizeof(details), "%s: %s", name, reason);
+      log_zone_event(zone, "SCHEDULE_SKIPPED", details);
+    } else {
+      snprintf(details, sizeof(details), "%s for %lu ms", name, scheduled_ms);
+      debug_log("PUMP", "%s scheduled activation: %s", ZONES[zone].tag, details);
+      log_zone_event(zone, "PUMP_SCHEDULED_START", details);
+      
+      set_relay(zone, true);
+      set_pump_state(zone, true, "SCHEDULED", 0);
+      ctl.run_active = true;
+      ctl.run_type = PUMP_CMD_SCHEDULED;
+      ctl.run_started = millis();
+      ctl.run_duration = scheduled_ms;
+    }
+    saveSchedules();
+  }
+  
+  if (ctl.run_active) {
+    if (ctl.run_type == PUMP_CMD_SCHEDULED && !watering_allowed(false, reason, sizeof(reason))) {
+      pump_off(zone, "PUMP_SCHEDULED_STOP", reason);
+      set_pump_state(zone, false, "IDLE", 0);
+      ctl.run_active = false;
+      ctl.phase = AUTO_IDLE;
+      ctl.phase_started = millis();
+    } else if (millis() - ctl.run_started >= ctl.run_duration) {
+      bool is_test = (ctl.run_type == PUMP_CMD_TEST);
+      if (ctl.run_type == PUMP_CMD_SCHEDULED) {
+        pump_off(zone, "PUMP_SCHEDULED_STOP", "Scheduled run completed");
+      } else {
+        pump_off(zone, is_test ? "PUMP_TEST_STOP" : "PUMP_MANUAL_STOP", is_test ? "Test completed" : "Manual completed");
+      }
+      set_pump_state(zone, false, "IDLE", 0);
+      ctl.run_active = false;
+      
+      // Operator watering clears any retry lockout
+      ctl.phase = AUTO_IDLE;
+      ctl.phase_started = millis();
+    }
+    return;
+  }
+  
+  // A locked-out zone does nothing on its own until acknowledged
+  if (interlocks[zone].locked_out) return;
+  
+  // Snapshot the latest reading
+  // Auto-watering only acts on healthy readings; a fault stops it
+  float moisture = 0.0;
+  bool valid = false;
+  SensorHealth health = SENSOR_OK;
+  if (xSemaphoreTake(xMutex, portMAX_DELAY) == pdTRUE) {
+    moisture = zone_readings[zone].moisture;
+    valid = zone_readings[zone].valid;
+    health = zone_readings[zone].health;
+    xSemaphoreGive(xMutex);
+  }
+  
+  uint32_t elapsed = millis() - ctl.phase_started;
+  
+  switch (ctl.phase) {
+    case AUTO_IDLE:
+    case AUTO_TARGET_REACHED:
+      if (valid && moisture < zone_config.dry_threshold) {
+        if (!watering_allowed(true, reason, sizeof(reason))) {
+          if (!ctl.deferred) {
+            ctl.deferred = true;
+            debug_log("PUMP", "%s watering deferred: %s", ZONES[zone].tag, reason);
+            log_zone_event(zone, "WATERING_DEFERRED", reason);
+            set_pump_state(zone, false, "DEFERRED", 0);
+          }
+          break;
+        }
+        
+        // Wait out the minimum off-time; a daily limit locks the zone out
+        if (!pump_start_allowed(zone, PUMP_PULSE_MS, reason, sizeof(reason))) break;
+        
+        ctl.deferred = false;
+        ctl.retry_count = 0;
+        snprintf(details, sizeof(details), "Moisture %.1f%% below %.1f%%", moisture, zone_config.dry_threshold);
+        debug_log("PUMP", "%s auto cycle started: %s", ZONES[zone].tag, details);
+        log_zone_event(zone, "PUMP_AUTO_START", details);
+        
+        set_relay(zone, true);
+        set_pump_state(zone, true, "WATERING", ctl.retry_count);
+        ctl.phase = AUTO_WATERING;
+        ctl.phase_started = millis();
+      } else if (ctl.deferred) {
+        // Soil recovered on its own while waiting
+        ctl.deferred = false;
+        set_pump_state(zone, false, "IDLE", 0);
+      }
+      break;
+      
+    case AUTO_WATERING:
+      if (!watering_allowed(true, reason, sizeof(reason))) {
+        pump_off(zone, "PUMP_AUTO_STOP", reason);
+        log_zone_event(zone, "WATERING_DEFERRED", reason);
+        set_pump_state(zone, false, "DEFERRED", ctl.retry_count);
+        ctl.deferred = true;
+        ctl.phase = AUTO_IDLE;
+        ctl.phase_started = millis();
+      } else if (!valid) {
+        snprintf(details, sizeof(details), "Aborted: sensor %s", sensorHealthName(health));
+        pump_off(zone, "PUMP_AUTO_STOP", details);
+        set_pump_state(zone, false, "IDLE", ctl.retry_count);
+        ctl.phase = AUTO_IDLE;
+        ctl.phase_started = millis();
+      } else if (moisture >= zone_config.expected_value) {
+        pump_off(zone, "PUMP_AUTO_STOP", "Target reached during pulse");
+        set_pump_state(zone, false, "TARGET_REACHED", ctl.retry_count);
+        snprintf(details, sizeof(details), "Reached %.1f%% during pulse", moisture);
+        log_zone_event(zone, "WATERING_TARGET_REACHED", details);
+        ctl.phase = AUTO_TARGET_REACHED;
+        ctl.phase_started = millis();
+      } else if (elapsed >= PUMP_PULSE_MS) {
+        pump_off(zone, "PUMP_AUTO_STOP", "Pulse complete, soaking");
+        set_pump_state(zone, false, "SOAKING", ctl.retry_count);
+        ctl.phase = AUTO_SOAKING;
+        ctl.phase_started = millis();
+      }
+      break;
+      
+    case AUTO_SOAKING:
+      // Wait one extra sampling interval so the decision uses a post-soak reading
+      if (elapsed < SOAK_TIME_MS + config.sampling_interval) break;
+      
+      if (!valid) {
+        set_pump_state(zone, false, "IDLE", ctl.retry_count);
+        snprintf(details, sizeof(details), "Sensor %s after soak", sensorHealthName(health));
+        log_zone_event(zone, "WATERING_ABORTED", details);
+        ctl.phase = AUTO_IDLE;
+      } else if (moisture >= zone_config.expected_value) {
+        set_pump_state(zone, false, "TARGET_REACHED", ctl.retry_count);
+        snprintf(details, sizeof(details), "Reached %.1f%% after %u retries", moisture, ctl.retry_count);
+        debug_log("PUMP", "%s target reached: %s", ZONES[zone].tag, details);
+        log_zone_event(zone, "WATERING_TARGET_REACHED", details);
+        ctl.phase = AUTO_TARGET_REACHED;
+      } else if (ctl.retry_count >= zone_config.max_retries) {
+        set_pump_state(zone, false, "RETRY_EXHAUSTED", ctl.retry_count);
+        snprintf(details, sizeof(details), "Stuck at %.1f%% after %u retries", moisture, ctl.retry_count);
+        debug_log("PUMP", "%s retries exhausted: %s", ZONES[zone].tag, details);
+        log_zone_event(zone, "WATERING_RETRY_EXHAUSTED", details);
+        ctl.phase = AUTO_RETRY_EXHAUSTED;
+      } else if (!watering_allowed(true, reason, sizeof(reason))) {
+        set_pump_state(zone, false, "DEFERRED", ctl.retry_count);
+        log_zone_event(zone, "WATERING_DEFERRED", reason);
+        ctl.deferred = true;
+        ctl.phase = AUTO_IDLE;
+      } else if (!pump_start_allowed(zone, PUMP_PULSE_MS, reason, sizeof(reason))) {
+        // Keep soaking through the minimum off-time; a lockout ends the cycle
+        if (!interlocks[zone].locked_out) break;
+        ctl.phase = AUTO_IDLE;
+      } else {
+        ctl.retry_count++;
+        snprintf(details, sizeof(details), "Retry %u/%u at %.1f%%", ctl.retry_count, zone_config.max_retries, moisture);
+        log_zone_event(zone, "PUMP_AUTO_START", details);
+        set_relay(zone, true);
+        set_pump_state(zone, true, "WATERING", ctl.retry_count);
+        ctl.phase = AUTO_WATERING;
+      }
+      ctl.phase_started = millis();
+      break;
+      
+    case AUTO_RETRY_EXHAUSTED:
+      // Stay locked out until the soil recovers on its own or the cooldown passes
+      if ((valid && moisture >= zone_config.dry_threshold) || elapsed >= RETRY_EXHAUSTED_COOLDOWN_MS) {
+        set_pump_state(zone, false, "IDLE", 0);
+        ctl.phase = AUTO_IDLE;
+        ctl.phase_started = millis();
+      }
+      break;
+      
+    case AUTO_STOPPED:
+      // Hold off auto-watering after an emergency stop; a manual run also resumes it
+      if (elapsed >= EMERGENCY_STOP_HOLD_MS) {
+        set_pump_state(zone, false, "IDLE", 0);
+        ctl.phase = AUTO_IDLE;
+        ctl.phase_started = millis();
+      }
+      break;
+  }
+}
+
+void pump_task(void* pvParameters) {
+  debug_log("PUMP", "Task started");
+  
+  ZoneController controllers[ZONE_COUNT];
+  for (uint8_t zone = 0; zone < ZONE_COUNT; zone++) {
+    controllers[zone] = {AUTO_IDLE, millis(), 0, false, false, PUMP_CMD_MANUAL, 0, 0};
+    interlocks[zone] = {};
+    interlocks[zone].usage_day = interlock_day();
+  }
+  
+  while(1) {
+    PumpCommand command;
+    while (xQueueReceive(pump_command_queue, &command, 0) == pdTRUE) {
+      for (uint8_t zone = 0; zone < ZONE_COUNT; zone++) {
+        if (command.zone == zone || command.zone == ZONE_ALL) {
+          handle_pump_command(zone, controllers[zone], command);
+        }
+      }
+    }
+    
+    for (uint8_t zone = 0; zone < ZONE_COUNT; zone++) {
+      run_zone(zone, controllers[zone]);
+      enforce_interlocks(zone, controllers[zone]);
+    }
+    
+    vTaskDelay(pdMS_TO_TICKS(100));
+  }
+}
+
+// ============ CALIBRATION WIZARD ============
+// An open wizard subscribes its socket to one zone and gets a
+// "calibration_sample" frame every CAL_STREAM_INTERVAL_MS with the latest
+// reading and the spread of the last CAL_STREAM_WINDOW readings. Points are
+// captured as averages and only saved once the user has accepted them.
+
+// Averages a burst of readings so one noisy sample cannot become a calibration point
+int captureAdc(uint8_t zone, JsonObject capture) {
+  uint16_t samples[CAL_CAPTURE_SAMPLES];
+  for (uint8_t i = 0; i < CAL_CAPTURE_SAMPLES; i++) {
+    samples[i] = analogRead(ZONES[zone].adc_pin);
+    vTaskDelay(pdMS_TO_TICKS(CAL_CAPTURE_INTERVAL_MS));
+  }
+  
+  AdcStats stats;
+  computeAdcStats(samples, CAL_CAPTURE_SAMPLES, stats);
+  
+  int adc = lroundf(stats.mean);
+  capture["adc"] = adc;
+  addAdcStatsJson(capture, stats);
+  capture["stable"] = stats.stddev <= CAL_STABLE_STDDEV;
+  return adc;
+}
+
+void streamCalibrationSamples() {
+  for (uint8_t zone = 0; zone < ZONE_COUNT; zone++) {
+    CalibrationStream& stream = calibration_streams[zone];
+    
+    bool watched = false;
+    for (uint8_t c = 0; c < WEBSOCKETS_SERVER_CLIENT_MAX; c++) {
+      if (ws_clients[c].role != ROLE_NONE && ws_clients[c].calibration_zone == zone) watched = true;
+    }
+    if (!watched) {
+      stream.count = 0;
+      stream.next = 0;
+      continue;
+    }
+    
+    int adc = analogRead(ZONES[zone].adc_pin);
+    stream.samples[stream.next] = adc;
+    stream.next = (stream.next + 1) % CAL_STREAM_WINDOW;
+    if (stream.count < CAL_STREAM_WINDOW) stream.count++;
+    
+    AdcStats stats;
+    computeAdcStats(stream.samples, stream.count, stats);
+    
+    JsonDocument doc;
+    doc["type"] = "calibration_sample";
+    JsonObject data = doc["data"].to<JsonObject>();
+    data["zone"] = zone;
+    data["adc"] = adc;
+    addAdcStatsJson(data, stats);
+    data["window"] = CAL_STREAM_WINDOW;
+    data["threshold"] = CAL_STABLE_STDDEV;
+    data["stable"] = stream.count == CAL_STREAM_WINDOW && stats.stddev <= CAL_STABLE_STDDEV;
+    
+    String json;
+    serializeJson(doc, json);
+    for (uint8_t c = 0; c < WEBSOCKETS_SERVER_CLIENT_MAX; c++) {
+      if (ws_clients[c].role != ROLE_NONE && ws_clients[c].calibration_zone == zone) webSocket.sendTXT(c, json);
+    }
+  }
+}
+
+// ============ COMMANDS ============
+// Control actions shared by the HTTP API and WebSocket commands. Each one
+// fills `response` and returns NULL, or returns an error message and sets
+// `status` to the matching HTTP code.
+bool queuePumpCommand(PumpCommandType type, uint8_t zone, uint32_t duration_ms, const char* reason) {
+  PumpCommand command;
+  command.type = type;
+  command.zone = zone;
+  command.duration_ms = duration_ms;
+  strlcpy(command.reason, reason, sizeof(command.reason));
+  
+  if (type == PUMP_CMD_STOP) {
+    // A stop jumps the queue; stopping every zone also discards anything still waiting
+    if (zone == ZONE_ALL) xQueueReset(pump_command_queue);
+    return xQueueSendToFront(pump_command_queue, &command, 0) == pdTRUE;
+  }
+  
+  return xQueueSend(pump_command_queue, &command, 0) == pdTRUE;
+}
+
+const char* commandPumpStart(PumpCommandType type, int zone, uint32_t duration_ms, JsonObject response, int& status) {
+  bool is_test = (type == PUMP_CMD_TEST);
+  status = 400;
+  
+  if (is_test && (duration_ms == 0 || duration_ms > PUMP_TEST_MAX_MS)) return "Invalid duration";
+  if (!valid_zone(zone)) return "Invalid zone";
+  if (duration_ms > config.pump_max_run_s * 1000UL) return "Longer than the pump run limit";
+  
+  // pump_task has the final say; this catches the common refusals up front
+  PumpState pump_state;
+  if (xSemaphoreTake(xMutex, portMAX_DELAY) == pdTRUE) {
+    pump_state = zone_pumps[zone];
+    xSemaphoreGive(xMutex);
+  }
+  
+  status = 409;
+  if (pump_state.locked_out) return "Pump is locked out until an operator acknowledges it";
+  if (pumpCooldownSeconds(pump_state) > 0) return "Pump is cooling down between runs";
+  
+  if (!queuePumpCommand(type, zone, duration_ms, is_test ? "Test run" : "Manual activation")) {
+    status = 503;
+    return "Pump command queue full";
+  }
+  
+  status = 200;
+  response["status"] = is_test ? "test_pump_triggered" : "manual_pump_triggered";
+  response["zone"] = zone;
+  response["duration"] = duration_ms;
+  response["timestamp"] = epoch_ms();
+  return NULL;
+}
+
+// zone is ZONE_ALL to stop every pump
+const char* commandPumpStop(int zone, JsonObject response, int& status) {
+  status = 400;
+  if (zone != ZONE_ALL && !valid_zone(zone)) return "Invalid zone";
+  
+  if (!queuePumpCommand(PUMP_CMD_STOP, zone, 0, "Emergency stop")) {
+    status = 503;
+    return "Pump command queue full";
+  }
+  
+  status = 200;
+  response["status"] = "pump_stop_requested";
+  if (zone == ZONE_ALL) {
+    response["zone"] = "all";
+  } else {
+    response["zone"] = zone;
+  }
+  response["timestamp"] = epoch_ms();
+  return NULL;
+}
+
+// Clears an interlock lockout and starts the zone's daily usage over
+const char* commandPumpAck(int zone, JsonObject response, int& status) {
+  status = 400;
+  if (!valid_zone(zone)) return "Invalid zone";
+  
+  bool locked_out = false;
+  if (xSemaphoreTake(xMutex, portMAX_DELAY) == pdTRUE) {
+    locked_out = zone_pumps[zone].locked_out;
+    xSemaphoreGive(xMutex);
+  }
+  
+  status = 409;
+  if (!locked_out) return "Pump is not locked out";
+  
+  if (!queuePumpCommand(PUMP_CMD_ACK, zone, 0, "Acknowledged by operator")) {
+    status = 503;
+    return "Pump command queue full";
+  }
+  
+  status = 200;
+  response["status"] = "lockout_acknowledged";
+  response["zone"] = zone;
+  response["timestamp"] = epoch_ms();
+  return NULL;
+}
+
+// Sets the dry and/or wet point. With "type" the point is captured now, as the
+// quick actions do; the wizard sends the averages it captured and the user
+// accepted as "adc_dry"/"adc_wet". "dry_run" checks the points without saving.
+// Rejected points leave the stored ones alone.
+const char* commandCalibrate(JsonVariantConst params, JsonObject response, int& status) {
+  status = 400;
+  
+  int zone = params["zone"] | 0;
+  if (!valid_zone(zone)) return "Invalid zone";
+  
+  const char* tag = ZONES[zone].tag;
+  const char* type = params["type"] | "";
+  ZoneConfig next = config.zones[zone];
+  JsonArray errors = response["errors"].to<JsonArray>();
+  JsonArray warnings = response["warnings"].to<JsonArray>();
+  bool set_dry = false;
+  bool set_wet = false;
+  
+  if (strlen(type) > 0) {
+    if (strcmp(type, "dry") != 0 && strcmp(type, "wet") != 0) return "Invalid type";
+    
+    JsonObject capture = response["capture"].to<JsonObject>();
+    int adc = captureAdc(zone, capture);
+    response["adc_value"] = adc;
+    
+    if (strcmp(type, "dry") == 0) {
+      next.adc_dry = adc;
+      set_dry = true;
+    } else {
+      next.adc_wet = adc;
+      set_wet = true;
+    }
+    
+    if (!capture["stable"].as<bool>()) {
+      char message[96];
+      snprintf(message, sizeof(message), "Readings were still changing (spread %.0f), use the wizard for a settled value",
+               capture["stddev"].as<float>());
+      addConfigError(warnings, tag, set_dry ? "adc_dry" : "adc_wet", message);
+    }
+  } else {
+    JsonObjectConst in = params.as<JsonObjectConst>();
+    double value;
+    if (parseConfigNumber(in, "adc_dry", 0, 4095, value, errors, tag)) {
+      next.adc_dry = value;
+      set_dry = true;
+    }
+    if (parseConfigNumber(in, "adc_wet", 0, 4095, value, errors, tag)) {
+      next.adc_wet = value;
+      set_wet = true;
+    }
+    if (!set_dry && !set_wet && errors.size() == 0) return "Missing type or calibration points";
+  }
+  
+  const char* field = set_dry ? "adc_dry" : "adc_wet";
+  validateCalibration(next, field, tag, errors, warnings);
+  if (set_dry && (next.adc_dry <= 0 || next.adc_dry >= 4095)) {
+    addConfigError(warnings, tag, "adc_dry", "Reading is at the ADC limit, check the sensor wiring");
+  }
+  if (set_wet && (next.adc_wet <= 0 || next.adc_wet >= 4095)) {
+    addConfigError(warnings, tag, "adc_wet", "Reading is at the ADC limit, check the sensor wiring");
+  }
+  if (next.curve.mode != CAL_LINEAR) {
+    addConfigError(warnings, tag, field, "Saved, but moisture is read from the calibration curve until it is set back to linear");
+  }
+  if (errors.size() > 0) return "Calibration rejected";
+  response.remove("errors");
+  
+  status = 200;
+  response["zone"] = zone;
+  if (strlen(type) > 0) response["type"] = type;
+  
+  if (params["dry_run"] | false) {
+    response["status"] = "calibration_checked";
+    response["timestamp"] = epoch_ms();
+    return NULL;
+  }
+  
+  config.zones[zone] = next;
+  saveConfig();
+  broadcastCalibration(zone);
+  
+  response["status"] = "calibration_saved";
+  addCalibrationJson(response["calibration"].to<JsonObject>(), config.zones[zone]);
+  response["timestamp"] = epoch_ms();
+  return NULL;
+}
+
+// Measures without saving, so the wizard can offer accept or retry
+const char* commandCalibrationCapture(int zone, JsonObject response, int& status) {
+  status = 400;
+  if (!valid_zone(zone)) return "Invalid zone";
+  
+  status = 200;
+  response["status"] = "captured";
+  response["zone"] = zone;
+  captureAdc(zone, response["capture"].to<JsonObject>());
+  response["timestamp"] = epoch_ms();
+  return NULL;
+}
+
+// Live readings go to this socket only; zone -1 stops them
+const char* commandCalibrationStream(uint8_t client, int zone, JsonObject response, int& status) {
+  status = 400;
+  if (zone != -1 && !valid_zone(zone)) return "Invalid zone";
+  
+  ws_clients[client].calibration_zone = zone;
+  
+  status = 200;
+  response["status"] = zone == -1 ? "stream_stopped" : "stream_started";
+  response["zone"] = zone;
+  response["interval"] = CAL_STREAM_INTERVAL_MS;
+  return NULL;
+}
+
+// Replaces the zone's reference points and curve mode in one go
+const char* commandCalibrationSet(JsonVariantConst params, JsonObject response, int& status) {
+  status = 400;
+  
+  int zone = params["zone"] | 0;
+  if (!valid_zone(zone)) return "Invalid zone";
+  
+  const char* tag = ZONES[zone].tag;
+  ZoneConfig next = config.zones[zone];
+  JsonArray errors = response["errors"].to<JsonArray>();
+  JsonArray warnings = response["warnings"].to<JsonArray>();
+  
+  const char* invalid = parseCurve(params.as<JsonObjectConst>(), next.curve);
+  if (invalid) {
+    addConfigError(errors, tag, "curve", invalid);
+  } else {
+    validateCalibration(next, "curve", tag, errors, warnings);
+  }
+  if (errors.size() > 0) return "Calibration rejected";
+  response.remove("errors");
+  
+  config.zones[zone] = next;
+  saveConfig();
+  broadcastCalibration(zone);
+  
+  status = 200;
+  response["status"] = "calibration_saved";
+  response["zone"] = zone;
+  addCalibrationJson(response["calibration"].to<JsonObject>(), config.zones[zone]);
+  response["timestamp"] = epoch_ms();
+  return NULL;
+}
+
+// Out-of-range values reject the whole request; "config" in the response holds
+// the settings as applied so forms can show exactly what the device uses
+const char* commandConfigSet(JsonVariantConst doc, JsonObject response, int& status) {
+  status = 400;
+  
+  // Watering settings belong to one zone, the first unless "zone" is given
+  int zone = doc["zone"] | 0;
+  if (!valid_zone(zone)) return "Invalid zone";
+  
+  SystemConfig next = config;
+  JsonObjectConst in = doc.as<JsonObjectConst>();
+  JsonArray errors = response["errors"].to<JsonArray>();
+  JsonArray warnings = response["warnings"].to<JsonArray>();
+  
+  parseGlobalConfig(in, next, errors);
+  parseZoneConfig(in, zone, next.zones[zone], false, errors);
+  validateThresholds(next.zones[zone], ZONES[zone].tag, errors, warnings);
+  validatePumpLimits(next, warnings);
+  if (errors.size() > 0) return "Invalid configuration";
+  response.remove("errors");
+  
+  bool time_config_changed = strcmp(config.ntp_server, next.ntp_server) != 0 ||
+                             strcmp(config.timezone, next.timezone) != 0;
+  config = next;
+  
+  if (time_config_changed && wifi_connected) {
+    apply_time_config();
+  }
+  
+  saveConfig();
+  broadcastConfig(zone);
+  
+  status = 200;
+  response["status"] = "config_updated";
+  response["zone"] = zone;
+  addConfigUpdateJson(response["config"].to<JsonObject>(), zone);
+  response["timestamp"] = epoch_ms();
+  return NULL;
+}
+
+// Parameters arrive as strings from HTTP query args and as JSON values from WebSocket commands
+String paramString(JsonVariantConst value) {
+  if (value.isNull()) return "";
+  if (value.is<const char*>()) return value.as<const char*>();
+  
+  String text;
+  serializeJson(value, text);
+  return text;
+}
+
+const char* parseLogQuery(JsonVariantConst params, LogQuery& query) {
+  // from/to are epoch milliseconds; rows without wall-clock time never match them
+  String from = paramString(params["from"]);
+  String to = paramString(params["to"]);
+  query.time_filter = from.length() > 0 || to.length() > 0;
+  query.from = from.length() > 0 ? strtoull(from.c_str(), NULL, 10) : 0;
+  query.to = to.length() > 0 ? strtoull(to.c_str(), NULL, 10) : UINT64_MAX;
+  
+  query.category = params["event"].isNull() ? "all" : paramString(params["event"]);
+  query.query = paramString(params["q"]);
+  query.query.toLowerCase();
+  
+  String zone = paramString(params["zone"]);
+  query.zone = zone.length() > 0 ? zone.toInt() : -1;
+  if (zone.length() > 0 && !valid_zone(query.zone)) return "Invalid zone";
+  
+  String limit = paramString(params["limit"]);
+  query.limit = limit.length() > 0 ? limit.toInt() : LOG_PAGE_DEFAULT;
+  query.limit = constrain(query.limit, 1, LOG_PAGE_MAX);
+  
+  query.segment_id = 0;
+  query.position = UINT32_MAX;
+  String cursor = paramString(params["cursor"]);
+  if (cursor.length() > 0) {
+    int separator = cursor.indexOf(':');
+    if (separator == -1) return "Invalid cursor";
+    query.segment_id = strtoul(cursor.substring(0, separator).c_str(), NULL, 16);
+    query.position = strtoul(cursor.substring(separator + 1).c_str(), NULL, 10);
+    if (query.segment_id == 0) return "Invalid cursor";
+  }
+  return NULL;
+}
+
+// Writes {"logs":[...],"next_cursor":...} through `emit` in small chunks.
+// xLogMutex is only held while a chunk is read, never while `emit` sends.
+void runLogQuery(const LogQuery& query, std::function<void(const String&)> emit) {
+  LogSegmentRef refs[LOG_SEGMENTS_LIMIT + 1];
+  xSemaphoreTake(xLogMutex, portMAX_DELAY);
+  int count = fs_available ? snapshotLogSegments(countLogSegments(), 0, refs) : 0;
+  xSemaphoreGive(xLogMutex);
+  
+  // The snapshot runs oldest first and pages newest first. A cursor segment
+  // that is gone was the oldest left, so the scan has nothing more to read.
+  int segment = count - 1;
+  if (query.segment_id != 0) {
+    while (segment >= 0 && refs[segment].id != query.segment_id) segment--;
+  }
+  uint32_t position = query.position;
+  
+  String chunk = "{\"logs\":[";
+  char buffer[LOG_READ_CHUNK];
+  int matched = 0;
+  int scanned = 0;
+  
+  while (segment >= 0 && matched < query.limit && scanned < LOG_SCAN_MAX_LINES) {
+    position = min(position, refs[segment].end);
+    uint32_t first = readLogChunkBefore(refs[segment], position, buffer, sizeof(buffer));
+    if (first == position) {
+      segment--;
+      position = UINT32_MAX;
+      continue;
+    }
+    
+    // Lines are taken off the end of the chunk, newest first
+    size_t length = strlen(buffer);
+    while (matched < query.limit && scanned < LOG_SCAN_MAX_LINES) {
+      while (length > 0 && (buffer[length - 1] == '\n' || buffer[length - 1] == '\r')) {
+        buffer[--length] = '\0';
+      }
+      if (length == 0) break;
+      
+      char* newline = strrchr(buffer, '\n');
+      char* line = newline ? newline + 1 : buffer;
+      position = first + (line - buffer);
+      length = line - buffer;
+      scanned++;
+      
+      LogEntry entry;
+      if (!parseLogLine(line, &entry)) continue;
+      if (query.time_filter) {
+        uint64_t timestamp = resolve_timestamp(entry.timestamp, entry.uptime, entry.boot_id);
+        if (timestamp == 0 || timestamp < query.from || timestamp > query.to) continue;
+      }
+      if (query.zone >= 0 && !logEntryInZone(entry, query.zone)) continue;
+      if (!logMatchesFilter(entry, query.category, query.query)) continue;
+      
+      if (matched > 0) chunk += ",";
+      appendLogJson(chunk, entry);
+      matched++;
+      
+      if (chunk.length() > 1024) {
+        emit(chunk);
+        chunk = "";
+      }
+    }
+  }
+  
+  // A page cut short by the scan budget still returns a cursor to continue from
+  chunk += "],\"next_cursor\":";
+  if (segment >= 0) {
+    chunk += "\"" + String(refs[segment].id, HEX) + ":" + String(position) + "\"";
+  } else {
+    chunk += "null";
+  }
+  chunk += "}";
+  emit(chunk);
+}
+
+// ============ WEB SOCKET COMMANDS ============
+// Clients send {"id": 7, "command": "pump_start", "params": {...}} and get back
+// {"type": "ack", "id": 7, "command": "pump_start", "data": {...}} or
+// {"type": "error", "id": 7, "code": 400, "message": "..."}.
+// `details` carries field-level "errors" and "warnings" from validation, if any
+void sendWsCommandError(uint8_t client, JsonVariantConst id, int code, const char* message, JsonVariantConst details) {
+  JsonDocument doc;
+  doc["type"] = "error";
+  doc["id"] = id;
+  doc["code"] = code;
+  doc["message"] = message;
+  if (!details["errors"].isNull()) doc["errors"] = details["errors"];
+  if (!details["warnings"].isNull()) doc["warnings"] = details["warnings"];
+  
+  String json;
+  serializeJson(doc, json);
+  webSocket.sendTXT(client, json);
+}
+
+void sendWsError(uint8_t client, JsonVariantConst id, int code, const char* message) {
+  sendWsCommandError(client, id, code, message, JsonVariantConst());
+}
+
+void handleWebSocketCommand(uint8_t client, uint8_t* payload, size_t length) {
+  JsonDocument request;
+  if (deserializeJson(request, payload, length)) {
+    sendWsError(client, JsonVariantConst(), 400, "Parse error");
+    return;
+  }
+  
+  JsonVariantConst id = request["id"];
+  const char* command = request["command"] | "";
+  JsonVariantConst params = request["params"];
+  
+  // The session may have expired or been ended since the socket was opened
+  Session* session = findSession(ws_clients[client].token);
+  if (ws_clients[client].role == ROLE_NONE || !session) {
+    sendWsError(client, id, 401, "Login required");
+    webSocket.disconnect(client);
+    return;
+  }
+  
+  // Everything except log queries and pings changes the device
+  bool read_only = strcmp(command, "logs_query") == 0 || strcmp(command, "ping") == 0;
+  if (!read_only && users[session->user].role < ROLE_OPERATOR) {
+    sendWsError(client, id, 403, "Operator role required");
+    return;
+  }
+  
+  // Log pages are assembled as text, reusing the HTTP streaming code
+  if (strcmp(command, "logs_query") == 0) {
+    LogQuery query;
+    const char* error = parseLogQuery(params, query);
+    if (error) {
+      sendWsError(client, id, 400, error);
+      return;
+    }
+    
+    String id_json;
+    serializeJson(id, id_json);
+    String frame = "{\"type\":\"ack\",\"id\":" + id_json + ",\"command\":\"logs_query\",\"data\":";
+    runLogQuery(query, [&frame](const String& chunk) { frame += chunk; });
+    frame += "}";
+    webSocket.sendTXT(client, frame);
+    return;
+  }
+  
+  JsonDocument response;
+  response["type"] = "ack";
+  response["id"] = id;
+  response["command"] = command;
+  JsonObject data = response["data"].to<JsonObject>();
+  
+  int status = 400;
+  const char* error = NULL;
+  
+  if (strcmp(command, "ping") == 0) {
+    // Clients ping a quiet socket to tell an idle link from a dead one
+    status = 200;
+    data["uptime"] = millis();
+    data["timestamp"] = epoch_ms();
+  } else if (strcmp(command, "pump_start") == 0) {
+    // A duration makes it a bounded test run, like POST /api/pump/test
+    if (params.containsKey("duration")) {
+      error = commandPumpStart(PUMP_CMD_TEST, params["zone"] | 0, params["duration"] | 0, data, status);
+    } else {
+      error = commandPumpStart(PUMP_CMD_MANUAL, params["zone"] | 0, MANUAL_PUMP_DURATION_MS, data, status);
+    }
+  } else if (strcmp(command, "pump_stop") == 0) {
+    int zone = params.containsKey("zone") ? (params["zone"] | -1) : ZONE_ALL;
+    error = commandPumpStop(zone, data, status);
+  } else if (strcmp(command, "pump_ack") == 0) {
+    error = commandPumpAck(params["zone"] | 0, data, status);
+  } else if (strcmp(command, "calibrate") == 0) {
+    error = commandCalibrate(params, data, status);
+  } else if (strcmp(command, "calibration_capture") == 0) {
+    error = commandCalibrationCapture(params["zone"] | 0, data, status);
+  } else if (strcmp(command, "calibration_stream") == 0) {
+    error = commandCalibrationStream(client, params["zone"] | -1, data, status);
+  } else if (strcmp(command, "calibration_set") == 0) {
+    if (params.is<JsonObjectConst>()) {
+      error = commandCalibrationSet(params, data, status);
+    } else {
+      error = "No data";
+    }
+  } else if (strcmp(command, "config_set") == 0) {
+    if (params.is<JsonObjectConst>()) {
+      error = commandConfigSet(params, data, status);
+    } else {
+      error = "No data";
+    }
+  } else {
+    error = "Unknown command";
+  }
+  
+  if (error) {
+    sendWsCommandError(client, id, status, error, data);
+    return;
+  }
+  
+  String json;
+  serializeJson(response, json);
+  webSocket.sendTXT(client, json);
+}
+
+void webSocketEvent(uint8_t num, WStype_t type, uint8_t * payload, size_t length) {
+  switch(type) {
+    case WStype_DISCONNECTED:
+      debug_log("WS", "Client %u disconnected", num);
+      ws_clients[num].role = ROLE_NONE;
+      ws_clients[num].calibration_zone = -1;
+      break;
+      
+    case WStype_CONNECTED: {
+      IPAddress ip = webSocket.remoteIP(num);
+      debug_log("WS", "Client %u connected from %s", num, ip.toString().c_str());
+      
+      // Browsers cannot set headers on a WebSocket, so the token comes in the URL (/?token=...)
+      String url = (const char*)payload;
+      int start = url.indexOf("token=");
+      String token = start >= 0 ? url.substring(start + 6, start + 6 + AUTH_TOKEN_BYTES * 2) : "";
+      Session* session = findSession(token.c_str());
+      if (!session) {
+        sendWsError(num, JsonVariantConst(), 401, "Login required");
+        webSocket.disconnect(num);
+        break;
+      }
+      
+      ws_clients[num].role = users[session->user].role;
+      strlcpy(ws_clients[num].token, session->token, sizeof(ws_clients[num].token));
+      ws_clients[num].calibration_zone = -1;
+      sendStateToClient(num);
+      break;
+    }
+      
+    case WStype_TEXT:
+      debug_log("WS", "Received: %s", payload);
+      handleWebSocketCommand(num, payload, length);
+      break;
+  }
+}
+
+// ============ WEB SERVER HANDLERS ============
+void sendJsonError(int code, const char* message) {
+  JsonDocument response;
+  response["error"] = message;
+  
+  String json;
+  serializeJson(response, json);
+  server.send(code, "application/json", json);
+}
+
+void sendCommandResponse(const char* error, int status, JsonDocument& response) {
+  if (error && response["errors"].isNull()) {
+    sendJsonError(status, error);
+    return;
+  }
+  
+  // Validation failures keep their field-level details next to the message
+  if (error) {
+    response["error"] = error;
+    
+    String json;
+    serializeJson(response, json);
+    server.send(status, "application/json", json);
+    return;
+  }
+  
+  String json;
+  serializeJson(response, json);
+  server.send(200, "application/json", json);
+}
+
+// Session of the request being handled, set by authorize()
+Session* current_session = NULL;
+
+// Bearer token from the Authorization header
+String requestToken() {
+  String header = server.header("Authorization");
+  return header.startsWith("Bearer ") ? header.substring(7) : "";
+}
+
+// Sends 401 without a valid session and 403 when its role is too low
+bool authorize(Role required) {
+  current_session = findSession(requestToken().c_str());
+  if (!current_session) {
+    sendJsonError(401, "Login required");
+    return false;
+  }
+  
+  if (users[current_session->user].role < required) {
+    sendJsonError(403, "Operator role required");
+    return false;
+  }
+  return true;
+}
+
+// Route wrapper that only runs the handler for sessions with at least `role`
+std::function<void()> withRole(Role role, void (*handler)()) {
+  return [role, handler]() {
+    if (authorize(role)) handler();
+  };
+}
+
+void addSessionJson(JsonDocument& doc, const UserAccount& user) {
+  doc["username"] = user.username;
+  doc["role"] = roleName(user.role);
+  doc["default_password"] = user.default_password;
+}
+
+void handleLogin() {
+  if (!server.hasArg("plain")) {
+    server.send(400, "application/json", "{\"error\":\"No data\"}");
+    return;
+  }
+  
+  JsonDocument doc;
+  DeserializationError error = deserializeJson(doc, server.arg("plain"));
+  
+  if (error) {
+    server.send(400, "application/json", "{\"error\":\"Parse error\"}");
+    return;
+  }
+  
+  // Repeated failures lock this client out for a while to slow down guessing
+  uint32_t address = server.client().remoteIP();
+  if (loginLocked(address)) {
+    sendJsonError(429, "Too many failed attempts, try again later");
+    return;
+  }
+  
+  const char* username = doc["username"] | "";
+  const char* password = doc["password"] | "";
+  int index = findUser(username);
+  
+  if (index < 0 || !checkPassword(users[index], password)) {
+    recordLoginFailure(address);
+    
+    char details[64];
+    snprintf(details, sizeof(details), "%s from %s", username, server.client().remoteIP().toString().c_str());
+    log_event("AUTH_FAILED", details);
+    sendJsonError(401, "Invalid username or password");
+    return;
+  }
+  
+  clearLoginFailures(address);
+  Session* session = createSession(index);
+  if (!session) {
+    sendJsonError(503, "Too many active sessions, try again later");
+    return;
+  }
+  log_event("AUTH_LOGIN", users[index].username);
+  
+  JsonDocument response;
+  response["status"] = "logged_in";
+  response["token"] = session->token;
+  addSessionJson(response, users[index]);
+  response["idle_timeout"] = AUTH_SESSION_IDLE_MS;
+  response["timestamp"] = epoch_ms();
+  
+  String json;
+  serializeJson(response, json);
+  server.send(200, "application/json", json);
+}
+
+void handleLogout() {
+  log_event("AUTH_LOGOUT", users[current_session->user].username);
+  endSession(*current_session);
+  
+  server.send(200, "application/json", "{\"status\":\"logged_out\"}");
+}
+
+void handleGetSession() {
+  JsonDocument response;
+  addSessionJson(response, users[current_session->user]);
+  
+  String json;
+  serializeJson(response, json);
+  server.send(200, "application/json", json);
+}
+
+// Users change their own password with the current one; operators can also
+// reset other accounts. The account's other sessions are ended.
+void handleChangePassword() {
+  if (!server.hasArg("plain")) {
+    server.send(400, "application/json", "{\"error\":\"No data\"}");
+    return;
+  }
+  
+  JsonDocument doc;
+  DeserializationError error = deserializeJson(doc, server.arg("plain"));
+  
+  if (error) {
+    server.send(400, "application/json", "{\"error\":\"Parse error\"}");
+    return;
+  }
+  
+  const UserAccount& caller = users[current_session->user];
+  int index = findUser(doc["username"] | caller.username);
+  if (index < 0) {
+    sendJsonError(404, "Unknown user");
+    return;
+  }
+  
+  if (index == current_session->user) {
+    if (!checkPassword(caller, doc["current_password"] | "")) {
+      sendJsonError(403, "Current password is incorrect");
+      return;
+    }
+  } else if (caller.role < ROLE_OPERATOR) {
+    sendJsonError(403, "Operator role required");
+    return;
+  }
+  
+  const char* new_password = doc["new_password"] | "";
+  if (strlen(new_password) < AUTH_MIN_PASSWORD_LENGTH) {
+    sendJsonError(400, "Password must be at least 8 characters");
+    return;
+  }
+  
+  setPassword(users[index], new_password);
+  saveUsers();
+  
+  for (uint8_t i = 0; i < AUTH_MAX_SESSIONS; i++) {
+    Session& session = sessions[i];
+    if (session.token[0] != '\0' && session.user == index && &session != current_session) {
+      endSession(session);
+    }
+  }
+  
+  log_event("AUTH_PASSWORD_CHANGED", users[index].username);
+  
+  JsonDocument response;
+  response["status"] = "password_changed";
+  response["username"] = users[index].username;
+  response["timestamp"] = epoch_ms();
+  
+  String json;
+  serializeJson(response, json);
+  server.send(200, "application/json", json);
+}
+
+void handleGetState() {
+  JsonDocument doc;
+  
+  // Zone data
+  addZonesJson(doc["zones"].to<JsonArray>());
+  
+  // Network data
+  doc["network"]["connected"] = wifi_connected;
+  doc["network"]["ip"] = WiFi.localIP().toString();
+  doc["network"]["mac"] = WiFi.macAddress();
+  doc["network"]["gateway"] = WiFi.gatewayIP().toString();
+  doc["network"]["subnet"] = WiFi.subnetMask().toString();
+  doc["network"]["dns"] = WiFi.dnsIP().toString();
+  doc["network"]["ssid"] = WiFi.SSID();
+  doc["network"]["rssi"] = WiFi.RSSI();
+  doc["network"]["provisioning"] = provisioning_active;
+  
+  // System data
+  JsonObject system = doc["system"].to<JsonObject>();
+  addSystemStatusJson(system);
+  system["boot_id"] = boot_id;
   system["fs_available"] = fs_available;
   system["build_date"] = __DATE__ " " __TIME__;
   
-  String json;
-  serializeJson(doc, json);
-  webSocket.sendTXT(client, json);
+  // Configuration data (zone settings are reported per zone)
+  addGlobalConfigJson(doc["config"].to<JsonObject>());
+  
+  String json;
+  serializeJson(doc, json);
+  server.send(200, "application/json", json);
+}
+
+// Zone index from ?zone= or the JSON body, defaulting to the first zone
+int requestZone() {
+  if (server.hasArg("zone")) return server.arg("zone").toInt();
+  
+  if (server.hasArg("plain")) {
+    JsonDocument doc;
+    if (!deserializeJson(doc, server.arg("plain"))) return doc["zone"] | 0;
+  }
+  return 0;
+}
+
+void handleManualPump() {
+  JsonDocument response;
+  int status;
+  const char* error = commandPumpStart(PUMP_CMD_MANUAL, requestZone(), MANUAL_PUMP_DURATION_MS, response.to<JsonObject>(), status);
+  sendCommandResponse(error, status, response);
+}
+
+void handleTestPump() {
+  if (!server.hasArg("plain")) {
+    server.send(400, "application/json", "{\"error\":\"No data\"}");
+    return;
+  }
+  
+  JsonDocument doc;
+  DeserializationError error = deserializeJson(doc, server.arg("plain"));
+  
+  if (error) {
+    server.send(400, "application/json", "{\"error\":\"Parse error\"}");
+    return;
+  }
+  
+  JsonDocument response;
+  int status;
+  const char* invalid = commandPumpStart(PUMP_CMD_TEST, doc["zone"] | 0, doc["duration"] | 0, response.to<JsonObject>(), status);
+  sendCommandResponse(invalid, status, response);
+}
+
+void handleStopPump() {
+  // Without a zone, every pump is stopped
+  int zone = ZONE_ALL;
+  JsonDocument request;
+  if (server.hasArg("zone")) {
+    zone = server.arg("zone").toInt();
+  } else if (server.hasArg("plain") && !deserializeJson(request, server.arg("plain")) && request.containsKey("zone")) {
+    zone = request["zone"] | -1;
+  }
+  
+  JsonDocument response;
+  int status;
+  const char* error = commandPumpStop(zone, response.to<JsonObject>(), status);
+  sendCommandResponse(error, status, response);
+}
+
+void handleAckPump() {
+  JsonDocument response;
+  int status;
+  const char* error = commandPumpAck(requestZone(), response.to<JsonObject>(), status);
+  sendCommandResponse(error, status, response);
 }
 
-void broadcastState() {
+void handleCalibrate() {
+  if (!server.hasArg("plain")) {
+    server.send(400, "application/json", "{\"error\":\"No data\"}");
+    return;
+  }
+  
   JsonDocument doc;
+  DeserializationError error = deserializeJson(doc, server.arg("plain"));
   
-  // Get sensor data safely
-  float moisture = 0.0;
-  int raw_adc = 0;
-  bool valid = false;
-  uint32_t sensor_timestamp = 0;
+  if (error) {
+    server.send(400, "application/json", "{\"error\":\"Parse error\"}");
+    return;
+  }
   
-  if (xSemaphoreTake(xMutex, portMAX_DELAY) == pdTRUE) {
-    moisture = current_reading.moisture;
-    raw_adc = current_reading.raw_adc;
-    valid = current_reading.valid;
-    sensor_timestamp = current_reading.timestamp;
-    xSemaphoreGive(xMutex);
+  JsonDocument response;
+  int status;
+  const char* invalid = commandCalibrate(doc.as<JsonVariantConst>(), response.to<JsonObject>(), status);
+  sendCommandResponse(invalid, status, response);
+}
+
+void handleCalibrationCapture() {
+  if (!server.hasArg("plain")) {
+    server.send(400, "application/json", "{\"error\":\"No data\"}");
+    return;
   }
   
-  doc["type"] = "state";
+  JsonDocument doc;
+  DeserializationError error = deserializeJson(doc, server.arg("plain"));
   
-  // Sensor data
-  JsonObject sensor = doc["sensor"].to<JsonObject>();
-  sensor["moisture"] = moisture;
-  sensor["raw_adc"] = raw_adc;
-  sensor["timestamp"] = sensor_timestamp;
-  sensor["valid"] = valid;
+  if (error) {
+    server.send(400, "application/json", "{\"error\":\"Parse error\"}");
+    return;
+  }
   
-  // Pump data
-  JsonObject pump = doc["pump"].to<JsonObject>();
-  pump["active"] = pump_state.pump_active;
-  pump["status"] = pump_state.status;
-  pump["retry_count"] = pump_state.retry_count;
-  pump["last_change"] = pump_state.last_change;
+  JsonDocument response;
+  int status;
+  const char* invalid = commandCalibrationCapture(doc["zone"] | 0, response.to<JsonObject>(), status);
+  sendCommandResponse(invalid, status, response);
+}
+
+void handleSetCalibration() {
+  if (!server.hasArg("plain")) {
+    server.send(400, "application/json", "{\"error\":\"No data\"}");
+    return;
+  }
   
-  // Calibration data
-  JsonObject cal = doc["calibration"].to<JsonObject>();
-  cal["adc_dry"] = config.adc_dry;
-  cal["adc_wet"] = config.adc_wet;
-  cal["threshold"] = config.dry_threshold;
-  cal["target"] = config.expected_value;
+  JsonDocument doc;
+  DeserializationError error = deserializeJson(doc, server.arg("plain"));
   
-  // Network data
-  JsonObject network = doc["network"].to<JsonObject>();
-  network["connected"] = wifi_connected;
-  network["ip"] = WiFi.localIP().toString();
-  network["mac"] = WiFi.macAddress();
-  network["gateway"] = WiFi.gatewayIP().toString();
-  network["subnet"] = WiFi.subnetMask().toString();
-  network["dns"] = WiFi.dnsIP().toString();
-  network["ssid"] = WiFi.SSID();
-  network["rssi"] = WiFi.RSSI();
+  if (error) {
+    server.send(400, "application/json", "{\"error\":\"Parse error\"}");
+    return;
+  }
   
-  // System data
-  JsonObject system = doc["system"].to<JsonObject>();
-  system["uptime"] = millis();
-  system["free_heap"] = ESP.getFreeHeap();
-  system["fs_available"] = fs_available;
-  system["build_date"] = __DATE__ " " __TIME__;
+  JsonDocument response;
+  int status;
+  const char* invalid = commandCalibrationSet(doc.as<JsonVariantConst>(), response.to<JsonObject>(), status);
+  sendCommandResponse(invalid, status, response);
+}
+
+void handleUpdateConfig() {
+  if (!server.hasArg("plain")) {
+    server.send(400, "application/json", "{\"error\":\"No data\"}");
+    return;
+  }
+  
+  JsonDocument doc;
+  DeserializationError error = deserializeJson(doc, server.arg("plain"));
+  
+  if (error) {
+    server.send(400, "application/json", "{\"error\":\"Parse error\"}");
+    return;
+  }
+  
+  JsonDocument response;
+  int status;
+  const char* invalid = commandConfigSet(doc.as<JsonVariantConst>(), response.to<JsonObject>(), status);
+  sendCommandResponse(invalid, status, response);
+}
+
+void handleExportConfig() {
+  JsonDocument doc;
+  addConfigJson(doc.to<JsonObject>());
+  doc["firmware"] = FIRMWARE_VERSION;
+  doc["exported_at"] = epoch_ms();
   
   String json;
   serializeJson(doc, json);
-  webSocket.broadcastTXT(json);
+  server.sendHeader("Content-Disposition", "attachment; filename=\"terranurture-config.json\"");
+  server.send(200, "application/json", json);
 }
 
-// ============ SENSOR TASK ============
-void sensor_task(void* pvParameters) {
-  debug_log("SENSOR", "Task started");
+// Lists what `next` changes and, unless the request asks for ?dry_run=1,
+// makes it the running configuration
+void applyConfigChanges(const SystemConfig& next, JsonDocument& response, const char* status, const char* event) {
+  JsonArray changes = response["changes"].to<JsonArray>();
+  diffConfig(config, next, changes);
   
-  while(1) {
-    int raw_adc = analogRead(ADC_PIN);
+  bool dry_run = server.arg("dry_run") == "1";
+  if (!dry_run && changes.size() > 0) {
+    bool time_config_changed = strcmp(config.ntp_server, next.ntp_server) != 0 ||
+                               strcmp(config.timezone, next.timezone) != 0;
+    config = next;
+    saveConfig();
     
-    // Check if sensor is connected (reasonable ADC range)
-    bool sensor_connected = (raw_adc > 100 && raw_adc < 4000);
-    float percentage = map_adc_to_percentage(raw_adc);
-    uint32_t timestamp = millis();
-    
-    if (xSemaphoreTake(xMutex, portMAX_DELAY) == pdTRUE) {
-      if (sensor_connected) {
-        current_reading.moisture = percentage;
-        current_reading.valid = true;
-      } else {
-        current_reading.moisture = 0.0;
-        current_reading.valid = false;
-      }
-      current_reading.timestamp = timestamp;
-      current_reading.raw_adc = raw_adc;
-      xSemaphoreGive(xMutex);
+    if (time_config_changed && wifi_connected) {
+      apply_time_config();
     }
     
-    // Log sensor reading
-    LogEntry entry;
-    entry.timestamp = timestamp;
-    entry.raw_adc = raw_adc;
-    entry.percentage = percentage;
-    strcpy(entry.event, "SENSOR_READ");
-    strcpy(entry.details, sensor_connected ? "OK" : "DISCONNECTED");
+    for (uint8_t i = 0; i < ZONE_COUNT; i++) {
+      broadcastConfig(i);
+      broadcastCalibration(i);
+    }
     
-    xQueueSend(log_queue, &entry, 0);
+    char details[48];
+    snprintf(details, sizeof(details), "%u settings changed", changes.size());
+    log_event(event, details);
+  }
+  
+  response["status"] = dry_run ? "dry_run" : status;
+  response["timestamp"] = epoch_ms();
+  
+  String json;
+  serializeJson(response, json);
+  server.send(200, "application/json", json);
+}
+
+void handleImportConfig() {
+  if (!server.hasArg("plain")) {
+    server.send(400, "application/json", "{\"error\":\"No data\"}");
+    return;
+  }
+  
+  JsonDocument doc;
+  DeserializationError error = deserializeJson(doc, server.arg("plain"));
+  
+  if (error || !doc.is<JsonObject>()) {
+    server.send(400, "application/json", "{\"error\":\"Parse error\"}");
+    return;
+  }
+  
+  int schema = doc["schema"] | 0;
+  if (schema < 1) {
+    sendJsonError(400, "Missing schema version");
+    return;
+  }
+  if (schema > CONFIG_SCHEMA_VERSION) {
+    sendJsonError(400, "File is from newer firmware, update this controller first");
+    return;
+  }
+  
+  JsonDocument response;
+  JsonArray errors = response["errors"].to<JsonArray>();
+  SystemConfig next = config;
+  importConfig(doc.as<JsonObjectConst>(), next, errors, response["warnings"].to<JsonArray>());
+  
+  if (errors.size() > 0) {
+    response["error"] = "Invalid configuration";
     
-    vTaskDelay(pdMS_TO_TICKS(config.sampling_interval));
+    String json;
+    serializeJson(response, json);
+    server.send(400, "application/json", json);
+    return;
   }
+  
+  response.remove("errors");
+  applyConfigChanges(next, response, "config_imported", "CONFIG_IMPORTED");
 }
 
-// ============ PUMP TASK ============
-void pump_task(void* pvParameters) {
-  debug_log("PUMP", "Task started");
+void handleResetConfig() {
+  SystemConfig defaults;
+  defaultConfig(defaults);
   
-  while(1) {
-    // Check for manual pump commands
-    bool command = false;
-    if (xQueueReceive(pump_command_queue, &command, 0) == pdTRUE && command) {
-      debug_log("PUMP", "Manual activation");
-      
-      // Log pump start
-      LogEntry startEntry;
-      startEntry.timestamp = millis();
-      startEntry.raw_adc = current_reading.raw_adc;
-      startEntry.percentage = current_reading.moisture;
-      strcpy(startEntry.event, "PUMP_MANUAL_START");
-      strcpy(startEntry.details, "Manual activation");
-      xQueueSend(log_queue, &startEntry, 0);
-      
-      // Activate pump
-      digitalWrite(RELAY_PIN, RELAY_ACTIVE_HIGH ? HIGH : LOW);
-      if (xSemaphoreTake(xMutex, portMAX_DELAY) == pdTRUE) {
-        pump_state.pump_active = true;
-        pump_state.last_change = millis();
-        strcpy(pump_state.status, "MANUAL");
-        xSemaphoreGive(xMutex);
+  JsonDocument response;
+  applyConfigChanges(defaults, response, "config_reset", "CONFIG_RESET");
+}
+
+void handleGetSchedules() {
+  JsonDocument doc;
+  JsonArray list = doc["schedules"].to<JsonArray>();
+  
+  if (xSemaphoreTake(xScheduleMutex, portMAX_DELAY) == pdTRUE) {
+    for (uint8_t i = 0; i < schedule_count; i++) {
+      scheduleToJson(schedules[i], list.add<JsonObject>());
+    }
+    xSemaphoreGive(xScheduleMutex);
+  }
+  
+  // Schedules only take effect once the device knows the local time
+  doc["time_synced"] = time_synced();
+  doc["time"] = epoch_ms();
+  doc["timezone"] = config.timezone;
+  
+  String json;
+  serializeJson(doc, json);
+  server.send(200, "application/json", json);
+}
+
+void sendScheduleResponse(const char* status, const Schedule& schedule) {
+  JsonDocument response;
+  response["status"] = status;
+  scheduleToJson(schedule, response["schedule"].to<JsonObject>());
+  response["timestamp"] = epoch_ms();
+  
+  String json;
+  serializeJson(response, json);
+  server.send(200, "application/json", json);
+}
+
+void handleCreateSchedule() {
+  if (!server.hasArg("plain")) {
+    server.send(400, "application/json", "{\"error\":\"No data\"}");
+    return;
+  }
+  
+  JsonDocument doc;
+  DeserializationError error = deserializeJson(doc, server.arg("plain"));
+  
+  if (error) {
+    server.send(400, "application/json", "{\"error\":\"Parse error\"}");
+    return;
+  }
+  
+  Schedule schedule = {0, SCHEDULE_RUN, 0, true, SCHEDULE_ALL_DAYS, 0, 0, 0, "", -1};
+  if (!doc["type"].is<const char*>() || !doc["start"].is<const char*>()) {
+    sendJsonError(400, "Type and start are required");
+    return;
+  }
+  
+  const char* invalid = scheduleFromJson(doc.as<JsonObjectConst>(), &schedule);
+  if (invalid) {
+    sendJsonError(400, invalid);
+    return;
+  }
+  
+  bool added = false;
+  if (xSemaphoreTake(xScheduleMutex, portMAX_DELAY) == pdTRUE) {
+    if (schedule_count < MAX_SCHEDULES) {
+      schedule.id = next_schedule_id++;
+      schedules[schedule_count++] = schedule;
+      added = true;
+    }
+    xSemaphoreGive(xScheduleMutex);
+  }
+  
+  if (!added) {
+    sendJsonError(409, "Schedule limit reached");
+    return;
+  }
+  
+  saveSchedules();
+  log_event("SCHEDULE_CREATED", schedule.name[0] ? schedule.name : scheduleTypeName(schedule.type));
+  sendScheduleResponse("schedule_created", schedule);
+}
+
+void handleUpdateSchedule() {
+  if (!server.hasArg("id") || !server.hasArg("plain")) {
+    server.send(400, "application/json", "{\"error\":\"No data\"}");
+    return;
+  }
+  
+  JsonDocument doc;
+  DeserializationError error = deserializeJson(doc, server.arg("plain"));
+  
+  if (error) {
+    server.send(400, "application/json", "{\"error\":\"Parse error\"}");
+    return;
+  }
+  
+  uint8_t id = server.arg("id").toInt();
+  const char* invalid = NULL;
+  bool found = false;
+  Schedule updated;
+  
+  if (xSemaphoreTake(xScheduleMutex, portMAX_DELAY) == pdTRUE) {
+    int index = findSchedule(id);
+    if (index >= 0) {
+      found = true;
+      updated = schedules[index];
+      invalid = scheduleFromJson(doc.as<JsonObjectConst>(), &updated);
+      if (!invalid) {
+        // Let an edited run fire again today if its new time is still ahead
+        updated.last_run_yday = -1;
+        schedules[index] = updated;
       }
-      
-      vTaskDelay(pdMS_TO_TICKS(5000));
-      
-      // Deactivate pump
-      digitalWrite(RELAY_PIN, RELAY_ACTIVE_HIGH ? LOW : HIGH);
-      if (xSemaphoreTake(xMutex, portMAX_DELAY) == pdTRUE) {
-        pump_state.pump_active = false;
-        pump_state.last_change = millis();
-        strcpy(pump_state.status, "IDLE");
-        xSemaphoreGive(xMutex);
+    }
+    xSemaphoreGive(xScheduleMutex);
+  }
+  
+  if (!found) {
+    sendJsonError(404, "Schedule not found");
+    return;
+  }
+  if (invalid) {
+    sendJsonError(400, invalid);
+    return;
+  }
+  
+  saveSchedules();
+  log_event("SCHEDULE_UPDATED", updated.name[0] ? updated.name : scheduleTypeName(updated.type));
+  sendScheduleResponse("schedule_updated", updated);
+}
+
+void handleDeleteSchedule() {
+  if (!server.hasArg("id")) {
+    server.send(400, "application/json", "{\"error\":\"No data\"}");
+    return;
+  }
+  
+  uint8_t id = server.arg("id").toInt();
+  bool found = false;
+  Schedule removed;
+  
+  if (xSemaphoreTake(xScheduleMutex, portMAX_DELAY) == pdTRUE) {
+    int index = findSchedule(id);
+    if (index >= 0) {
+      found = true;
+      removed = schedules[index];
+      for (uint8_t i = index; i + 1 < schedule_count; i++) {
+        schedules[i] = schedules[i + 1];
+      }
+      schedule_count--;
+    }
+    xSemaphoreGive(xScheduleMutex);
+  }
+  
+  if (!found) {
+    sendJsonError(404, "Schedule not found");
+    return;
+  }
+  
+  saveSchedules();
+  log_event("SCHEDULE_DELETED", removed.name[0] ? removed.name : scheduleTypeName(removed.type));
+  sendScheduleResponse("schedule_deleted", removed);
+}
+
+void handleGetLogs() {
+  // Query args become string parameters for the shared log query
+  JsonDocument params;
+  for (int i = 0; i < server.args(); i++) {
+    params[server.argName(i)] = server.arg(i);
+  }
+  
+  LogQuery query;
+  const char* error = parseLogQuery(params.as<JsonVariantConst>(), query);
+  if (error) {
+    sendJsonError(400, error);
+    return;
+  }
+  
+  server.setContentLength(CONTENT_LENGTH_UNKNOWN);
+  server.send(200, "application/json", "");
+  runLogQuery(query, [](const String& chunk) { server.sendContent(chunk); });
+  server.sendContent("");
+}
+
+void handleGetHistory() {
+  uint32_t range_ms = 3600000UL;
+  String range = server.hasArg("range") ? server.arg("range") : "1h";
+  if (range == "24h") {
+    range_ms = 86400000UL;
+  } else if (range == "7d") {
+    range_ms = 604800000UL;
+  } else if (range != "1h") {
+    server.send(400, "application/json", "{\"error\":\"Invalid range\"}");
+    return;
+  }
+  
+  int zone = requestZone();
+  if (!valid_zone(zone)) {
+    server.send(400, "application/json", "{\"error\":\"Invalid zone\"}");
+    return;
+  }
+  
+  // Without wall-clock time, history falls back to this boot's uptime
+  bool synced = time_synced();
+  uint64_t now = synced ? epoch_ms() : millis();
+  uint64_t from = (now > range_ms) ? now - range_ms : 0;
+  uint32_t bucket_ms = max(range_ms / HISTORY_MAX_POINTS, (uint32_t)1);
+  
+  // Average sensor reads into fixed buckets so the response size is bounded
+  static float bucket_sum[HISTORY_MAX_POINTS];
+  static uint16_t bucket_count[HISTORY_MAX_POINTS];
+  memset(bucket_sum, 0, sizeof(bucket_sum));
+  memset(bucket_count, 0, sizeof(bucket_count));
+  
+  JsonDocument doc;
+  doc["range"] = range;
+  doc["zone"] = zone;
+  doc["now"] = now;
+  doc["from"] = from;
+  doc["bucket_ms"] = bucket_ms;
+  doc["time_synced"] = synced;
+  doc["threshold"] = config.zones[zone].dry_threshold;
+  doc["target"] = config.zones[zone].expected_value;
+  JsonArray pump = doc["pump"].to<JsonArray>();
+  
+  if (synced && range_ms > HISTORY_LOG_RANGE_MS) {
+    addStoredHistory(zone, from, now, bucket_ms, bucket_sum, bucket_count, pump);
+  } else if (fs_available) {
+    LogSegmentRef refs[LOG_SEGMENTS_LIMIT + 1];
+    xSemaphoreTake(xLogMutex, portMAX_DELAY);
+    int count = fs_available ? snapshotLogSegments(countLogSegments(), 0, refs) : 0;
+    xSemaphoreGive(xLogMutex);
+    
+    uint64_t span_start = 0;
+    bool span_open = false;
+    char buffer[LOG_READ_CHUNK];
+    
+    // Walk segments oldest first so pump start/stop events pair up in order
+    for (int i = 0; i < count; i++) {
+      while (readLogChunk(refs[i], buffer, sizeof(buffer)) > 0) {
+        char* rest;
+        for (char* line = strtok_r(buffer, "\n", &rest); line; line = strtok_r(NULL, "\n", &rest)) {
+          LogEntry entry;
+          if (!parseLogLine(line, &entry)) continue;
+          
+          uint64_t timestamp;
+          if (synced) {
+            timestamp = resolve_timestamp(entry.timestamp, entry.uptime, entry.boot_id);
+          } else {
+            timestamp = (entry.boot_id == boot_id) ? entry.uptime : 0;
+          }
+          if (timestamp == 0 || timestamp < from || timestamp > now) continue;
+          if (!logEntryInZone(entry, zone)) continue;
+          
+          String event = entry.event;
+          
+          if (event == "SENSOR_READ") {
+            // Faulted readings are left out of the curve
+            if (strcmp(entry.details, "OK") != 0) continue;
+            
+            uint32_t index = (timestamp - from) / bucket_ms;
+            if (index >= HISTORY_MAX_POINTS) index = HISTORY_MAX_POINTS - 1;
+            bucket_sum[index] += entry.percentage;
+            bucket_count[index]++;
+          } else if (event.startsWith("PUMP_") && event.endsWith("_START")) {
+            if (!span_open) {
+              span_start = timestamp;
+              span_open = true;
+            }
+          } else if (event.startsWith("PUMP_") && event.endsWith("_STOP")) {
+            if (span_open && pump.size() < HISTORY_MAX_PUMP_SPANS) {
+              JsonObject span = pump.add<JsonObject>();
+              span["start"] = span_start;
+              span["end"] = timestamp;
+            }
+            span_open = false;
+          }
+        }
       }
-      
-      // Log pump stop
-      LogEntry stopEntry;
-      stopEntry.timestamp = millis();
-      stopEntry.raw_adc = current_reading.raw_adc;
-      stopEntry.percentage = current_reading.moisture;
-      strcpy(stopEntry.event, "PUMP_MANUAL_STOP");
-      strcpy(stopEntry.details, "Manual completed");
-      xQueueSend(log_queue, &stopEntry, 0);
-      
-      debug_log("PUMP", "Manual cycle complete");
     }
     
-    vTaskDelay(pdMS_TO_TICKS(100));
+    // A pump run still in progress is reported without an end
+    if (span_open && pump.size() < HISTORY_MAX_PUMP_SPANS) {
+      JsonObject span = pump.add<JsonObject>();
+      span["start"] = span_start;
+    }
+  }
+  
+  JsonArray points = doc["points"].to<JsonArray>();
+  for (int i = 0; i < HISTORY_MAX_POINTS; i++) {
+    if (bucket_count[i] == 0) continue;
+    JsonObject point = points.add<JsonObject>();
+    point["t"] = from + i * bucket_ms + bucket_ms / 2;
+    point["moisture"] = bucket_sum[i] / bucket_count[i];
   }
+  
+  String json;
+  serializeJson(doc, json);
+  server.send(200, "application/json", json);
 }
 
-// ============ WEB SERVER HANDLERS ============
-void handleGetState() {
-  JsonDocument doc;
+void handleDownloadLogs() {
+  if (!fs_available) {
+    server.send(500, "text/plain", "Filesystem not available");
+    return;
+  }
   
-  // Get sensor data safely
-  float moisture = 0.0;
-  int raw_adc = 0;
-  bool valid = false;
-  uint32_t sensor_timestamp = 0;
+  // segment=all (default) concatenates every segment oldest first; 0 is the active file
+  String segment = server.hasArg("segment") ? server.arg("segment") : "all";
   
-  if (xSemaphoreTake(xMutex, portMAX_DELAY) == pdTRUE) {
-    moisture = current_reading.moisture;
-    raw_adc = current_reading.raw_adc;
-    valid = current_reading.valid;
-    sensor_timestamp = current_reading.timestamp;
-    xSemaphoreGive(xMutex);
+  xSemaphoreTake(xLogMutex, portMAX_DELAY);
+  int segments = countLogSegments();
+  int first = segments;
+  int last = 0;
+  String filename = "terra_logs.csv";
+  
+  if (segment != "all") {
+    int index = segment.toInt();
+    if (index < 0 || index > segments || (index == 0 && segment != "0")) {
+      xSemaphoreGive(xLogMutex);
+      server.send(404, "text/plain", "No such log segment");
+      return;
+    }
+    first = index;
+    last = index;
+    filename = "terra_logs_" + String(index) + ".csv";
   }
   
-  // Sensor data
-  doc["sensor"]["moisture"] = moisture;
-  doc["sensor"]["raw_adc"] = raw_adc;
-  doc["sensor"]["timestamp"] = sensor_timestamp;
-  doc["sensor"]["valid"] = valid;
+  if (!LittleFS.exists(logSegmentPath(first))) {
+    xSemaphoreGive(xLogMutex);
+    server.send(404, "text/plain", "No logs available");
+    return;
+  }
   
-  // Pump data
-  doc["pump"]["active"] = pump_state.pump_active;
-  doc["pump"]["status"] = pump_state.status;
-  doc["pump"]["retry_count"] = pump_state.retry_count;
-  doc["pump"]["last_change"] = pump_state.last_change;
+  LogSegmentRef refs[LOG_SEGMENTS_LIMIT + 1];
+  int count = snapshotLogSegments(first, last, refs);
+  xSemaphoreGive(xLogMutex);
   
-  // Calibration data
-  doc["calibration"]["adc_dry"] = config.adc_dry;
-  doc["calibration"]["adc_wet"] = config.adc_wet;
-  doc["calibration"]["threshold"] = config.dry_threshold;
-  doc["calibration"]["target"] = config.expected_value;
+  server.sendHeader("Content-Disposition", "attachment; filename=" + filename);
+  server.setContentLength(CONTENT_LENGTH_UNKNOWN);
+  server.send(200, "text/csv", "");
   
-  // Network data
-  doc["network"]["connected"] = wifi_connected;
-  doc["network"]["ip"] = WiFi.localIP().toString();
-  doc["network"]["mac"] = WiFi.macAddress();
-  doc["network"]["gateway"] = WiFi.gatewayIP().toString();
-  doc["network"]["subnet"] = WiFi.subnetMask().toString();
-  doc["network"]["dns"] = WiFi.dnsIP().toString();
-  doc["network"]["ssid"] = WiFi.SSID();
-  doc["network"]["rssi"] = WiFi.RSSI();
+  // Each segment has its own header; only one is sent
+  server.sendContent(LOG_HEADER "\n");
   
-  // System data
-  doc["system"]["uptime"] = millis();
-  doc["system"]["free_heap"] = ESP.getFreeHeap();
-  doc["system"]["fs_available"] = fs_available;
-  doc["system"]["build_date"] = __DATE__ " " __TIME__;
+  char buffer[LOG_READ_CHUNK];
+  for (int i = 0; i < count; i++) {
+    size_t length;
+    while ((length = readLogChunk(refs[i], buffer, sizeof(buffer))) > 0) {
+      server.sendContent(buffer, length);
+    }
+  }
+  
+  server.sendContent("");
+}
+
+void handleClearLogs() {
+  if (!fs_available) {
+    server.send(500, "application/json", "{\"error\":\"Filesystem not available\"}");
+    return;
+  }
+  
+  xSemaphoreTake(xLogMutex, portMAX_DELAY);
+  for (int i = countLogSegments(); i >= 1; i--) {
+    LittleFS.remove(logSegmentPath(i));
+  }
+  LittleFS.remove(LOG_FILE);
+  clearHistory();
+  
+  // Recreate log file with header
+  createLogFile();
+  xSemaphoreGive(xLogMutex);
+  
+  JsonDocument doc;
+  doc["status"] = "logs_cleared";
+  doc["timestamp"] = epoch_ms();
   
   String json;
   serializeJson(doc, json);
   server.send(200, "application/json", json);
 }
 
-void handleManualPump() {
-  bool command = true;
-  xQueueSend(pump_command_queue, &command, 0);
+void handleGetWifi() {
+  JsonDocument doc;
+  addWifiSettingsJson(doc.to<JsonObject>());
+  doc["connected_ssid"] = wifi_connected ? WiFi.SSID() : "";
+  
+  String json;
+  serializeJson(doc, json);
+  server.send(200, "application/json", json);
+}
+
+// Scans run in the background; clients poll until the results are ready
+void handleScanWifi() {
+  int result = WiFi.scanComplete();
+  
+  if (result == WIFI_SCAN_FAILED) {
+    WiFi.scanNetworks(true);
+    result = WIFI_SCAN_RUNNING;
+  }
+  
+  if (result == WIFI_SCAN_RUNNING) {
+    server.send(202, "application/json", "{\"status\":\"scanning\"}");
+    return;
+  }
   
   JsonDocument doc;
-  doc["status"] = "manual_pump_triggered";
-  doc["timestamp"] = millis();
+  doc["status"] = "complete";
+  JsonArray networks = doc["networks"].to<JsonArray>();
+  
+  // Results are sorted by signal, so the first access point seen for an SSID is the strongest
+  for (int i = 0; i < result; i++) {
+    String ssid = WiFi.SSID(i);
+    if (ssid.length() == 0) continue;
+    
+    bool seen = false;
+    for (JsonObject network : networks) {
+      if (ssid == network["ssid"].as<const char*>()) {
+        seen = true;
+        break;
+      }
+    }
+    if (seen) continue;
+    
+    JsonObject network = networks.add<JsonObject>();
+    network["ssid"] = ssid;
+    network["rssi"] = WiFi.RSSI(i);
+    network["channel"] = WiFi.channel(i);
+    network["secure"] = WiFi.encryptionType(i) != WIFI_AUTH_OPEN;
+  }
+  WiFi.scanDelete();
   
   String json;
   serializeJson(doc, json);
   server.send(200, "application/json", json);
 }
 
-void handleCalibrate() {
+// Saves a network as the first choice and reconnects to it
+void handleAddWifi() {
   if (!server.hasArg("plain")) {
     server.send(400, "application/json", "{\"error\":\"No data\"}");
     return;
@@ -487,32 +5069,95 @@ void handleCalibrate() {
     return;
   }
   
-  String type = doc["type"];
-  int current_adc = analogRead(ADC_PIN);
+  const char* ssid = doc["ssid"] | "";
+  const char* password = doc["password"] | "";
+  size_t password_length = strlen(password);
   
-  if (type == "dry") {
-    config.adc_dry = current_adc;
-  } else if (type == "wet") {
-    config.adc_wet = current_adc;
-  } else {
-    server.send(400, "application/json", "{\"error\":\"Invalid type\"}");
+  if (strlen(ssid) == 0 || strlen(ssid) > 32) {
+    sendJsonError(400, "SSID must be 1-32 characters");
+    return;
+  }
+  if (password_length > 0 && (password_length < 8 || password_length > 63)) {
+    sendJsonError(400, "Password must be 8-63 characters, or empty for an open network");
     return;
   }
   
-  saveConfig();
+  if (xSemaphoreTake(xWifiMutex, portMAX_DELAY) == pdTRUE) {
+    int existing = -1;
+    for (uint8_t i = 0; i < wifi_settings.network_count; i++) {
+      if (strcmp(wifi_settings.networks[i].ssid, ssid) == 0) existing = i;
+    }
+    
+    // Shift the others down; when the list is full the last (oldest) one drops off
+    int last = existing >= 0 ? existing : min((int)wifi_settings.network_count, WIFI_MAX_NETWORKS - 1);
+    for (int i = last; i > 0; i--) {
+      wifi_settings.networks[i] = wifi_settings.networks[i - 1];
+    }
+    strlcpy(wifi_settings.networks[0].ssid, ssid, sizeof(wifi_settings.networks[0].ssid));
+    strlcpy(wifi_settings.networks[0].password, password, sizeof(wifi_settings.networks[0].password));
+    if (existing < 0 && wifi_settings.network_count < WIFI_MAX_NETWORKS) wifi_settings.network_count++;
+    
+    saveWifiSettings();
+    xSemaphoreGive(xWifiMutex);
+  }
+  
+  wifi_reconfigure = true;
+  log_event("WIFI_NETWORK_SAVED", ssid);
   
   JsonDocument response;
-  response["status"] = "calibration_saved";
-  response["type"] = type;
-  response["adc_value"] = current_adc;
-  response["timestamp"] = millis();
+  response["status"] = "wifi_saved";
+  response["ssid"] = ssid;
+  response["timestamp"] = epoch_ms();
   
   String json;
   serializeJson(response, json);
   server.send(200, "application/json", json);
 }
 
-void handleUpdateConfig() {
+void handleForgetWifi() {
+  if (!server.hasArg("ssid")) {
+    server.send(400, "application/json", "{\"error\":\"No data\"}");
+    return;
+  }
+  
+  String ssid = server.arg("ssid");
+  bool found = false;
+  
+  if (xSemaphoreTake(xWifiMutex, portMAX_DELAY) == pdTRUE) {
+    for (uint8_t i = 0; i < wifi_settings.network_count; i++) {
+      if (ssid == wifi_settings.networks[i].ssid) {
+        found = true;
+        for (uint8_t j = i; j + 1 < wifi_settings.network_count; j++) {
+          wifi_settings.networks[j] = wifi_settings.networks[j + 1];
+        }
+        wifi_settings.network_count--;
+        saveWifiSettings();
+        break;
+      }
+    }
+    xSemaphoreGive(xWifiMutex);
+  }
+  
+  if (!found) {
+    sendJsonError(404, "Network not found");
+    return;
+  }
+  
+  // Forgetting the current network drops the connection and moves on to the next one
+  if (wifi_connected && ssid == WiFi.SSID()) wifi_reconfigure = true;
+  log_event("WIFI_NETWORK_FORGOTTEN", ssid.c_str());
+  
+  JsonDocument response;
+  response["status"] = "wifi_forgotten";
+  response["ssid"] = ssid;
+  response["timestamp"] = epoch_ms();
+  
+  String json;
+  serializeJson(response, json);
+  server.send(200, "application/json", json);
+}
+
+void handleStaticIp() {
   if (!server.hasArg("plain")) {
     server.send(400, "application/json", "{\"error\":\"No data\"}");
     return;
@@ -526,141 +5171,272 @@ void handleUpdateConfig() {
     return;
   }
   
-  if (doc.containsKey("dry_threshold")) {
-    config.dry_threshold = doc["dry_threshold"];
-    config.dry_threshold = constrain(config.dry_threshold, 0.0, 100.0);
-  }
-  
-  if (doc.containsKey("expected_value")) {
-    config.expected_value = doc["expected_value"];
-    config.expected_value = constrain(config.expected_value, 0.0, 100.0);
-  }
+  bool enabled = doc["enabled"] | false;
+  const char* ip = doc["ip"] | "";
+  const char* gateway = doc["gateway"] | "";
+  const char* subnet = doc["subnet"] | "";
+  const char* dns = doc["dns"] | "";
   
-  if (doc.containsKey("max_retries")) {
-    config.max_retries = doc["max_retries"];
-    config.max_retries = constrain(config.max_retries, 1, 10);
+  // Addresses are kept when switching back to DHCP so they can be re-enabled later
+  IPAddress address;
+  if (enabled) {
+    if (!address.fromString(ip)) {
+      sendJsonError(400, "Invalid IP address");
+      return;
+    }
+    if (!address.fromString(gateway)) {
+      sendJsonError(400, "Invalid gateway");
+      return;
+    }
+    if (!address.fromString(subnet)) {
+      sendJsonError(400, "Invalid subnet mask");
+      return;
+    }
+    if (strlen(dns) > 0 && !address.fromString(dns)) {
+      sendJsonError(400, "Invalid DNS server");
+      return;
+    }
   }
   
-  if (doc.containsKey("sampling_interval")) {
-    config.sampling_interval = doc["sampling_interval"];
-    config.sampling_interval = constrain(config.sampling_interval, 1000, 60000);
+  if (xSemaphoreTake(xWifiMutex, portMAX_DELAY) == pdTRUE) {
+    wifi_settings.static_ip = enabled;
+    strlcpy(wifi_settings.ip, ip, sizeof(wifi_settings.ip));
+    strlcpy(wifi_settings.gateway, gateway, sizeof(wifi_settings.gateway));
+    strlcpy(wifi_settings.subnet, subnet, sizeof(wifi_settings.subnet));
+    strlcpy(wifi_settings.dns, dns, sizeof(wifi_settings.dns));
+    saveWifiSettings();
+    xSemaphoreGive(xWifiMutex);
   }
   
-  saveConfig();
+  wifi_reconfigure = true;
+  log_event("WIFI_STATIC_IP", enabled ? ip : "DHCP");
   
   JsonDocument response;
-  response["status"] = "config_updated";
-  response["timestamp"] = millis();
+  response["status"] = "static_ip_saved";
+  response["enabled"] = enabled;
+  response["timestamp"] = epoch_ms();
   
   String json;
   serializeJson(response, json);
   server.send(200, "application/json", json);
 }
 
-void handleGetLogs() {
-  if (!fs_available || !LittleFS.exists(LOG_FILE)) {
-    server.send(200, "application/json", "[]");
-    return;
-  }
-  
-  File file = LittleFS.open(LOG_FILE, FILE_READ);
-  if (!file) {
-    server.send(500, "application/json", "{\"error\":\"Failed to open log file\"}");
-    return;
-  }
+// POST /api/update?target=firmware|filesystem&size=<bytes>[&md5=<hex>] with the
+// image as a multipart file. handleUpdateUpload() streams the body to flash,
+// then handleUpdate() answers with the outcome.
+void failUpdate(int status, const char* message) {
+  if (ota_upload.active) Update.abort();
+  ota_upload.active = false;
+  ota_upload.status = status;
+  strlcpy(ota_upload.error, message, sizeof(ota_upload.error));
+  if (ota_upload.fs_unmounted) remountFilesystem();
   
-  // Read logs and convert to JSON array
-  String json = "[";
-  bool firstLine = true;
-  
-  // Skip header
-  file.readStringUntil('\n');
+  debug_log("OTA", "Update failed: %s", message);
+  log_event("OTA_FAILED", message);
+  broadcastUpdateStatus("error", message);
+}
+
+void handleUpdateUpload() {
+  HTTPUpload& upload = server.upload();
+  char details[64];
   
-  while (file.available()) {
-    String line = file.readStringUntil('\n');
-    line.trim();
+  if (upload.status == UPLOAD_FILE_START) {
+    ota_upload = {};
+    
+    // The body arrives before the route's role check runs, so nothing is
+    // flashed without an operator session; handleUpdate() sends the 401/403
+    Session* session = findSession(requestToken().c_str());
+    if (!session || users[session->user].role < ROLE_OPERATOR) return;
+    
+    ota_upload.done = true;
+    ota_upload.status = 200;
+    
+    String target = server.arg("target");
+    String md5 = server.arg("md5");
+    ota_upload.size = server.arg("size").toInt();
+    
+    if (target == "filesystem") {
+      ota_upload.target = OTA_TARGET_FILESYSTEM;
+    } else if (target != "firmware") {
+      failUpdate(400, "Target must be firmware or filesystem");
+      return;
+    }
+    
+    if (ota_upload.target == OTA_TARGET_FIRMWARE && !ota_enabled) {
+      failUpdate(409, ota_pending_verify ? "Current firmware is not confirmed yet" : "No OTA partition");
+      return;
+    }
+    if (ota_upload.size == 0) {
+      failUpdate(400, "Missing image size");
+      return;
+    }
+    if (md5.length() > 0 && md5.length() != 32) {
+      failUpdate(400, "MD5 must be 32 hex digits");
+      return;
+    }
+    
+    if (ota_upload.target == OTA_TARGET_FILESYSTEM) unmountFilesystem();
     
-    if (line.length() == 0) continue;
+    // begin() rejects images larger than the target partition
+    if (!Update.begin(ota_upload.size, ota_upload.target == OTA_TARGET_FILESYSTEM ? U_SPIFFS : U_FLASH)) {
+      failUpdate(400, Update.errorString());
+      return;
+    }
+    if (md5.length() > 0) Update.setMD5(md5.c_str());
+    ota_upload.active = true;
     
-    int comma1 = line.indexOf(',');
-    int comma2 = line.indexOf(',', comma1 + 1);
-    int comma3 = line.indexOf(',', comma2 + 1);
+    snprintf(details, sizeof(details), "%s, %u bytes, by %s",
+             otaTargetName(ota_upload.target), ota_upload.size, users[session->user].username);
+    debug_log("OTA", "Update started: %s", details);
+    log_event("OTA_STARTED", details);
+    broadcastUpdateStatus("writing", NULL);
+  } else if (upload.status == UPLOAD_FILE_WRITE) {
+    if (!ota_upload.active) return;
     
-    if (comma1 == -1 || comma2 == -1 || comma3 == -1) continue;
+    if (Update.write(upload.buf, upload.currentSize) != upload.currentSize) {
+      failUpdate(500, Update.errorString());
+      return;
+    }
     
-    String timestamp = line.substring(0, comma1);
-    String raw_adc = line.substring(comma1 + 1, comma2);
-    String percentage = line.substring(comma2 + 1, comma3);
-    String event = line.substring(comma3 + 1);
+    ota_upload.written += upload.currentSize;
+    uint8_t progress = ota_upload.written * 100ULL / ota_upload.size;
+    if (progress >= ota_upload.last_progress + OTA_PROGRESS_STEP) {
+      ota_upload.last_progress = progress;
+      broadcastUpdateStatus("writing", NULL);
+    }
+  } else if (upload.status == UPLOAD_FILE_END) {
+    if (!ota_upload.active) return;
     
-    if (!firstLine) json += ",";
-    firstLine = false;
+    // end() checks that every byte arrived, the MD5 when one was given and,
+    // for firmware, the image header and its SHA-256 digest
+    if (!Update.end()) {
+      failUpdate(400, Update.errorString());
+      return;
+    }
+    ota_upload.active = false;
     
-    json += "{";
-    json += "\"timestamp\":" + timestamp + ",";
-    json += "\"raw_adc\":" + raw_adc + ",";
-    json += "\"percentage\":" + percentage + ",";
-    json += "\"event\":\"" + event + "\"";
-    json += "}";
+    if (ota_upload.target == OTA_TARGET_FILESYSTEM) {
+      if (!remountFilesystem()) {
+        failUpdate(500, "Filesystem image could not be mounted");
+        return;
+      }
+      
+      snprintf(details, sizeof(details), "filesystem, %u bytes", ota_upload.size);
+      log_event("OTA_INSTALLED", details);
+      broadcastUpdateStatus("done", NULL);
+    } else {
+      // Remember the slot the next boot should come from, so a rollback can be told apart
+      Preferences prefs;
+      prefs.begin("ota", false);
+      prefs.putString("partition", esp_ota_get_boot_partition()->label);
+      prefs.putString("from", FIRMWARE_VERSION);
+      prefs.end();
+      
+      snprintf(details, sizeof(details), "firmware, %u bytes, restarting", ota_upload.size);
+      log_event("OTA_INSTALLED", details);
+      broadcastUpdateStatus("restarting", NULL);
+      ota_installed_at = millis();
+    }
+    debug_log("OTA", "Update installed: %s", details);
+  } else if (upload.status == UPLOAD_FILE_ABORTED) {
+    if (ota_upload.active) failUpdate(400, "Upload aborted");
   }
-  
-  file.close();
-  json += "]";
-  
-  server.send(200, "application/json", json);
 }
 
-void handleDownloadLogs() {
-  if (!fs_available) {
-    server.send(500, "text/plain", "Filesystem not available");
+void handleUpdate() {
+  if (!ota_upload.done) {
+    sendJsonError(400, "No image uploaded");
     return;
   }
+  ota_upload.done = false;
   
-  if (!LittleFS.exists(LOG_FILE)) {
-    server.send(404, "text/plain", "No logs available");
+  if (ota_upload.status != 200) {
+    sendJsonError(ota_upload.status, ota_upload.error);
     return;
   }
   
-  File file = LittleFS.open(LOG_FILE, FILE_READ);
-  if (!file) {
-    server.send(500, "text/plain", "Failed to open log file");
-    return;
-  }
+  JsonDocument response;
+  response["status"] = "installed";
+  response["target"] = otaTargetName(ota_upload.target);
+  response["size"] = ota_upload.size;
+  response["md5"] = Update.md5String();
+  response["restart"] = ota_upload.target == OTA_TARGET_FIRMWARE;
+  response["timestamp"] = epoch_ms();
   
-  server.sendHeader("Content-Type", "text/csv");
-  server.sendHeader("Content-Disposition", "attachment; filename=terra_logs.csv");
-  server.streamFile(file, "text/csv");
-  file.close();
+  String json;
+  serializeJson(response, json);
+  server.send(200, "application/json", json);
 }
 
-void handleClearLogs() {
-  if (!fs_available) {
-    server.send(500, "application/json", "{\"error\":\"Filesystem not available\"}");
-    return;
-  }
-  
-  LittleFS.remove(LOG_FILE);
-  
-  // Recreate log file with header
-  File file = LittleFS.open(LOG_FILE, FILE_WRITE);
-  if (file) {
-    file.println("timestamp,raw_adc,percentage,event");
-    file.close();
-  }
+// While the setup portal is up, requests for other hosts (such as phone
+// connectivity checks) are redirected to it so the OS opens the portal
+bool captivePortalRedirect() {
+  if (!provisioning_active) return false;
   
-  JsonDocument doc;
-  doc["status"] = "logs_cleared";
-  doc["timestamp"] = millis();
+  String host = server.hostHeader();
+  if (host == WiFi.softAPIP().toString() || host == WiFi.localIP().toString()) return false;
   
-  String json;
-  serializeJson(doc, json);
-  server.send(200, "application/json", json);
+  server.sendHeader("Location", String("http://") + WiFi.softAPIP().toString() + WIFI_PORTAL_PATH, true);
+  server.send(302, "text/plain", "");
+  return true;
 }
 
 void handleNotFound() {
+  if (captivePortalRedirect()) return;
   server.send(404, "text/plain", "File not found");
 }
 
+// Minimal update page built into the firmware, so a bad or missing LittleFS
+// image can always be replaced from a browser
+const char UPDATE_PAGE[] PROGMEM = R"rawliteral(<!DOCTYPE html>
+<html lang="en"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>TerraNurture - Update</title>
+<style>body{font-family:sans-serif;background:#0a0f0d;color:#e8f5e9;max-width:420px;margin:24px auto;padding:0 16px}
+input,select,button{display:block;width:100%;margin:0 0 12px;padding:8px;box-sizing:border-box}#msg{min-height:20px}</style>
+</head><body>
+<h1>TerraNurture Update</h1>
+<form id="form">
+<input id="user" placeholder="Username" autocomplete="username" required>
+<input id="pass" type="password" placeholder="Password" autocomplete="current-password" required>
+<select id="target"><option value="filesystem">Web interface (LittleFS image)</option><option value="firmware">Firmware</option></select>
+<input id="file" type="file" accept=".bin" required>
+<input id="md5" placeholder="MD5 (optional)" maxlength="32">
+<button>Upload</button>
+</form>
+<p id="msg"></p>
+<script>
+const $ = (id) => document.getElementById(id);
+const msg = $('msg');
+$('form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const login = await fetch('/api/auth/login', { method: 'POST', headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: $('user').value, password: $('pass').value }) });
+  const session = await login.json().catch(() => ({}));
+  if (!login.ok) { msg.textContent = session.error || 'Login failed'; return; }
+  const image = $('file').files[0];
+  const body = new FormData();
+  body.append('image', image);
+  const xhr = new XMLHttpRequest();
+  xhr.open('POST', `/api/update?target=${$('target').value}&size=${image.size}&md5=${$('md5').value.trim()}`);
+  xhr.setRequestHeader('Authorization', `Bearer ${session.token}`);
+  xhr.upload.onprogress = (p) => { msg.textContent = `Uploading ${Math.round(p.loaded * 100 / p.total)}%`; };
+  xhr.onload = () => {
+    const result = JSON.parse(xhr.responseText || '{}');
+    msg.textContent = xhr.status === 200 ? (result.restart ? 'Installed, restarting...' : 'Installed') : (result.error || `HTTP ${xhr.status}`);
+  };
+  xhr.onerror = () => { msg.textContent = 'Connection lost'; };
+  xhr.send(body);
+});
+</script>
+</body></html>)rawliteral";
+
+// Pages are gzipped in a built image; streamFile() adds Content-Encoding for a ".gz" name
+File openWebPage(const char* path) {
+  String compressed = String(path) + ".gz";
+  if (!LittleFS.exists(path) && LittleFS.exists(compressed)) return LittleFS.open(compressed, FILE_READ);
+  return LittleFS.open(path, FILE_READ);
+}
+
 // ============ WEB SERVER TASK ============
 void web_task(void* pvParameters) {
   debug_log("WEB", "Task started");
@@ -677,75 +5453,107 @@ void web_task(void* pvParameters) {
     
     // Load configuration
     loadConfig();
+    loadSchedules();
     
     // Create log file with header if it doesn't exist
-    if (!LittleFS.exists(LOG_FILE)) {
-      File file = LittleFS.open(LOG_FILE, FILE_WRITE);
-      if (file) {
-        file.println("timestamp,raw_adc,percentage,event");
-        file.close();
-        debug_log("WEB", "Created new log file");
-      }
+    if (!LittleFS.exists(LOG_FILE) && createLogFile()) {
+      debug_log("WEB", "Created new log file");
     }
   }
   
+  // Without a filesystem the default accounts are used
+  loadUsers();
+  checkFirmwareBoot();
+  
   // Static file handlers
   server.on("/", HTTP_GET, []() {
+    if (captivePortalRedirect()) return;
+    
     if (!fs_available) {
       server.send(500, "text/plain", "Filesystem not available");
       return;
     }
     
-    File file = LittleFS.open("/index.html", FILE_READ);
+    File file = openWebPage("/index.html");
     if (!file) {
-      server.send(500, "text/plain", "index.html not found");
+      // No web interface on the filesystem: offer the built-in update page
+      server.sendHeader("Location", "/update");
+      server.send(302, "text/plain", "index.html not found");
       return;
     }
     
+    // The service worker revalidates the shell, so browsers must not serve it stale
+    server.sendHeader("Cache-Control", "no-cache");
     server.streamFile(file, "text/html");
     file.close();
   });
   
-  server.on("/css/styles.css", HTTP_GET, []() {
+  // Dashboard assets. serveStatic() answers with "<file>.gz" when only the
+  // compressed copy is on LittleFS, which is how tools/build_fs_image.sh
+  // stores every text asset. Vendored libraries and fonts only change with a
+  // new filesystem image, so browsers may keep them for a week.
+  server.serveStatic("/css/", LittleFS, "/css/", "no-cache");
+  server.serveStatic("/js/", LittleFS, "/js/", "no-cache");
+  server.serveStatic("/vendor/", LittleFS, "/vendor/", "public, max-age=604800");
+  server.serveStatic("/sw.js", LittleFS, "/sw.js", "no-cache");
+  
+  // Self-contained Wi-Fi setup page (no CDN assets, so it works without internet)
+  server.on(WIFI_PORTAL_PATH, HTTP_GET, []() {
     if (!fs_available) {
       server.send(500, "text/plain", "Filesystem not available");
       return;
     }
     
-    File file = LittleFS.open("/css/styles.css", FILE_READ);
+    File file = openWebPage("/portal.html");
     if (!file) {
       server.send(404, "text/plain", "File not found");
       return;
     }
     
-    server.streamFile(file, "text/css");
+    server.streamFile(file, "text/html");
     file.close();
   });
   
-  server.on("/js/app.js", HTTP_GET, []() {
-    if (!fs_available) {
-      server.send(500, "text/plain", "Filesystem not available");
-      return;
-    }
-    
-    File file = LittleFS.open("/js/app.js", FILE_READ);
-    if (!file) {
-      server.send(404, "text/plain", "File not found");
-      return;
-    }
-    
-    server.streamFile(file, "application/javascript");
-    file.close();
+  // Works without LittleFS, so a broken web interface can still be replaced
+  server.on("/update", HTTP_GET, []() {
+    server.send_P(200, "text/html", UPDATE_PAGE);
   });
   
-  // API Endpoints
-  server.on("/api/state", HTTP_GET, handleGetState);
-  server.on("/api/pump/manual", HTTP_POST, handleManualPump);
-  server.on("/api/calibrate", HTTP_POST, handleCalibrate);
-  server.on("/api/config", HTTP_POST, handleUpdateConfig);
-  server.on("/api/logs", HTTP_GET, handleGetLogs);
-  server.on("/api/logs/download", HTTP_GET, handleDownloadLogs);
-  server.on("/api/logs/clear", HTTP_POST, handleClearLogs);
+  // API Endpoints: viewers can read, operators can also change things
+  server.on("/api/auth/login", HTTP_POST, handleLogin);
+  server.on("/api/auth/logout", HTTP_POST, withRole(ROLE_VIEWER, handleLogout));
+  server.on("/api/auth/session", HTTP_GET, withRole(ROLE_VIEWER, handleGetSession));
+  server.on("/api/auth/password", HTTP_POST, withRole(ROLE_VIEWER, handleChangePassword));
+  server.on("/api/state", HTTP_GET, withRole(ROLE_VIEWER, handleGetState));
+  server.on("/api/pump/manual", HTTP_POST, withRole(ROLE_OPERATOR, handleManualPump));
+  server.on("/api/pump/test", HTTP_POST, withRole(ROLE_OPERATOR, handleTestPump));
+  server.on("/api/pump/stop", HTTP_POST, withRole(ROLE_OPERATOR, handleStopPump));
+  server.on("/api/pump/ack", HTTP_POST, withRole(ROLE_OPERATOR, handleAckPump));
+  server.on("/api/calibrate", HTTP_POST, withRole(ROLE_OPERATOR, handleCalibrate));
+  server.on("/api/calibration", HTTP_POST, withRole(ROLE_OPERATOR, handleSetCalibration));
+  server.on("/api/calibration/capture", HTTP_POST, withRole(ROLE_OPERATOR, handleCalibrationCapture));
+  server.on("/api/config", HTTP_POST, withRole(ROLE_OPERATOR, handleUpdateConfig));
+  server.on("/api/config/export", HTTP_GET, withRole(ROLE_VIEWER, handleExportConfig));
+  server.on("/api/config/import", HTTP_POST, withRole(ROLE_OPERATOR, handleImportConfig));
+  server.on("/api/config/reset", HTTP_POST, withRole(ROLE_OPERATOR, handleResetConfig));
+  server.on("/api/schedules", HTTP_GET, withRole(ROLE_VIEWER, handleGetSchedules));
+  server.on("/api/schedules", HTTP_POST, withRole(ROLE_OPERATOR, handleCreateSchedule));
+  server.on("/api/schedules", HTTP_PUT, withRole(ROLE_OPERATOR, handleUpdateSchedule));
+  server.on("/api/schedules", HTTP_DELETE, withRole(ROLE_OPERATOR, handleDeleteSchedule));
+  server.on("/api/logs", HTTP_GET, withRole(ROLE_VIEWER, handleGetLogs));
+  server.on("/api/history", HTTP_GET, withRole(ROLE_VIEWER, handleGetHistory));
+  server.on("/api/logs/download", HTTP_GET, withRole(ROLE_VIEWER, handleDownloadLogs));
+  server.on("/api/logs/clear", HTTP_POST, withRole(ROLE_OPERATOR, handleClearLogs));
+  server.on("/api/wifi", HTTP_GET, withRole(ROLE_VIEWER, handleGetWifi));
+  server.on("/api/wifi", HTTP_POST, withRole(ROLE_OPERATOR, handleAddWifi));
+  server.on("/api/wifi", HTTP_DELETE, withRole(ROLE_OPERATOR, handleForgetWifi));
+  server.on("/api/wifi/scan", HTTP_GET, withRole(ROLE_OPERATOR, handleScanWifi));
+  server.on("/api/wifi/static", HTTP_POST, withRole(ROLE_OPERATOR, handleStaticIp));
+  server.on("/api/update", HTTP_POST, withRole(ROLE_OPERATOR, handleUpdate), handleUpdateUpload);
+  
+  // The WebServer only keeps request headers it is told about
+  const char* header_keys[] = {"Authorization"};
+  server.collectHeaders(header_keys, 1);
   
   server.onNotFound(handleNotFound);
   
@@ -753,6 +5561,8 @@ void web_task(void* pvParameters) {
   server.begin();
   webSocket.begin();
   webSocket.onEvent(webSocketEvent);
+  // A tablet that drops off Wi-Fi never closes its socket; this frees the slot
+  webSocket.enableHeartbeat(WS_PING_INTERVAL_MS, WS_PONG_TIMEOUT_MS, WS_MISSED_PONGS);
   
   debug_log("WEB", "HTTP server started on port %d", HTTP_PORT);
   debug_log("WEB", "WebSocket server started on port %d", WS_PORT);
@@ -762,11 +5572,51 @@ void web_task(void* pvParameters) {
     server.handleClient();
     webSocket.loop();
     
-    // Broadcast state every 2 seconds
-    static uint32_t lastBroadcast = 0;
-    if (millis() - lastBroadcast > 2000) {
-      lastBroadcast = millis();
-      broadcastState();
+    // The captive portal answers every DNS name with the access point's address
+    static bool dns_running = false;
+    if (provisioning_active != dns_running) {
+      dns_running = provisioning_active;
+      if (dns_running) {
+        dnsServer.start(53, "*", WiFi.softAPIP());
+      } else {
+        dnsServer.stop();
+      }
+    }
+    if (dns_running) dnsServer.processNextRequest();
+    
+    // Push rows the logger has written since the last pass
+    LogEntry entry;
+    while (xQueueReceive(ws_log_queue, &entry, 0) == pdTRUE) {
+      if (webSocket.connectedClients() > 0) broadcastLogEntry(entry);
+    }
+    
+    confirmFirmware();
+    
+    // Restart into a new firmware image once its response has gone out
+    if (ota_installed_at && millis() - ota_installed_at >= OTA_RESTART_DELAY_MS) {
+      queuePumpCommand(PUMP_CMD_STOP, ZONE_ALL, 0, "Restarting for update");
+      vTaskDelay(pdMS_TO_TICKS(1000));
+      ESP.restart();
+    }
+    
+    if (webSocket.connectedClients() > 0) {
+      static uint32_t lastZoneCheck = 0;
+      if (millis() - lastZoneCheck >= ZONE_PUSH_CHECK_MS) {
+        lastZoneCheck = millis();
+        broadcastZoneChanges();
+      }
+      
+      static uint32_t lastCalibrationSample = 0;
+      if (millis() - lastCalibrationSample >= CAL_STREAM_INTERVAL_MS) {
+        lastCalibrationSample = millis();
+        streamCalibrationSamples();
+      }
+      
+      static uint32_t lastSystemPush = 0;
+      if (millis() - lastSystemPush >= SYSTEM_PUSH_MS) {
+        lastSystemPush = millis();
+        broadcastSystemStatus();
+      }
     }
     
     vTaskDelay(pdMS_TO_TICKS(10));
@@ -777,25 +5627,75 @@ void web_task(void* pvParameters) {
 void logger_task(void* pvParameters) {
   debug_log("LOGGER", "Task started");
   
+  uint32_t segment_started = millis();
+  uint32_t last_retention_check = 0;
+  bool quota_warned = false;
+  
   while (1) {
     LogEntry entry;
     if (xQueueReceive(log_queue, &entry, portMAX_DELAY) == pdTRUE) {
       // Print to serial
-      Serial.printf("[%lu] %s - ADC: %d, %%: %.1f", 
-                   entry.timestamp, entry.event, entry.raw_adc, entry.percentage);
+      Serial.printf("[%lu] %s%s%s - ADC: %d, %%: %.1f", 
+                   entry.uptime, entry.zone, entry.zone[0] ? " " : "", entry.event, entry.raw_adc, entry.percentage);
       if (strlen(entry.details) > 0) {
         Serial.printf(" (%s)", entry.details);
       }
       Serial.println();
       
-      // Save to LittleFS
+      // Hand the row to web_task for connected clients; dropped if it falls behind
+      xQueueSend(ws_log_queue, &entry, 0);
+      
+      // Save to LittleFS (checked under the mutex: a filesystem update unmounts it)
+      xSemaphoreTake(xLogMutex, portMAX_DELAY);
       if (fs_available) {
+        // Rotate on size, or on age once the segment holds at least one row
         File file = LittleFS.open(LOG_FILE, FILE_APPEND);
         if (file) {
-          file.printf("%lu,%d,%.2f,%s\n", 
-                     entry.timestamp, entry.raw_adc, entry.percentage, entry.event);
-          file.close();
+          size_t size = file.size();
+          bool size_due = size >= config.log_segment_kb * 1024UL;
+          bool age_due = (millis() - segment_started >= config.log_segment_hours * 3600000UL) &&
+                         size > strlen(LOG_HEADER) + 2;
+          
+          if (size_due || age_due) {
+            file.close();
+            rotateLogs();
+            applyLogRetention();
+            segment_started = millis();
+            file = LittleFS.open(LOG_FILE, FILE_APPEND);
+          }
+        }
+        
+        if (millis() - last_retention_check >= LOG_RETENTION_CHECK_MS) {
+          last_retention_check = millis();
+          applyLogRetention();
         }
+        
+        if (file && ensureLogSpace()) {
+          file.printf("%llu,%d,%.2f,", entry.timestamp, entry.raw_adc, entry.percentage);
+          printCsvField(file, entry.event);
+          file.print(',');
+          printCsvField(file, entry.details);
+          file.printf(",%lu,%lu,", entry.uptime, entry.boot_id);
+          printCsvField(file, entry.zone);
+          file.print('\n');
+          recordHistory(entry);
+          quota_warned = false;
+        } else if (file && !quota_warned) {
+          debug_log("LOGGER", "Flash reserve reached, dropping log rows");
+          quota_warned = true;
+        }
+        
+        if (file) file.close();
+      }
+      xSemaphoreGive(xLogMutex);
+      
+      // Rows lost to a full queue are recorded once there is room again
+      uint32_t dropped = take_dropped_log_rows();
+      if (dropped > 0) {
+        char details[64];
+        snprintf(details, sizeof(details), "%lu rows lost, log queue full", (unsigned long)dropped);
+        debug_log("LOGGER", "%s", details);
+        log_event("SYSTEM_LOG_DROPPED", details);
       }
     }
     taskYIELD();
@@ -807,47 +5707,95 @@ void wifi_task(void* pvParameters) {
   debug_log("WIFI", "Task started");
   
   WiFi.mode(WIFI_STA);
-  WiFi.begin(ssid, password);
+  loadWifiSettings();
+  loadApPassword();
+  
+  char ap_ssid[32];
+  formatApSsid(ap_ssid, sizeof(ap_ssid));
+  debug_log("WIFI", "Setup AP '%s', password '%s'", ap_ssid, ap_password);
   
-  int retries = 0;
+  int network = -1;              // saved network being tried, -1 before a pass
+  uint32_t attempt_started = 0;
+  bool pass_failed = false;
+  uint32_t pass_failed_at = 0;
+  bool clock_synced = false;
   
   while (1) {
+    // Changed settings restart the search from the first saved network
+    if (wifi_reconfigure) {
+      wifi_reconfigure = false;
+      WiFi.disconnect();
+      network = -1;
+      pass_failed = false;
+    }
+    
     if (WiFi.status() == WL_CONNECTED) {
       if (!wifi_connected) {
         wifi_connected = true;
-        debug_log("WIFI", "Connected! IP: %s", WiFi.localIP().toString().c_str());
+        debug_log("WIFI", "Connected to '%s'! IP: %s", WiFi.SSID().c_str(), WiFi.localIP().toString().c_str());
         
         LogEntry entry;
-        entry.timestamp = millis();
+        stamp_log_entry(&entry);
         entry.raw_adc = 0;
         entry.percentage = 0.0;
         strcpy(entry.event, "WIFI_CONNECTED");
-        strcpy(entry.details, "");
-        xQueueSend(log_queue, &entry, 0);
+        strlcpy(entry.details, WiFi.SSID().c_str(), sizeof(entry.details));
+        entry.zone[0] = '\0';
+        queue_log_entry(&entry);
+        
+        // (Re)start SNTP now that the network is up
+        apply_time_config();
+        stopProvisioning();
+      }
+      
+      if (!clock_synced && time_synced()) {
+        clock_synced = true;
+        char details[64];
+        snprintf(details, sizeof(details), "Synced via %s", config.ntp_server);
+        debug_log("TIME", "%s", details);
+        log_event("TIME_SYNCED", details);
       }
-      retries = 0;
     } else {
       if (wifi_connected) {
         wifi_connected = false;
+        network = -1;
         debug_log("WIFI", "Disconnected!");
         
         LogEntry entry;
-        entry.timestamp = millis();
+        stamp_log_entry(&entry);
         entry.raw_adc = 0;
         entry.percentage = 0.0;
         strcpy(entry.event, "WIFI_DISCONNECTED");
         strcpy(entry.details, "");
-        xQueueSend(log_queue, &entry, 0);
+        entry.zone[0] = '\0';
+        queue_log_entry(&entry);
       }
       
-      retries++;
-      int delay_ms = min(1000 * (1 << min(retries, 6)), 30000);
-      debug_log("WIFI", "Reconnecting in %d ms (attempt %d)", delay_ms, retries);
-      vTaskDelay(pdMS_TO_TICKS(delay_ms));
-      
-      WiFi.disconnect();
-      vTaskDelay(pdMS_TO_TICKS(100));
-      WiFi.begin(ssid, password);
+      if (wifi_settings.network_count == 0) {
+        // Nothing to join until credentials arrive through the portal
+        startProvisioning();
+      } else if (network >= 0 && millis() - attempt_started < WIFI_CONNECT_TIMEOUT_MS) {
+        // Still waiting on the current attempt
+      } else if (pass_failed && millis() - pass_failed_at < WIFI_PORTAL_RETRY_MS) {
+        // Station scans move the access point's channel, so portal users get some peace
+      } else {
+        pass_failed = false;
+        network++;
+        
+        WiFi.disconnect();
+        vTaskDelay(pdMS_TO_TICKS(100));
+        
+        if (beginNetwork(network)) {
+          attempt_started = millis();
+        } else {
+          // Every saved network failed: open the portal and go around again later
+          debug_log("WIFI", "No saved network reachable");
+          startProvisioning();
+          network = -1;
+          pass_failed = true;
+          pass_failed_at = millis();
+        }
+      }
     }
     
     vTaskDelay(pdMS_TO_TICKS(1000));
@@ -865,17 +5813,34 @@ void setup() {
   Serial.println("========================================");
   Serial.printf("Build Date: %s %s\n", __DATE__, __TIME__);
   
-  // Initialize hardware
-  pinMode(ADC_PIN, INPUT);
-  pinMode(RELAY_PIN, OUTPUT);
-  digitalWrite(RELAY_PIN, RELAY_ACTIVE_HIGH ? LOW : HIGH);
+  // Initialize hardware, relays off
+  for (uint8_t zone = 0; zone < ZONE_COUNT; zone++) {
+    pinMode(ZONES[zone].adc_pin, INPUT);
+    pinMode(ZONES[zone].relay_pin, OUTPUT);
+    digitalWrite(ZONES[zone].relay_pin, RELAY_ACTIVE_HIGH ? LOW : HIGH);
+    
+    resetZoneConfig(zone);
+    zone_readings[zone] = {0.0, 0, 0, false, 0};
+    zone_pumps[zone] = {false, 0, "IDLE", 0, 0, false, "", 0, 0};
+  }
+  
+  // Count boots so records made before SNTP sync can still be told apart
+  Preferences prefs;
+  prefs.begin("terranurture", false);
+  boot_id = prefs.getUInt("boot_id", 0) + 1;
+  prefs.putUInt("boot_id", boot_id);
+  prefs.end();
   
   // Create mutex
   xMutex = xSemaphoreCreateMutex();
+  xLogMutex = xSemaphoreCreateMutex();
+  xScheduleMutex = xSemaphoreCreateMutex();
+  xWifiMutex = xSemaphoreCreateMutex();
   
   // Create queues
   log_queue = xQueueCreate(LOG_QUEUE_SIZE, sizeof(LogEntry));
-  pump_command_queue = xQueueCreate(5, sizeof(bool));
+  pump_command_queue = xQueueCreate(5, sizeof(PumpCommand));
+  ws_log_queue = xQueueCreate(WS_LOG_QUEUE_SIZE, sizeof(LogEntry));
   
   // Create tasks with larger stack sizes
   xTaskCreatePinnedToCore(wifi_task, "WiFi", 8192, NULL, 1, NULL, 1);
@@ -886,15 +5851,19 @@ void setup() {
   
   // Initial log
   LogEntry entry;
-  entry.timestamp = millis();
+  stamp_log_entry(&entry);
   entry.raw_adc = 0;
   entry.percentage = 0.0;
   strcpy(entry.event, "SYSTEM_STARTED");
   strcpy(entry.details, "System initialized");
-  xQueueSend(log_queue, &entry, 0);
+  entry.zone[0] = '\0';
+  queue_log_entry(&entry);
   
   debug_log("SETUP", "System initialized. Tasks created.");
-  debug_log("SETUP", "ADC Pin: %d, Relay Pin: %d", ADC_PIN, RELAY_PIN);
+  for (uint8_t zone = 0; zone < ZONE_COUNT; zone++) {
+    debug_log("SETUP", "%s: ADC Pin %d, Relay Pin %d", ZONES[zone].tag, ZONES[zone].adc_pin, ZONES[zone].relay_pin);
+  }
+  debug_log("SETUP", "Boot ID: %lu", boot_id);
 }
 
 void loop() {
@@ -0,0 +1,155 @@
+// TerraNurture - Calibration card and the reference-point curve editor for the selected zone
+import { Component } from './component.js';
+import { html, render } from './html.js';
+import { selectedZone } from './zones.js';
+
+export class CalibrationMethods {
+    updateCalibration(data) {
+        if (!data) return;
+        
+        const { zone: index, ...calibration } = data;
+        if (!this.state.zones[index]) return;
+        
+        this.updateZone(index, zone => ({ calibration: { ...zone.calibration, ...calibration } }));
+    }
+    
+    // The editor starts from the saved curve whenever that changes. Unsaved
+    // point edits survive updates for the same zone.
+    watchCurve() {
+        this.store.subscribe(state => [state.selectedZone, selectedZone(state)?.calibration], ([index, cal]) => {
+            const curve = this.state.curve;
+            if (!cal || (curve.dirty && curve.zone === index)) return;
+            
+            this.store.set({
+                curve: { zone: index, points: cal.points || [], mode: cal.mode, degree: cal.degree, dirty: false }
+            });
+        });
+    }
+    
+    editCurve(changes) {
+        this.store.update('curve', { ...changes, dirty: true });
+    }
+    
+    addCurvePoint() {
+        const adcInput = document.getElementById('curvePointAdc');
+        const moistureInput = document.getElementById('curvePointMoisture');
+        const adc = parseInt(adcInput.value);
+        const moisture = parseFloat(moistureInput.value);
+        
+        if (isNaN(adc) || adc < 0 || adc > 4095 || isNaN(moisture) || moisture < 0 || moisture > 100) {
+            this.showToast('Enter an ADC value from 0 to 4095 and a moisture from 0 to 100%', 'warning');
+            return;
+        }
+        
+        // A second reading at the same ADC value replaces the first
+        const points = this.state.curve.points.filter(point => point.adc !== adc);
+        if (points.length >= 8) {
+            this.showToast('A curve can have at most 8 reference points', 'warning');
+            return;
+        }
+        
+        this.editCurve({ points: [...points, { adc, moisture }].sort((a, b) => a.adc - b.adc) });
+        adcInput.value = '';
+        moistureInput.value = '';
+    }
+    
+    removeCurvePoint(index) {
+        this.editCurve({ points: this.state.curve.points.filter((point, i) => i !== index) });
+    }
+    
+    async saveCalibrationCurve() {
+        const zone = this.state.selectedZone;
+        const { mode, degree, points } = this.state.curve;
+        
+        try {
+            const result = await this.send('calibration_set', { zone, mode, degree, points });
+            this.store.update('curve', { dirty: false });
+            this.updateCalibration({ zone, ...result.calibration });
+            
+            if (result.warnings?.length) {
+                this.showToast(`Calibration curve saved: ${result.warnings.map(warning => warning.message).join('; ')}`, 'warning');
+            } else {
+                this.showToast('Calibration curve saved', 'success');
+            }
+        } catch (error) {
+            console.error('Calibration curve error:', error);
+            const details = error.errors?.map(item => item.message) || [];
+            this.showToast(`Failed to save curve: ${details.length ? details.join('; ') : error.message}`, 'error');
+        }
+    }
+}
+
+// Dry and wet ADC values and the active mapping of the selected zone
+export class CalibrationCard extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('adcDryValue', 'adcWetValue', 'dryResult', 'wetResult', 'currentAdc', 'curveModeBadge');
+        
+        this.watch(state => selectedZone(state)?.calibration, cal => {
+            if (cal) this.renderCalibration(cal);
+        });
+        this.watch(state => selectedZone(state)?.sensor, sensor => {
+            if (sensor) this.el.currentAdc.textContent = sensor.raw_adc ?? '--';
+        });
+    }
+    
+    renderCalibration(cal) {
+        const { el } = this;
+        el.adcDryValue.textContent = cal.adc_dry;
+        el.adcWetValue.textContent = cal.adc_wet;
+        
+        // Update dry/wet calibration results
+        el.dryResult.textContent = cal.adc_dry > 0 ? `Calibrated: ${cal.adc_dry}` : 'Not calibrated';
+        el.wetResult.textContent = cal.adc_wet > 0 ? `Calibrated: ${cal.adc_wet}` : 'Not calibrated';
+        
+        const modeNames = { linear: 'Linear', piecewise: 'Piecewise', polynomial: 'Polynomial' };
+        el.curveModeBadge.textContent = cal.mode === 'polynomial'
+            ? `Polynomial, degree ${cal.degree}`
+            : modeNames[cal.mode] || cal.mode;
+        el.curveModeBadge.className = cal.mode === 'linear' ? 'card-badge' : 'card-badge success';
+    }
+}
+
+// The reference points being edited, with the mode and degree they are saved with
+export class CurveEditor extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('curveMode', 'curveDegree', 'curveModeHelp', 'curvePointsBody');
+        this.degreeField = document.querySelector('.curve-degree-field');
+        
+        this.watch(state => [state.curve.mode, state.curve.degree], ([mode, degree]) => this.renderMode(mode, degree));
+        this.watch(state => state.curve.points, points => this.renderPoints(points));
+    }
+    
+    renderMode(mode, degree) {
+        const help = {
+            linear: 'Uses the dry and wet calibration above; points are kept but ignored',
+            piecewise: 'Straight lines between neighbouring points; needs at least 2',
+            polynomial: 'A smooth least-squares fit; needs more points than its degree'
+        };
+        
+        this.el.curveMode.value = mode;
+        this.el.curveDegree.value = String(degree);
+        this.degreeField.style.display = mode === 'polynomial' ? '' : 'none';
+        this.el.curveModeHelp.textContent = help[mode];
+    }
+    
+    renderPoints(points) {
+        if (points.length === 0) {
+            render(this.el.curvePointsBody, html`<tr><td colspan="3" class="no-logs">No reference points</td></tr>`);
+            return;
+        }
+        
+        render(this.el.curvePointsBody, html`${points.map((point, index) => html`
+            <tr>
+                <td>${point.adc}</td>
+                <td>${point.moisture.toFixed(1)}%</td>
+                <td class="schedule-actions" data-requires="operator">
+                    <button type="button" class="btn btn-danger" data-index="${index}" title="Remove">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `)}`);
+    }
+}
@@ -0,0 +1,311 @@
+// TerraNurture - Charts: moisture history with pump spans, the calibration curve and heap use
+import { Component } from './component.js';
+import { HISTORY_RANGES } from './history.js';
+import { TOTAL_HEAP } from './system.js';
+import { selectedZone } from './zones.js';
+
+// Chart.js comes from the device's LittleFS; without it the rest still works
+function chartsAvailable() {
+    return typeof Chart !== 'undefined';
+}
+
+// The selected zone's moisture history with its dry and target bands
+export class HistoryChart extends Component {
+    constructor(app) {
+        super(app);
+        this.dataPoints = document.getElementById('dataPoints');
+        this.chart = null;
+        
+        const canvas = document.getElementById('moistureChart');
+        if (!chartsAvailable()) {
+            console.error('Chart.js not loaded, charts disabled');
+        } else if (canvas) {
+            this.chart = this.createChart(canvas);
+            this.bindZoom(canvas);
+        }
+        
+        this.watch(state => state.history.range, range => {
+            document.querySelectorAll('.range-btn[data-range]').forEach(btn => {
+                btn.classList.toggle('active', btn.dataset.range === range);
+            });
+        });
+        this.watch(state => {
+            const config = selectedZone(state)?.config;
+            return [state.history, config?.dry_threshold, config?.expected_value, state.clock];
+        }, ([history, threshold, target]) => this.renderHistory(history, threshold, target));
+    }
+    
+    createChart(canvas) {
+        return new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: 'Moisture',
+                    data: [],
+                    borderColor: 'rgb(82, 183, 136)',
+                    backgroundColor: 'rgba(82, 183, 136, 0.1)',
+                    tension: 0.3,
+                    pointRadius: 0,
+                    fill: false
+                }, {
+                    label: 'Dry Threshold',
+                    data: [],
+                    borderColor: 'rgba(255, 152, 0, 0.8)',
+                    backgroundColor: 'rgba(255, 152, 0, 0.08)',
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    fill: 'start' // Dry band below the threshold
+                }, {
+                    label: 'Target',
+                    data: [],
+                    borderColor: 'rgba(33, 150, 243, 0.8)',
+                    backgroundColor: 'rgba(33, 150, 243, 0.08)',
+                    borderDash: [6, 4],
+                    pointRadius: 0,
+                    fill: 'end' // Target band above the expected value
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: {
+                    mode: 'nearest',
+                    axis: 'x',
+                    intersect: false
+                },
+                plugins: {
+                    legend: { position: 'bottom' },
+                    tooltip: {
+                        callbacks: {
+                            title: (items) => items.length ? this.formatChartTime(items[0].parsed.x) : ''
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        max: 100,
+                        title: {
+                            display: true,
+                            text: 'Moisture %'
+                        }
+                    },
+                    x: {
+                        type: 'linear',
+                        ticks: {
+                            maxTicksLimit: 8,
+                            callback: (value) => this.formatChartTime(value)
+                        }
+                    }
+                }
+            },
+            plugins: [this.createPumpSpanPlugin()]
+        });
+    }
+    
+    renderHistory(history, threshold, target) {
+        this.dataPoints.textContent = history.points.length;
+        if (!this.chart) return;
+        
+        // Slides forward with the clock unless zoomed in
+        const now = Date.now();
+        const min = history.zoom ? history.zoom.min : now - HISTORY_RANGES[history.range];
+        const max = history.zoom ? history.zoom.max : now;
+        const datasets = this.chart.data.datasets;
+        
+        datasets[0].data = history.points;
+        datasets[1].data = threshold === undefined ? [] : [{ x: min, y: threshold }, { x: max, y: threshold }];
+        datasets[2].data = target === undefined ? [] : [{ x: min, y: target }, { x: max, y: target }];
+        
+        this.chart.options.scales.x.min = min;
+        this.chart.options.scales.x.max = max;
+        this.chart.update('none');
+    }
+    
+    createPumpSpanPlugin() {
+        // Shades the time ranges during which the pump was running
+        return {
+            id: 'pumpSpans',
+            beforeDatasetsDraw: (chart) => {
+                const { ctx, chartArea, scales } = chart;
+                
+                ctx.save();
+                ctx.fillStyle = 'rgba(244, 67, 54, 0.15)';
+                this.store.state.history.pumpSpans.forEach(span => {
+                    const left = Math.max(scales.x.getPixelForValue(span.start), chartArea.left);
+                    const right = Math.min(scales.x.getPixelForValue(span.end || Date.now()), chartArea.right);
+                    if (right > left) {
+                        ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+                    }
+                });
+                ctx.restore();
+            }
+        };
+    }
+    
+    bindZoom(canvas) {
+        let dragStartX = null;
+        
+        canvas.addEventListener('mousedown', (e) => {
+            dragStartX = e.offsetX;
+        });
+        
+        canvas.addEventListener('mouseup', (e) => {
+            if (dragStartX === null) return;
+            
+            const startX = Math.min(dragStartX, e.offsetX);
+            const endX = Math.max(dragStartX, e.offsetX);
+            dragStartX = null;
+            
+            // Ignore plain clicks
+            if (endX - startX < 10) return;
+            
+            const scale = this.chart.scales.x;
+            this.app.zoomHistory(scale.getValueForPixel(startX), scale.getValueForPixel(endX));
+        });
+        
+        canvas.addEventListener('dblclick', () => this.app.resetHistoryZoom());
+    }
+    
+    formatChartTime(value) {
+        const date = new Date(value);
+        const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        
+        if (this.store.state.history.range === '7d') {
+            return `${date.toLocaleDateString([], { month: 'short', day: 'numeric' })} ${time}`;
+        }
+        return time;
+    }
+}
+
+// The selected zone's ADC-to-moisture mapping with the current reading on it
+export class CalibrationChart extends Component {
+    constructor(app) {
+        super(app);
+        const canvas = document.getElementById('calibrationChart');
+        if (!canvas || !chartsAvailable()) return;
+        
+        this.chart = this.createChart(canvas);
+        
+        this.watch(state => selectedZone(state)?.calibration, cal => {
+            if (cal) this.renderCurve(cal);
+        });
+        this.watch(state => selectedZone(state)?.sensor, sensor => {
+            if (sensor) this.renderReading(sensor);
+        });
+    }
+    
+    createChart(canvas) {
+        return new Chart(canvas.getContext('2d'), {
+            type: 'scatter',
+            data: {
+                datasets: [{
+                    label: 'Calibration Curve',
+                    data: [],
+                    showLine: true,
+                    pointRadius: 0,
+                    borderColor: 'rgb(64, 145, 108)',
+                    backgroundColor: 'rgba(64, 145, 108, 0.1)',
+                    fill: true
+                }, {
+                    label: 'Reference Points',
+                    data: [],
+                    pointRadius: 5,
+                    borderColor: 'rgb(255, 152, 0)',
+                    backgroundColor: 'rgb(255, 152, 0)'
+                }, {
+                    label: 'Current Reading',
+                    data: [],
+                    pointRadius: 6,
+                    borderColor: 'rgb(33, 150, 243)',
+                    backgroundColor: 'rgb(33, 150, 243)'
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: { display: false }
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        max: 100,
+                        title: {
+                            display: true,
+                            text: 'Moisture %'
+                        }
+                    },
+                    x: {
+                        type: 'linear',
+                        min: 0,
+                        max: 4095,
+                        title: {
+                            display: true,
+                            text: 'ADC Value'
+                        },
+                        reverse: true // Higher ADC = drier
+                    }
+                }
+            }
+        });
+    }
+    
+    renderCurve(cal) {
+        const datasets = this.chart.data.datasets;
+        
+        // The device samples whichever mapping is active, so the line is exactly what readings use
+        datasets[0].data = (cal.curve || []).map(([adc, moisture]) => ({ x: adc, y: moisture }));
+        datasets[1].data = cal.mode === 'linear'
+            ? [{ x: cal.adc_dry, y: 0 }, { x: cal.adc_wet, y: 100 }]
+            : (cal.points || []).map(point => ({ x: point.adc, y: point.moisture }));
+        this.chart.update();
+    }
+    
+    // Moves the current reading along the curve
+    renderReading(sensor) {
+        this.chart.data.datasets[2].data = sensor.valid ? [{ x: sensor.raw_adc, y: sensor.moisture }] : [];
+        this.chart.update('none');
+    }
+}
+
+// Used against free heap
+export class MemoryChart extends Component {
+    constructor(app) {
+        super(app);
+        const canvas = document.getElementById('memoryChart');
+        if (!canvas || !chartsAvailable()) return;
+        
+        this.chart = new Chart(canvas.getContext('2d'), {
+            type: 'doughnut',
+            data: {
+                labels: ['Used', 'Free'],
+                datasets: [{
+                    data: [50, 50],
+                    backgroundColor: [
+                        'rgba(244, 67, 54, 0.8)',
+                        'rgba(76, 175, 80, 0.8)'
+                    ],
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'bottom'
+                    }
+                }
+            }
+        });
+        
+        this.watch(state => state.system.free_heap, freeHeap => {
+            if (freeHeap <= 0) return;
+            
+            this.chart.data.datasets[0].data = [(TOTAL_HEAP - freeHeap) / 1024, freeHeap / 1024];
+            this.chart.update();
+        });
+    }
+}
@@ -0,0 +1,28 @@
+// TerraNurture - Base class for the cards and panels. A component renders from
+// the slices of the store it watches and is the only code that writes to its
+// elements; the feature modules change the store and leave the page alone.
+export class Component {
+    constructor(app) {
+        this.app = app;
+        this.store = app.store;
+        this.watches = [];
+    }
+    
+    // The component's elements by id, looked up once
+    elements(...ids) {
+        return Object.fromEntries(ids.map(id => [id, document.getElementById(id)]));
+    }
+    
+    // Renders with what `select` picks from the state, now and whenever it
+    // changes. A select returning an array is compared item by item.
+    watch(select, render) {
+        this.watches.push({ select, render });
+        this.store.subscribe(select, value => render(value));
+        render(select(this.store.state));
+    }
+    
+    // Renders again even though nothing changed
+    refresh() {
+        this.watches.forEach(({ select, render }) => render(select(this.store.state)));
+    }
+}
@@ -0,0 +1,224 @@
+// TerraNurture - Settings form with field-level validation, and config reset, export and import
+import { Component } from './component.js';
+import { downloadBlob } from './ui.js';
+import { selectedZone } from './zones.js';
+
+// Form inputs by setting; the first four belong to the selected zone
+const ZONE_FIELDS = {
+    name: 'zoneName',
+    dry_threshold: 'dryThreshold',
+    expected_value: 'expectedValue',
+    max_retries: 'maxRetries'
+};
+const DEVICE_FIELDS = {
+    sampling_interval: 'samplingInterval',
+    sensor_oversample: 'sensorOversample',
+    sensor_filter: 'sensorFilter',
+    sensor_ema_alpha: 'sensorEmaAlpha',
+    sensor_spike_adc: 'sensorSpikeAdc',
+    pump_max_run_s: 'pumpMaxRun',
+    pump_min_off_s: 'pumpMinOff',
+    pump_max_runs_day: 'pumpMaxRunsDay',
+    pump_max_runtime_day_min: 'pumpMaxRuntimeDay',
+    log_segment_kb: 'logSegmentKb',
+    log_segment_hours: 'logSegmentHours',
+    log_max_segments: 'logMaxSegments',
+    log_retention_days: 'logRetentionDays',
+    ntp_server: 'ntpServer',
+    timezone: 'timezone'
+};
+const FIELDS = { ...ZONE_FIELDS, ...DEVICE_FIELDS };
+
+export class ConfigMethods {
+    async saveConfiguration() {
+        const formData = {
+            zone: this.state.selectedZone,
+            name: document.getElementById('zoneName').value.trim(),
+            dry_threshold: parseFloat(document.getElementById('dryThreshold').value),
+            expected_value: parseFloat(document.getElementById('expectedValue').value),
+            max_retries: parseInt(document.getElementById('maxRetries').value),
+            sampling_interval: parseInt(document.getElementById('samplingInterval').value),
+            sensor_oversample: parseInt(document.getElementById('sensorOversample').value),
+            sensor_filter: document.getElementById('sensorFilter').value,
+            sensor_ema_alpha: parseFloat(document.getElementById('sensorEmaAlpha').value),
+            sensor_spike_adc: parseInt(document.getElementById('sensorSpikeAdc').value),
+            pump_max_run_s: parseInt(document.getElementById('pumpMaxRun').value),
+            pump_min_off_s: parseInt(document.getElementById('pumpMinOff').value),
+            pump_max_runs_day: parseInt(document.getElementById('pumpMaxRunsDay').value),
+            pump_max_runtime_day_min: parseInt(document.getElementById('pumpMaxRuntimeDay').value),
+            log_segment_kb: parseInt(document.getElementById('logSegmentKb').value),
+            log_segment_hours: parseInt(document.getElementById('logSegmentHours').value),
+            log_max_segments: parseInt(document.getElementById('logMaxSegments').value),
+            log_retention_days: parseInt(document.getElementById('logRetentionDays').value),
+            ntp_server: document.getElementById('ntpServer').value.trim(),
+            timezone: document.getElementById('timezone').value.trim()
+        };
+        
+        try {
+            const result = await this.send('config_set', formData);
+            // Show what the device applied, which is not necessarily what was typed
+            this.applyConfigUpdate(result.config);
+            this.components.configForm.discardEdits();
+            this.showFieldErrors([], result.warnings);
+            this.showToast(result.warnings?.length ? 'Configuration saved with warnings' : 'Configuration saved',
+                result.warnings?.length ? 'warning' : 'success');
+        } catch (error) {
+            console.error('Save config error:', error);
+            this.showFieldErrors(error.errors, error.warnings);
+            this.showToast(error.errors?.length
+                ? 'Configuration not saved, check the highlighted fields'
+                : `Failed to save configuration: ${error.message}`, 'error');
+        }
+    }
+    
+    // Field-level errors and warnings from the device; the previous attempt's are replaced
+    showFieldErrors(errors = [], warnings = []) {
+        this.store.set({ configFeedback: { errors, warnings } });
+    }
+    
+    async resetConfiguration() {
+        await this.previewConfigChange('/api/config/reset', undefined, 'Reset to defaults', 'Configuration reset');
+    }
+    
+    async exportConfiguration() {
+        try {
+            const response = await this.apiFetch('/api/config/export');
+            if (response.ok) {
+                downloadBlob(await response.blob(), `terranurture_config_${new Date().toISOString().split('T')[0]}.json`);
+                this.showToast('Configuration exported', 'success');
+            } else {
+                this.showToast('Failed to export configuration', 'error');
+            }
+        } catch (error) {
+            console.error('Export config error:', error);
+            this.showToast('Failed to export configuration', 'error');
+        }
+    }
+    
+    async importConfiguration(file) {
+        const body = await file.text();
+        try {
+            JSON.parse(body);
+        } catch (error) {
+            this.showToast(`${file.name} is not a JSON file`, 'error');
+            return;
+        }
+        
+        await this.previewConfigChange('/api/config/import', body, `Import ${file.name}`, 'Configuration imported');
+    }
+    
+    // Asks the device for a dry run first and repeats the request for real
+    // only after the listed changes have been confirmed
+    async previewConfigChange(url, body, title, successMessage) {
+        const options = { method: 'POST', headers: { 'Content-Type': 'application/json' }, body };
+        
+        try {
+            const preview = await this.apiFetch(`${url}?dry_run=1`, options);
+            const result = await preview.json().catch(() => ({}));
+            
+            if (!preview.ok) {
+                const details = (result.errors || []).map(error => `${this.formatConfigField(error)}: ${error.message}`);
+                this.showToast([result.error || 'Request failed', ...details].join('; '), 'error');
+                return;
+            }
+            
+            if (result.changes.length === 0) {
+                this.showToast('Nothing to change, the configuration already matches', 'info');
+                return;
+            }
+            
+            const warnings = (result.warnings || []).map(warning => `! ${this.formatConfigField(warning)}: ${warning.message}`);
+            const lines = result.changes.map(change => `- ${this.formatConfigField(change)}: ${change.from} -> ${change.to}`);
+            const shown = lines.length > 15 ? [...lines.slice(0, 15), `...and ${lines.length - 15} more`] : lines;
+            if (!confirm(`${title}: ${result.changes.length} setting(s) will change.\n\n${[...shown, ...warnings].join('\n')}\n\nApply these changes?`)) {
+                return;
+            }
+            
+            const response = await this.apiFetch(url, options);
+            if (response.ok) {
+                this.showToast(successMessage, 'success');
+                await this.fetchAllData();
+                this.components.configForm.discardEdits();
+            } else {
+                const failure = await response.json().catch(() => ({}));
+                this.showToast(failure.error || 'Failed to apply configuration', 'error');
+            }
+        } catch (error) {
+            console.error('Config change error:', error);
+            this.showToast('Network error', 'error');
+        }
+    }
+    
+    // Zone fields are reported by tag; show the zone's name instead
+    formatConfigField(item) {
+        if (!item.zone) return item.field;
+        const zone = this.state.zones.find(z => z.tag === item.zone);
+        return `${zone ? zone.name : item.zone} ${item.field}`;
+    }
+}
+
+// The settings form. It follows the device's values but never overwrites a
+// field the user has changed since it was last filled, until the edits are
+// saved, discarded or the selected zone changes.
+export class ConfigForm extends Component {
+    constructor(app) {
+        super(app);
+        this.form = document.getElementById('configForm');
+        this.inputs = this.elements(...Object.values(FIELDS));
+        // What each input was last filled with
+        this.shown = {};
+        this.zone = null;
+        
+        this.watch(state => {
+            const zone = selectedZone(state);
+            return [state.config, state.selectedZone, zone?.name, zone?.config];
+        }, ([config, index, name, zoneConfig]) => {
+            Object.entries(DEVICE_FIELDS).forEach(([key, id]) => this.setField(id, config[key]));
+            if (!zoneConfig) return;
+            
+            // Another zone's settings replace the form's, edited or not
+            const force = index !== this.zone;
+            this.zone = index;
+            this.setField(ZONE_FIELDS.name, name, force);
+            ['dry_threshold', 'expected_value', 'max_retries'].forEach(key => {
+                this.setField(ZONE_FIELDS[key], zoneConfig[key], force);
+            });
+        });
+        this.watch(state => state.configFeedback, ({ errors, warnings }) => this.renderFeedback(errors, warnings));
+    }
+    
+    setField(id, value, force = false) {
+        const input = this.inputs[id];
+        if (value === undefined) return;
+        
+        const edited = id in this.shown && input.value !== this.shown[id];
+        if (edited && !force) return;
+        
+        input.value = value;
+        this.shown[id] = input.value;
+    }
+    
+    // Fills every field from the store again, edited or not
+    discardEdits() {
+        this.shown = {};
+        this.refresh();
+    }
+    
+    renderFeedback(errors, warnings) {
+        this.form.querySelectorAll('.field-error, .field-warning').forEach(elem => elem.remove());
+        this.form.querySelectorAll('.invalid, .has-warning').forEach(elem => elem.classList.remove('invalid', 'has-warning'));
+        
+        const mark = (item, type) => {
+            const input = this.inputs[FIELDS[item.field]];
+            if (!input || !this.form.contains(input)) return;
+            
+            input.classList.add(type === 'error' ? 'invalid' : 'has-warning');
+            const note = document.createElement('div');
+            note.className = `field-${type}`;
+            note.textContent = item.message;
+            input.closest('.form-group').appendChild(note);
+        };
+        errors.forEach(item => mark(item, 'error'));
+        warnings.forEach(item => mark(item, 'warning'));
+    }
+}
@@ -0,0 +1,324 @@
+// TerraNurture - WebSocket link: push frames, commands matched to their acks,
+// liveness checks and reconnects. While it is down, commands go over HTTP.
+import { Component } from './component.js';
+import { formatQuietTime } from './format.js';
+
+export class ConnectionMethods {
+    connectWebSocket() {
+        try {
+            console.log(`Connecting to WebSocket at ${this.wsUrl}`);
+            // Browsers cannot send headers with a WebSocket handshake, so the token goes in the URL
+            this.ws = new WebSocket(`${this.wsUrl}/?token=${encodeURIComponent(this.state.session.token)}`);
+            
+            this.ws.onopen = () => {
+                console.log('WebSocket connected');
+                this.reconnectAttempts = 0;
+                this.lastMessageAt = Date.now();
+                this.store.update('connection', { status: 'connected', cachedAt: 0 });
+                
+                // The state frame on connect covers live values; the rest is fetched again
+                if (this.hasConnected) {
+                    this.resync();
+                } else {
+                    this.showToast('Connected to system', 'success');
+                }
+                this.hasConnected = true;
+                
+                // Subscriptions belong to the socket, so a wizard has to ask again
+                if (this.state.wizard) this.resumeCalibrationStream();
+            };
+            
+            this.ws.onmessage = (event) => {
+                this.lastMessageAt = Date.now();
+                this.handleWebSocketMessage(event.data);
+            };
+            
+            this.ws.onerror = (error) => {
+                console.error('WebSocket error:', error);
+                this.store.update('connection', { status: 'disconnected' });
+            };
+            
+            this.ws.onclose = () => {
+                console.log('WebSocket disconnected');
+                this.handleDisconnect();
+            };
+        
+        } catch (error) {
+            console.error('Failed to create WebSocket:', error);
+            this.handleDisconnect();
+        }
+    }
+    
+    handleDisconnect() {
+        this.ws = null;
+        this.pingPending = false;
+        this.store.update('connection', { status: 'disconnected' });
+        this.rejectPendingRequests('Connection lost');
+        if (this.state.session.token) this.attemptReconnect();
+    }
+    
+    // A half-open socket (router rebooted, tablet roamed) never fires onclose,
+    // so it is abandoned rather than closed politely
+    dropSocket() {
+        const ws = this.ws;
+        ws.onopen = ws.onmessage = ws.onerror = ws.onclose = null;
+        ws.close();
+        this.handleDisconnect();
+    }
+    
+    // Quiet for a push interval and a half: ping. Silent for three: the values on
+    // screen are stale and the socket is replaced.
+    checkLiveness() {
+        const quiet = Date.now() - this.lastMessageAt;
+        const silent = this.lastMessageAt > 0 && quiet >= this.pushInterval * 3;
+        this.setStale(silent, quiet);
+        
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+        
+        if (silent) {
+            console.warn(`No data for ${Math.round(quiet / 1000)}s, reconnecting`);
+            this.dropSocket();
+        } else if (quiet >= this.pushInterval * 1.5 && !this.pingPending) {
+            this.pingPending = true;
+            this.send('ping')
+                .catch(error => console.warn('Ping failed:', error.message))
+                .finally(() => { this.pingPending = false; });
+        }
+    }
+    
+    // Greys out the live cards so old values are not mistaken for current ones
+    setStale(stale, quiet = 0) {
+        this.store.update('connection', { stale, quiet: stale ? quiet : 0 });
+    }
+    
+    // After a reconnect: config, log entries written meanwhile, history,
+    // schedules and system info are fetched again over HTTP
+    async resync() {
+        try {
+            const response = await this.apiFetch('/api/state');
+            if (response.ok && !response.headers.get('X-Cached-At')) {
+                this.updateState(await response.json());
+            }
+            
+            await this.filterLogs();
+            await this.fetchHistory();
+            await this.fetchSchedules();
+            await this.fetchSystemInfo();
+            this.showToast('Reconnected, data resynced', 'success');
+        } catch (error) {
+            console.error('Resync error:', error);
+            this.showToast('Reconnected, but some data could not be refreshed', 'warning');
+        }
+    }
+    
+    // Skips the remaining backoff when the browser says the network is back
+    reconnectNow() {
+        if (!this.state.session.token || this.ws) return;
+        
+        clearTimeout(this.reconnectTimer);
+        this.reconnectAttempts = 0;
+        this.connectWebSocket();
+    }
+    
+    // Exponential backoff with equal jitter, so a room full of tablets does not
+    // reconnect in lockstep after a router reboot
+    attemptReconnect() {
+        clearTimeout(this.reconnectTimer);
+        const ceiling = Math.min(this.reconnectMaxDelay, this.reconnectBaseDelay * 2 ** this.reconnectAttempts);
+        const delay = ceiling / 2 + Math.random() * ceiling / 2;
+        this.reconnectAttempts++;
+        
+        console.log(`Reconnecting in ${Math.round(delay)} ms (attempt ${this.reconnectAttempts})`);
+        this.store.update('connection', { status: 'reconnecting', retryIn: Math.ceil(delay / 1000) });
+        this.reconnectTimer = setTimeout(() => this.connectWebSocket(), delay);
+    }
+    
+    handleWebSocketMessage(data) {
+        try {
+            const message = JSON.parse(data);
+            console.log('WebSocket message received:', message.type);
+            
+            switch (message.type) {
+                case 'state':
+                    // Full snapshot, sent once on connect with fields at the top level
+                    this.updateState(message.data || message);
+                    break;
+                case 'zones':
+                    this.applyZoneChanges(message.zones);
+                    break;
+                case 'log':
+                    this.addLogEntry(message.data);
+                    break;
+                case 'system':
+                    this.updateSystemInfo({ system: message.data });
+                    break;
+                case 'calibration':
+                    this.updateCalibration(message.data);
+                    break;
+                case 'calibration_sample':
+                    this.updateWizardSample(message.data);
+                    break;
+                case 'config':
+                    this.applyConfigUpdate(message.data);
+                    break;
+                case 'update':
+                    this.updateUpdateProgress(message.data);
+                    break;
+                case 'ack':
+                    this.resolveRequest(message.id, message.data);
+                    break;
+                case 'error':
+                    if (message.code === 401) {
+                        this.endSession('Session expired, please log in again');
+                        break;
+                    }
+                    // Errors answering a command go to its caller; others are shown directly
+                    if (this.pendingRequests.has(message.id)) {
+                        this.rejectRequest(message.id, message.message, message);
+                    } else {
+                        this.showToast(message.message, 'error');
+                    }
+                    break;
+                default:
+                    console.warn('Unknown message type:', message.type);
+            }
+        } catch (error) {
+            console.error('Error parsing WebSocket message:', error);
+        }
+    }
+    
+    // Sends a command over the WebSocket and resolves with the ack's data. While the
+    // socket is down the equivalent HTTP endpoint is used instead.
+    send(command, params = {}) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            return this.sendHttp(command, params);
+        }
+        
+        const id = ++this.requestId;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.rejectRequest(id, 'Request timed out');
+            }, this.requestTimeout);
+            
+            this.pendingRequests.set(id, { resolve, reject, timer });
+            this.ws.send(JSON.stringify({ id, command, params }));
+        });
+    }
+    
+    async sendHttp(command, params) {
+        const post = (url, body) => this.apiFetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        
+        let response;
+        switch (command) {
+            case 'pump_start':
+                response = await post(params.duration ? '/api/pump/test' : '/api/pump/manual', params);
+                break;
+            case 'pump_stop':
+                response = await post('/api/pump/stop', params);
+                break;
+            case 'pump_ack':
+                response = await post('/api/pump/ack', params);
+                break;
+            case 'calibrate':
+                response = await post('/api/calibrate', params);
+                break;
+            case 'calibration_set':
+                response = await post('/api/calibration', params);
+                break;
+            case 'calibration_capture':
+                response = await post('/api/calibration/capture', params);
+                break;
+            case 'config_set':
+                response = await post('/api/config', params);
+                break;
+            case 'logs_query':
+                response = await this.apiFetch(`/api/logs?${new URLSearchParams(params)}`);
+                break;
+            default:
+                throw new Error(`Unknown command: ${command}`);
+        }
+        
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw this.createCommandError(result.error || `HTTP ${response.status}`, result);
+        }
+        return result;
+    }
+    
+    // Validation failures carry per-field "errors" and "warnings" ({zone, field, message})
+    createCommandError(message, details = {}) {
+        const error = new Error(message);
+        error.errors = details.errors || [];
+        error.warnings = details.warnings || [];
+        return error;
+    }
+    
+    resolveRequest(id, data) {
+        const request = this.pendingRequests.get(id);
+        if (!request) return;
+        
+        clearTimeout(request.timer);
+        this.pendingRequests.delete(id);
+        request.resolve(data);
+    }
+    
+    rejectRequest(id, message, details) {
+        const request = this.pendingRequests.get(id);
+        if (!request) return;
+        
+        clearTimeout(request.timer);
+        this.pendingRequests.delete(id);
+        request.reject(this.createCommandError(message, details));
+    }
+    
+    // Commands are not retried over HTTP: the device may already have acted on them
+    rejectPendingRequests(message) {
+        for (const id of [...this.pendingRequests.keys()]) {
+            this.rejectRequest(id, message);
+        }
+    }
+}
+
+// The sidebar's link status, the stale banner and when data last arrived
+export class ConnectionStatus extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('wifiStatus', 'connectionText', 'staleBanner', 'staleText', 'lastUpdate');
+        
+        this.watch(state => state.connection, connection => this.renderStatus(connection));
+        this.watch(state => [state.lastUpdate, state.connection.cachedAt], ([lastUpdate, cachedAt]) => {
+            // A snapshot the service worker kept is labelled with when it was taken
+            if (cachedAt) {
+                this.el.lastUpdate.textContent = `Last known state from ${new Date(cachedAt).toLocaleString()}`;
+            } else if (lastUpdate) {
+                this.el.lastUpdate.textContent = `Last update: ${new Date(lastUpdate).toLocaleTimeString()}`;
+            }
+        });
+    }
+    
+    renderStatus({ status, retryIn, stale, quiet }) {
+        const texts = {
+            connecting: 'Connecting...',
+            connected: 'Connected',
+            disconnected: 'Disconnected',
+            reconnecting: `Reconnecting in ${retryIn}s...`,
+            offline: 'Offline'
+        };
+        
+        this.el.wifiStatus.className = status === 'connecting'
+            ? 'status-indicator'
+            : `status-indicator ${status === 'connected' ? 'connected' : 'disconnected'}`;
+        this.el.connectionText.textContent = texts[status];
+        
+        document.body.classList.toggle('data-stale', stale);
+        this.el.staleBanner.hidden = !stale;
+        if (stale) {
+            this.el.staleText.textContent =
+                `No data from the device for ${formatQuietTime(quiet)}; values shown may be out of date`;
+        }
+    }
+}
@@ -0,0 +1,92 @@
+// TerraNurture - Formatting helpers shared by the panels. They only turn
+// device values into text, so they need neither the app nor the DOM.
+
+export function escapeHtml(text) {
+    // Log details are free text from the device
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Milliseconds as HH:MM:SS, hours not wrapping at a day
+export function formatClock(ms) {
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    return `${hours.toString().padStart(2, '0')}:` +
+        `${minutes.toString().padStart(2, '0')}:` +
+        `${seconds.toString().padStart(2, '0')}`;
+}
+
+export function formatQuietTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
+
+// The device reports why a reading is invalid; older firmware only says "valid"
+export function formatSensorHealth(health) {
+    const labels = {
+        DISCONNECTED: 'DISCONNECTED',
+        OUT_OF_RANGE: 'OUT OF RANGE',
+        STUCK: 'STUCK',
+        RATE_OF_CHANGE: 'ERRATIC'
+    };
+    return labels[health] || 'ERROR';
+}
+
+export function describeSensorFault(health) {
+    const help = {
+        DISCONNECTED: 'The sensor input is at a rail or floating; check the wiring',
+        OUT_OF_RANGE: 'The reading is outside what a connected sensor produces',
+        STUCK: 'The reading has not changed for an hour',
+        RATE_OF_CHANGE: 'Moisture changed faster than soil can; check the sensor is still in the soil'
+    };
+    return help[health] || 'Sensor reading is invalid';
+}
+
+export function getLogEventClass(event) {
+    if (event.includes('ERROR')) return 'log-error';
+    if (event.includes('WARNING')) return 'log-warning';
+    if (event.includes('PUMP')) return 'log-pump';
+    if (event.includes('SENSOR')) return 'log-sensor';
+    return 'log-info';
+}
+
+export function formatCapture(capture) {
+    return `ADC ${capture.adc} ± ${capture.stddev} (${capture.min}–${capture.max}, ${capture.samples} readings)`;
+}
+
+export function formatScheduleDays(days) {
+    // Bit 0 is Sunday, matching tm_wday on the device
+    if (days === 0x7F) return 'Every day';
+    if (days === 0x3E) return 'Weekdays';
+    if (days === 0x41) return 'Weekends';
+    
+    const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    return names.filter((_, i) => days & (1 << i)).join(', ');
+}
+
+export function formatTimestamp(timestamp, record = {}) {
+    if (timestamp > 0) {
+        const date = new Date(timestamp);
+        const time = date.toLocaleTimeString([], {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+        
+        if (date.toDateString() === new Date().toDateString()) {
+            return time;
+        }
+        return `${date.toLocaleDateString()} ${time}`;
+    }
+    
+    // Recorded before the device clock was synced: show boot-relative time
+    const elapsed = `+${formatClock(record.uptime || 0)}`;
+    return record.boot_id ? `Boot #${record.boot_id} ${elapsed}` : elapsed;
+}
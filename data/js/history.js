@@ -0,0 +1,92 @@
+// TerraNurture - Moisture history: the device's buckets, topped up with live readings
+import { selectedZone } from './zones.js';
+
+export const HISTORY_RANGES = { '1h': 3600000, '24h': 86400000, '7d': 604800000 };
+
+export class HistoryMethods {
+    async fetchHistory() {
+        try {
+            const response = await this.apiFetch(`/api/history?range=${this.state.history.range}&zone=${this.state.selectedZone}`);
+            if (response.ok) {
+                const history = await response.json();
+                this.updateHistory(history);
+            }
+        } catch (error) {
+            console.error('Failed to fetch history:', error);
+        }
+    }
+    
+    updateHistory(history) {
+        // Device timestamps are shifted onto the browser clock using the response's "now"
+        const offset = Date.now() - history.now;
+        
+        this.store.update('history', {
+            bucketMs: history.bucket_ms,
+            points: history.points.map(point => ({
+                x: point.t + offset,
+                y: point.moisture
+            })),
+            pumpSpans: history.pump.map(span => ({
+                start: span.start + offset,
+                end: span.end !== undefined ? span.end + offset : null
+            }))
+        });
+    }
+    
+    // Readings and pump starts and stops of the selected zone are added as they
+    // arrive. Switching zones is neither; the new zone's history is fetched.
+    watchLiveHistory() {
+        this.store.subscribe(state => {
+            const zone = selectedZone(state);
+            return [state.selectedZone, zone?.sensor, Boolean(zone?.pump.active)];
+        }, ([index, sensor, active], [previousIndex, , wasActive]) => {
+            if (index !== previousIndex) return;
+            
+            if (active !== wasActive) this.recordPumpTransition(active);
+            this.recordHistorySample(sensor);
+        });
+    }
+    
+    recordHistorySample(sensor) {
+        if (!sensor?.valid) return;
+        
+        const now = Date.now();
+        const { points, pumpSpans, bucketMs, range } = this.state.history;
+        const last = points[points.length - 1];
+        
+        // Keep live samples at the same resolution as the device history
+        if (last && now - last.x < bucketMs) return;
+        
+        const cutoff = now - HISTORY_RANGES[range];
+        this.store.update('history', {
+            points: [...points.filter(point => point.x >= cutoff), { x: now, y: sensor.moisture }],
+            pumpSpans: pumpSpans.filter(span => span.end === null || span.end >= cutoff)
+        });
+    }
+    
+    recordPumpTransition(active) {
+        const now = Date.now();
+        const spans = this.state.history.pumpSpans;
+        
+        this.store.update('history', {
+            pumpSpans: active
+                ? [...spans, { start: now, end: null }]
+                : spans.map(span => span.end === null ? { ...span, end: now } : span)
+        });
+    }
+    
+    setHistoryRange(range) {
+        if (!HISTORY_RANGES[range]) return;
+        
+        this.store.update('history', { range, zoom: null });
+        this.fetchHistory();
+    }
+    
+    zoomHistory(min, max) {
+        this.store.update('history', { zoom: { min, max } });
+    }
+    
+    resetHistoryZoom() {
+        this.store.update('history', { zoom: null });
+    }
+}
@@ -0,0 +1,36 @@
+// TerraNurture - Markup templates. Every interpolated value is escaped, so text
+// from the device (zone names, log details, SSIDs) can never become markup.
+import { escapeHtml } from './format.js';
+
+class Markup {
+    constructor(text) {
+        this.text = text;
+    }
+}
+
+function interpolate(value) {
+    if (value instanceof Markup) return value.text;
+    if (Array.isArray(value)) return value.map(interpolate).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+// Tag for template literals: html`<td>${name}</td>`. Nested templates and
+// arrays of them are inserted as they are; null, undefined and false as nothing.
+export function html(strings, ...values) {
+    return new Markup(strings.reduce((text, string, i) => text + interpolate(values[i - 1]) + string));
+}
+
+// Parses a template into nodes. A <template> element also accepts table rows.
+export function fragment(markup) {
+    if (!(markup instanceof Markup)) throw new TypeError('Expected an html template');
+    
+    const template = document.createElement('template');
+    template.innerHTML = markup.text;
+    return template.content;
+}
+
+// Replaces the container's content with the template's
+export function render(container, markup) {
+    container.replaceChildren(fragment(markup));
+}
@@ -0,0 +1,184 @@
+// TerraNurture - Logs panel. Filters run on the device and pages are fetched by cursor.
+import { Component } from './component.js';
+import { formatTimestamp, getLogEventClass } from './format.js';
+import { html, render } from './html.js';
+import { downloadBlob } from './ui.js';
+
+export class LogMethods {
+    async fetchLogs(page = 1) {
+        const filter = document.getElementById('logFilter').value;
+        const search = document.getElementById('logSearch').value.trim();
+        
+        const zone = document.getElementById('logZone').value;
+        
+        const params = { limit: this.logsPerPage };
+        if (filter !== 'all') params.event = filter;
+        if (zone !== 'all') params.zone = zone;
+        if (search) params.q = search;
+        
+        // datetime-local values are in the browser's timezone; the device filters in epoch ms
+        const from = document.getElementById('logFrom').value;
+        const to = document.getElementById('logTo').value;
+        if (from) params.from = new Date(from).getTime();
+        if (to) params.to = new Date(to).getTime();
+        
+        const cursors = this.state.logs.cursors;
+        const cursor = cursors[page - 1];
+        if (cursor !== null && cursor !== undefined) params.cursor = cursor;
+        
+        try {
+            const result = await this.send('logs_query', params);
+            this.store.update('logs', {
+                page,
+                cursors: [...this.state.logs.cursors.slice(0, page), result.next_cursor],
+                rows: result.logs
+            });
+        } catch (error) {
+            console.error('Failed to fetch logs:', error);
+        }
+    }
+    
+    addLogEntry(entry) {
+        // Live entries only belong on the first page of a matching view
+        const { page, rows } = this.state.logs;
+        if (page === 1 && this.matchesLogFilter(entry)) {
+            this.store.update('logs', { rows: [entry, ...rows].slice(0, this.logsPerPage) });
+        }
+    }
+    
+    matchesLogFilter(log) {
+        // Mirrors the server-side filtering in handleGetLogs()
+        const filter = document.getElementById('logFilter').value;
+        const search = document.getElementById('logSearch').value.trim().toLowerCase();
+        
+        if (filter === 'sensor' && !log.event.includes('SENSOR')) return false;
+        if (filter === 'pump' && !log.event.includes('PUMP') && !log.event.includes('WATERING') &&
+            !log.event.includes('SCHEDULE')) return false;
+        if (filter === 'system' && !log.event.includes('SYSTEM') && !log.event.includes('WIFI') &&
+            !log.event.includes('AUTH') && !log.event.includes('OTA') && !log.event.includes('CONFIG')) return false;
+        
+        const zone = document.getElementById('logZone').value;
+        if (zone !== 'all') {
+            // Untagged rows predate zones and belong to the first one
+            const tag = this.state.zones[parseInt(zone)]?.tag;
+            if (log.zone ? log.zone !== tag : zone !== '0') return false;
+        }
+        
+        if (search) {
+            const searchable = `${log.event} ${log.details || ''}`.toLowerCase();
+            if (!searchable.includes(search)) return false;
+        }
+        
+        return true;
+    }
+    
+    filterLogs() {
+        // Filters run on the device, so any change restarts paging from the newest entry
+        this.store.update('logs', { cursors: [null] });
+        return this.fetchLogs(1);
+    }
+    
+    prevLogPage() {
+        const { page } = this.state.logs;
+        if (page > 1) {
+            this.fetchLogs(page - 1);
+        }
+    }
+    
+    nextLogPage() {
+        const { page, cursors } = this.state.logs;
+        const cursor = cursors[page];
+        if (cursor !== null && cursor !== undefined) {
+            this.fetchLogs(page + 1);
+        }
+    }
+    
+    async clearLogs() {
+        if (!confirm('Clear all logs? This cannot be undone.')) return;
+        
+        try {
+            const response = await this.apiFetch('/api/logs/clear', {
+                method: 'POST'
+            });
+            
+            if (response.ok) {
+                this.showToast('Logs cleared', 'success');
+                this.store.update('logs', { rows: [] });
+                this.filterLogs();
+            } else {
+                this.showToast('Failed to clear logs', 'error');
+            }
+        } catch (error) {
+            console.error('Clear logs error:', error);
+            this.showToast('Network error', 'error');
+        }
+    }
+    
+    async downloadLogs() {
+        const segment = document.getElementById('logSegment').value;
+        
+        try {
+            const response = await this.apiFetch(`/api/logs/download?segment=${segment}`);
+            if (response.ok) {
+                const suffix = segment === 'all' ? '' : `_segment${segment}`;
+                downloadBlob(await response.blob(), `terra_logs_${new Date().toISOString().split('T')[0]}${suffix}.csv`);
+                this.showToast('Logs downloaded', 'success');
+            } else {
+                this.showToast('No logs available', 'warning');
+            }
+        } catch (error) {
+            console.error('Download logs error:', error);
+            this.showToast('Failed to download logs', 'error');
+        }
+    }
+}
+
+// The log table with its pagination, and the archived segments that can be downloaded
+export class LogsPanel extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('logsTableBody', 'currentPage', 'prevPageBtn', 'nextPageBtn', 'logSegment');
+        
+        this.watch(state => state.logs, logs => this.renderLogs(logs));
+        this.watch(state => state.system.log_segments, segments => this.renderSegments(segments));
+    }
+    
+    renderLogs({ rows, page, cursors }) {
+        // Update pagination controls
+        const hasNextPage = cursors[page] !== null && cursors[page] !== undefined;
+        this.el.currentPage.textContent = page;
+        this.el.prevPageBtn.disabled = page <= 1;
+        this.el.nextPageBtn.disabled = !hasNextPage;
+        
+        if (rows.length === 0) {
+            render(this.el.logsTableBody, html`<tr><td colspan="5" class="no-logs">No logs found</td></tr>`);
+            return;
+        }
+        
+        render(this.el.logsTableBody, html`${rows.map(log => html`
+            <tr>
+                <td>${formatTimestamp(log.timestamp, log)}</td>
+                <td>${log.zone ? html`<span class="log-zone">${log.zone}</span>` : ''}<span class="log-event ${getLogEventClass(log.event)}">${log.event}</span></td>
+                <td>${log.raw_adc || '--'}</td>
+                <td>${log.percentage ? log.percentage.toFixed(1) + '%' : '--'}</td>
+                <td>${log.details || '--'}</td>
+            </tr>
+        `)}`);
+    }
+    
+    // Keeps the download selector in step with the archived segments
+    renderSegments(segments) {
+        const select = this.el.logSegment;
+        if (select.options.length - 2 === segments) return;
+        
+        const selected = select.value;
+        while (select.options.length > 2) {
+            select.remove(2);
+        }
+        for (let i = 1; i <= segments; i++) {
+            select.add(new Option(`Archived segment ${i}`, String(i)));
+        }
+        select.value = selected;
+        if (select.selectedIndex === -1) select.value = 'all';
+    }
+}
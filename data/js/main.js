@@ -0,0 +1,16 @@
+// TerraNurture - Page entry point, loaded by index.html as a module
+import { TerraNurtureApp } from './app.js';
+
+// Initialize app when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.app = new TerraNurtureApp();
+    window.app.init();
+    console.log('TerraNurture App initialized');
+});
+
+// Global function for toast close buttons
+document.addEventListener('click', (e) => {
+    if (e.target.closest('.toast-close')) {
+        e.target.closest('.toast').remove();
+    }
+});
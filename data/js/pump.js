@@ -0,0 +1,106 @@
+// TerraNurture - Pump card and the manual, test, stop and lockout controls
+import { Component } from './component.js';
+import { getRecordAge, selectedZone } from './zones.js';
+
+export class PumpMethods {
+    async manualPump(zone = this.state.selectedZone) {
+        try {
+            await this.send('pump_start', { zone });
+            this.showToast('Manual pump activated', 'success');
+        } catch (error) {
+            console.error('Manual pump error:', error);
+            this.showToast(`Failed to activate pump: ${error.message}`, 'error');
+        }
+    }
+    
+    async emergencyStop() {
+        try {
+            await this.send('pump_stop');
+            this.showToast('Emergency stop activated', 'warning');
+        } catch (error) {
+            console.error('Emergency stop error:', error);
+            this.showToast(`Failed to stop pump: ${error.message}`, 'error');
+        }
+    }
+    
+    async acknowledgeLockout(zone = this.state.selectedZone) {
+        try {
+            await this.send('pump_ack', { zone });
+            this.showToast('Lockout acknowledged, pump limits reset for today', 'success');
+        } catch (error) {
+            console.error('Lockout acknowledge error:', error);
+            this.showToast(`Failed to acknowledge lockout: ${error.message}`, 'error');
+        }
+    }
+    
+    async testPump(duration) {
+        try {
+            await this.send('pump_start', { duration, zone: this.state.selectedZone });
+            this.showToast(`Test pump activated for ${duration}ms`, 'info');
+        } catch (error) {
+            console.error('Test pump error:', error);
+            this.showToast(`Failed to test pump: ${error.message}`, 'error');
+        }
+    }
+}
+
+// The selected zone's pump, its usage against the daily limits and any lockout
+export class PumpCard extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('pumpStatusText', 'retryCount', 'lastChange', 'pumpRunsToday', 'pumpRuntimeToday',
+            'pumpLockout', 'pumpLockoutReason', 'manualPumpBtn', 'pumpStatusBadge', 'pumpIcon', 'emergencyStopBtn');
+        
+        this.watch(state => [
+            selectedZone(state)?.pump,
+            state.config.pump_max_runs_day,
+            state.config.pump_max_runtime_day_min,
+            state.clock,
+            state.system.uptime
+        ], ([pump, maxRuns, maxMinutes]) => {
+            if (pump) this.renderPump(pump, maxRuns, maxMinutes);
+        });
+        
+        // Emergency stop covers every zone, so any running zone enables it; a
+        // soaking auto cycle can still be cancelled
+        this.watch(state => state.zones.some(zone => zone.pump.active || zone.pump.status === 'SOAKING'), running => {
+            this.el.emergencyStopBtn.disabled = !running;
+        });
+    }
+    
+    renderPump(pump, maxRuns, maxMinutes) {
+        const { el } = this;
+        el.pumpStatusText.textContent = pump.status;
+        el.retryCount.textContent = pump.retry_count;
+        el.lastChange.textContent = this.formatLastChange(pump);
+        
+        // Usage against the daily interlock limits
+        el.pumpRunsToday.textContent = `${pump.runs_today ?? 0} / ${maxRuns}`;
+        el.pumpRuntimeToday.textContent = `${((pump.runtime_today_s ?? 0) / 60).toFixed(1)} / ${maxMinutes} min`;
+        
+        el.pumpLockout.hidden = !pump.locked_out;
+        el.pumpLockoutReason.textContent = pump.lockout_reason || '';
+        el.manualPumpBtn.disabled = !!pump.locked_out;
+        
+        const badgeClasses = {
+            SOAKING: 'info',
+            RETRY_EXHAUSTED: 'warning',
+            STOPPED: 'warning',
+            DEFERRED: 'info',
+            LOCKED_OUT: 'danger'
+        };
+        el.pumpStatusBadge.textContent = pump.status;
+        el.pumpStatusBadge.className = `status-badge ${pump.active ? 'danger' : badgeClasses[pump.status] || 'success'}`;
+        el.pumpIcon.classList.toggle('active', pump.active);
+    }
+    
+    formatLastChange(pump) {
+        if (!pump.last_change && !pump.last_change_uptime) return '--';
+        
+        const diffMs = Math.max(0, getRecordAge(this.store.state, pump.last_change, pump.last_change_uptime));
+        if (diffMs < 60000) return `${Math.floor(diffMs / 1000)}s ago`;
+        if (diffMs < 3600000) return `${Math.floor(diffMs / 60000)}m ago`;
+        if (pump.last_change > 0) return new Date(pump.last_change).toLocaleTimeString();
+        return `${Math.floor(diffMs / 3600000)}h ago`;
+    }
+}
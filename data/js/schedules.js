@@ -0,0 +1,232 @@
+// TerraNurture - Watering schedules: daily runs, windows and blackouts
+import { Component } from './component.js';
+import { formatScheduleDays } from './format.js';
+import { html, render } from './html.js';
+
+export class ScheduleMethods {
+    async fetchSchedules() {
+        try {
+            const response = await this.apiFetch('/api/schedules');
+            if (response.ok) {
+                const result = await response.json();
+                this.store.update('schedules', {
+                    list: result.schedules,
+                    timeSynced: result.time_synced,
+                    time: result.time
+                });
+            }
+        } catch (error) {
+            console.error('Failed to fetch schedules:', error);
+        }
+    }
+    
+    resetScheduleForm() {
+        this.store.update('schedules', { editing: null });
+        // Cleared even when nothing was being edited
+        this.components.scheduleForm.refresh();
+    }
+    
+    editSchedule(id) {
+        if (!this.state.schedules.list.some(item => item.id === id)) return;
+        this.store.update('schedules', { editing: id });
+    }
+    
+    async saveSchedule() {
+        const type = document.getElementById('scheduleType').value;
+        let days = 0;
+        document.querySelectorAll('#scheduleDays input:checked').forEach(input => {
+            days |= 1 << parseInt(input.value);
+        });
+        
+        if (days === 0) {
+            this.showToast('Select at least one day', 'warning');
+            return;
+        }
+        
+        const schedule = {
+            type,
+            name: document.getElementById('scheduleName').value.trim(),
+            start: document.getElementById('scheduleStart').value,
+            days,
+            enabled: document.getElementById('scheduleEnabled').checked
+        };
+        if (type === 'run') {
+            schedule.duration = parseInt(document.getElementById('scheduleDuration').value);
+            schedule.zone = parseInt(document.getElementById('scheduleZone').value) || 0;
+        } else {
+            schedule.end = document.getElementById('scheduleEnd').value;
+        }
+        
+        const id = this.state.schedules.editing;
+        const editing = id !== null;
+        const url = editing ? `/api/schedules?id=${id}` : '/api/schedules';
+        
+        try {
+            const response = await this.apiFetch(url, {
+                method: editing ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(schedule)
+            });
+            
+            if (response.ok) {
+                this.showToast(editing ? 'Schedule updated' : 'Schedule created', 'success');
+                this.resetScheduleForm();
+                await this.fetchSchedules();
+            } else {
+                const result = await response.json().catch(() => ({}));
+                this.showToast(result.error || 'Failed to save schedule', 'error');
+            }
+        } catch (error) {
+            console.error('Save schedule error:', error);
+            this.showToast('Network error', 'error');
+        }
+    }
+    
+    async toggleSchedule(id) {
+        const schedule = this.state.schedules.list.find(item => item.id === id);
+        if (!schedule) return;
+        
+        try {
+            const response = await this.apiFetch(`/api/schedules?id=${id}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ enabled: !schedule.enabled })
+            });
+            
+            if (response.ok) {
+                await this.fetchSchedules();
+            } else {
+                this.showToast('Failed to update schedule', 'error');
+            }
+        } catch (error) {
+            console.error('Toggle schedule error:', error);
+            this.showToast('Network error', 'error');
+        }
+    }
+    
+    async deleteSchedule(id) {
+        if (!confirm('Delete this schedule?')) return;
+        
+        try {
+            const response = await this.apiFetch(`/api/schedules?id=${id}`, {
+                method: 'DELETE'
+            });
+            
+            if (response.ok) {
+                this.showToast('Schedule deleted', 'success');
+                if (this.state.schedules.editing === id) this.resetScheduleForm();
+                await this.fetchSchedules();
+            } else {
+                this.showToast('Failed to delete schedule', 'error');
+            }
+        } catch (error) {
+            console.error('Delete schedule error:', error);
+            this.showToast('Network error', 'error');
+        }
+    }
+}
+
+// The schedule table and the device clock the schedules run on
+export class ScheduleList extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('scheduleClockBadge', 'schedulesTableBody');
+        
+        this.watch(state => [state.schedules.timeSynced, state.schedules.time], ([timeSynced, time]) => {
+            const badge = this.el.scheduleClockBadge;
+            if (timeSynced) {
+                badge.textContent = `Clock ${new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+                badge.className = 'card-badge success';
+            } else {
+                // The device ignores schedules until it knows the local time
+                badge.textContent = 'Clock not synced';
+                badge.className = 'card-badge warning';
+            }
+        });
+        this.watch(state => [state.schedules.list, state.zones.map(zone => zone.name)], ([list, zoneNames]) => {
+            this.renderSchedules(list, zoneNames);
+        });
+    }
+    
+    renderSchedules(list, zoneNames) {
+        if (list.length === 0) {
+            render(this.el.schedulesTableBody, html`<tr><td colspan="6" class="no-logs">No schedules</td></tr>`);
+            return;
+        }
+        
+        const typeNames = { run: 'Daily run', window: 'Window', blackout: 'Blackout' };
+        const zoneName = zone => zoneNames.length < 2 ? '' : ` (${zoneNames[zone] || `Zone ${zone + 1}`})`;
+        
+        render(this.el.schedulesTableBody, html`${list.map(schedule => html`
+            <tr>
+                <td>${schedule.name || '--'}</td>
+                <td>${typeNames[schedule.type] || schedule.type}</td>
+                <td>${schedule.type === 'run' ? `${schedule.start} for ${schedule.duration}s${zoneName(schedule.zone)}` : `${schedule.start} - ${schedule.end}`}</td>
+                <td>${formatScheduleDays(schedule.days)}</td>
+                <td>${schedule.enabled ? 'Yes' : 'No'}</td>
+                <td class="schedule-actions" data-requires="operator">
+                    <button class="btn btn-secondary" data-action="toggle" data-id="${schedule.id}" title="${schedule.enabled ? 'Disable' : 'Enable'}">
+                        <i class="fas ${schedule.enabled ? 'fa-pause' : 'fa-play'}"></i>
+                    </button>
+                    <button class="btn btn-secondary" data-action="edit" data-id="${schedule.id}" title="Edit">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-danger" data-action="delete" data-id="${schedule.id}" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `)}`);
+    }
+}
+
+// The new/edit form, filled from the schedule being edited
+export class ScheduleForm extends Component {
+    constructor(app) {
+        super(app);
+        this.form = document.getElementById('scheduleForm');
+        this.el = this.elements('scheduleFormTitle', 'scheduleType', 'scheduleTypeHelp', 'scheduleName',
+            'scheduleStart', 'scheduleEnd', 'scheduleDuration', 'scheduleZone', 'scheduleEnabled');
+        
+        this.el.scheduleType.addEventListener('change', () => this.renderTypeFields());
+        this.watch(state => state.schedules.editing, id => {
+            this.renderSchedule(this.store.state.schedules.list.find(item => item.id === id));
+        });
+    }
+    
+    renderSchedule(schedule) {
+        const { el } = this;
+        if (!schedule) {
+            this.form.reset();
+            el.scheduleFormTitle.textContent = 'New Schedule';
+            this.renderTypeFields();
+            return;
+        }
+        
+        el.scheduleFormTitle.textContent = 'Edit Schedule';
+        el.scheduleType.value = schedule.type;
+        el.scheduleName.value = schedule.name;
+        el.scheduleStart.value = schedule.start;
+        el.scheduleEnd.value = schedule.end || '';
+        el.scheduleDuration.value = schedule.duration || 30;
+        el.scheduleZone.value = String(schedule.zone || 0);
+        el.scheduleEnabled.checked = schedule.enabled;
+        this.form.querySelectorAll('#scheduleDays input').forEach(input => {
+            input.checked = (schedule.days & (1 << parseInt(input.value))) !== 0;
+        });
+        this.renderTypeFields();
+    }
+    
+    renderTypeFields() {
+        const type = this.el.scheduleType.value;
+        const help = {
+            run: 'Waters for a fixed time at the start time',
+            window: 'Threshold watering is only allowed inside windows',
+            blackout: 'No automatic or scheduled watering in this range'
+        };
+        
+        this.form.querySelector('.schedule-run-field').style.display = type === 'run' ? '' : 'none';
+        this.form.querySelector('.schedule-range-field').style.display = type === 'run' ? 'none' : '';
+        this.el.scheduleTypeHelp.textContent = help[type];
+    }
+}
@@ -0,0 +1,182 @@
+// TerraNurture - Login, the session token and role-based controls
+import { Component } from './component.js';
+
+export class SessionMethods {
+    authHeaders(headers = {}) {
+        const { token } = this.state.session;
+        return token ? { ...headers, Authorization: `Bearer ${token}` } : headers;
+    }
+    
+    // fetch() with the session token; a 401 means the session has ended on the device
+    async apiFetch(url, options = {}) {
+        const response = await fetch(url, { ...options, headers: this.authHeaders(options.headers) });
+        if (response.status === 401 && this.state.session.token) {
+            this.endSession('Session expired, please log in again');
+        }
+        return response;
+    }
+    
+    async restoreSession() {
+        if (!this.state.session.token) return false;
+        
+        try {
+            const response = await fetch('/api/auth/session', { headers: this.authHeaders() });
+            if (!response.ok) {
+                this.endSession();
+                return false;
+            }
+            this.applySession(await response.json());
+            return true;
+        } catch (error) {
+            console.error('Session check error:', error);
+            return false;
+        }
+    }
+    
+    applySession(session) {
+        this.store.update('session', { username: session.username, role: session.role });
+        
+        if (session.default_password) {
+            this.showToast('This account still uses the default password, change it under System Info', 'warning');
+        }
+    }
+    
+    async login() {
+        const username = document.getElementById('loginUsername').value.trim();
+        const password = document.getElementById('loginPassword').value;
+        this.store.update('login', { error: '' });
+        
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+            const result = await response.json().catch(() => ({}));
+            
+            if (!response.ok) {
+                this.store.update('login', { error: result.error || 'Login failed' });
+                return;
+            }
+            
+            this.store.update('session', { token: result.token });
+            localStorage.setItem('terranurture_token', result.token);
+            this.applySession(result);
+            this.hideLogin();
+            this.start();
+        } catch (error) {
+            console.error('Login error:', error);
+            this.store.update('login', { error: 'Network error' });
+        }
+    }
+    
+    async logout() {
+        try {
+            await this.apiFetch('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Logout error:', error);
+        }
+        this.endSession();
+    }
+    
+    // Forgets the session, closes the socket and returns to the login screen
+    endSession(message) {
+        this.store.set({ session: { token: null, username: null, role: null } });
+        localStorage.removeItem('terranurture_token');
+        this.rejectPendingRequests('Logged out');
+        
+        // The service worker's copy of the state belongs to this session
+        if ('caches' in window) caches.delete('terranurture-state');
+        
+        if (this.ws) {
+            this.ws.onclose = null;
+            this.ws.close();
+            this.ws = null;
+        }
+        clearTimeout(this.reconnectTimer);
+        clearInterval(this.livenessTimer);
+        this.hasConnected = false;
+        this.lastMessageAt = 0;
+        this.setStale(false);
+        this.store.update('connection', { status: 'disconnected' });
+        
+        this.showLogin();
+        if (message) this.showToast(message, 'warning');
+    }
+    
+    showLogin() {
+        this.store.update('login', { shown: true });
+    }
+    
+    hideLogin() {
+        this.store.update('login', { shown: false, error: '' });
+    }
+    
+    async changePassword() {
+        const username = document.getElementById('passwordUsername').value.trim() || this.state.session.username;
+        const newPassword = document.getElementById('newPassword').value;
+        
+        if (newPassword !== document.getElementById('confirmPassword').value) {
+            this.showToast('New passwords do not match', 'error');
+            return;
+        }
+        
+        try {
+            const response = await this.apiFetch('/api/auth/password', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username,
+                    current_password: document.getElementById('currentPassword').value,
+                    new_password: newPassword
+                })
+            });
+            const result = await response.json().catch(() => ({}));
+            
+            if (response.ok) {
+                this.showToast(`Password changed for ${result.username}`, 'success');
+                document.getElementById('passwordForm').reset();
+                this.components.account.refresh();
+            } else {
+                this.showToast(result.error || 'Failed to change password', 'error');
+            }
+        } catch (error) {
+            console.error('Change password error:', error);
+            this.showToast('Network error', 'error');
+        }
+    }
+}
+
+// The login screen over the whole page
+export class LoginScreen extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('loginScreen', 'loginUsername', 'loginPassword', 'loginError');
+        
+        this.watch(state => state.login, ({ shown, error }) => {
+            if (shown && this.el.loginScreen.hidden) {
+                this.el.loginScreen.hidden = false;
+                this.el.loginUsername.focus();
+            } else if (!shown) {
+                this.el.loginScreen.hidden = true;
+                this.el.loginPassword.value = '';
+            }
+            this.el.loginError.textContent = error;
+        });
+    }
+}
+
+// Who is logged in: the sidebar, the password form and which controls are shown
+export class AccountInfo extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('sessionUser', 'passwordUsername');
+        
+        this.watch(state => state.session, ({ username, role }) => {
+            // Before the session is known, viewer is the safe default
+            document.body.classList.toggle('role-viewer', role !== 'operator');
+            this.el.sessionUser.textContent = username ? `${username} (${role})` : '--';
+            this.el.passwordUsername.value = username || '';
+        });
+    }
+}
@@ -0,0 +1,122 @@
+// TerraNurture - Loading device state and merging snapshots and pushed changes into it
+export class StateMethods {
+    async loadInitialData() {
+        try {
+            // Fetch initial state via HTTP (fallback)
+            const response = await this.apiFetch('/api/state');
+            if (response.ok) {
+                const data = await response.json();
+                this.updateState(data);
+                
+                // The service worker answered from its cache: nothing else will load
+                const cachedAt = response.headers.get('X-Cached-At');
+                if (cachedAt) {
+                    this.showCachedState(Number(cachedAt));
+                    return;
+                }
+            }
+            
+            // Fetch logs
+            await this.fetchLogs();
+            
+            // Fetch moisture history
+            await this.fetchHistory();
+            
+            // Fetch watering schedules
+            await this.fetchSchedules();
+            
+            // Fetch system info
+            await this.fetchSystemInfo();
+        
+        } catch (error) {
+            console.error('Failed to load initial data:', error);
+            this.showToast('Failed to load initial data', 'error');
+        }
+    }
+    
+    showCachedState(cachedAt) {
+        // Counts as the last word from the device, so the cards are shown as stale
+        this.lastMessageAt = cachedAt;
+        this.checkLiveness();
+        this.store.update('connection', { status: 'offline', cachedAt });
+        
+        const time = new Date(cachedAt).toLocaleString();
+        this.showToast(`Device unreachable, showing the last known state from ${time}`, 'warning');
+    }
+    
+    async fetchAllData() {
+        try {
+            const [stateResponse, systemResponse] = await Promise.all([
+                this.apiFetch('/api/state'),
+                this.apiFetch('/api/system')
+            ]);
+            
+            if (stateResponse.ok) {
+                const state = await stateResponse.json();
+                this.updateState(state);
+            }
+            
+            await this.filterLogs();
+            
+            if (systemResponse.ok) {
+                const system = await systemResponse.json();
+                this.updateSystemInfo(system);
+            }
+            
+            await this.fetchHistory();
+            
+            this.showToast('Data refreshed', 'success');
+        
+        } catch (error) {
+            console.error('Failed to fetch all data:', error);
+            this.showToast('Failed to refresh data', 'error');
+        }
+    }
+    
+    updateState(data) {
+        const changes = { lastUpdate: Date.now() };
+        
+        // Zones carry their sensor, pump, calibration and settings; the detail cards show the selected one
+        if (data.zones) changes.zones = data.zones;
+        if (data.network) changes.network = { ...this.state.network, ...data.network };
+        
+        // Device-wide settings (HTTP snapshots only)
+        if (data.config) changes.config = { ...this.state.config, ...data.config };
+        
+        this.store.set(changes);
+        
+        // Update system and storage data
+        if (data.system) {
+            if (data.system.push_interval) this.pushInterval = data.system.push_interval;
+            this.updateSystemInfo(data);
+        }
+    }
+    
+    // Sensor and pump sections pushed by the device when they change
+    applyZoneChanges(changes) {
+        const zones = [...this.state.zones];
+        changes.forEach(change => {
+            const zone = zones[change.id];
+            if (!zone) return;
+            
+            zones[change.id] = {
+                ...zone,
+                sensor: change.sensor ? { ...zone.sensor, ...change.sensor } : zone.sensor,
+                pump: change.pump ? { ...zone.pump, ...change.pump } : zone.pump
+            };
+        });
+        
+        this.store.set({ zones, lastUpdate: Date.now() });
+    }
+    
+    // Pushed after a config change: the device-wide settings plus the zone that was edited
+    applyConfigUpdate(data) {
+        const { zone: zoneData, ...settings } = data;
+        this.store.update('config', settings);
+        
+        if (!zoneData || !this.state.zones[zoneData.id]) return;
+        
+        const { id, name, ...zoneConfig } = zoneData;
+        this.updateZone(id, zone => ({ name, config: { ...zone.config, ...zoneConfig } }));
+    }
+}
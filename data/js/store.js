@@ -0,0 +1,84 @@
+// TerraNurture - The dashboard's state, held in one store. Components subscribe
+// to the slices they show and are called again only when one of those changes.
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Returns `next`, reusing every part of `prev` that is equal to it. The device
+// resends unchanged zones and settings all the time; this way they keep their
+// references and nothing watching them renders again.
+export function share(prev, next) {
+    if (Object.is(prev, next)) return prev;
+    
+    if (Array.isArray(prev) && Array.isArray(next)) {
+        const items = next.map((item, i) => share(prev[i], item));
+        const unchanged = items.length === prev.length && items.every((item, i) => item === prev[i]);
+        return unchanged ? prev : items;
+    }
+    
+    if (isPlainObject(prev) && isPlainObject(next)) {
+        const keys = Object.keys(next);
+        const shared = {};
+        keys.forEach(key => { shared[key] = share(prev[key], next[key]); });
+        const unchanged = keys.length === Object.keys(prev).length &&
+            keys.every(key => key in prev && shared[key] === prev[key]);
+        return unchanged ? prev : shared;
+    }
+    
+    return next;
+}
+
+// Selections are compared by reference; an array of them item by item
+function changed(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length !== b.length || a.some((item, i) => !Object.is(item, b[i]));
+    }
+    return !Object.is(a, b);
+}
+
+export class Store {
+    constructor(state) {
+        this.state = state;
+        this.subscriptions = new Set();
+    }
+    
+    // Calls listener(value, previous) whenever what `select` picks from the state
+    // changes. Returns a function that ends the subscription.
+    subscribe(select, listener) {
+        const subscription = { select, listener, value: select(this.state) };
+        this.subscriptions.add(subscription);
+        return () => this.subscriptions.delete(subscription);
+    }
+    
+    // Replaces top-level slices. The state is never changed in place, so every
+    // update goes through here.
+    set(changes) {
+        const state = { ...this.state };
+        for (const [key, value] of Object.entries(changes)) {
+            state[key] = share(this.state[key], value);
+        }
+        this.state = state;
+        this.notify();
+    }
+    
+    // Merges fields into one object slice
+    update(slice, changes) {
+        this.set({ [slice]: { ...this.state[slice], ...changes } });
+    }
+    
+    // Listeners may set state themselves; a nested notify() brings everyone up
+    // to date, and the outer loop then finds nothing left to do
+    notify() {
+        for (const subscription of [...this.subscriptions]) {
+            if (!this.subscriptions.has(subscription)) continue;
+            
+            const value = subscription.select(this.state);
+            if (!changed(value, subscription.value)) continue;
+            
+            const previous = subscription.value;
+            subscription.value = value;
+            subscription.listener(value, previous);
+        }
+    }
+}
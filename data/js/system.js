@@ -0,0 +1,246 @@
+// TerraNurture - System panel: network, storage, restart and firmware updates
+import { Component } from './component.js';
+import { formatClock } from './format.js';
+
+export class SystemMethods {
+    async fetchSystemInfo() {
+        try {
+            const response = await this.apiFetch('/api/system');
+            if (response.ok) {
+                const system = await response.json();
+                this.updateSystemInfo(system);
+            }
+        } catch (error) {
+            console.error('Failed to fetch system info:', error);
+        }
+    }
+    
+    updateSystemInfo(data) {
+        if (!data.system) return;
+        
+        this.store.update('system', data.system);
+        
+        // The device comes back from a firmware install with a new boot ID
+        const { boot_id: bootId, firmware } = this.state.system;
+        if (this.firmwareUpdate && firmware && bootId !== this.firmwareUpdate.bootId) {
+            if (firmware.version !== this.firmwareUpdate.version) {
+                this.showToast(`Firmware updated to v${firmware.version}`, 'success');
+            } else {
+                this.showToast(`Device restarted on v${firmware.version}; if the update was rolled back, the logs say why`, 'warning');
+            }
+            this.firmwareUpdate = null;
+        }
+    }
+    
+    async restartSystem() {
+        if (!confirm('Restart the system? All operations will be interrupted.')) return;
+        
+        try {
+            const response = await this.apiFetch('/api/system/restart', {
+                method: 'POST'
+            });
+            
+            if (response.ok) {
+                this.showToast('System restarting...', 'warning');
+                setTimeout(() => {
+                    this.showToast('System should be restarted. Refreshing page...', 'info');
+                    setTimeout(() => location.reload(), 3000);
+                }, 2000);
+            } else {
+                this.showToast('Failed to restart system', 'error');
+            }
+        } catch (error) {
+            console.error('Restart error:', error);
+            this.showToast('Network error', 'error');
+        }
+    }
+    
+    // Progress frames are broadcast while the device writes an image to flash
+    updateUpdateProgress(update) {
+        const firmware = this.state.system.firmware;
+        this.store.set({
+            update,
+            system: firmware
+                ? { ...this.state.system, firmware: { ...firmware, updating: update.state === 'writing' } }
+                : this.state.system
+        });
+    }
+    
+    async uploadUpdate() {
+        const target = document.getElementById('updateTarget').value;
+        const file = document.getElementById('updateFile').files[0];
+        const md5 = document.getElementById('updateMd5').value.trim().toLowerCase();
+        const firmware = this.state.system.firmware || {};
+        if (!file) return;
+        
+        const maxSize = target === 'firmware' ? firmware.firmware_max : firmware.filesystem_max;
+        if (maxSize && file.size > maxSize) {
+            this.showToast(`Image is ${Math.ceil(file.size / 1024)} KB, the ${target} partition holds ${Math.floor(maxSize / 1024)} KB`, 'error');
+            return;
+        }
+        
+        const warning = target === 'firmware'
+            ? 'The device stops all pumps and restarts after installing.'
+            : 'Logs stored on the device are cleared; settings, accounts and schedules are kept.';
+        if (!confirm(`Install ${file.name}? ${warning}`)) return;
+        
+        const params = new URLSearchParams({ target, size: file.size });
+        if (md5) params.set('md5', md5);
+        const body = new FormData();
+        body.append('image', file);
+        
+        const button = document.getElementById('updateBtn');
+        button.disabled = true;
+        this.updateUpdateProgress({ state: 'writing', target, progress: 0 });
+        
+        try {
+            const response = await this.apiFetch(`/api/update?${params}`, { method: 'POST', body });
+            const result = await response.json().catch(() => ({}));
+            
+            if (!response.ok) {
+                this.showToast(result.error || 'Update failed', 'error');
+            } else if (result.restart) {
+                this.firmwareUpdate = { bootId: this.state.system.boot_id, version: firmware.version };
+                this.showToast('Firmware installed, the device is restarting', 'success');
+                document.getElementById('updateForm').reset();
+            } else {
+                document.getElementById('updateForm').reset();
+                if (confirm('Web interface updated. Reload the page now?')) {
+                    window.location.reload();
+                }
+            }
+        } catch (error) {
+            console.error('Update error:', error);
+            this.showToast('Network error', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+}
+
+export const TOTAL_HEAP = 327680; // ESP32 typical heap size
+
+function formatKb(bytes) {
+    return `${Math.floor(bytes / 1024)} KB`;
+}
+
+// Dashboard card: signal, storage and heap, plus the uptime in the header
+export class SystemStatusCard extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('wifiRssi', 'storageStatus', 'freeHeap', 'uptimeDisplay');
+        
+        this.watch(state => state.network, network => {
+            this.el.wifiRssi.textContent = network.connected ? `${network.rssi} dBm` : '-- dBm';
+        });
+        this.watch(state => state.system, system => {
+            this.el.storageStatus.textContent = system.fs_available ? 'LittleFS' : 'None';
+            this.el.freeHeap.textContent = formatKb(system.free_heap);
+            if (system.uptime) {
+                this.el.uptimeDisplay.textContent = `Uptime: ${formatClock(system.uptime)}`;
+            }
+        });
+    }
+}
+
+export class SoftwareCard extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('firmwareVersion', 'buildDate', 'deviceTime', 'bootId');
+        
+        this.watch(state => state.system, system => {
+            if (system.firmware) this.el.firmwareVersion.textContent = `TerraNurture v${system.firmware.version}`;
+            this.el.buildDate.textContent = system.build_date || '--';
+            this.el.deviceTime.textContent = system.time_synced ? new Date(system.time).toLocaleString() : 'Not synced';
+            this.el.bootId.textContent = system.boot_id ? `#${system.boot_id}` : '--';
+        });
+    }
+}
+
+// Partition details, whether updates can be installed, and the progress of one
+export class UpdateCard extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('updateBadge', 'firmwarePartition', 'firmwareMax',
+            'updateProgress', 'updateProgressFill', 'updateProgressText');
+        
+        this.watch(state => state.system.firmware, firmware => {
+            if (firmware) this.renderFirmware(firmware);
+        });
+        this.watch(state => state.update, update => {
+            if (update) this.renderProgress(update);
+        });
+    }
+    
+    renderFirmware(firmware) {
+        const { el } = this;
+        el.firmwarePartition.textContent = firmware.partition || '--';
+        el.firmwareMax.textContent = formatKb(firmware.firmware_max);
+        
+        if (firmware.updating) {
+            el.updateBadge.textContent = 'Updating';
+            el.updateBadge.className = 'card-badge warning';
+        } else if (firmware.pending_verify) {
+            el.updateBadge.textContent = 'Verifying';
+            el.updateBadge.className = 'card-badge warning';
+        } else if (!firmware.updates_enabled) {
+            el.updateBadge.textContent = 'Unavailable';
+            el.updateBadge.className = 'card-badge error';
+        } else {
+            el.updateBadge.textContent = `v${firmware.version}`;
+            el.updateBadge.className = 'card-badge success';
+        }
+    }
+    
+    renderProgress(update) {
+        const messages = {
+            writing: `Writing ${update.target} image: ${update.progress}%`,
+            done: 'Installed',
+            restarting: 'Installed, restarting...',
+            error: `Failed: ${update.message || 'unknown error'}`
+        };
+        
+        this.el.updateProgress.hidden = false;
+        this.el.updateProgressFill.style.width = `${update.progress}%`;
+        this.el.updateProgressText.textContent = messages[update.state] || update.state;
+    }
+}
+
+export class NetworkCard extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('ipAddress', 'macAddress', 'gateway', 'subnetMask', 'dnsServer', 'ssidName');
+        
+        this.watch(state => state.network, network => {
+            this.el.ipAddress.textContent = network.ip || '--';
+            this.el.macAddress.textContent = network.mac || '--';
+            this.el.gateway.textContent = network.gateway || '--';
+            this.el.subnetMask.textContent = network.subnet || '--';
+            this.el.dnsServer.textContent = network.dns || '--';
+            this.el.ssidName.textContent = network.connected ? network.ssid : '--';
+        });
+    }
+}
+
+// Heap and filesystem use
+export class MemoryCard extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('freeHeapDetailed', 'minHeap', 'spiffsUsed');
+        
+        this.watch(state => state.system, system => {
+            this.el.freeHeapDetailed.textContent = formatKb(system.free_heap);
+            if (system.free_heap > 0) {
+                this.el.minHeap.textContent = formatKb(TOTAL_HEAP - system.free_heap);
+            }
+            
+            if (system.fs_total > 0) {
+                const usedPercent = (system.fs_used / system.fs_total * 100).toFixed(0);
+                this.el.spiffsUsed.textContent =
+                    `${Math.round(system.fs_used / 1024)} / ${Math.round(system.fs_total / 1024)} KB (${usedPercent}%)`;
+            } else {
+                this.el.spiffsUsed.textContent = '-- KB';
+            }
+        });
+    }
+}
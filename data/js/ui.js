@@ -0,0 +1,87 @@
+// TerraNurture - Panel navigation, toasts and file downloads
+import { Component } from './component.js';
+import { fragment, html } from './html.js';
+
+// Saves a response body as a file through a temporary link
+export function downloadBlob(blob, filename) {
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+}
+
+export class UiMethods {
+    switchPanel(panelId) {
+        this.store.set({ panel: panelId });
+        
+        // Refresh panel data if needed
+        if (panelId === 'logs') this.filterLogs();
+        if (panelId === 'schedules') this.fetchSchedules();
+        if (panelId === 'system') {
+            this.fetchSystemInfo();
+            this.fetchWifi();
+        }
+    }
+    
+    showToast(message, type = 'info') {
+        console.log(`[${type.toUpperCase()}] ${message}`);
+        
+        const container = document.getElementById('toastContainer');
+        if (!container) return;
+        
+        const icons = {
+            success: 'fas fa-check-circle',
+            error: 'fas fa-exclamation-circle',
+            warning: 'fas fa-exclamation-triangle',
+            info: 'fas fa-info-circle'
+        };
+        
+        // Closed by the .toast-close handler in main.js
+        const toast = fragment(html`
+            <div class="toast ${type}">
+                <i class="${icons[type] || icons.info}"></i>
+                <div class="toast-content">
+                    <div class="toast-title">${type.charAt(0).toUpperCase() + type.slice(1)}</div>
+                    <div class="toast-message">${message}</div>
+                </div>
+                <button class="toast-close">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).firstElementChild;
+        
+        container.appendChild(toast);
+        
+        // Auto-remove after 5 seconds
+        setTimeout(() => {
+            if (toast.parentNode) {
+                toast.style.opacity = '0';
+                setTimeout(() => {
+                    if (toast.parentNode) {
+                        toast.parentNode.removeChild(toast);
+                    }
+                }, 300);
+            }
+        }, 5000);
+    }
+}
+
+// The sidebar links and the panel they show
+export class Navigation extends Component {
+    constructor(app) {
+        super(app);
+        
+        this.watch(state => state.panel, panelId => {
+            document.querySelectorAll('.nav-item').forEach(item => {
+                item.classList.toggle('active', item.dataset.target === panelId);
+            });
+            document.querySelectorAll('.content-panel').forEach(panel => {
+                panel.classList.toggle('active', panel.id === panelId);
+            });
+        });
+    }
+}
@@ -0,0 +1,206 @@
+// TerraNurture - Saved Wi-Fi networks, scanning and static IP settings
+import { Component } from './component.js';
+import { html, render } from './html.js';
+
+export class WifiMethods {
+    async fetchWifi() {
+        try {
+            const response = await this.apiFetch('/api/wifi');
+            if (response.ok) {
+                this.store.set({ wifi: await response.json() });
+            }
+        } catch (error) {
+            console.error('Failed to fetch Wi-Fi settings:', error);
+        }
+    }
+    
+    // The device scans in the background and answers 202 until the results are ready
+    async scanWifi() {
+        this.store.update('wifiScan', { scanning: true });
+        
+        try {
+            for (let attempt = 0; attempt < 15; attempt++) {
+                const response = await this.apiFetch('/api/wifi/scan');
+                if (response.status === 200) {
+                    const result = await response.json();
+                    this.store.update('wifiScan', { networks: result.networks });
+                    return;
+                }
+                if (response.status !== 202) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+            this.showToast('Wi-Fi scan timed out', 'warning');
+        } catch (error) {
+            console.error('Wi-Fi scan error:', error);
+            this.showToast('Wi-Fi scan failed', 'error');
+        } finally {
+            this.store.update('wifiScan', { scanning: false });
+        }
+    }
+    
+    async saveWifiNetwork() {
+        const ssid = document.getElementById('wifiSsid').value.trim();
+        if (!confirm(`Connect to "${ssid}"? The device will drop its current connection and may get a new address.`)) {
+            return;
+        }
+        
+        try {
+            const response = await this.apiFetch('/api/wifi', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ssid, password: document.getElementById('wifiPassword').value })
+            });
+            const result = await response.json().catch(() => ({}));
+            
+            if (response.ok) {
+                this.showToast(`Saved "${ssid}", the device is reconnecting`, 'success');
+                document.getElementById('wifiForm').reset();
+                this.fetchWifi();
+            } else {
+                this.showToast(result.error || 'Failed to save network', 'error');
+            }
+        } catch (error) {
+            console.error('Save Wi-Fi error:', error);
+            this.showToast('Network error', 'error');
+        }
+    }
+    
+    async forgetWifiNetwork(ssid) {
+        if (!confirm(`Forget "${ssid}"?`)) return;
+        
+        try {
+            const response = await this.apiFetch(`/api/wifi?ssid=${encodeURIComponent(ssid)}`, {
+                method: 'DELETE'
+            });
+            
+            if (response.ok) {
+                this.showToast(`Forgot "${ssid}"`, 'success');
+                this.fetchWifi();
+            } else {
+                this.showToast('Failed to forget network', 'error');
+            }
+        } catch (error) {
+            console.error('Forget Wi-Fi error:', error);
+            this.showToast('Network error', 'error');
+        }
+    }
+    
+    async saveStaticIp() {
+        const settings = {
+            enabled: document.getElementById('staticIpEnabled').checked,
+            ip: document.getElementById('staticIp').value.trim(),
+            gateway: document.getElementById('staticGateway').value.trim(),
+            subnet: document.getElementById('staticSubnet').value.trim(),
+            dns: document.getElementById('staticDns').value.trim()
+        };
+        
+        if (!confirm(`Apply ${settings.enabled ? `static address ${settings.ip}` : 'DHCP'}? The device will reconnect.`)) {
+            return;
+        }
+        
+        try {
+            const response = await this.apiFetch('/api/wifi/static', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(settings)
+            });
+            const result = await response.json().catch(() => ({}));
+            
+            if (response.ok) {
+                this.showToast('IP settings saved, the device is reconnecting', 'success');
+            } else {
+                this.showToast(result.error || 'Failed to save IP settings', 'error');
+            }
+        } catch (error) {
+            console.error('Static IP error:', error);
+            this.showToast('Network error', 'error');
+        }
+    }
+}
+
+function lockIcon(secure) {
+    return html`<i class="fas ${secure ? 'fa-lock' : 'fa-lock-open'}"></i>`;
+}
+
+// Saved networks, the last scan and the static IP settings
+export class WifiCard extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('wifiModeBadge', 'savedNetworks', 'scanWifiBtn', 'scanResults', 'staticIpEnabled',
+            'staticIp', 'staticGateway', 'staticSubnet', 'staticDns');
+        
+        this.el.staticIpEnabled.addEventListener('change', () => this.renderStaticIpFields());
+        this.watch(state => state.wifi, wifi => {
+            if (wifi) this.renderWifi(wifi);
+        });
+        this.watch(state => state.wifiScan, scan => this.renderScan(scan));
+    }
+    
+    renderWifi(wifi) {
+        const { el } = this;
+        if (wifi.provisioning) {
+            el.wifiModeBadge.textContent = `Setup AP: ${wifi.ap_ssid}`;
+            el.wifiModeBadge.className = 'card-badge warning';
+        } else if (wifi.connected_ssid) {
+            el.wifiModeBadge.textContent = 'Connected';
+            el.wifiModeBadge.className = 'card-badge success';
+        } else {
+            el.wifiModeBadge.textContent = 'Disconnected';
+            el.wifiModeBadge.className = 'card-badge error';
+        }
+        
+        // Saved networks are tried top to bottom
+        if (wifi.networks.length === 0) {
+            render(el.savedNetworks, html`<li class="no-logs">No saved networks</li>`);
+        } else {
+            render(el.savedNetworks, html`${wifi.networks.map(network => html`
+                <li>
+                    <span>
+                        ${lockIcon(network.secure)}
+                        ${network.ssid}
+                        ${network.ssid === wifi.connected_ssid ? html`<span class="wifi-signal">connected</span>` : ''}
+                    </span>
+                    <button class="btn btn-danger" data-action="forget" data-ssid="${network.ssid}" data-requires="operator" title="Forget">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </li>
+            `)}`);
+        }
+        
+        const staticIp = wifi.static_ip;
+        el.staticIpEnabled.checked = staticIp.enabled;
+        el.staticIp.value = staticIp.ip;
+        el.staticGateway.value = staticIp.gateway;
+        el.staticSubnet.value = staticIp.subnet;
+        el.staticDns.value = staticIp.dns;
+        this.renderStaticIpFields();
+    }
+    
+    renderStaticIpFields() {
+        const enabled = this.el.staticIpEnabled.checked;
+        document.querySelectorAll('.static-ip-field').forEach(field => {
+            field.style.display = enabled ? '' : 'none';
+        });
+    }
+    
+    renderScan({ scanning, networks }) {
+        this.el.scanWifiBtn.disabled = scanning;
+        if (!networks) return;
+        
+        if (networks.length === 0) {
+            render(this.el.scanResults, html`<li class="no-logs">No networks found</li>`);
+            return;
+        }
+        render(this.el.scanResults, html`${networks.map(network => html`
+            <li data-ssid="${network.ssid}">
+                <span>
+                    ${lockIcon(network.secure)}
+                    ${network.ssid}
+                </span>
+                <span class="wifi-signal">${network.rssi} dBm · ch ${network.channel}</span>
+            </li>
+        `)}`);
+    }
+}
@@ -0,0 +1,253 @@
+// TerraNurture - Guided dry and wet calibration with live readings
+import { Component } from './component.js';
+import { formatCapture } from './format.js';
+
+export class WizardMethods {
+    // The wizard captures dry and then wet (or only wet), each from a settled
+    // live reading, and saves nothing until the review step
+    startCalibrationWizard(type) {
+        if (this.state.wizard) this.closeCalibrationWizard();
+        this.switchPanel('calibration');
+        
+        this.store.set({
+            wizard: {
+                id: ++this.wizardCount,
+                zone: this.state.selectedZone,
+                steps: type === 'wet' ? ['wet', 'review'] : ['dry', 'wet', 'review'],
+                index: 0,
+                accepted: {},
+                pending: null,
+                capturing: false,
+                sample: null,
+                live: false,
+                check: null
+            }
+        });
+        this.enterWizardStep();
+    }
+    
+    closeCalibrationWizard() {
+        if (!this.state.wizard) return;
+        if (this.state.wizard.live) this.setCalibrationStream(-1);
+        this.store.set({ wizard: null });
+    }
+    
+    // Changes the wizard, unless the one with `id` has been closed meanwhile
+    updateWizard(changes, id = this.state.wizard?.id) {
+        if (this.state.wizard?.id !== id) return;
+        this.store.update('wizard', changes);
+    }
+    
+    wizardStep() {
+        const { steps, index } = this.state.wizard;
+        return steps[index];
+    }
+    
+    enterWizardStep() {
+        const wizard = this.state.wizard;
+        const step = { pending: null, sample: null, check: null };
+        
+        if (this.wizardStep() === 'review') {
+            if (wizard.live) this.setCalibrationStream(-1);
+            this.updateWizard({ ...step, live: false });
+            this.checkWizardCalibration();
+        } else {
+            // Live readings only come over the WebSocket; without it the capture still averages
+            const live = this.ws?.readyState === WebSocket.OPEN;
+            this.updateWizard({ ...step, live });
+            if (live) this.setCalibrationStream(wizard.zone);
+        }
+    }
+    
+    resumeCalibrationStream() {
+        if (this.wizardStep() === 'review') return;
+        this.updateWizard({ live: true });
+        this.setCalibrationStream(this.state.wizard.zone);
+    }
+    
+    async setCalibrationStream(zone) {
+        try {
+            await this.send('calibration_stream', { zone });
+        } catch (error) {
+            console.error('Calibration stream error:', error);
+        }
+    }
+    
+    advanceWizard() {
+        this.updateWizard({ index: this.state.wizard.index + 1 });
+        this.enterWizardStep();
+    }
+    
+    updateWizardSample(data) {
+        if (!this.state.wizard || data.zone !== this.state.wizard.zone) return;
+        this.updateWizard({ sample: data });
+    }
+    
+    async captureWizardPoint() {
+        const { id, zone } = this.state.wizard;
+        this.updateWizard({ capturing: true });
+        
+        try {
+            const result = await this.send('calibration_capture', { zone });
+            this.updateWizard({ pending: result.capture }, id);
+        } catch (error) {
+            console.error('Calibration capture error:', error);
+            this.showToast(`Capture failed: ${error.message}`, 'error');
+        } finally {
+            this.updateWizard({ capturing: false }, id);
+        }
+    }
+    
+    acceptWizardPoint() {
+        const { accepted, pending } = this.state.wizard;
+        this.updateWizard({ accepted: { ...accepted, [this.wizardStep()]: pending } });
+        this.advanceWizard();
+    }
+    
+    retryWizardPoint() {
+        this.updateWizard({ pending: null });
+    }
+    
+    wizardPoints() {
+        const { accepted, zone } = this.state.wizard;
+        const points = { zone };
+        if (accepted.dry) points.adc_dry = accepted.dry.adc;
+        if (accepted.wet) points.adc_wet = accepted.wet.adc;
+        return points;
+    }
+    
+    // The device checks the span against the points that will be kept
+    async checkWizardCalibration() {
+        const { id } = this.state.wizard;
+        const points = this.wizardPoints();
+        if (points.adc_dry === undefined && points.adc_wet === undefined) return;
+        
+        let check;
+        try {
+            const result = await this.send('calibrate', { ...points, dry_run: true });
+            check = { errors: [], warnings: result.warnings || [] };
+        } catch (error) {
+            check = {
+                errors: error.errors?.length ? error.errors : [{ message: error.message }],
+                warnings: error.warnings || []
+            };
+        }
+        this.updateWizard({ check }, id);
+    }
+    
+    async saveWizardCalibration() {
+        const points = this.wizardPoints();
+        
+        try {
+            const result = await this.send('calibrate', points);
+            this.updateCalibration({ zone: points.zone, ...result.calibration });
+            this.closeCalibrationWizard();
+            
+            if (result.warnings?.length) {
+                this.showToast(`Calibration saved: ${result.warnings.map(warning => warning.message).join('; ')}`, 'warning');
+            } else {
+                this.showToast('Calibration saved', 'success');
+            }
+        } catch (error) {
+            console.error('Calibration error:', error);
+            const details = error.errors?.map(item => item.message) || [];
+            this.showToast(`Calibration failed: ${details.length ? details.join('; ') : error.message}`, 'error');
+        }
+    }
+}
+
+// The open wizard in place of the calibration guide
+export class CalibrationWizard extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('calibrationGuide', 'calibrationWizard', 'wizardTitle', 'wizardInstruction',
+            'wizardLive', 'wizardAdc', 'wizardSpread', 'wizardStability', 'wizardStatus', 'wizardResult',
+            'wizardCaptureBtn', 'wizardAcceptBtn', 'wizardRetryBtn', 'wizardSkipBtn', 'wizardSaveBtn');
+        
+        // The kept points shown at review are the zone's saved calibration
+        this.watch(state => [state.wizard, state.zones[state.wizard?.zone]?.calibration], ([wizard, cal]) => {
+            this.el.calibrationWizard.hidden = !wizard;
+            this.el.calibrationGuide.hidden = Boolean(wizard);
+            if (wizard) this.renderWizard(wizard, cal || {});
+        });
+    }
+    
+    renderWizard(wizard, cal) {
+        const { el } = this;
+        const step = wizard.steps[wizard.index];
+        const review = step === 'review';
+        const texts = {
+            dry: ['Dry Calibration', 'Take the sensor out of the soil and wipe it dry. Hold it still in the air until the reading settles, then capture.'],
+            wet: ['Wet Calibration', 'Stand the sensor in a glass of water up to its line, not in soil. Wait until the reading settles, then capture.'],
+            review: ['Review', 'Nothing has been saved yet. Save these points, or cancel to keep the current calibration.']
+        };
+        
+        el.calibrationWizard.querySelectorAll('.wizard-step').forEach(item => {
+            const index = wizard.steps.indexOf(item.dataset.step);
+            item.hidden = index === -1;
+            item.classList.toggle('active', index === wizard.index);
+            item.classList.toggle('done', index !== -1 && index < wizard.index);
+        });
+        el.wizardTitle.textContent = texts[step][0];
+        el.wizardInstruction.textContent = texts[step][1];
+        
+        // Live reading and how settled it is
+        const sample = wizard.sample;
+        el.wizardLive.hidden = review;
+        el.wizardAdc.textContent = sample ? sample.adc : '--';
+        el.wizardSpread.textContent = sample ? `± ${sample.stddev} (${sample.min}–${sample.max})` : '--';
+        el.wizardStability.style.width = `${sample ? Math.round(sample.samples / sample.window * 100) : 0}%`;
+        el.wizardStability.classList.toggle('stable', Boolean(sample?.stable));
+        
+        let status;
+        if (!wizard.live) {
+            status = 'No live readings without a WebSocket connection; the capture still averages its readings';
+        } else if (!sample || sample.samples < sample.window) {
+            status = 'Collecting readings...';
+        } else if (!sample.stable) {
+            status = `Still settling: spread ${sample.stddev}, needs ${sample.threshold} or less`;
+        } else {
+            status = 'Stable, ready to capture';
+        }
+        el.wizardStatus.textContent = status;
+        
+        // A captured point waiting for accept or retry, or the review summary
+        if (review) {
+            const line = (label, capture, saved) => capture
+                ? `${label}: ${formatCapture(capture)}`
+                : `${label}: ${saved} (kept)`;
+            const dry = wizard.accepted.dry?.adc ?? cal.adc_dry;
+            const wet = wizard.accepted.wet?.adc ?? cal.adc_wet;
+            const lines = [
+                line('Dry', wizard.accepted.dry, cal.adc_dry),
+                line('Wet', wizard.accepted.wet, cal.adc_wet),
+                `Span: ${dry - wet}`
+            ];
+            wizard.check?.errors.forEach(item => lines.push(`Error: ${item.message}`));
+            wizard.check?.warnings.forEach(item => lines.push(`Warning: ${item.message}`));
+            if (!wizard.accepted.dry && !wizard.accepted.wet) lines.push('No new points were captured');
+            
+            el.wizardResult.textContent = lines.join('\n');
+            el.wizardResult.hidden = false;
+        } else if (wizard.pending) {
+            el.wizardResult.textContent = wizard.pending.stable
+                ? formatCapture(wizard.pending)
+                : `${formatCapture(wizard.pending)}\nReadings moved during the capture, consider retrying`;
+            el.wizardResult.hidden = false;
+        } else {
+            el.wizardResult.hidden = true;
+        }
+        
+        // Capturing waits for a settled reading when one can be watched
+        const pending = Boolean(wizard.pending);
+        const settled = !wizard.live || Boolean(sample?.stable);
+        const canSave = Boolean(wizard.accepted.dry || wizard.accepted.wet) && wizard.check && !wizard.check.errors.length;
+        el.wizardCaptureBtn.hidden = review || pending;
+        el.wizardCaptureBtn.disabled = !settled || wizard.capturing;
+        el.wizardAcceptBtn.hidden = review || !pending;
+        el.wizardRetryBtn.hidden = review || !pending;
+        el.wizardSkipBtn.hidden = review || pending;
+        el.wizardSaveBtn.hidden = !review;
+        el.wizardSaveBtn.disabled = !canSave;
+    }
+}
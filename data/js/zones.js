@@ -0,0 +1,152 @@
+// TerraNurture - Zone selection, the zone cards and the selected zone's sensor card
+import { Component } from './component.js';
+import { describeSensorFault, formatSensorHealth } from './format.js';
+import { html, render } from './html.js';
+
+// The zone the detail cards, history, calibration and zone settings follow
+export function selectedZone(state) {
+    return state.zones[state.selectedZone] || state.zones[0];
+}
+
+// Prefers wall-clock time; falls back to the device's uptime when unsynced
+export function getRecordAge(state, timestamp, uptime) {
+    if (timestamp > 0) {
+        return Date.now() - timestamp;
+    }
+    return state.system.uptime - (uptime || 0);
+}
+
+export class ZoneMethods {
+    selectZone(index) {
+        if (!this.state.zones[index] || index === this.state.selectedZone) return;
+        
+        // A wizard measures one zone's sensor
+        if (this.state.wizard) this.closeCalibrationWizard();
+        
+        this.store.set({ selectedZone: index });
+        this.fetchHistory();
+    }
+    
+    // Replaces one zone with `update(zone)` merged into a copy of it
+    updateZone(index, update) {
+        this.store.set({
+            zones: this.state.zones.map((zone, i) => i === index ? { ...zone, ...update(zone) } : zone)
+        });
+    }
+}
+
+// The zone pickers on the dashboard, the logs filter and the schedule form,
+// and the selected zone's name in the card titles
+export class ZoneSelectors extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('zoneSelect', 'logZone', 'scheduleZone');
+        
+        // Rebuilt only when a zone is added, removed or renamed
+        this.watch(state => state.zones.map(zone => zone.name), names => this.renderOptions(names));
+        this.watch(state => [state.selectedZone, selectedZone(state)?.name], ([index, name]) => {
+            this.el.zoneSelect.value = String(index);
+            if (name === undefined) return;
+            
+            document.querySelectorAll('.selected-zone-name').forEach(elem => {
+                elem.textContent = name;
+            });
+        });
+    }
+    
+    renderOptions(names) {
+        const options = () => names.map((name, id) => new Option(name, String(id)));
+        // A single zone needs no selector
+        const display = names.length > 1 ? '' : 'none';
+        
+        this.el.zoneSelect.replaceChildren(...options());
+        this.el.zoneSelect.value = String(this.store.state.selectedZone);
+        this.el.zoneSelect.style.display = display;
+        
+        const logSelected = this.el.logZone.value;
+        this.el.logZone.replaceChildren(new Option('All Zones', 'all'), ...options());
+        this.el.logZone.value = logSelected;
+        if (this.el.logZone.selectedIndex === -1) this.el.logZone.value = 'all';
+        this.el.logZone.style.display = display;
+        
+        this.el.scheduleZone.replaceChildren(...options());
+    }
+}
+
+// One summary card per zone; clicking a card selects it
+export class ZoneCards extends Component {
+    constructor(app) {
+        super(app);
+        this.container = document.getElementById('zoneCards');
+        
+        this.watch(state => [state.zones, state.selectedZone], ([zones, selected]) => {
+            // With one zone the detail cards already say everything
+            render(this.container, zones.length < 2 ? html`` : html`${zones.map(zone => this.renderCard(zone, selected))}`);
+        });
+    }
+    
+    renderCard(zone, selected) {
+        const { sensor, pump } = zone;
+        const moisture = sensor.valid ? `${sensor.moisture.toFixed(1)}%` : formatSensorHealth(sensor.health);
+        const badge = pump.active ? 'danger' : (sensor.valid && !pump.locked_out ? 'success' : 'error');
+        
+        return html`
+            <div class="card zone-card ${zone.id === selected ? 'selected' : ''}" data-zone="${zone.id}">
+                <div class="zone-card-header">
+                    <span class="zone-card-name">${zone.name}</span>
+                    <span class="status-badge ${badge}">${pump.status}</span>
+                </div>
+                <div class="zone-card-moisture">${moisture}</div>
+                <button class="btn btn-primary" data-action="water" data-requires="operator" ${pump.active || pump.locked_out ? 'disabled' : ''}>
+                    <i class="fas fa-play"></i> Water
+                </button>
+            </div>
+        `;
+    }
+}
+
+// The selected zone's moisture against its dry threshold
+export class MoistureCard extends Component {
+    constructor(app) {
+        super(app);
+        this.el = this.elements('moistureValue', 'moistureBar', 'moistureStatus', 'rawAdc', 'sensorAge',
+            'thresholdLabel', 'thresholdMarker');
+        
+        this.watch(state => {
+            const zone = selectedZone(state);
+            return [zone?.sensor, zone?.config.dry_threshold, state.clock, state.system.uptime];
+        }, ([sensor, threshold]) => {
+            if (sensor) this.renderSensor(sensor, threshold);
+        });
+    }
+    
+    renderSensor(sensor, threshold) {
+        const { el } = this;
+        el.thresholdLabel.textContent = `Threshold: ${threshold}%`;
+        el.thresholdMarker.style.left = `${threshold}%`;
+        
+        if (!sensor.valid) {
+            el.moistureValue.textContent = '--';
+            el.moistureBar.style.width = '0%';
+            el.moistureStatus.textContent = formatSensorHealth(sensor.health);
+            el.moistureStatus.title = describeSensorFault(sensor.health);
+            el.moistureStatus.className = 'card-badge error';
+            el.rawAdc.textContent = sensor.raw_adc ?? '--';
+            el.sensorAge.textContent = 'Auto-watering paused';
+            return;
+        }
+        
+        const moisture = sensor.moisture.toFixed(1);
+        el.moistureValue.textContent = moisture;
+        el.moistureBar.style.width = `${moisture}%`;
+        el.rawAdc.textContent = sensor.raw_adc;
+        
+        const dry = sensor.moisture < threshold;
+        el.moistureStatus.title = '';
+        el.moistureStatus.textContent = dry ? 'DRY' : 'OK';
+        el.moistureStatus.className = `card-badge ${dry ? 'warning' : 'success'}`;
+        
+        const ageMs = getRecordAge(this.store.state, sensor.timestamp, sensor.uptime);
+        el.sensorAge.textContent = `${Math.max(0, Math.floor(ageMs / 1000))}s ago`;
+    }
+}
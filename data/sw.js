@@ -0,0 +1,116 @@
+// TerraNurture service worker
+// Keeps the dashboard shell so it opens instantly, with or without the device,
+// and the last good /api/state and session so an unreachable device still
+// shows what it last reported. Bump SHELL_CACHE when the shell file list changes.
+
+const SHELL_CACHE = 'terranurture-shell-v3';
+const STATE_CACHE = 'terranurture-state';
+
+const SHELL_FILES = [
+    '/',
+    '/css/styles.css',
+    '/js/app.js',
+    '/js/calibration.js',
+    '/js/charts.js',
+    '/js/component.js',
+    '/js/config.js',
+    '/js/connection.js',
+    '/js/format.js',
+    '/js/history.js',
+    '/js/html.js',
+    '/js/logs.js',
+    '/js/main.js',
+    '/js/pump.js',
+    '/js/schedules.js',
+    '/js/session.js',
+    '/js/state.js',
+    '/js/store.js',
+    '/js/system.js',
+    '/js/ui.js',
+    '/js/wifi.js',
+    '/js/wizard.js',
+    '/js/zones.js',
+    '/vendor/chart.umd.min.js',
+    '/vendor/fontawesome/css/fontawesome.min.css',
+    '/vendor/fontawesome/css/solid.min.css',
+    '/vendor/fontawesome/webfonts/fa-solid-900.woff2',
+    '/vendor/fonts/fonts.css',
+    '/vendor/fonts/inter-latin-300-normal.woff2',
+    '/vendor/fonts/inter-latin-400-normal.woff2',
+    '/vendor/fonts/inter-latin-500-normal.woff2',
+    '/vendor/fonts/inter-latin-600-normal.woff2',
+    '/vendor/fonts/inter-latin-700-normal.woff2',
+    '/vendor/fonts/source-code-pro-latin-300-normal.woff2',
+    '/vendor/fonts/source-code-pro-latin-400-normal.woff2'
+];
+
+// Served from the network when possible, otherwise from the last good response
+const STATE_URLS = ['/api/state', '/api/auth/session'];
+
+self.addEventListener('install', (event) => {
+    // A missing optional file (a font, say) should not leave the dashboard without a cache
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => Promise.all(SHELL_FILES.map(url => cache.add(url).catch(error => {
+                console.warn(`Service worker could not cache ${url}:`, error);
+            }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('terranurture-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const url = new URL(event.request.url);
+    if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+    
+    if (STATE_URLS.includes(url.pathname)) {
+        event.respondWith(networkFirst(event.request));
+    } else if (SHELL_FILES.includes(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, url.pathname));
+    }
+});
+
+// Answers from the cache and refreshes it in the background, so a new
+// filesystem image shows up on the next load
+async function staleWhileRevalidate(event, path) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(path);
+    
+    const update = fetch(event.request).then(response => {
+        if (response.ok) cache.put(path, response.clone());
+        return response;
+    });
+    
+    if (!cached) return update;
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+}
+
+// Cached copies carry X-Cached-At (epoch ms) so the page can tell they are not live
+async function networkFirst(request) {
+    const cache = await caches.open(STATE_CACHE);
+    
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const headers = new Headers(response.headers);
+            headers.set('X-Cached-At', String(Date.now()));
+            const body = await response.clone().blob();
+            await cache.put(request, new Response(body, { status: response.status, headers }));
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (!cached) throw error;
+        return cached;
+    }
+}
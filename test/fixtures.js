@@ -0,0 +1,130 @@
+// Device responses in the shapes the firmware sends. Each call returns fresh
+// objects, so a test can change them without affecting the next one.
+
+export const NOW = Date.UTC(2026, 6, 14, 12, 0, 0);
+
+export function zone(id, overrides = {}) {
+    return {
+        id,
+        name: `Zone ${id + 1}`,
+        tag: `Z${id + 1}`,
+        sensor: {
+            moisture: 52.5,
+            raw_adc: 2250,
+            filtered_adc: 2248,
+            noise: 4.5,
+            timestamp: NOW - 2000,
+            uptime: 3598000,
+            valid: true,
+            health: 'OK'
+        },
+        pump: {
+            active: false,
+            status: 'IDLE',
+            retry_count: 0,
+            last_change: NOW - 600000,
+            last_change_uptime: 3000000,
+            locked_out: false,
+            lockout_reason: '',
+            runs_today: 2,
+            runtime_today_s: 40,
+            cooldown_s: 0
+        },
+        calibration: {
+            adc_dry: 3250,
+            adc_wet: 1350,
+            threshold: 45,
+            target: 60,
+            mode: 'linear',
+            degree: 2,
+            points: [],
+            curve: [[1350, 100], [3250, 0]]
+        },
+        config: {
+            dry_threshold: 45,
+            expected_value: 60,
+            max_retries: 3
+        },
+        ...overrides
+    };
+}
+
+// GET /api/state
+export function deviceState({ zones = 2 } = {}) {
+    return {
+        zones: Array.from({ length: zones }, (_, id) => zone(id)),
+        network: {
+            connected: true,
+            ip: '192.168.1.40',
+            mac: '24:0A:C4:00:5E:01',
+            gateway: '192.168.1.1',
+            subnet: '255.255.255.0',
+            dns: '192.168.1.1',
+            ssid: 'Garden',
+            rssi: -58,
+            provisioning: false
+        },
+        system: systemInfo(),
+        config: {
+            sampling_interval: 3000,
+            log_segment_kb: 64,
+            log_segment_hours: 24,
+            log_max_segments: 8,
+            log_retention_days: 7,
+            ntp_server: 'pool.ntp.org',
+            timezone: 'UTC0',
+            sensor_oversample: 16,
+            sensor_filter: 'median',
+            sensor_ema_alpha: 0.3,
+            sensor_spike_adc: 300,
+            pump_max_run_s: 600,
+            pump_min_off_s: 20,
+            pump_max_runs_day: 48,
+            pump_max_runtime_day_min: 60
+        }
+    };
+}
+
+export function systemInfo(overrides = {}) {
+    return {
+        uptime: 3600000,
+        time: NOW,
+        time_synced: true,
+        free_heap: 180000,
+        fs_total: 1441792,
+        fs_used: 81920,
+        log_segments: 1,
+        boot_id: 7,
+        fs_available: true,
+        build_date: 'Jul 14 2026 09:00:00',
+        firmware: {
+            version: '2.1.0',
+            partition: 'app0',
+            firmware_max: 1966080,
+            filesystem_max: 1441792,
+            updates_enabled: true,
+            pending_verify: false,
+            updating: false
+        },
+        ...overrides
+    };
+}
+
+// One row of GET /api/logs or a "log" push frame
+export function logRow(overrides = {}) {
+    return {
+        timestamp: NOW - 1000,
+        uptime: 3599000,
+        boot_id: 7,
+        raw_adc: 2250,
+        percentage: 52.5,
+        event: 'SENSOR_READ',
+        details: 'OK',
+        zone: 'Z1',
+        ...overrides
+    };
+}
+
+export function session(overrides = {}) {
+    return { username: 'admin', role: 'operator', default_password: false, ...overrides };
+}
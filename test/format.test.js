@@ -0,0 +1,76 @@
+// The formatting helpers need no page, so they are tested on their own
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    describeSensorFault,
+    escapeHtml,
+    formatCapture,
+    formatClock,
+    formatQuietTime,
+    formatScheduleDays,
+    formatSensorHealth,
+    formatTimestamp,
+    getLogEventClass
+} from '../data/js/format.js';
+import { NOW } from './fixtures.js';
+
+test('escapeHtml escapes markup and quotes', () => {
+    assert.equal(escapeHtml(`<img src="x" onerror='a&b'>`), '&lt;img src=&quot;x&quot; onerror=&#39;a&amp;b&#39;&gt;');
+    assert.equal(escapeHtml(42), '42');
+});
+
+test('formatClock does not wrap hours at a day', () => {
+    assert.equal(formatClock(0), '00:00:00');
+    assert.equal(formatClock(3723999), '01:02:03');
+    assert.equal(formatClock(90061000), '25:01:01');
+});
+
+test('formatQuietTime picks the largest useful unit', () => {
+    assert.equal(formatQuietTime(59999), '59s');
+    assert.equal(formatQuietTime(61000), '1m 1s');
+    assert.equal(formatQuietTime(7260000), '2h 1m');
+});
+
+test('sensor faults have a label and an explanation, with a fallback for unknown ones', () => {
+    assert.equal(formatSensorHealth('RATE_OF_CHANGE'), 'ERRATIC');
+    assert.equal(formatSensorHealth('OUT_OF_RANGE'), 'OUT OF RANGE');
+    assert.equal(formatSensorHealth(undefined), 'ERROR');
+    assert.match(describeSensorFault('DISCONNECTED'), /wiring/);
+    assert.equal(describeSensorFault('SOMETHING_NEW'), 'Sensor reading is invalid');
+});
+
+test('log events are classed by severity before subsystem', () => {
+    assert.equal(getLogEventClass('PUMP_ERROR'), 'log-error');
+    assert.equal(getLogEventClass('SENSOR_WARNING'), 'log-warning');
+    assert.equal(getLogEventClass('PUMP_START'), 'log-pump');
+    assert.equal(getLogEventClass('SENSOR_READ'), 'log-sensor');
+    assert.equal(getLogEventClass('CONFIG_CHANGE'), 'log-info');
+});
+
+test('formatCapture summarises a calibration capture', () => {
+    assert.equal(formatCapture({ adc: 3240, stddev: 3, min: 3236, max: 3245, samples: 16 }),
+        'ADC 3240 ± 3 (3236–3245, 16 readings)');
+});
+
+test('formatScheduleDays names the common sets and lists the rest from Sunday', () => {
+    assert.equal(formatScheduleDays(0x7F), 'Every day');
+    assert.equal(formatScheduleDays(0x3E), 'Weekdays');
+    assert.equal(formatScheduleDays(0x41), 'Weekends');
+    assert.equal(formatScheduleDays(0x15), 'Sun, Tue, Thu');
+});
+
+test('formatTimestamp shows only the time for today and adds the date otherwise', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    
+    const time = timestamp => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    const earlier = NOW - 3 * 86400000;
+    
+    assert.equal(formatTimestamp(NOW - 60000), time(NOW - 60000));
+    assert.equal(formatTimestamp(earlier), `${new Date(earlier).toLocaleDateString()} ${time(earlier)}`);
+});
+
+test('formatTimestamp falls back to boot-relative time before the clock was set', () => {
+    assert.equal(formatTimestamp(0, { uptime: 3723000, boot_id: 12 }), 'Boot #12 +01:02:03');
+    assert.equal(formatTimestamp(0, { uptime: 5000 }), '+00:00:05');
+    assert.equal(formatTimestamp(0), '+00:00:00');
+});
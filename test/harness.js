@@ -0,0 +1,209 @@
+// Runs the dashboard against data/index.html in jsdom, with a fake fetch and
+// WebSocket standing in for the device. Timers and Date are mocked per test,
+// so backoff, liveness and request timeouts are driven with tick().
+import { readFileSync } from 'node:fs';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { TerraNurtureApp } from '../data/js/app.js';
+import { NOW, deviceState, session } from './fixtures.js';
+
+const INDEX_HTML = readFileSync(new URL('../data/index.html', import.meta.url), 'utf8');
+const ORIGIN = 'http://terranurture.local';
+const TOKEN = '0123456789abcdef0123456789abcdef';
+
+// The browser globals the modules use; everything else comes from Node
+const WINDOW_GLOBALS = ['window', 'document', 'localStorage', 'navigator', 'location', 'Option', 'FormData', 'File'];
+
+export class FakeWebSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+    
+    constructor(url) {
+        this.url = url;
+        this.readyState = FakeWebSocket.CONNECTING;
+        this.sent = [];
+        this.closed = false;
+    }
+    
+    send(text) {
+        if (this.readyState !== FakeWebSocket.OPEN) throw new Error('WebSocket is not open');
+        this.sent.push(JSON.parse(text));
+    }
+    
+    close() {
+        this.closed = true;
+        this.readyState = FakeWebSocket.CLOSED;
+    }
+    
+    // The device side
+    open() {
+        this.readyState = FakeWebSocket.OPEN;
+        this.onopen?.();
+    }
+    
+    receive(message) {
+        this.onmessage?.({ data: typeof message === 'string' ? message : JSON.stringify(message) });
+    }
+    
+    drop() {
+        this.readyState = FakeWebSocket.CLOSED;
+        this.onclose?.();
+    }
+    
+    // Answers the last command sent with an ack, or with an error frame when `error` is given
+    reply(data = {}, error = null) {
+        const { id, command } = this.sent[this.sent.length - 1];
+        this.receive(error ? { type: 'error', id, ...error } : { type: 'ack', id, command, data });
+    }
+}
+
+export function jsonResponse(status, body, headers = {}) {
+    return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+// fetch() answering from routes keyed "METHOD /path". A reply is {status, body,
+// headers}, a Response, an Error to throw, or a function of the call returning
+// one of those. Later routes win, so tests override the defaults.
+export function createFetch() {
+    const routes = new Map();
+    const calls = [];
+    
+    async function fetch(url, options = {}) {
+        const parsed = new URL(url, ORIGIN);
+        const call = {
+            method: options.method || 'GET',
+            path: parsed.pathname,
+            query: Object.fromEntries(parsed.searchParams),
+            headers: options.headers || {},
+            body: options.body,
+            json: () => JSON.parse(options.body)
+        };
+        calls.push(call);
+        
+        let reply = routes.get(`${call.method} ${call.path}`);
+        if (typeof reply === 'function') reply = await reply(call);
+        if (reply === undefined) return jsonResponse(404, { error: 'Not found' });
+        if (reply instanceof Error) throw reply;
+        if (reply instanceof Response) return reply;
+        return jsonResponse(reply.status ?? 200, reply.body ?? {}, reply.headers);
+    }
+    
+    fetch.calls = calls;
+    fetch.on = (route, reply) => {
+        routes.set(route, reply);
+        return fetch;
+    };
+    fetch.callsTo = (route) => calls.filter(call => `${call.method} ${call.path}` === route);
+    return fetch;
+}
+
+function installWindow(window) {
+    for (const name of WINDOW_GLOBALS) {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    }
+}
+
+// Lets pending fetches, response bodies and promise chains finish
+export async function settle() {
+    for (let i = 0; i < 20; i++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+// Creates an app on a fresh page. With `start` it runs init() as the page
+// would; `token` null starts logged out. `confirm` answers every confirm()
+// prompt. Returns the app, the fakes and what the page showed.
+export async function createApp(t, { token = TOKEN, state = deviceState(), start = true, confirm = true } = {}) {
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: NOW });
+    
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+    const dom = new JSDOM(INDEX_HTML, { url: `${ORIGIN}/`, virtualConsole });
+    installWindow(dom.window);
+    t.after(() => {
+        dom.window.close();
+        // Exceptions thrown in the page's event handlers end up here
+        if (errors.length > 0) throw errors[0];
+    });
+    
+    // Downloads go through object URLs and link clicks, which jsdom does not implement
+    const downloads = [];
+    dom.window.URL.createObjectURL = () => 'blob:terranurture';
+    dom.window.URL.revokeObjectURL = () => {};
+    dom.window.HTMLAnchorElement.prototype.click = function () {
+        downloads.push(this.download);
+    };
+    
+    const prompts = [];
+    globalThis.confirm = message => {
+        prompts.push(message);
+        return confirm;
+    };
+    
+    const sockets = [];
+    globalThis.WebSocket = class extends FakeWebSocket {
+        constructor(url) {
+            super(url);
+            sockets.push(this);
+        }
+    };
+    
+    const fetch = createFetch()
+        .on('GET /api/auth/session', { body: session() })
+        .on('POST /api/auth/logout', { body: { status: 'logged_out' } })
+        .on('GET /api/state', { body: state })
+        .on('GET /api/logs', { body: { logs: [], next_cursor: null } })
+        .on('GET /api/history', { body: { now: NOW, bucket_ms: 15000, points: [], pump: [] } })
+        .on('GET /api/schedules', { body: { schedules: [], time_synced: true, time: NOW } })
+        .on('GET /api/system', { body: { system: state.system } })
+        .on('GET /api/wifi', { body: { networks: [], static_ip: { enabled: false, ip: '', gateway: '', subnet: '', dns: '' } } });
+    globalThis.fetch = fetch;
+    
+    if (token) localStorage.setItem('terranurture_token', token);
+    
+    // The app logs every frame and every handled error; tests look at the page instead
+    for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+    
+    const app = new TerraNurtureApp();
+    if (start) {
+        await app.init();
+        await settle();
+    }
+    
+    const toasts = () => [...dom.window.document.querySelectorAll('#toastContainer .toast')].map(toast => ({
+        type: toast.classList[1],
+        message: toast.querySelector('.toast-message').textContent
+    }));
+    
+    return {
+        app,
+        dom,
+        fetch,
+        sockets,
+        errors,
+        downloads,
+        prompts,
+        get socket() {
+            return sockets[sockets.length - 1];
+        },
+        $: id => dom.window.document.getElementById(id),
+        toasts,
+        lastToast: () => toasts().at(-1)
+    };
+}
+
+// Creates an app whose WebSocket is open and has delivered the state frame
+export async function connectedApp(t, { state = deviceState(), ...options } = {}) {
+    const harness = await createApp(t, { state, ...options });
+    harness.socket.open();
+    harness.socket.receive({
+        type: 'state',
+        zones: state.zones,
+        network: state.network,
+        system: { ...state.system, push_interval: 10000 }
+    });
+    await settle();
+    return harness;
+}
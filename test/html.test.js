@@ -0,0 +1,35 @@
+// Templates escape what they interpolate; rendering needs a page for <template>
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fragment, html, render } from '../data/js/html.js';
+import { createApp } from './harness.js';
+
+test('html escapes values and inserts nested templates as they are', () => {
+    const name = '<img src=x onerror="alert(1)">';
+    const rows = ['a', 'b'].map(item => html`<li>${item}</li>`);
+    
+    assert.equal(html`<b>${name}</b>`.text, '<b>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</b>');
+    assert.equal(html`<ul>${rows}</ul>`.text, '<ul><li>a</li><li>b</li></ul>');
+    assert.equal(html`${null}${undefined}${false}${0}`.text, '0');
+});
+
+test('render replaces the content and accepts table rows', async (t) => {
+    const { $ } = await createApp(t, { start: false });
+    const tbody = $('logsTableBody');
+    
+    render(tbody, html`<tr><td>${'<b>one</b>'}</td></tr><tr><td>two</td></tr>`);
+    
+    assert.equal(tbody.rows.length, 2);
+    assert.equal(tbody.rows[0].textContent, '<b>one</b>');
+    assert.equal(tbody.querySelector('b'), null);
+    assert.throws(() => fragment('<b>raw</b>'), TypeError, 'plain strings are refused');
+});
+
+test('a toast shows its message as text', async (t) => {
+    const { app, lastToast } = await createApp(t, { start: false });
+    
+    app.showToast('Saved "<script>"', 'success');
+    
+    assert.deepEqual(lastToast(), { type: 'success', message: 'Saved "<script>"' });
+    assert.equal(document.querySelector('#toastContainer script'), null);
+});
@@ -0,0 +1,242 @@
+// Logs panel: filters sent to the device, cursor paging and the rendered table
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectedApp, createApp, settle } from './harness.js';
+import { logRow } from './fixtures.js';
+
+// Pages keyed by the cursor they are fetched with; "first" has none
+function pagedLogs(fetch, pages) {
+    fetch.on('GET /api/logs', call => {
+        const page = pages[call.query.cursor ?? 'first'];
+        return page ? { body: page } : { status: 400, body: { error: 'Invalid cursor' } };
+    });
+}
+
+const page = (details, next_cursor) => ({ logs: details.map(text => logRow({ details: text })), next_cursor });
+
+const rowDetails = $ => [...$('logsTableBody').rows].map(row => row.cells[4].textContent);
+
+test('the first page is fetched without a cursor', async (t) => {
+    const { fetch } = await createApp(t);
+    
+    const [call] = fetch.callsTo('GET /api/logs');
+    assert.deepEqual(call.query, { limit: '20' });
+});
+
+test('the filters are sent to the device', async (t) => {
+    const { app, fetch, $ } = await createApp(t);
+    $('logFilter').value = 'pump';
+    $('logZone').value = '1';
+    $('logSearch').value = '  retry ';
+    $('logFrom').value = '2026-07-14T08:00';
+    $('logTo').value = '2026-07-14T09:30';
+    
+    await app.filterLogs();
+    
+    const call = fetch.callsTo('GET /api/logs').at(-1);
+    assert.deepEqual(call.query, {
+        limit: '20',
+        event: 'pump',
+        zone: '1',
+        q: 'retry',
+        from: String(new Date('2026-07-14T08:00').getTime()),
+        to: String(new Date('2026-07-14T09:30').getTime())
+    });
+});
+
+test('a page with no next cursor disables both buttons', async (t) => {
+    const { app, fetch, $ } = await createApp(t);
+    pagedLogs(fetch, { first: page(['a', 'b'], null) });
+    
+    await app.filterLogs();
+    
+    assert.deepEqual(rowDetails($), ['a', 'b']);
+    assert.equal($('currentPage').textContent, '1');
+    assert.equal($('prevPageBtn').disabled, true);
+    assert.equal($('nextPageBtn').disabled, true);
+});
+
+test('next and previous walk the pages by cursor', async (t) => {
+    const { app, fetch, $ } = await createApp(t);
+    pagedLogs(fetch, {
+        first: page(['newest'], 900),
+        900: page(['middle'], 400),
+        400: page(['oldest'], null)
+    });
+    
+    await app.filterLogs();
+    assert.equal($('nextPageBtn').disabled, false);
+    
+    app.nextLogPage();
+    await settle();
+    assert.deepEqual(rowDetails($), ['middle']);
+    assert.equal($('currentPage').textContent, '2');
+    assert.equal($('prevPageBtn').disabled, false);
+    assert.equal($('nextPageBtn').disabled, false);
+    
+    app.nextLogPage();
+    await settle();
+    assert.deepEqual(rowDetails($), ['oldest']);
+    assert.equal($('nextPageBtn').disabled, true);
+    assert.deepEqual(app.state.logs.cursors, [null, 900, 400, null]);
+    
+    app.prevLogPage();
+    await settle();
+    assert.deepEqual(rowDetails($), ['middle']);
+    assert.equal(fetch.callsTo('GET /api/logs').at(-1).query.cursor, '900');
+    assert.deepEqual(app.state.logs.cursors, [null, 900, 400], 'cursors past the shown page are kept for next');
+    
+    app.prevLogPage();
+    await settle();
+    assert.deepEqual(rowDetails($), ['newest']);
+    assert.equal(fetch.callsTo('GET /api/logs').at(-1).query.cursor, undefined);
+});
+
+test('a cursor of 0 is still a next page', async (t) => {
+    const { app, fetch, $ } = await createApp(t);
+    pagedLogs(fetch, { first: page(['newest'], 0), 0: page(['oldest'], null) });
+    
+    await app.filterLogs();
+    assert.equal($('nextPageBtn').disabled, false);
+    
+    app.nextLogPage();
+    await settle();
+    assert.deepEqual(rowDetails($), ['oldest']);
+});
+
+test('previous on the first page and next on the last page do nothing', async (t) => {
+    const { app, fetch } = await createApp(t);
+    pagedLogs(fetch, { first: page(['only'], null) });
+    await app.filterLogs();
+    const calls = fetch.callsTo('GET /api/logs').length;
+    
+    app.prevLogPage();
+    app.nextLogPage();
+    await settle();
+    
+    assert.equal(fetch.callsTo('GET /api/logs').length, calls);
+    assert.equal(app.state.logs.page, 1);
+});
+
+test('changing a filter on a later page starts again from the newest entry', async (t) => {
+    const { app, fetch, $ } = await createApp(t);
+    pagedLogs(fetch, { first: page(['newest'], 900), 900: page(['older'], 400) });
+    await app.filterLogs();
+    await app.fetchLogs(2);
+    
+    $('logFilter').value = 'sensor';
+    $('logFilter').dispatchEvent(new window.Event('change'));
+    await settle();
+    
+    assert.equal(app.state.logs.page, 1);
+    assert.deepEqual(app.state.logs.cursors, [null, 900]);
+    assert.deepEqual(rowDetails($), ['newest']);
+    assert.equal(fetch.callsTo('GET /api/logs').at(-1).query.cursor, undefined);
+});
+
+test('a failed page fetch leaves the current page as it was', async (t) => {
+    const { app, fetch, $ } = await createApp(t);
+    pagedLogs(fetch, { first: page(['newest'], 900) });
+    await app.filterLogs();
+    
+    app.nextLogPage();
+    await settle();
+    
+    assert.equal(app.state.logs.page, 1);
+    assert.deepEqual(app.state.logs.cursors, [null, 900]);
+    assert.deepEqual(rowDetails($), ['newest']);
+    assert.equal($('nextPageBtn').disabled, false);
+});
+
+test('an empty result shows a placeholder row', async (t) => {
+    const { app, $ } = await createApp(t);
+    
+    app.store.update('logs', { rows: [] });
+    
+    const rows = $('logsTableBody').rows;
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].textContent, 'No logs found');
+});
+
+test('rows show escaped text, missing values as -- and untimed rows by boot', async (t) => {
+    const { app, $ } = await createApp(t);
+    
+    app.store.update('logs', {
+        rows: [
+            logRow({ event: 'CONFIG_CHANGE', details: '<b>name</b> = "Beds"', zone: 'Z2' }),
+            logRow({ timestamp: 0, uptime: 65000, boot_id: 3, raw_adc: 0, percentage: 0, details: '', zone: '' })
+        ]
+    });
+    
+    const [tagged, untimed] = $('logsTableBody').rows;
+    assert.equal(tagged.cells[4].textContent, '<b>name</b> = "Beds"');
+    assert.equal(tagged.cells[4].querySelector('b'), null);
+    assert.equal(tagged.querySelector('.log-zone').textContent, 'Z2');
+    assert.ok(tagged.querySelector('.log-event').classList.contains('log-info'));
+    
+    assert.equal(untimed.cells[0].textContent, 'Boot #3 +00:01:05');
+    assert.equal(untimed.cells[2].textContent, '--');
+    assert.equal(untimed.cells[3].textContent, '--');
+    assert.equal(untimed.cells[4].textContent, '--');
+    assert.equal(untimed.querySelector('.log-zone'), null);
+});
+
+test('live entries follow the zone and search filters', async (t) => {
+    const { app, $ } = await createApp(t);
+    
+    $('logZone').value = '1';
+    assert.equal(app.matchesLogFilter(logRow({ zone: 'Z2' })), true);
+    assert.equal(app.matchesLogFilter(logRow({ zone: 'Z1' })), false);
+    assert.equal(app.matchesLogFilter(logRow({ zone: '' })), false);
+    
+    $('logZone').value = '0';
+    assert.equal(app.matchesLogFilter(logRow({ zone: '' })), true, 'untagged rows belong to the first zone');
+    
+    $('logZone').value = 'all';
+    $('logSearch').value = 'RETRY';
+    assert.equal(app.matchesLogFilter(logRow({ event: 'PUMP_RETRY', details: '' })), true);
+    assert.equal(app.matchesLogFilter(logRow({ details: 'no match' })), false);
+    
+    $('logSearch').value = '';
+    $('logFilter').value = 'system';
+    assert.equal(app.matchesLogFilter(logRow({ event: 'OTA_BEGIN' })), true);
+    assert.equal(app.matchesLogFilter(logRow({ event: 'SCHEDULE_RUN' })), false);
+});
+
+test('over the WebSocket pages are queried with logs_query', async (t) => {
+    const { app, socket, $ } = await connectedApp(t);
+    
+    const loaded = app.filterLogs();
+    const request = socket.sent.at(-1);
+    assert.equal(request.command, 'logs_query');
+    assert.deepEqual(request.params, { limit: 20 });
+    socket.reply(page(['pushed'], 'c1'));
+    await loaded;
+    
+    assert.deepEqual(rowDetails($), ['pushed']);
+    assert.deepEqual(app.state.logs.cursors, [null, 'c1']);
+    
+    app.nextLogPage();
+    assert.deepEqual(socket.sent.at(-1).params, { limit: 20, cursor: 'c1' });
+});
+
+test('clearing logs asks first, then reloads the first page', async (t) => {
+    const { app, fetch, lastToast } = await createApp(t);
+    fetch.on('POST /api/logs/clear', { body: { status: 'cleared' } });
+    const queries = fetch.callsTo('GET /api/logs').length;
+    
+    await app.clearLogs();
+    await settle();
+    
+    assert.equal(fetch.callsTo('POST /api/logs/clear').length, 1);
+    assert.equal(fetch.callsTo('GET /api/logs').length, queries + 1);
+    assert.deepEqual(lastToast(), { type: 'success', message: 'Logs cleared' });
+});
+
+test('clearing logs does nothing when not confirmed', async (t) => {
+    const { app, fetch } = await createApp(t, { confirm: false });
+    
+    await app.clearLogs();
+    
+    assert.equal(fetch.callsTo('POST /api/logs/clear').length, 0);
+});
@@ -0,0 +1,235 @@
+// handleWebSocketMessage(): every push frame type, and acks and errors for commands
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectedApp, settle } from './harness.js';
+import { logRow, systemInfo } from './fixtures.js';
+
+test('a state frame replaces the zones and renders a card per zone', async (t) => {
+    const { app, $ } = await connectedApp(t);
+    
+    assert.equal(app.state.zones.length, 2);
+    assert.equal($('zoneCards').querySelectorAll('.zone-card').length, 2);
+    assert.equal($('moistureValue').textContent, '52.5');
+    assert.equal(app.pushInterval, 10000);
+});
+
+test('a state frame may also arrive wrapped in "data"', async (t) => {
+    const { app, socket } = await connectedApp(t);
+    
+    socket.receive({ type: 'state', data: { network: { connected: true, ssid: 'Shed', rssi: -70 } } });
+    
+    assert.equal(app.state.network.ssid, 'Shed');
+    assert.equal(app.state.network.ip, '192.168.1.40');
+});
+
+test('a zones frame merges into the zone it names and leaves the others alone', async (t) => {
+    const { app, socket, $ } = await connectedApp(t);
+    
+    socket.receive({ type: 'zones', zones: [{ id: 1, sensor: { moisture: 31.2, raw_adc: 2760 } }] });
+    
+    assert.equal(app.state.zones[1].sensor.moisture, 31.2);
+    assert.equal(app.state.zones[1].sensor.valid, true, 'fields not in the delta are kept');
+    assert.equal(app.state.zones[0].sensor.moisture, 52.5);
+    assert.match($('zoneCards').textContent, /31\.2%/);
+    // Zone 0 is selected, so its detail card did not change
+    assert.equal($('moistureValue').textContent, '52.5');
+});
+
+test('a zones frame for the selected zone updates the detail cards', async (t) => {
+    const { app, socket, $ } = await connectedApp(t);
+    
+    socket.receive({ type: 'zones', zones: [{ id: 0, pump: { active: true, status: 'MANUAL' } }] });
+    
+    assert.equal(app.state.zones[0].pump.active, true);
+    assert.equal($('pumpStatusBadge').textContent, 'MANUAL');
+    assert.equal($('emergencyStopBtn').disabled, false);
+    assert.equal(app.state.history.pumpSpans.length, 1, 'a pump span starts on the history chart');
+});
+
+test('a zones frame for a zone the page does not know is ignored', async (t) => {
+    const { app, socket } = await connectedApp(t);
+    
+    socket.receive({ type: 'zones', zones: [{ id: 5, sensor: { moisture: 10 } }] });
+    
+    assert.equal(app.state.zones.length, 2);
+});
+
+test('a log frame is prepended to the first page', async (t) => {
+    const { app, socket, $ } = await connectedApp(t);
+    app.store.update('logs', { rows: [logRow({ details: 'older' })] });
+    
+    socket.receive({ type: 'log', data: logRow({ event: 'PUMP_START', details: 'newer' }) });
+    
+    assert.deepEqual(app.state.logs.rows.map(log => log.details), ['newer', 'older']);
+    assert.equal($('logsTableBody').rows.length, 2);
+});
+
+test('a log frame is not shown on later pages or when it does not match the filter', async (t) => {
+    const { app, socket, $ } = await connectedApp(t);
+    app.store.update('logs', { rows: [] });
+    
+    $('logFilter').value = 'pump';
+    socket.receive({ type: 'log', data: logRow({ event: 'SENSOR_READ' }) });
+    assert.equal(app.state.logs.rows.length, 0, 'filtered out');
+    
+    $('logFilter').value = 'all';
+    app.store.update('logs', { page: 2 });
+    socket.receive({ type: 'log', data: logRow() });
+    assert.equal(app.state.logs.rows.length, 0, 'not on page 2');
+});
+
+test('a log frame keeps the first page at logsPerPage rows', async (t) => {
+    const { app, socket } = await connectedApp(t);
+    app.store.update('logs', { rows: Array.from({ length: app.logsPerPage }, (_, i) => logRow({ details: `row ${i}` })) });
+    
+    socket.receive({ type: 'log', data: logRow({ details: 'new' }) });
+    
+    assert.equal(app.state.logs.rows.length, app.logsPerPage);
+    assert.equal(app.state.logs.rows[0].details, 'new');
+    assert.equal(app.state.logs.rows[app.logsPerPage - 1].details, `row ${app.logsPerPage - 2}`);
+});
+
+test('a watering log frame leaves the open panel alone', async (t) => {
+    const { app, socket, $ } = await connectedApp(t);
+    app.switchPanel('calibration');
+    
+    socket.receive({ type: 'log', data: logRow({ event: 'WATERING_START' }) });
+    
+    assert.ok($('calibration').classList.contains('active'));
+    assert.ok(!$('logs').classList.contains('active'));
+});
+
+test('a system frame merges into the system state', async (t) => {
+    const { app, socket, $ } = await connectedApp(t);
+    
+    socket.receive({ type: 'system', data: { uptime: 7200000, free_heap: 102400 } });
+    
+    assert.equal(app.state.system.uptime, 7200000);
+    assert.equal(app.state.system.boot_id, 7, 'fields not in the frame are kept');
+    assert.equal($('freeHeap').textContent, '100 KB');
+});
+
+test('a calibration frame updates its zone, and the cards only for the selected zone', async (t) => {
+    const { app, socket, $ } = await connectedApp(t);
+    
+    socket.receive({ type: 'calibration', data: { zone: 1, adc_dry: 3000, adc_wet: 1400 } });
+    assert.equal(app.state.zones[1].calibration.adc_dry, 3000);
+    assert.equal($('adcDryValue').textContent, '3250');
+    
+    socket.receive({ type: 'calibration', data: { zone: 0, adc_dry: 3100, adc_wet: 1300 } });
+    assert.equal($('adcDryValue').textContent, '3100');
+    assert.equal(app.state.zones[0].calibration.adc_wet, 1300);
+});
+
+test('calibration samples only reach a wizard for the same zone', async (t) => {
+    const { app, socket, $ } = await connectedApp(t);
+    app.startCalibrationWizard('dry');
+    
+    const sample = { zone: 0, adc: 3240, stddev: 3, min: 3236, max: 3245, samples: 16, window: 16, stable: true, threshold: 8 };
+    socket.receive({ type: 'calibration_sample', data: { ...sample, zone: 1 } });
+    assert.equal($('wizardAdc').textContent, '--');
+    
+    socket.receive({ type: 'calibration_sample', data: sample });
+    assert.equal($('wizardAdc').textContent, '3240');
+    assert.equal($('wizardStatus').textContent, 'Stable, ready to capture');
+});
+
+test('a config frame renames the zone and refreshes the zone selectors', async (t) => {
+    const { app, socket, $ } = await connectedApp(t);
+    
+    socket.receive({
+        type: 'config',
+        data: { sampling_interval: 5000, zone: { id: 1, name: 'Herbs', dry_threshold: 40, expected_value: 65, max_retries: 3 } }
+    });
+    
+    assert.equal(app.state.config.sampling_interval, 5000);
+    assert.equal(app.state.zones[1].name, 'Herbs');
+    assert.equal(app.state.zones[1].config.dry_threshold, 40);
+    assert.equal($('zoneSelect').options[1].textContent, 'Herbs');
+    // Zone 0 is selected, so the zone form keeps its values
+    assert.equal($('zoneName').value, 'Zone 1');
+});
+
+test('an update frame shows install progress', async (t) => {
+    const { socket, $ } = await connectedApp(t);
+    
+    socket.receive({ type: 'update', data: { state: 'writing', target: 'firmware', progress: 40 } });
+    
+    assert.equal($('updateProgress').hidden, false);
+    assert.equal($('updateProgressText').textContent, 'Writing firmware image: 40%');
+    assert.equal($('updateBadge').textContent, 'Updating');
+});
+
+test('an ack resolves the command with the same id', async (t) => {
+    const { app, socket } = await connectedApp(t);
+    
+    const result = app.send('pump_start', { zone: 1 });
+    const request = socket.sent[socket.sent.length - 1];
+    assert.deepEqual({ command: request.command, params: request.params }, { command: 'pump_start', params: { zone: 1 } });
+    
+    socket.receive({ type: 'ack', id: request.id + 1, command: 'pump_start', data: { status: 'other' } });
+    socket.receive({ type: 'ack', id: request.id, command: 'pump_start', data: { status: 'manual_pump_triggered' } });
+    
+    assert.deepEqual(await result, { status: 'manual_pump_triggered' });
+    assert.equal(app.pendingRequests.size, 0);
+});
+
+test('an error frame rejects the command with its field errors and warnings', async (t) => {
+    const { app, socket } = await connectedApp(t);
+    
+    const result = app.send('config_set', { zone: 0, dry_threshold: 80 });
+    socket.reply(null, {
+        code: 400,
+        message: 'Invalid configuration',
+        errors: [{ zone: 'Z1', field: 'dry_threshold', message: 'Must be below the target' }],
+        warnings: [{ zone: null, field: 'pump_min_off_s', message: 'Long wait' }]
+    });
+    
+    await assert.rejects(result, error => {
+        assert.equal(error.message, 'Invalid configuration');
+        assert.equal(error.errors[0].field, 'dry_threshold');
+        assert.equal(error.warnings[0].field, 'pump_min_off_s');
+        return true;
+    });
+});
+
+test('an error frame for no pending command is shown as a toast', async (t) => {
+    const harness = await connectedApp(t);
+    
+    harness.socket.receive({ type: 'error', id: null, code: 400, message: 'Parse error' });
+    
+    assert.deepEqual(harness.lastToast(), { type: 'error', message: 'Parse error' });
+});
+
+test('a 401 error frame ends the session', async (t) => {
+    const { app, socket, $ } = await connectedApp(t);
+    const pending = app.send('pump_stop');
+    
+    socket.receive({ type: 'error', id: null, code: 401, message: 'Login required' });
+    
+    await assert.rejects(pending, /Logged out/);
+    assert.equal(app.state.session.token, null);
+    assert.equal(localStorage.getItem('terranurture_token'), null);
+    assert.equal($('loginScreen').hidden, false);
+    assert.ok(socket.closed);
+});
+
+test('unknown frames and malformed JSON are ignored', async (t) => {
+    const { app, socket } = await connectedApp(t);
+    const before = JSON.stringify(app.state);
+    
+    socket.receive({ type: 'mystery', data: {} });
+    socket.receive('{not json');
+    await settle();
+    
+    assert.equal(JSON.stringify(app.state), before);
+});
+
+test('a system snapshot from HTTP uses the same merge as the push frame', async (t) => {
+    const { app } = await connectedApp(t);
+    
+    app.updateSystemInfo({ system: systemInfo({ log_segments: 3 }) });
+    
+    assert.equal(app.state.system.log_segments, 3);
+    assert.equal(document.getElementById('logSegment').options.length, 5);
+});
@@ -0,0 +1,239 @@
+// Reconnect backoff, liveness checks and the resync after a reconnect
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectedApp, createApp, settle } from './harness.js';
+
+// Fixes the jitter: 0 waits half the backoff ceiling, 1 the whole of it
+function jitter(t, value) {
+    t.mock.method(Math, 'random', () => value);
+}
+
+// Waits out a reconnect delay and reports whether a new socket was made
+function reconnectsAfter(t, harness, ms) {
+    const sockets = harness.sockets.length;
+    t.mock.timers.tick(ms - 1);
+    if (harness.sockets.length !== sockets) return false;
+    t.mock.timers.tick(1);
+    return harness.sockets.length === sockets + 1;
+}
+
+test('the first connection shows a toast and no resync', async (t) => {
+    const harness = await createApp(t);
+    const calls = harness.fetch.calls.length;
+    
+    harness.socket.open();
+    await settle();
+    
+    assert.equal(harness.socket.url, 'ws://terranurture.local:81/?token=0123456789abcdef0123456789abcdef');
+    assert.deepEqual(harness.lastToast(), { type: 'success', message: 'Connected to system' });
+    assert.equal(harness.$('connectionText').textContent, 'Connected');
+    assert.equal(harness.fetch.calls.length, calls);
+});
+
+test('reconnect delays double up to the ceiling with jitter at the low end', async (t) => {
+    jitter(t, 0);
+    const harness = await connectedApp(t);
+    
+    harness.socket.drop();
+    for (const delay of [500, 1000, 2000, 4000, 8000, 15000, 15000, 15000]) {
+        assert.equal(reconnectsAfter(t, harness, delay), true, `after ${delay} ms`);
+        harness.socket.drop();
+    }
+    assert.equal(harness.app.reconnectAttempts, 9);
+});
+
+test('reconnect delays with jitter at the high end never exceed the ceiling', async (t) => {
+    jitter(t, 1);
+    const harness = await connectedApp(t);
+    
+    harness.socket.drop();
+    for (const delay of [1000, 2000, 4000, 8000, 16000, 30000, 30000]) {
+        assert.equal(reconnectsAfter(t, harness, delay), true, `after ${delay} ms`);
+        harness.socket.drop();
+    }
+});
+
+test('reconnecting never gives up', async (t) => {
+    jitter(t, 0.5);
+    const harness = await connectedApp(t);
+    
+    harness.socket.drop();
+    for (let attempt = 0; attempt < 50; attempt++) {
+        t.mock.timers.tick(30000);
+        harness.socket.drop();
+    }
+    
+    assert.equal(harness.sockets.length, 51);
+    assert.equal(harness.$('connectionText').textContent, 'Reconnecting in 23s...');
+});
+
+test('a successful connection resets the backoff', async (t) => {
+    jitter(t, 0);
+    const harness = await connectedApp(t);
+    
+    harness.socket.drop();
+    t.mock.timers.tick(500);
+    harness.socket.drop();
+    t.mock.timers.tick(1000);
+    harness.socket.open();
+    assert.equal(harness.app.reconnectAttempts, 0);
+    
+    harness.socket.drop();
+    assert.equal(reconnectsAfter(t, harness, 500), true);
+});
+
+test('the reconnect resyncs what the state frame does not cover', async (t) => {
+    jitter(t, 0);
+    const harness = await connectedApp(t);
+    const { fetch } = harness;
+    
+    harness.socket.drop();
+    t.mock.timers.tick(500);
+    const calls = fetch.calls.length;
+    harness.socket.open();
+    await settle();
+    
+    assert.equal(harness.socket.sent.at(-1).command, 'logs_query');
+    harness.socket.reply({ logs: [], next_cursor: null });
+    await settle();
+    
+    const routes = fetch.calls.slice(calls).map(call => `${call.method} ${call.path}`);
+    assert.deepEqual(routes, ['GET /api/state', 'GET /api/history', 'GET /api/schedules', 'GET /api/system']);
+    assert.deepEqual(harness.lastToast(), { type: 'success', message: 'Reconnected, data resynced' });
+});
+
+test('a failed resync is reported as a warning', async (t) => {
+    jitter(t, 0);
+    const harness = await connectedApp(t);
+    harness.fetch.on('GET /api/state', new TypeError('Failed to fetch'));
+    
+    harness.socket.drop();
+    t.mock.timers.tick(500);
+    harness.socket.open();
+    await settle();
+    
+    assert.deepEqual(harness.lastToast(), { type: 'warning', message: 'Reconnected, but some data could not be refreshed' });
+});
+
+test('a calibration wizard asks for its sample stream again after a reconnect', async (t) => {
+    jitter(t, 0);
+    const harness = await connectedApp(t);
+    harness.app.startCalibrationWizard('wet');
+    harness.socket.reply();
+    
+    harness.socket.drop();
+    t.mock.timers.tick(500);
+    harness.socket.open();
+    
+    const commands = harness.socket.sent.map(request => request.command);
+    assert.ok(commands.includes('calibration_stream'));
+    assert.deepEqual(harness.socket.sent.find(request => request.command === 'calibration_stream').params, { zone: 0 });
+});
+
+test('commands waiting for an ack fail when the connection drops and are not retried', async (t) => {
+    const harness = await connectedApp(t);
+    
+    const result = harness.app.send('pump_start', { zone: 0 });
+    harness.socket.drop();
+    
+    await assert.rejects(result, /Connection lost/);
+    assert.equal(harness.app.pendingRequests.size, 0);
+    assert.equal(harness.fetch.callsTo('POST /api/pump/manual').length, 0);
+});
+
+test('commands without an ack time out', async (t) => {
+    const harness = await connectedApp(t);
+    
+    const result = harness.app.send('pump_stop', { zone: 0 });
+    t.mock.timers.tick(9999);
+    assert.equal(harness.app.pendingRequests.size, 1);
+    t.mock.timers.tick(1);
+    
+    await assert.rejects(result, /Request timed out/);
+});
+
+test('commands go over HTTP while the socket is down', async (t) => {
+    const harness = await connectedApp(t);
+    harness.fetch.on('POST /api/pump/stop', { body: { status: 'pump_stopped' } });
+    harness.socket.drop();
+    
+    assert.deepEqual(await harness.app.send('pump_stop', { zone: 1 }), { status: 'pump_stopped' });
+    assert.deepEqual(harness.fetch.callsTo('POST /api/pump/stop')[0].json(), { zone: 1 });
+});
+
+test('a quiet socket is pinged after a push interval and a half', async (t) => {
+    const harness = await connectedApp(t);
+    
+    t.mock.timers.tick(12500);
+    assert.equal(harness.socket.sent.length, 0);
+    
+    t.mock.timers.tick(2500);
+    assert.equal(harness.socket.sent.at(-1).command, 'ping');
+    
+    t.mock.timers.tick(2500);
+    assert.equal(harness.socket.sent.length, 1, 'one ping at a time');
+    
+    harness.socket.reply({ status: 'pong' });
+    await settle();
+    assert.equal(harness.app.pingPending, false);
+});
+
+test('a silent socket greys out the cards and is replaced', async (t) => {
+    jitter(t, 0);
+    const harness = await connectedApp(t);
+    const socket = harness.socket;
+    
+    t.mock.timers.tick(30000);
+    
+    assert.equal(harness.app.state.connection.stale, true);
+    assert.ok(document.body.classList.contains('data-stale'));
+    assert.equal(harness.$('staleBanner').hidden, false);
+    assert.equal(harness.$('staleText').textContent, 'No data from the device for 30s; values shown may be out of date');
+    assert.ok(socket.closed);
+    assert.equal(socket.onclose, null, 'the abandoned socket cannot fire later');
+    assert.equal(harness.app.ws, null);
+    
+    assert.equal(reconnectsAfter(t, harness, 500), true);
+    harness.socket.open();
+    harness.socket.receive({ type: 'system', data: { uptime: 3700000 } });
+    t.mock.timers.tick(2500);
+    
+    assert.equal(harness.app.state.connection.stale, false);
+    assert.equal(harness.$('staleBanner').hidden, true);
+});
+
+test('coming back online skips the remaining backoff', async (t) => {
+    jitter(t, 1);
+    const harness = await connectedApp(t);
+    
+    harness.socket.drop();
+    t.mock.timers.tick(1000);
+    harness.socket.drop();
+    assert.equal(harness.sockets.length, 2);
+    
+    window.dispatchEvent(new window.Event('online'));
+    assert.equal(harness.sockets.length, 3);
+    assert.equal(harness.app.reconnectAttempts, 0);
+    
+    // The cancelled timer does not open a second socket
+    t.mock.timers.tick(60000);
+    assert.equal(harness.sockets.length, 3);
+    
+    window.dispatchEvent(new window.Event('online'));
+    assert.equal(harness.sockets.length, 3, 'ignored while a socket exists');
+});
+
+test('no reconnects after logging out', async (t) => {
+    const harness = await connectedApp(t);
+    const socket = harness.socket;
+    
+    await harness.app.logout();
+    t.mock.timers.tick(120000);
+    
+    assert.ok(socket.closed);
+    assert.equal(harness.sockets.length, 1);
+    assert.equal(harness.$('loginScreen').hidden, false);
+    
+    window.dispatchEvent(new window.Event('online'));
+    assert.equal(harness.sockets.length, 1);
+});
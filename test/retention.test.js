@@ -0,0 +1,58 @@
+// History retention: what the device keeps must cover every chart range
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { HISTORY_RANGES } from '../data/js/history.js';
+import { Device } from '../tools/simulator/device.js';
+import { SimClock } from '../tools/simulator/clock.js';
+import { historyJson } from '../tools/simulator/logs.js';
+import { NOW } from './fixtures.js';
+
+const firmware = readFileSync(new URL('../TerraNurture_Irrigation_System.ino', import.meta.url), 'utf8');
+
+function define(name) {
+    const match = new RegExp(`^#define ${name} (\\d+)`, 'm').exec(firmware);
+    assert.ok(match, `${name} is not defined`);
+    return Number(match[1]);
+}
+
+const LONGEST_RANGE = Math.max(...Object.values(HISTORY_RANGES));
+
+test('the history files hold the longest chart range', () => {
+    assert.ok(define('HISTORY_RECORDS') * define('HISTORY_RECORD_MS') >= LONGEST_RANGE);
+});
+
+test('the default event log holds the ranges read from it, with every zone on the board', () => {
+    // The zone table lists the zones a board can have, commented out or not
+    const zones = firmware.match(/^\s*(\/\/ )?\{\d+, \d+, "Z\d+"/gm).length;
+    const row = `${NOW},4095,100.00,SENSOR_READ,OUT_OF_RANGE,4294967295,4294967295,Z${zones}\n`;
+    
+    const logBytes = (define('DEFAULT_LOG_MAX_SEGMENTS') + 1) * define('DEFAULT_LOG_SEGMENT_KB') * 1024;
+    const bytesPerMs = zones * row.length / define('DEFAULT_SAMPLING_INTERVAL');
+    assert.ok(logBytes / bytesPerMs >= define('HISTORY_LOG_RANGE_MS'));
+});
+
+test('a week of readings still charts after the log has rotated them away', () => {
+    const clock = new SimClock({ start: NOW - 7 * 86400000 });
+    const device = new Device({ clock });
+    
+    // A reading every 30 s falling from 80% to 10%, with one pump run on the first day
+    for (let elapsed = 0; elapsed < 7 * 86400000; elapsed += 30000) {
+        clock.advance(30000);
+        device.addLogRow('SENSOR_READ', 'OK', 0, 2000, 80 - 70 * elapsed / (7 * 86400000));
+        if (elapsed === 86400000) device.logZoneEvent(0, 'PUMP_AUTO_START', '');
+        if (elapsed === 86400000 + 600000) device.logZoneEvent(0, 'PUMP_AUTO_STOP', '');
+    }
+    assert.ok(device.rowTimestamp(device.logs[0]) > NOW - 5 * 86400000);
+    
+    const { history } = historyJson(device, '7d', 0);
+    
+    assert.ok(history.points.length >= 235);
+    assert.ok(history.points[0].t < history.from + 2 * history.bucket_ms);
+    assert.ok(history.points[0].moisture > 75);
+    assert.ok(history.points[history.points.length - 1].moisture < 15);
+    
+    assert.equal(history.pump.length, 1);
+    assert.ok(Math.abs(history.pump[0].start - (history.from + 86400000)) <= 300000);
+    assert.ok(history.pump[0].end - history.pump[0].start <= 900000);
+});
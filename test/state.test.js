@@ -0,0 +1,251 @@
+// updateState() and the merges around it: HTTP snapshots, pushed deltas and zone switches
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connectedApp, createApp, settle } from './harness.js';
+import { NOW, deviceState, zone } from './fixtures.js';
+
+test('the HTTP snapshot fills the config form with the selected zone\'s settings', async (t) => {
+    const { app, $ } = await createApp(t);
+    
+    assert.equal(app.state.selectedZone, 0);
+    assert.equal($('zoneName').value, 'Zone 1');
+    assert.equal($('dryThreshold').value, '45');
+    assert.equal($('samplingInterval').value, '3000');
+    assert.equal($('sensorFilter').value, 'median');
+    assert.equal($('pumpMaxRun').value, '600');
+    assert.equal($('timezone').value, 'UTC0');
+});
+
+test('a state frame without config leaves the form as the user edited it', async (t) => {
+    const { socket, $ } = await connectedApp(t);
+    $('maxRetries').value = '5';
+    
+    const state = deviceState();
+    state.zones[0].config.max_retries = 4;
+    socket.receive({ type: 'state', zones: state.zones });
+    
+    assert.equal($('maxRetries').value, '5');
+});
+
+test('network and system sections merge into what is already known', async (t) => {
+    const { app, $ } = await createApp(t);
+    
+    app.updateState({ network: { rssi: -80 }, system: { uptime: 90061000 } });
+    
+    assert.equal(app.state.network.rssi, -80);
+    assert.equal(app.state.network.ssid, 'Garden');
+    assert.equal($('wifiRssi').textContent, '-80 dBm');
+    assert.equal(app.state.system.uptime, 90061000);
+    assert.equal(app.state.system.free_heap, 180000);
+});
+
+test('the push interval is only taken from frames that carry one', async (t) => {
+    const { app } = await connectedApp(t);
+    
+    app.updateState({ system: { uptime: 1 } });
+    assert.equal(app.pushInterval, 10000);
+    
+    app.updateState({ system: { push_interval: 5000 } });
+    assert.equal(app.pushInterval, 5000);
+});
+
+test('zone selectors are rebuilt only when the zone names change', async (t) => {
+    const { app, $ } = await createApp(t);
+    const select = $('zoneSelect');
+    const firstOption = select.options[0];
+    
+    app.updateState({ zones: deviceState().zones });
+    assert.equal(select.options[0], firstOption, 'same names, same options');
+    
+    const zones = deviceState().zones;
+    zones[1].name = 'Tomatoes';
+    app.updateState({ zones });
+    assert.notEqual(select.options[0], firstOption);
+    assert.deepEqual([...select.options].map(option => option.textContent), ['Zone 1', 'Tomatoes']);
+    assert.deepEqual([...$('logZone').options].map(option => option.value), ['all', '0', '1']);
+    assert.equal($('scheduleZone').options.length, 2);
+});
+
+test('a single zone hides the selectors and the zone cards', async (t) => {
+    const { $ } = await createApp(t, { state: deviceState({ zones: 1 }) });
+    
+    assert.equal($('zoneSelect').style.display, 'none');
+    assert.equal($('logZone').style.display, 'none');
+    assert.equal($('zoneCards').querySelectorAll('.zone-card').length, 0);
+});
+
+test('the log zone filter keeps its choice when the zones are rebuilt', async (t) => {
+    const { app, $ } = await createApp(t);
+    $('logZone').value = '1';
+    
+    const zones = deviceState().zones;
+    zones[0].name = 'Beans';
+    app.updateState({ zones });
+    assert.equal($('logZone').value, '1');
+    
+    app.updateState({ zones: [zone(0, { name: 'Only' })] });
+    assert.equal($('logZone').value, 'all', 'falls back when the zone is gone');
+});
+
+test('the detail cards mirror the selected zone', async (t) => {
+    const { app, $ } = await createApp(t);
+    
+    const zones = deviceState().zones;
+    zones[0].sensor = { ...zones[0].sensor, valid: false, health: 'DISCONNECTED' };
+    app.updateState({ zones });
+    
+    assert.equal(app.state.zones[0].sensor.health, 'DISCONNECTED');
+    assert.equal($('moistureValue').textContent, '--');
+    assert.equal($('moistureStatus').textContent, 'DISCONNECTED');
+    assert.equal($('sensorAge').textContent, 'Auto-watering paused');
+});
+
+test('selectZone switches the cards and the form to another zone', async (t) => {
+    const { app, fetch, $ } = await createApp(t);
+    const state = deviceState();
+    state.zones[1].sensor.moisture = 33.3;
+    state.zones[1].config.dry_threshold = 30;
+    app.updateState(state);
+    const historyCalls = fetch.callsTo('GET /api/history').length;
+    
+    app.selectZone(1);
+    await settle();
+    
+    assert.equal(app.state.selectedZone, 1);
+    assert.equal($('zoneSelect').value, '1');
+    assert.equal($('moistureValue').textContent, '33.3');
+    assert.equal($('zoneName').value, 'Zone 2');
+    assert.equal($('dryThreshold').value, '30');
+    [...document.querySelectorAll('.selected-zone-name')].forEach(elem => assert.equal(elem.textContent, 'Zone 2'));
+    
+    const history = fetch.callsTo('GET /api/history');
+    assert.equal(history.length, historyCalls + 1);
+    assert.equal(history[history.length - 1].query.zone, '1');
+});
+
+test('selectZone ignores the current zone and zones that do not exist', async (t) => {
+    const { app, fetch } = await createApp(t);
+    const calls = fetch.calls.length;
+    
+    app.selectZone(0);
+    app.selectZone(4);
+    await settle();
+    
+    assert.equal(app.state.selectedZone, 0);
+    assert.equal(fetch.calls.length, calls);
+});
+
+test('switching to a zone whose pump runs draws no pump span for the switch', async (t) => {
+    const { app } = await createApp(t);
+    const state = deviceState();
+    state.zones[1].pump = { ...state.zones[1].pump, active: true, status: 'AUTO' };
+    app.updateState(state);
+    
+    app.selectZone(1);
+    
+    assert.equal(app.state.zones[1].pump.active, true);
+    assert.equal(app.state.history.pumpSpans.length, 0);
+});
+
+test('applyZoneChanges merges sensor and pump sections separately', async (t) => {
+    const { app, $ } = await createApp(t);
+    
+    app.applyZoneChanges([
+        { id: 0, sensor: { moisture: 41 } },
+        { id: 1, pump: { runs_today: 5 } },
+        { id: 9, sensor: { moisture: 1 } }
+    ]);
+    
+    assert.equal(app.state.zones[0].sensor.moisture, 41);
+    assert.equal(app.state.zones[0].sensor.raw_adc, 2250);
+    assert.equal(app.state.zones[0].pump.runs_today, 2);
+    assert.equal(app.state.zones[1].pump.runs_today, 5);
+    assert.equal(app.state.zones[1].pump.status, 'IDLE');
+    assert.equal($('moistureValue').textContent, '41.0');
+});
+
+test('applyConfigUpdate refreshes the form only for the selected zone', async (t) => {
+    const { app, $ } = await createApp(t);
+    
+    app.applyConfigUpdate({ pump_max_run_s: 300, zone: { id: 0, name: 'Beds', dry_threshold: 42, expected_value: 62, max_retries: 2 } });
+    
+    assert.equal($('zoneName').value, 'Beds');
+    assert.equal($('dryThreshold').value, '42');
+    assert.equal($('pumpMaxRun').value, '300');
+    assert.equal(app.state.zones[0].config.dry_threshold, 42);
+    assert.equal(app.state.zones[0].config.expected_value, 62);
+    assert.equal($('thresholdLabel').textContent, 'Threshold: 42%');
+});
+
+test('thresholds come from the zone settings, not from the calibration', async (t) => {
+    const { socket, $ } = await connectedApp(t);
+    $('dryThreshold').value = '38';
+    
+    socket.receive({ type: 'calibration', data: { zone: 0, adc_dry: 3100, threshold: 50, target: 70 } });
+    
+    assert.equal($('adcDryValue').textContent, '3100');
+    assert.equal($('dryThreshold').value, '38', 'the edit survives');
+    assert.equal($('expectedValue').value, '60');
+    assert.equal($('thresholdLabel').textContent, 'Threshold: 45%');
+});
+
+test('a pushed config change keeps the fields the user is editing', async (t) => {
+    const { app, $ } = await createApp(t);
+    $('expectedValue').value = '65';
+    
+    app.applyConfigUpdate({ zone: { id: 0, name: 'Zone 1', dry_threshold: 40, expected_value: 62, max_retries: 3 } });
+    assert.equal($('dryThreshold').value, '40');
+    assert.equal($('expectedValue').value, '65');
+    
+    app.components.configForm.discardEdits();
+    assert.equal($('expectedValue').value, '62');
+});
+
+test('applyConfigUpdate without a zone only changes the device settings', async (t) => {
+    const { app } = await createApp(t);
+    const zones = JSON.stringify(app.state.zones);
+    
+    app.applyConfigUpdate({ ntp_server: 'time.example.org' });
+    
+    assert.equal(app.state.config.ntp_server, 'time.example.org');
+    assert.equal(JSON.stringify(app.state.zones), zones);
+});
+
+test('a snapshot from the service worker cache is shown as stale and loads nothing else', async (t) => {
+    const cachedAt = NOW - 3600000;
+    const { app, fetch, $, lastToast } = await createApp(t, { start: false });
+    fetch.on('GET /api/state', { body: deviceState(), headers: { 'X-Cached-At': String(cachedAt) } });
+    
+    await app.init();
+    await settle();
+    
+    assert.equal(app.state.zones.length, 2);
+    assert.equal(app.state.connection.stale, true);
+    assert.ok(document.body.classList.contains('data-stale'));
+    assert.equal($('staleBanner').hidden, false);
+    assert.equal($('connectionText').textContent, 'Offline');
+    assert.equal(fetch.callsTo('GET /api/logs').length, 0);
+    assert.equal(fetch.callsTo('GET /api/system').length, 0);
+    assert.match(lastToast().message, /^Device unreachable, showing the last known state/);
+});
+
+test('a failed initial load is reported', async (t) => {
+    const { app, fetch, lastToast } = await createApp(t, { start: false });
+    fetch.on('GET /api/state', new TypeError('Failed to fetch'));
+    
+    await app.init();
+    await settle();
+    
+    assert.deepEqual(lastToast(), { type: 'error', message: 'Failed to load initial data' });
+});
+
+test('fetchAllData reloads everything and reports it', async (t) => {
+    const { app, fetch, lastToast } = await createApp(t);
+    const calls = fetch.calls.length;
+    
+    await app.fetchAllData();
+    
+    const routes = fetch.calls.slice(calls).map(call => `${call.method} ${call.path}`).sort();
+    assert.deepEqual(routes, ['GET /api/history', 'GET /api/logs', 'GET /api/state', 'GET /api/system']);
+    assert.deepEqual(lastToast(), { type: 'success', message: 'Data refreshed' });
+});
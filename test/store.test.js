@@ -0,0 +1,66 @@
+// The store needs no page, so it is tested on its own
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Store, share } from '../data/js/store.js';
+
+test('share keeps the parts of the old value that did not change', () => {
+    const prev = { sensor: { moisture: 50, valid: true }, pump: { active: false }, points: [{ adc: 1 }] };
+    const next = share(prev, { sensor: { moisture: 51, valid: true }, pump: { active: false }, points: [{ adc: 1 }] });
+    
+    assert.notEqual(next, prev);
+    assert.notEqual(next.sensor, prev.sensor);
+    assert.equal(next.pump, prev.pump);
+    assert.equal(next.points, prev.points);
+    assert.equal(share(prev, structuredClone(prev)), prev, 'an equal copy is the old value');
+    assert.deepEqual(Object.keys(share({ a: 1, b: 2 }, { a: 1 })), ['a'], 'removed keys are gone');
+});
+
+test('a listener is called only when its selection changes', () => {
+    const store = new Store({ zones: [{ name: 'Beds', sensor: { moisture: 50 } }], clock: 0 });
+    const calls = [];
+    store.subscribe(state => state.zones[0].sensor, (value, previous) => calls.push([value.moisture, previous.moisture]));
+    
+    store.set({ clock: 5000 });
+    store.set({ zones: [{ name: 'Beds', sensor: { moisture: 50 } }] });
+    assert.deepEqual(calls, [], 'resent data is not a change');
+    
+    store.set({ zones: [{ name: 'Beds', sensor: { moisture: 48 } }] });
+    assert.deepEqual(calls, [[48, 50]]);
+});
+
+test('a selection that is an array is compared item by item', () => {
+    const store = new Store({ selectedZone: 0, zones: [{ name: 'Beds' }, { name: 'Herbs' }] });
+    const calls = [];
+    store.subscribe(state => state.zones.map(zone => zone.name), names => calls.push(names));
+    
+    store.set({ selectedZone: 1 });
+    assert.deepEqual(calls, []);
+    
+    store.set({ zones: [{ name: 'Beds' }, { name: 'Tomatoes' }] });
+    assert.deepEqual(calls, [['Beds', 'Tomatoes']]);
+});
+
+test('update merges into one slice and unsubscribe stops the calls', () => {
+    const store = new Store({ logs: { rows: [], page: 1 } });
+    const pages = [];
+    const unsubscribe = store.subscribe(state => state.logs.page, page => pages.push(page));
+    
+    store.update('logs', { page: 2 });
+    assert.deepEqual(store.state.logs, { rows: [], page: 2 });
+    
+    unsubscribe();
+    store.update('logs', { page: 3 });
+    assert.deepEqual(pages, [2]);
+});
+
+test('a listener may change the state; everyone sees each value once', () => {
+    const store = new Store({ count: 0, doubled: 0 });
+    const seen = [];
+    store.subscribe(state => state.count, count => store.set({ doubled: count * 2 }));
+    store.subscribe(state => state.doubled, doubled => seen.push(doubled));
+    
+    store.set({ count: 2 });
+    
+    assert.equal(store.state.doubled, 4);
+    assert.deepEqual(seen, [4]);
+});
@@ -0,0 +1,45 @@
+#!/bin/sh
+# Builds the LittleFS image the device serves the dashboard from. data/ is
+# copied to build/data with every HTML, JS and CSS file gzipped in place of
+# the original: the firmware sends "<file>.gz" with Content-Encoding when only
+# the compressed copy is there. The sources in data/ stay plain for editing.
+#
+# With mklittlefs on the PATH the image is also packed into build/littlefs.bin,
+# ready for the System panel's update form. Otherwise point the Arduino
+# LittleFS uploader, or the simulator's --data option, at build/data.
+#
+# FS_SIZE is the size of the LittleFS partition (the default scheme's 0x160000).
+set -eu
+
+ROOT="$(cd "$(dirname "$0")/.." && pwd)"
+DATA="$ROOT/data"
+BUILD="$ROOT/build"
+FS_SIZE="${FS_SIZE:-0x160000}"
+
+# Every file the service worker caches must be in the image, vendored ones included
+missing=0
+for file in $(sed -n "/^const SHELL_FILES/,/^];/s/^ *'\(\/[^']*\)',\{0,1\}$/\1/p" "$DATA/sw.js"); do
+    [ "$file" = "/" ] && file=/index.html
+    if [ ! -f "$DATA$file" ] && [ ! -f "$DATA$file.gz" ]; then
+        echo "Missing data$file" >&2
+        missing=1
+    fi
+done
+if [ "$missing" -ne 0 ]; then
+    echo "The image would be incomplete; tools/fetch_web_assets.sh restores data/vendor" >&2
+    exit 1
+fi
+
+rm -rf "$BUILD/data"
+mkdir -p "$BUILD"
+cp -R "$DATA" "$BUILD/data"
+find "$BUILD/data" -type f \( -name '*.html' -o -name '*.js' -o -name '*.css' \) -exec gzip -9 -n {} +
+
+echo "Staged: $(du -sh "$BUILD/data" | cut -f1) in $BUILD/data"
+
+if command -v mklittlefs >/dev/null 2>&1; then
+    mklittlefs -c "$BUILD/data" -p 256 -b 4096 -s "$FS_SIZE" "$BUILD/littlefs.bin"
+    echo "Image: $BUILD/littlefs.bin"
+else
+    echo "mklittlefs not found, so no littlefs.bin was packed"
+fi
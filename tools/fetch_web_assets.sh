@@ -0,0 +1,52 @@
+#!/bin/sh
+# Refreshes the third-party files in data/vendor, which the device serves so
+# the dashboard works on networks without internet access. They are committed,
+# so this only needs to run after changing a version below. Text assets are
+# stored gzipped only (the firmware sends "<file>.gz" with Content-Encoding);
+# woff2 fonts are already compressed and are kept as they are. The dashboard's
+# own HTML, JS and CSS are compressed by tools/build_fs_image.sh.
+#
+# Every file comes from the npm package of the pinned version.
+set -eu
+
+CHARTJS_VERSION=4.4.0
+FONTAWESOME_VERSION=6.4.0
+FONTSOURCE_VERSION=5.3.0
+
+VENDOR="$(cd "$(dirname "$0")/.." && pwd)/data/vendor"
+JSDELIVR=https://cdn.jsdelivr.net/npm
+FONTAWESOME="$JSDELIVR/@fortawesome/fontawesome-free@$FONTAWESOME_VERSION"
+
+fetch() {
+    echo "  $2"
+    mkdir -p "$(dirname "$VENDOR/$2")"
+    curl -fsSL "$1" -o "$VENDOR/$2"
+}
+
+# Text files are only kept compressed, so a stale plain copy cannot shadow them
+fetch_gz() {
+    fetch "$1" "$2"
+    gzip -9 -n -f "$VENDOR/$2"
+}
+
+echo "Chart.js $CHARTJS_VERSION"
+fetch_gz "$JSDELIVR/chart.js@$CHARTJS_VERSION/dist/chart.umd.js" chart.umd.min.js
+
+# Only the solid style is used by the dashboard
+echo "Font Awesome $FONTAWESOME_VERSION"
+fetch_gz "$FONTAWESOME/css/fontawesome.min.css" fontawesome/css/fontawesome.min.css
+fetch_gz "$FONTAWESOME/css/solid.min.css" fontawesome/css/solid.min.css
+fetch "$FONTAWESOME/webfonts/fa-solid-900.woff2" fontawesome/webfonts/fa-solid-900.woff2
+
+# Latin subsets of the weights named in data/vendor/fonts/fonts.css
+echo "Inter and Source Code Pro"
+for weight in 300 400 500 600 700; do
+    fetch "$JSDELIVR/@fontsource/inter@$FONTSOURCE_VERSION/files/inter-latin-$weight-normal.woff2" \
+        "fonts/inter-latin-$weight-normal.woff2"
+done
+for weight in 300 400; do
+    fetch "$JSDELIVR/@fontsource/source-code-pro@$FONTSOURCE_VERSION/files/source-code-pro-latin-$weight-normal.woff2" \
+        "fonts/source-code-pro-latin-$weight-normal.woff2"
+done
+
+echo "Done: $(du -sh "$VENDOR" | cut -f1) in $VENDOR"
@@ -0,0 +1,123 @@
+// Accounts and sessions with the firmware's default users and limits.
+// Passwords are kept in plain text; nothing here is meant to be secure.
+// "session-ended" lets the WebSocket side close sockets opened with the token.
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const AUTH_MIN_PASSWORD_LENGTH = 8;
+const AUTH_MAX_SESSIONS = 16;
+const AUTH_SESSIONS_PER_USER = 4;   // AUTH_MAX_SESSIONS / AUTH_MAX_USERS
+const AUTH_SESSION_IDLE_MS = 43200000;
+const AUTH_MAX_FAILURES = 5;
+const AUTH_LOCKOUT_MS = 60000;
+const AUTH_LOCKOUT_MAX_MS = 900000;
+const AUTH_THROTTLE_SLOTS = 8;
+
+const DEFAULT_USERS = [
+    { username: 'admin', password: 'terranurture', role: 'operator' },
+    { username: 'viewer', password: 'viewonly', role: 'viewer' }
+];
+
+const ROLE_LEVELS = { viewer: 1, operator: 2 };
+
+class Accounts extends EventEmitter {
+    constructor() {
+        super();
+        this.users = DEFAULT_USERS.map(user => ({ ...user, default_password: true }));
+        this.sessions = [];
+        this.throttles = [];
+    }
+    
+    findUser(username) {
+        return this.users.find(user => user.username === username) || null;
+    }
+    
+    // Sessions idle for longer than AUTH_SESSION_IDLE_MS (real time) are dropped
+    findSession(token) {
+        if (!token) return null;
+        
+        const now = Date.now();
+        this.sessions = this.sessions.filter(session => now - session.last_used < AUTH_SESSION_IDLE_MS);
+        const session = this.sessions.find(item => item.token === token) || null;
+        if (session) session.last_used = now;
+        return session;
+    }
+    
+    // A user holding their share of the slots, or finding none free, ends
+    // their own least recently used session, so no account can crowd out or
+    // log out another. Returns null if there is neither.
+    createSession(user) {
+        const now = Date.now();
+        this.sessions = this.sessions.filter(session => now - session.last_used < AUTH_SESSION_IDLE_MS);
+        
+        const own = this.sessions.filter(item => item.user === user);
+        if (own.length >= AUTH_SESSIONS_PER_USER || this.sessions.length >= AUTH_MAX_SESSIONS) {
+            if (own.length === 0) return null;
+            this.endSession(own.reduce((oldest, item) => item.last_used < oldest.last_used ? item : oldest));
+        }
+        
+        const session = { token: crypto.randomBytes(16).toString('hex'), user, last_used: Date.now() };
+        this.sessions.push(session);
+        return session;
+    }
+    
+    endSession(session) {
+        this.sessions = this.sessions.filter(item => item !== session);
+        this.emit('session-ended', session);
+    }
+    
+    // Logins are throttled per client address; each lockout of the same
+    // address lasts twice as long as the one before
+    loginLocked(address) {
+        const throttle = this.throttles.find(item => item.address === address);
+        if (!throttle || throttle.failures < AUTH_MAX_FAILURES) return false;
+        
+        const lockout = Math.min(AUTH_LOCKOUT_MS * 2 ** (throttle.lockouts - 1), AUTH_LOCKOUT_MAX_MS);
+        if (Date.now() - throttle.lastFailure < lockout) return true;
+        throttle.failures = 0;
+        return false;
+    }
+    
+    // Returns the user, or null after recording a failure for the address
+    authenticate(username, password, address) {
+        const user = this.findUser(username);
+        if (!user || user.password !== password) {
+            let throttle = this.throttles.find(item => item.address === address);
+            if (!throttle) {
+                // The slot idle longest makes way
+                if (this.throttles.length >= AUTH_THROTTLE_SLOTS) {
+                    this.throttles.sort((a, b) => a.lastFailure - b.lastFailure).shift();
+                }
+                throttle = { address, failures: 0, lockouts: 0, lastFailure: 0 };
+                this.throttles.push(throttle);
+            }
+            
+            throttle.lastFailure = Date.now();
+            if (++throttle.failures >= AUTH_MAX_FAILURES) throttle.lockouts++;
+            return null;
+        }
+        
+        this.throttles = this.throttles.filter(item => item.address !== address);
+        return user;
+    }
+    
+    // The account's other sessions are ended
+    setPassword(user, password, keep) {
+        user.password = password;
+        user.default_password = false;
+        for (const session of this.sessions.filter(item => item.user === user && item !== keep)) {
+            this.endSession(session);
+        }
+    }
+    
+    hasRole(session, role) {
+        return ROLE_LEVELS[session.user.role] >= ROLE_LEVELS[role];
+    }
+}
+
+function sessionJson(user) {
+    return { username: user.username, role: user.role, default_password: user.default_password };
+}
+
+module.exports = { AUTH_MIN_PASSWORD_LENGTH, AUTH_SESSION_IDLE_MS, Accounts, sessionJson };
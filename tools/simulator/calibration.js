@@ -0,0 +1,236 @@
+// Moisture mapping and calibration checks, ported from the firmware's
+// CALIBRATION FUNCTIONS and validation code so curves and messages match.
+
+const CAL_MAX_POINTS = 8;
+const CAL_MAX_DEGREE = 3;
+const CAL_MIN_POINT_GAP = 10;
+const CAL_FIT_WARN_RMS = 3.0;
+const CAL_CURVE_SAMPLES = 33;
+const CALIBRATION_MIN_SPAN = 200;
+const CALIBRATION_WARN_SPAN = 800;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const round1 = value => Math.round(value * 10) / 10;
+
+function defaultCurve() {
+    return { mode: 'linear', degree: 2, points: [], coeffs: [] };
+}
+
+// Same error reporting as the device: {"zone", "field", "message"}
+function addConfigError(list, zone, field, message) {
+    const error = {};
+    if (zone) error.zone = zone;
+    error.field = field;
+    error.message = message;
+    list.push(error);
+}
+
+// Least-squares polynomial through the reference points, in terms of
+// t = adc / 4095 to keep the normal equations well conditioned
+function fitCalibrationCurve(curve) {
+    const n = curve.degree + 1;
+    if (curve.degree < 1 || curve.degree > CAL_MAX_DEGREE || curve.points.length < n) return false;
+    
+    const a = Array.from({ length: n }, () => new Array(n + 1).fill(0));
+    for (const point of curve.points) {
+        const powers = [1];
+        for (let k = 1; k <= 2 * curve.degree; k++) powers[k] = powers[k - 1] * (point.adc / 4095);
+        
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) a[i][j] += powers[i + j];
+            a[i][n] += point.moisture * powers[i];
+        }
+    }
+    
+    // Gauss-Jordan elimination with partial pivoting
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-12) return false;
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+        
+        for (let r = 0; r < n; r++) {
+            if (r === col) continue;
+            const factor = a[r][col] / a[col][col];
+            for (let c = col; c <= n; c++) a[r][c] -= factor * a[col][c];
+        }
+    }
+    
+    curve.coeffs = a.map((row, i) => row[n] / row[i]);
+    return true;
+}
+
+// Outside the measured range both curve types hold their end values rather
+// than extrapolating
+function curveMoisture(zoneConfig, rawAdc) {
+    const curve = zoneConfig.curve;
+    const points = curve.points;
+    
+    if (curve.mode === 'piecewise' && points.length >= 2) {
+        const last = points.length - 1;
+        if (rawAdc <= points[0].adc) return clamp(points[0].moisture, 0, 100);
+        if (rawAdc >= points[last].adc) return clamp(points[last].moisture, 0, 100);
+        
+        for (let i = 1; i <= last; i++) {
+            if (rawAdc <= points[i].adc) {
+                const f = (rawAdc - points[i - 1].adc) / (points[i].adc - points[i - 1].adc);
+                return clamp(points[i - 1].moisture + f * (points[i].moisture - points[i - 1].moisture), 0, 100);
+            }
+        }
+    }
+    
+    if (curve.mode === 'polynomial' && points.length > curve.degree) {
+        const t = clamp(rawAdc, points[0].adc, points[points.length - 1].adc) / 4095;
+        let value = 0;
+        for (let i = curve.degree; i >= 0; i--) value = value * t + curve.coeffs[i];
+        return clamp(value, 0, 100);
+    }
+    
+    if (zoneConfig.adc_dry <= zoneConfig.adc_wet) return 0;
+    if (rawAdc <= zoneConfig.adc_wet) return 100;
+    if (rawAdc >= zoneConfig.adc_dry) return 0;
+    
+    return clamp(100 * (1 - (rawAdc - zoneConfig.adc_wet) / (zoneConfig.adc_dry - zoneConfig.adc_wet)), 0, 100);
+}
+
+function mapAdcToPercentage(zoneConfig, rawAdc) {
+    if (rawAdc < 0 || rawAdc > 4095) return 0;
+    return curveMoisture(zoneConfig, rawAdc);
+}
+
+// {"mode", "degree", "points": [{"adc", "moisture"}]}. Returns {curve} when
+// the curve is usable, {error} with the reason otherwise.
+function parseCurve(input) {
+    const curve = defaultCurve();
+    
+    const mode = input.mode === undefined ? 'linear' : input.mode;
+    if (!['linear', 'piecewise', 'polynomial'].includes(mode)) {
+        return { error: 'Mode must be linear, piecewise or polynomial' };
+    }
+    curve.mode = mode;
+    
+    const degree = input.degree === undefined ? 2 : input.degree;
+    if (!Number.isInteger(degree) || degree < 1 || degree > CAL_MAX_DEGREE) return { error: 'Degree must be from 1 to 3' };
+    curve.degree = degree;
+    
+    const points = Array.isArray(input.points) ? input.points : [];
+    if (points.length > CAL_MAX_POINTS) return { error: 'At most 8 reference points' };
+    
+    for (const point of points) {
+        if (!point || !Number.isInteger(point.adc) || typeof point.moisture !== 'number') {
+            return { error: 'Each point needs adc and moisture' };
+        }
+        if (point.adc < 0 || point.adc > 4095) return { error: 'Point ADC values must be from 0 to 4095' };
+        if (point.moisture < 0 || point.moisture > 100) return { error: 'Point moisture must be from 0 to 100%' };
+        curve.points.push({ adc: point.adc, moisture: point.moisture });
+    }
+    curve.points.sort((a, b) => a.adc - b.adc);
+    
+    for (let i = 1; i < curve.points.length; i++) {
+        if (curve.points[i].adc - curve.points[i - 1].adc < CAL_MIN_POINT_GAP) {
+            return { error: 'Reference points are too close together, keep them at least 10 ADC apart' };
+        }
+        // Wetter soil reads lower, so a rising segment means a swapped or mistyped point
+        if (mode === 'piecewise' && curve.points[i].moisture >= curve.points[i - 1].moisture) {
+            return { error: 'Moisture must fall as the ADC value rises' };
+        }
+    }
+    
+    if (mode === 'piecewise' && curve.points.length < 2) return { error: 'A piecewise curve needs at least 2 points' };
+    if (mode === 'polynomial') {
+        if (curve.points.length <= curve.degree) return { error: 'A polynomial needs more points than its degree' };
+        if (!fitCalibrationCurve(curve)) return { error: 'These points cannot be fitted' };
+    }
+    
+    return { curve };
+}
+
+// One line per curve, used to show calibration changes in config diffs
+function describeCurve(curve) {
+    const name = curve.mode === 'polynomial' ? `polynomial (degree ${curve.degree})` : curve.mode;
+    const points = curve.points.map(point => `${point.adc}=${point.moisture.toFixed(1)}%`);
+    return points.length > 0 ? `${name}: ${points.join(', ')}` : name;
+}
+
+function addCurveJson(out, curve) {
+    out.mode = curve.mode;
+    out.degree = curve.degree;
+    out.points = curve.points.map(point => ({ adc: point.adc, moisture: point.moisture }));
+    return out;
+}
+
+// "curve" samples the active mapping as [adc, moisture] pairs so the
+// dashboard can draw it without reimplementing the fit
+function addCalibrationJson(out, zoneConfig) {
+    out.adc_dry = zoneConfig.adc_dry;
+    out.adc_wet = zoneConfig.adc_wet;
+    out.threshold = zoneConfig.dry_threshold;
+    out.target = zoneConfig.expected_value;
+    addCurveJson(out, zoneConfig.curve);
+    
+    out.curve = [];
+    for (let i = 0; i < CAL_CURVE_SAMPLES; i++) {
+        const adc = Math.floor(4095 * i / (CAL_CURVE_SAMPLES - 1));
+        out.curve.push([adc, round1(curveMoisture(zoneConfig, adc))]);
+    }
+    return out;
+}
+
+// parseCurve() has already rejected unusable curves; a polynomial can still
+// fit its points badly or bend back on itself between them
+function validateCurve(zoneConfig, tag, warnings) {
+    const curve = zoneConfig.curve;
+    if (curve.mode !== 'polynomial') return;
+    
+    const sum = curve.points.reduce((total, point) => {
+        const error = curveMoisture(zoneConfig, point.adc) - point.moisture;
+        return total + error * error;
+    }, 0);
+    
+    const rms = Math.sqrt(sum / curve.points.length);
+    if (rms > CAL_FIT_WARN_RMS) {
+        addConfigError(warnings, tag, 'curve', `Curve misses the points by ${rms.toFixed(1)}% on average, try another degree`);
+    }
+    
+    const first = curve.points[0].adc;
+    const last = curve.points[curve.points.length - 1].adc;
+    let previous = curveMoisture(zoneConfig, first);
+    for (let i = 1; i < CAL_CURVE_SAMPLES; i++) {
+        const value = curveMoisture(zoneConfig, first + Math.trunc((last - first) * i / (CAL_CURVE_SAMPLES - 1)));
+        if (value > previous + 0.5) {
+            addConfigError(warnings, tag, 'curve', 'Curve rises again between points, some readings are ambiguous');
+            break;
+        }
+        previous = value;
+    }
+}
+
+// `field` names the calibration point that was just set. The dry/wet span only
+// matters while the zone uses the linear map.
+function validateCalibration(zoneConfig, field, tag, errors, warnings) {
+    if (zoneConfig.curve.mode !== 'linear') {
+        validateCurve(zoneConfig, tag, warnings);
+        return;
+    }
+    
+    const span = zoneConfig.adc_dry - zoneConfig.adc_wet;
+    if (span < CALIBRATION_MIN_SPAN) {
+        addConfigError(errors, tag, field, `Dry (${zoneConfig.adc_dry}) must be at least ${CALIBRATION_MIN_SPAN} above wet ` +
+            `(${zoneConfig.adc_wet}); recalibrate both points if the sensor changed`);
+    } else if (span < CALIBRATION_WARN_SPAN) {
+        addConfigError(warnings, tag, field, `Dry and wet are only ${span} apart, moisture readings will be coarse`);
+    }
+}
+
+module.exports = {
+    addCalibrationJson,
+    addConfigError,
+    addCurveJson,
+    defaultCurve,
+    describeCurve,
+    mapAdcToPercentage,
+    parseCurve,
+    validateCalibration
+};
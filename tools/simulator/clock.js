@@ -0,0 +1,63 @@
+// Simulated time. Uptime starts at zero like millis() after a boot and only
+// moves when the simulation advances it, so runs can go faster than real time.
+// Wall-clock time is only reported while the clock counts as synced, as
+// epoch_ms() does on the device.
+
+const MIN_VALID_EPOCH_MS = 1609459200000;
+
+class SimClock {
+    constructor({ start = Date.now(), synced = true } = {}) {
+        this.start = start;
+        this.synced = synced;
+        this.uptime = 0;
+    }
+    
+    millis() {
+        return this.uptime;
+    }
+    
+    advance(ms) {
+        this.uptime += ms;
+    }
+    
+    timeSynced() {
+        return this.synced && this.start + this.uptime > MIN_VALID_EPOCH_MS;
+    }
+    
+    epochMs() {
+        return this.timeSynced() ? Math.floor(this.start + this.uptime) : 0;
+    }
+    
+    // Rows from this boot logged before the clock synced can be placed on it later
+    resolveTimestamp(timestamp, uptime, bootId, currentBootId) {
+        if (timestamp !== 0) return timestamp;
+        if (bootId !== currentBootId || !this.timeSynced()) return 0;
+        return this.epochMs() - (this.uptime - uptime);
+    }
+    
+    // Local time of day for schedules, or null until the clock has synced
+    localTime(timezone) {
+        if (!this.timeSynced()) return null;
+        
+        const local = new Date(this.epochMs() - posixOffsetMs(timezone));
+        const yearStart = Date.UTC(local.getUTCFullYear(), 0, 1);
+        return {
+            year: local.getUTCFullYear(),
+            yday: Math.floor((local.getTime() - yearStart) / 86400000),
+            wday: local.getUTCDay(),
+            minute: local.getUTCHours() * 60 + local.getUTCMinutes()
+        };
+    }
+}
+
+// Standard-time offset of a POSIX TZ string ("UTC0", "EST5EDT", "<+0530>-5:30").
+// Daylight saving rules are ignored, so summer schedules run an hour off.
+function posixOffsetMs(timezone) {
+    const match = /^(?:<[^>]*>|[A-Za-z]{3,})([+-]?)(\d{1,2})(?::(\d{2}))?/.exec(timezone || '');
+    if (!match) return 0;
+    
+    const sign = match[1] === '-' ? -1 : 1;
+    return sign * (Number(match[2]) * 3600000 + Number(match[3] || 0) * 60000);
+}
+
+module.exports = { SimClock, MIN_VALID_EPOCH_MS };
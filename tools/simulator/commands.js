@@ -0,0 +1,242 @@
+// Control actions shared by the HTTP API and WebSocket commands, as on the
+// device. Each one fills `response` and returns {status} on success or
+// {status, error} with the matching HTTP code.
+
+const { addCalibrationJson, addConfigError, parseCurve, validateCalibration } = require('./calibration');
+const { addConfigUpdateJson, cloneConfig, parseConfigNumber, parseGlobalConfig, parseZoneConfig,
+    validatePumpLimits, validateThresholds } = require('./config');
+
+const MANUAL_PUMP_DURATION_MS = 5000;
+const PUMP_TEST_MAX_MS = 30000;
+const CAL_STREAM_INTERVAL_MS = 250;
+
+// Stands in for the pump stop's ZONE_ALL
+const ZONE_ALL = 'all';
+
+// ArduinoJson's `value | fallback` for integers
+function intParam(value, fallback) {
+    return Number.isInteger(value) ? value : fallback;
+}
+
+function failed(status, error) {
+    return { status, error };
+}
+
+function commandPumpStart(device, type, zone, durationMs, response) {
+    const isTest = type === 'TEST';
+    
+    if (isTest && (durationMs <= 0 || durationMs > PUMP_TEST_MAX_MS)) return failed(400, 'Invalid duration');
+    if (!device.validZone(zone)) return failed(400, 'Invalid zone');
+    if (durationMs > device.config.pump_max_run_s * 1000) return failed(400, 'Longer than the pump run limit');
+    
+    // pump_task has the final say; this catches the common refusals up front
+    if (device.zones[zone].pump.locked_out) return failed(409, 'Pump is locked out until an operator acknowledges it');
+    if (device.pumpCooldownSeconds(zone) > 0) return failed(409, 'Pump is cooling down between runs');
+    
+    device.queuePumpCommand(type, zone, durationMs, isTest ? 'Test run' : 'Manual activation');
+    
+    response.status = isTest ? 'test_pump_triggered' : 'manual_pump_triggered';
+    response.zone = zone;
+    response.duration = durationMs;
+    response.timestamp = device.epochMs();
+    return { status: 200 };
+}
+
+// zone is ZONE_ALL to stop every pump
+function commandPumpStop(device, zone, response) {
+    if (zone !== ZONE_ALL && !device.validZone(zone)) return failed(400, 'Invalid zone');
+    
+    device.queuePumpCommand('STOP', zone, 0, 'Emergency stop');
+    
+    response.status = 'pump_stop_requested';
+    response.zone = zone;
+    response.timestamp = device.epochMs();
+    return { status: 200 };
+}
+
+// Clears an interlock lockout and starts the zone's daily usage over
+function commandPumpAck(device, zone, response) {
+    if (!device.validZone(zone)) return failed(400, 'Invalid zone');
+    if (!device.zones[zone].pump.locked_out) return failed(409, 'Pump is not locked out');
+    
+    device.queuePumpCommand('ACK', zone, 0, 'Acknowledged by operator');
+    
+    response.status = 'lockout_acknowledged';
+    response.zone = zone;
+    response.timestamp = device.epochMs();
+    return { status: 200 };
+}
+
+// Sets the dry and/or wet point. With "type" the point is captured now, as the
+// quick actions do; the wizard sends the averages it captured and the user
+// accepted as "adc_dry"/"adc_wet". "dry_run" checks the points without saving.
+function commandCalibrate(device, params, response) {
+    const zone = intParam(params.zone, 0);
+    if (!device.validZone(zone)) return failed(400, 'Invalid zone');
+    
+    const tag = device.hardware[zone].tag;
+    const type = typeof params.type === 'string' ? params.type : '';
+    const next = cloneConfig(device.config.zones[zone]);
+    const errors = response.errors = [];
+    const warnings = response.warnings = [];
+    let setDry = false;
+    let setWet = false;
+    
+    if (type.length > 0) {
+        if (type !== 'dry' && type !== 'wet') return failed(400, 'Invalid type');
+        
+        const capture = response.capture = device.captureAdc(zone);
+        response.adc_value = capture.adc;
+        
+        if (type === 'dry') {
+            next.adc_dry = capture.adc;
+            setDry = true;
+        } else {
+            next.adc_wet = capture.adc;
+            setWet = true;
+        }
+        
+        if (!capture.stable) {
+            addConfigError(warnings, tag, setDry ? 'adc_dry' : 'adc_wet',
+                `Readings were still changing (spread ${capture.stddev.toFixed(0)}), use the wizard for a settled value`);
+        }
+    } else {
+        const dry = parseConfigNumber(params, 'adc_dry', 0, 4095, errors, tag);
+        if (dry !== undefined) {
+            next.adc_dry = Math.trunc(dry);
+            setDry = true;
+        }
+        const wet = parseConfigNumber(params, 'adc_wet', 0, 4095, errors, tag);
+        if (wet !== undefined) {
+            next.adc_wet = Math.trunc(wet);
+            setWet = true;
+        }
+        if (!setDry && !setWet && errors.length === 0) return failed(400, 'Missing type or calibration points');
+    }
+    
+    const field = setDry ? 'adc_dry' : 'adc_wet';
+    validateCalibration(next, field, tag, errors, warnings);
+    if (setDry && (next.adc_dry <= 0 || next.adc_dry >= 4095)) {
+        addConfigError(warnings, tag, 'adc_dry', 'Reading is at the ADC limit, check the sensor wiring');
+    }
+    if (setWet && (next.adc_wet <= 0 || next.adc_wet >= 4095)) {
+        addConfigError(warnings, tag, 'adc_wet', 'Reading is at the ADC limit, check the sensor wiring');
+    }
+    if (next.curve.mode !== 'linear') {
+        addConfigError(warnings, tag, field, 'Saved, but moisture is read from the calibration curve until it is set back to linear');
+    }
+    if (errors.length > 0) return failed(400, 'Calibration rejected');
+    delete response.errors;
+    
+    response.zone = zone;
+    if (type.length > 0) response.type = type;
+    
+    if (params.dry_run === true) {
+        response.status = 'calibration_checked';
+        response.timestamp = device.epochMs();
+        return { status: 200 };
+    }
+    
+    device.config.zones[zone] = next;
+    device.emit('calibration', zone);
+    
+    response.status = 'calibration_saved';
+    response.calibration = addCalibrationJson({}, next);
+    response.timestamp = device.epochMs();
+    return { status: 200 };
+}
+
+// Measures without saving, so the wizard can offer accept or retry
+function commandCalibrationCapture(device, zone, response) {
+    if (!device.validZone(zone)) return failed(400, 'Invalid zone');
+    
+    response.status = 'captured';
+    response.zone = zone;
+    response.capture = device.captureAdc(zone);
+    response.timestamp = device.epochMs();
+    return { status: 200 };
+}
+
+// Live readings go to this socket only; zone -1 stops them
+function commandCalibrationStream(device, client, zone, response) {
+    if (zone !== -1 && !device.validZone(zone)) return failed(400, 'Invalid zone');
+    
+    client.calibrationZone = zone;
+    
+    response.status = zone === -1 ? 'stream_stopped' : 'stream_started';
+    response.zone = zone;
+    response.interval = CAL_STREAM_INTERVAL_MS;
+    return { status: 200 };
+}
+
+// Replaces the zone's reference points and curve mode in one go
+function commandCalibrationSet(device, params, response) {
+    const zone = intParam(params.zone, 0);
+    if (!device.validZone(zone)) return failed(400, 'Invalid zone');
+    
+    const tag = device.hardware[zone].tag;
+    const next = cloneConfig(device.config.zones[zone]);
+    const errors = response.errors = [];
+    const warnings = response.warnings = [];
+    
+    const parsed = parseCurve(params);
+    if (parsed.error) {
+        addConfigError(errors, tag, 'curve', parsed.error);
+    } else {
+        next.curve = parsed.curve;
+        validateCalibration(next, 'curve', tag, errors, warnings);
+    }
+    if (errors.length > 0) return failed(400, 'Calibration rejected');
+    delete response.errors;
+    
+    device.config.zones[zone] = next;
+    device.emit('calibration', zone);
+    
+    response.status = 'calibration_saved';
+    response.zone = zone;
+    response.calibration = addCalibrationJson({}, next);
+    response.timestamp = device.epochMs();
+    return { status: 200 };
+}
+
+// Out-of-range values reject the whole request; "config" in the response holds
+// the settings as applied so forms can show exactly what the device uses
+function commandConfigSet(device, params, response) {
+    // Watering settings belong to one zone, the first unless "zone" is given
+    const zone = intParam(params.zone, 0);
+    if (!device.validZone(zone)) return failed(400, 'Invalid zone');
+    
+    const next = cloneConfig(device.config);
+    const errors = response.errors = [];
+    const warnings = response.warnings = [];
+    
+    parseGlobalConfig(params, next, errors);
+    parseZoneConfig(params, device.hardware[zone], next.zones[zone], false, errors);
+    validateThresholds(next.zones[zone], device.hardware[zone].tag, errors, warnings);
+    validatePumpLimits(next, warnings);
+    if (errors.length > 0) return failed(400, 'Invalid configuration');
+    delete response.errors;
+    
+    device.config = next;
+    device.emit('config', zone);
+    
+    response.status = 'config_updated';
+    response.zone = zone;
+    response.config = addConfigUpdateJson({}, next, zone);
+    response.timestamp = device.epochMs();
+    return { status: 200 };
+}
+
+module.exports = {
+    MANUAL_PUMP_DURATION_MS,
+    ZONE_ALL,
+    commandCalibrate,
+    commandCalibrationCapture,
+    commandCalibrationSet,
+    commandCalibrationStream,
+    commandConfigSet,
+    commandPumpAck,
+    commandPumpStart,
+    commandPumpStop,
+    intParam
+};
@@ -0,0 +1,270 @@
+// Device settings with the firmware's defaults, ranges, messages and diffs.
+// Zone settings live in `config.zones[i]`, matched to zones by tag on import.
+
+const { addConfigError, addCurveJson, defaultCurve, describeCurve, parseCurve, validateCalibration } = require('./calibration');
+
+const CONFIG_SCHEMA_VERSION = 1;
+const SOAK_TIME_MS = 30000;
+const LOG_SEGMENTS_LIMIT = 32;
+const SENSOR_OVERSAMPLE_MAX = 64;
+const THRESHOLD_MIN_BAND = 5.0;
+
+const DEFAULTS = {
+    sampling_interval: 3000,
+    log_segment_kb: 64,
+    log_segment_hours: 24,
+    log_max_segments: 8,
+    log_retention_days: 7,
+    ntp_server: 'pool.ntp.org',
+    timezone: 'UTC0',
+    sensor_oversample: 16,
+    sensor_filter: 'median',
+    sensor_ema_alpha: 0.3,
+    sensor_spike_adc: 300,
+    pump_max_run_s: 600,
+    pump_min_off_s: 20,
+    pump_max_runs_day: 48,
+    pump_max_runtime_day_min: 60
+};
+
+// [field, min, max] in the order parseGlobalConfig() checks them
+const GLOBAL_RANGES = [
+    ['sampling_interval', 1000, 60000],
+    ['log_segment_kb', 8, 512],
+    ['log_segment_hours', 1, 168],
+    ['log_max_segments', 1, LOG_SEGMENTS_LIMIT],
+    ['log_retention_days', 0, 30],
+    ['sensor_oversample', 1, SENSOR_OVERSAMPLE_MAX],
+    ['sensor_ema_alpha', 0.05, 1],
+    ['sensor_spike_adc', 0, 2000],
+    ['pump_max_run_s', 5, 3600],
+    ['pump_min_off_s', 0, 3600],
+    ['pump_max_runs_day', 1, 500],
+    ['pump_max_runtime_day_min', 1, 1440]
+];
+
+const GLOBAL_FIELDS = Object.keys(DEFAULTS);
+
+// Fields the device stores as integers; the rest are floats or text
+const INTEGER_FIELDS = new Set(GLOBAL_FIELDS.filter(field => field !== 'sensor_ema_alpha'));
+
+function defaultZoneConfig(hardware) {
+    return {
+        name: hardware.default_name,
+        dry_threshold: 45.0,
+        expected_value: 60.0,
+        max_retries: 3,
+        adc_dry: 4095,
+        adc_wet: 1500,
+        curve: defaultCurve()
+    };
+}
+
+function defaultConfig(hardware) {
+    return { ...DEFAULTS, zones: hardware.map(defaultZoneConfig) };
+}
+
+function cloneConfig(config) {
+    return JSON.parse(JSON.stringify(config));
+}
+
+// Settings that apply to the whole device; zone settings are reported per zone
+function addGlobalConfigJson(out, config) {
+    for (const field of GLOBAL_FIELDS) out[field] = config[field];
+    return out;
+}
+
+function addZoneConfigJson(out, zoneConfig) {
+    out.dry_threshold = zoneConfig.dry_threshold;
+    out.expected_value = zoneConfig.expected_value;
+    out.max_retries = zoneConfig.max_retries;
+    return out;
+}
+
+// Global settings plus one zone's, as pushed in "config" frames
+function addConfigUpdateJson(out, config, zone) {
+    addGlobalConfigJson(out, config);
+    out.zone = addZoneConfigJson({ id: zone, name: config.zones[zone].name }, config.zones[zone]);
+    return out;
+}
+
+// The config.json layout, also used for exports
+function addConfigJson(out, config, hardware) {
+    out.schema = CONFIG_SCHEMA_VERSION;
+    addGlobalConfigJson(out, config);
+    out.zones = config.zones.map((zoneConfig, i) => ({
+        tag: hardware[i].tag,
+        name: zoneConfig.name,
+        dry_threshold: zoneConfig.dry_threshold,
+        expected_value: zoneConfig.expected_value,
+        max_retries: zoneConfig.max_retries,
+        adc_dry: zoneConfig.adc_dry,
+        adc_wet: zoneConfig.adc_wet,
+        curve: addCurveJson({}, zoneConfig.curve)
+    }));
+    return out;
+}
+
+// Returns the value when the field is present and within range
+function parseConfigNumber(input, field, min, max, errors, zone) {
+    const value = input[field];
+    if (value === undefined || value === null) return undefined;
+    
+    if (typeof value !== 'number' || value < min || value > max) {
+        addConfigError(errors, zone, field, `Must be a number from ${min} to ${max}`);
+        return undefined;
+    }
+    return INTEGER_FIELDS.has(field) || field === 'max_retries' ? Math.trunc(value) : value;
+}
+
+// An empty string selects `fallback`
+function parseConfigString(input, field, fallback, size, errors, zone) {
+    const value = input[field];
+    if (value === undefined || value === null) return undefined;
+    
+    if (typeof value !== 'string' || value.length >= size) {
+        addConfigError(errors, zone, field, `Must be text of up to ${size - 1} characters`);
+        return undefined;
+    }
+    return value.length > 0 ? value : fallback;
+}
+
+function parseGlobalConfig(input, out, errors) {
+    for (const [field, min, max] of GLOBAL_RANGES) {
+        const value = parseConfigNumber(input, field, min, max, errors, null);
+        if (value !== undefined) out[field] = value;
+    }
+    
+    const ntpServer = parseConfigString(input, 'ntp_server', DEFAULTS.ntp_server, 64, errors, null);
+    if (ntpServer !== undefined) out.ntp_server = ntpServer;
+    const timezone = parseConfigString(input, 'timezone', DEFAULTS.timezone, 48, errors, null);
+    if (timezone !== undefined) out.timezone = timezone;
+    
+    if (input.sensor_filter !== undefined && input.sensor_filter !== null) {
+        if (['none', 'median', 'ema'].includes(input.sensor_filter)) {
+            out.sensor_filter = input.sensor_filter;
+        } else {
+            addConfigError(errors, null, 'sensor_filter', 'Must be none, median or ema');
+        }
+    }
+}
+
+// Calibration points are only read from imported files; the API captures them
+function parseZoneConfig(input, hardware, out, calibration, errors) {
+    const tag = hardware.tag;
+    
+    const name = parseConfigString(input, 'name', hardware.default_name, 24, errors, tag);
+    if (name !== undefined) out.name = name;
+    
+    for (const [field, min, max] of [['dry_threshold', 0, 100], ['expected_value', 0, 100], ['max_retries', 1, 10]]) {
+        const value = parseConfigNumber(input, field, min, max, errors, tag);
+        if (value !== undefined) out[field] = value;
+    }
+    
+    if (!calibration) return;
+    
+    for (const field of ['adc_dry', 'adc_wet']) {
+        const value = parseConfigNumber(input, field, 0, 4095, errors, tag);
+        if (value !== undefined) out[field] = Math.trunc(value);
+    }
+    
+    if (input.curve !== undefined && input.curve !== null) {
+        const isObject = typeof input.curve === 'object' && !Array.isArray(input.curve);
+        const parsed = isObject ? parseCurve(input.curve) : { error: 'Must be an object' };
+        if (parsed.error) {
+            addConfigError(errors, tag, 'curve', parsed.error);
+        } else {
+            out.curve = parsed.curve;
+        }
+    }
+}
+
+// Watering stops at the target, so it has to sit above the threshold that starts it
+function validateThresholds(zoneConfig, tag, errors, warnings) {
+    const band = zoneConfig.expected_value - zoneConfig.dry_threshold;
+    
+    if (band <= 0) {
+        addConfigError(errors, tag, 'dry_threshold', `Must be below the target (${zoneConfig.expected_value.toFixed(1)}%)`);
+    } else if (band < THRESHOLD_MIN_BAND) {
+        addConfigError(warnings, tag, 'dry_threshold', `Only ${band.toFixed(1)}% below the target, the pump will cycle often`);
+    }
+}
+
+// The limits are hard stops, so settings that trip them in normal use are flagged
+function validatePumpLimits(settings, warnings) {
+    if (settings.pump_min_off_s * 1000 >= SOAK_TIME_MS) {
+        addConfigError(warnings, null, 'pump_min_off_s', `Auto-watering retries will wait longer than the ${SOAK_TIME_MS / 1000} s soak`);
+    }
+    if (settings.pump_max_run_s > settings.pump_max_runtime_day_min * 60) {
+        addConfigError(warnings, null, 'pump_max_run_s', 'One run can use up the whole daily runtime');
+    }
+}
+
+function importConfig(input, out, hardware, errors, warnings) {
+    parseGlobalConfig(input, out, errors);
+    validatePumpLimits(out, warnings);
+    
+    const imported = hardware.map(() => false);
+    for (const zone of Array.isArray(input.zones) ? input.zones : []) {
+        const tag = typeof zone.tag === 'string' ? zone.tag : '';
+        const index = hardware.findIndex(item => item.tag === tag);
+        
+        if (index < 0) {
+            addConfigError(warnings, tag, 'tag', 'Zone is not on this controller and was skipped');
+            continue;
+        }
+        imported[index] = true;
+        
+        parseZoneConfig(zone, hardware[index], out.zones[index], true, errors);
+        validateThresholds(out.zones[index], tag, errors, warnings);
+        validateCalibration(out.zones[index], 'adc_dry', tag, errors, warnings);
+    }
+    
+    hardware.forEach((item, i) => {
+        if (!imported[i]) addConfigError(warnings, item.tag, 'tag', 'Zone is not in the file and keeps its settings');
+    });
+}
+
+function diffValue(changes, zone, field, from, to) {
+    if (from === to) return;
+    
+    const change = {};
+    if (zone) change.zone = zone;
+    change.field = field;
+    change.from = from;
+    change.to = to;
+    changes.push(change);
+}
+
+function diffConfig(from, to, hardware) {
+    const changes = [];
+    for (const field of GLOBAL_FIELDS) diffValue(changes, null, field, from[field], to[field]);
+    
+    hardware.forEach((item, i) => {
+        const a = from.zones[i];
+        const b = to.zones[i];
+        for (const field of ['name', 'dry_threshold', 'expected_value', 'max_retries', 'adc_dry', 'adc_wet']) {
+            diffValue(changes, item.tag, field, a[field], b[field]);
+        }
+        diffValue(changes, item.tag, 'curve', describeCurve(a.curve), describeCurve(b.curve));
+    });
+    return changes;
+}
+
+module.exports = {
+    CONFIG_SCHEMA_VERSION,
+    SOAK_TIME_MS,
+    addConfigJson,
+    addConfigUpdateJson,
+    addGlobalConfigJson,
+    addZoneConfigJson,
+    cloneConfig,
+    defaultConfig,
+    diffConfig,
+    importConfig,
+    parseConfigNumber,
+    parseGlobalConfig,
+    parseZoneConfig,
+    validatePumpLimits,
+    validateThresholds
+};
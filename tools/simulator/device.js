@@ -0,0 +1,956 @@
+// The simulated controller. Zones, sensor filtering, the auto-watering cycle,
+// pump interlocks, schedules and the event log follow the firmware's
+// sensor_task and pump_task step by step, so the dashboard sees the same
+// statuses, events and timings as on a real bed. The HTTP and WebSocket
+// layers only format what the device holds.
+//
+// Events: "log" (row), "config" (zone), "calibration" (zone).
+
+const { EventEmitter } = require('events');
+const { Accounts } = require('./auth');
+const { addCalibrationJson, mapAdcToPercentage } = require('./calibration');
+const { SimClock } = require('./clock');
+const { SOAK_TIME_MS, defaultConfig, parseGlobalConfig, parseZoneConfig } = require('./config');
+const { HISTORY_RECORDS, HISTORY_RECORD_MS } = require('./logs');
+const { scheduleCovers } = require('./schedules');
+const { SoilModel } = require('./soil');
+
+const FIRMWARE_VERSION = '2.1.0';
+
+// Sensor filtering and fault detection
+const SENSOR_MEDIAN_WINDOW = 5;
+const SENSOR_SPIKE_CONFIRM = 3;
+const SENSOR_ADC_MIN = 100;
+const SENSOR_ADC_MAX = 4000;
+const SENSOR_RAIL_MARGIN = 20;
+const SENSOR_FLOAT_STDDEV = 150;
+const SENSOR_STUCK_DELTA = 2;
+const SENSOR_STUCK_MS = 3600000;
+const SENSOR_MAX_RATE = 60.0;
+const SENSOR_RATE_HOLD_MS = 60000;
+
+// Calibration wizard
+const CAL_STREAM_WINDOW = 16;
+const CAL_STABLE_STDDEV = 8.0;
+const CAL_CAPTURE_SAMPLES = 64;
+
+// Auto-watering cycle timing
+const PUMP_PULSE_MS = 5000;
+const RETRY_EXHAUSTED_COOLDOWN_MS = 3600000;
+const EMERGENCY_STOP_HOLD_MS = 600000;
+
+// pump_task runs every 100 ms; simulated time advances in steps of this size
+const PUMP_TASK_MS = 100;
+
+// The log lives in memory, split into segments by size like the firmware's
+// LittleFS files; the oldest segment goes once there are log_max_segments.
+// LOG_MAX_ROWS caps memory whatever the config says.
+const LOG_MAX_ROWS = 100000;
+const LOG_ROW_BYTES = 72;
+const FS_TOTAL_BYTES = 1441792;
+const FS_ASSET_BYTES = 40960;
+const LOG_RETENTION_CHECK_MS = 3600000;
+
+const round1 = value => Math.round(value * 10) / 10;
+const round2 = value => Math.round(value * 100) / 100;
+
+function computeAdcStats(samples) {
+    const count = samples.length;
+    if (count === 0) return { mean: 0, stddev: 0, min: 4095, max: 0, count };
+    
+    const mean = samples.reduce((sum, value) => sum + value, 0) / count;
+    const variance = samples.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / count;
+    return { mean, stddev: Math.sqrt(variance), min: Math.min(...samples), max: Math.max(...samples), count };
+}
+
+function addAdcStatsJson(out, stats) {
+    out.mean = round1(stats.mean);
+    out.stddev = round1(stats.stddev);
+    out.min = stats.min;
+    out.max = stats.max;
+    out.samples = stats.count;
+    return out;
+}
+
+function medianOf(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// __DATE__ " " __TIME__ of the simulator's start, e.g. "Oct  9 2026 14:03:07"
+function buildDate() {
+    const [, month, day, year, time] = new Date().toString().split(' ');
+    return `${month} ${day.replace(/^0/, ' ')} ${year} ${time}`;
+}
+
+class Device extends EventEmitter {
+    // `zones` holds one SoilModel option set per zone (plus an optional
+    // "name"); `config` is applied over the defaults like a saved config.json
+    constructor({ zones = [{}], config = {}, clock = new SimClock(), bootId = 1, ip = '127.0.0.1' } = {}) {
+        super();
+        this.clock = clock;
+        this.bootId = bootId;
+        this.ip = ip;
+        this.buildDate = buildDate();
+        
+        this.hardware = zones.map((zone, i) => ({ tag: `Z${i + 1}`, default_name: `Zone ${i + 1}` }));
+        this.config = defaultConfig(this.hardware);
+        
+        this.zones = zones.map((options, i) => {
+            const soil = new SoilModel(options);
+            
+            // Simulated beds start calibrated to their sensor
+            this.config.zones[i].adc_dry = Math.round(soil.sensor_dry);
+            this.config.zones[i].adc_wet = Math.round(soil.sensor_wet);
+            if (options.name) this.config.zones[i].name = options.name;
+            
+            return {
+                soil,
+                filter: { window: [], primed: false, ema: 0, output: 0, accepted: 0, spikeCount: 0,
+                    stuckMin: 0, stuckMax: 0, stuckSince: null, lastMoisture: 0, lastSample: null,
+                    rateFaultAt: 0, rateFault: false, health: 'OK' },
+                reading: { moisture: 0, raw_adc: 0, filtered_adc: 0, noise: 0, timestamp: 0, uptime: 0, valid: false, health: 'OK' },
+                pump: { active: false, status: 'IDLE', retry_count: 0, last_change: 0, last_change_uptime: 0,
+                    locked_out: false, lockout_reason: '', runs_today: 0, runtime_today_s: 0 },
+                ctl: { phase: 'IDLE', phaseStarted: 0, retryCount: 0, deferred: false,
+                    runActive: false, runType: 'MANUAL', runStarted: 0, runDuration: 0 },
+                lock: { relayOn: false, relayOnSince: 0, countedSince: 0, relayOffSince: 0, hasRun: false,
+                    usageDay: null, runsToday: 0, runtimeTodayMs: 0, lockedOut: false, lockoutReason: '' },
+                stream: []
+            };
+        });
+        
+        const errors = [];
+        parseGlobalConfig(config, this.config, errors);
+        (config.zones || []).forEach((zone, i) => {
+            if (this.hardware[i]) parseZoneConfig(zone, this.hardware[i], this.config.zones[i], true, errors);
+        });
+        if (errors.length > 0) {
+            throw new Error(`Invalid config: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`);
+        }
+        
+        this.accounts = new Accounts();
+        this.schedules = [];
+        this.nextScheduleId = 1;
+        this.wifi = {
+            networks: [{ ssid: 'Simulated Garden', password: 'simulated' }],
+            static_ip: { enabled: false, ip: '', gateway: '', subnet: '', dns: '' },
+            scan_ready_at: null
+        };
+        
+        this.logs = [];
+        this.history = this.zones.map(() => ({ records: new Array(HISTORY_RECORDS).fill(null), pending: null, pumpOn: false }));
+        this.pumpCommands = [];
+        this.nextSample = 0;
+        this.lastRetentionCheck = 0;
+        
+        for (const zone of this.zones) zone.lock.usageDay = this.interlockDay();
+        
+        this.logEvent('SYSTEM_STARTED', 'System initialized');
+        this.logEvent('WIFI_CONNECTED', this.wifi.networks[0].ssid);
+        if (this.clock.timeSynced()) this.logEvent('TIME_SYNCED', `Synced via ${this.config.ntp_server}`);
+    }
+    
+    millis() {
+        return this.clock.millis();
+    }
+    
+    epochMs() {
+        return this.clock.epochMs();
+    }
+    
+    validZone(zone) {
+        return Number.isInteger(zone) && zone >= 0 && zone < this.zones.length;
+    }
+    
+    // ============ SIMULATION ============
+    // Runs the sensor and pump tasks over `ms` of simulated time. Larger steps
+    // fast-forward quicker at the cost of pump timing resolution.
+    advance(ms, step = PUMP_TASK_MS) {
+        let remaining = ms;
+        while (remaining > 0) {
+            const dt = Math.min(step, remaining);
+            remaining -= dt;
+            
+            this.clock.advance(dt);
+            for (const zone of this.zones) zone.soil.step(dt, zone.lock.relayOn);
+            
+            if (this.millis() >= this.nextSample) {
+                this.readSensors();
+                this.nextSample = this.millis() + this.config.sampling_interval;
+            }
+            this.runPumpTask();
+            
+            if (this.millis() - this.lastRetentionCheck >= LOG_RETENTION_CHECK_MS) {
+                this.lastRetentionCheck = this.millis();
+                this.applyLogRetention();
+            }
+        }
+    }
+    
+    // ============ EVENT LOGGING ============
+    addLogRow(event, details, zone, rawAdc, percentage) {
+        const row = {
+            timestamp: this.epochMs(),
+            uptime: this.millis(),
+            boot_id: this.bootId,
+            raw_adc: rawAdc,
+            percentage: round2(percentage),
+            event,
+            details: details.slice(0, 63),
+            zone: zone === null ? '' : this.hardware[zone].tag
+        };
+        
+        this.logs.push(row);
+        const segmentRows = this.logSegmentRows();
+        if (this.logs.length > Math.min(segmentRows * this.config.log_max_segments, LOG_MAX_ROWS)) {
+            this.logs.splice(0, segmentRows);
+        }
+        this.recordHistory(row);
+        this.emit('log', row);
+    }
+    
+    // Folds a row into its zone's 5-minute bucket, like recordHistory() in logger_task
+    recordHistory(row) {
+        if (row.timestamp === 0) return;
+        
+        const zone = this.hardware.findIndex(hardware => hardware.tag === row.zone);
+        if (zone === -1) return;
+        
+        const history = this.history[zone];
+        const bucket = Math.floor(row.timestamp / HISTORY_RECORD_MS);
+        if (history.pending?.bucket !== bucket) {
+            const finished = history.pending;
+            if (finished && (finished.samples > 0 || finished.pump)) {
+                history.records[finished.bucket % HISTORY_RECORDS] = finished;
+            }
+            history.pending = { bucket, moisture: 0, samples: 0, pump: history.pumpOn };
+        }
+        
+        const pending = history.pending;
+        if (row.event === 'SENSOR_READ') {
+            // Faulted readings are left out of the curve
+            if (row.details !== 'OK') return;
+            pending.samples++;
+            pending.moisture += (row.percentage - pending.moisture) / pending.samples;
+        } else if (row.event.startsWith('PUMP_') && row.event.endsWith('_START')) {
+            history.pumpOn = true;
+            pending.pump = true;
+        } else if (row.event.startsWith('PUMP_') && row.event.endsWith('_STOP')) {
+            history.pumpOn = false;
+        }
+    }
+    
+    logEvent(event, details) {
+        this.addLogRow(event, details, null, 0, 0);
+    }
+    
+    // Zone events carry the zone's tag and its latest reading
+    logZoneEvent(zone, event, details) {
+        const reading = this.zones[zone].reading;
+        this.addLogRow(event, details, zone, reading.raw_adc, reading.moisture);
+    }
+    
+    logSegmentRows() {
+        return Math.floor(this.config.log_segment_kb * 1024 / LOG_ROW_BYTES);
+    }
+    
+    logSegmentCount() {
+        return Math.ceil(this.logs.length / this.logSegmentRows());
+    }
+    
+    logRowJson(row) {
+        return { ...row, timestamp: this.rowTimestamp(row) };
+    }
+    
+    applyLogRetention() {
+        const days = this.config.log_retention_days;
+        if (days === 0 || !this.clock.timeSynced()) return;
+        
+        const cutoff = this.epochMs() - days * 86400000;
+        const first = this.logs.findIndex(row => this.rowTimestamp(row) === 0 || this.rowTimestamp(row) >= cutoff);
+        if (first > 0) this.logs.splice(0, first);
+    }
+    
+    rowTimestamp(row) {
+        return this.clock.resolveTimestamp(row.timestamp, row.uptime, row.boot_id, this.bootId);
+    }
+    
+    clearLogs() {
+        this.logs = [];
+        for (const history of this.history) {
+            history.records.fill(null);
+            history.pending = null;
+        }
+    }
+    
+    // ============ SENSOR TASK ============
+    filterReading(filter, adc) {
+        if (filter.primed && this.config.sensor_spike_adc > 0 && Math.abs(adc - filter.accepted) > this.config.sensor_spike_adc) {
+            if (++filter.spikeCount < SENSOR_SPIKE_CONFIRM) return filter.output;
+            
+            // The jump held, so it is a real change: restart the filter at the new level
+            filter.window = [];
+            filter.primed = false;
+        }
+        filter.spikeCount = 0;
+        filter.accepted = adc;
+        
+        filter.window.push(adc);
+        if (filter.window.length > SENSOR_MEDIAN_WINDOW) filter.window.shift();
+        
+        if (this.config.sensor_filter === 'median') {
+            filter.output = medianOf(filter.window);
+        } else if (this.config.sensor_filter === 'ema') {
+            const alpha = this.config.sensor_ema_alpha;
+            filter.ema = filter.primed ? alpha * adc + (1 - alpha) * filter.ema : adc;
+            filter.output = filter.ema;
+        } else {
+            filter.output = adc;
+        }
+        
+        filter.primed = true;
+        return filter.output;
+    }
+    
+    assessSensor(filter, stats, moisture, now) {
+        if (stats.mean <= SENSOR_RAIL_MARGIN || stats.mean >= 4095 - SENSOR_RAIL_MARGIN || stats.stddev > SENSOR_FLOAT_STDDEV) {
+            filter.lastSample = null;
+            return 'DISCONNECTED';
+        }
+        if (stats.mean < SENSOR_ADC_MIN || stats.mean > SENSOR_ADC_MAX) {
+            filter.lastSample = null;
+            return 'OUT_OF_RANGE';
+        }
+        
+        // Real sensors always wander a little; a reading that never moves has frozen
+        const adc = Math.round(stats.mean);
+        if (filter.stuckSince === null || Math.max(filter.stuckMax, adc) - Math.min(filter.stuckMin, adc) > SENSOR_STUCK_DELTA) {
+            filter.stuckSince = now;
+            filter.stuckMin = adc;
+            filter.stuckMax = adc;
+        } else {
+            filter.stuckMin = Math.min(filter.stuckMin, adc);
+            filter.stuckMax = Math.max(filter.stuckMax, adc);
+        }
+        
+        if (filter.lastSample !== null && now > filter.lastSample) {
+            const rate = Math.abs(moisture - filter.lastMoisture) * 60000 / (now - filter.lastSample);
+            if (rate > SENSOR_MAX_RATE) {
+                filter.rateFault = true;
+                filter.rateFaultAt = now;
+            }
+        }
+        filter.lastMoisture = moisture;
+        filter.lastSample = now;
+        
+        if (now - filter.stuckSince >= SENSOR_STUCK_MS) return 'STUCK';
+        if (filter.rateFault && now - filter.rateFaultAt < SENSOR_RATE_HOLD_MS) return 'RATE_OF_CHANGE';
+        filter.rateFault = false;
+        return 'OK';
+    }
+    
+    readSensors() {
+        this.zones.forEach((zone, i) => {
+            const filter = zone.filter;
+            const stats = computeAdcStats(zone.soil.sampleBurst(this.config.sensor_oversample));
+            const rawAdc = Math.round(stats.mean);
+            const filteredAdc = Math.round(this.filterReading(filter, rawAdc));
+            const percentage = mapAdcToPercentage(this.config.zones[i], filteredAdc);
+            const health = this.assessSensor(filter, stats, percentage, this.millis());
+            const connected = health !== 'DISCONNECTED' && health !== 'OUT_OF_RANGE';
+            
+            zone.reading = {
+                moisture: connected ? percentage : 0,
+                raw_adc: rawAdc,
+                filtered_adc: filteredAdc,
+                noise: stats.stddev,
+                timestamp: this.epochMs(),
+                uptime: this.millis(),
+                valid: health === 'OK',
+                health
+            };
+            
+            // Health changes get one event each instead of showing up only in SENSOR_READ rows
+            if (health !== filter.health) {
+                if (health === 'OK') {
+                    this.logZoneEvent(i, 'SENSOR_RECOVERED', `Recovered from ${filter.health}`);
+                } else {
+                    this.logZoneEvent(i, 'SENSOR_FAULT', `${health} (ADC ${rawAdc}, noise ${Math.round(stats.stddev)})`);
+                }
+                filter.health = health;
+            }
+            
+            this.addLogRow('SENSOR_READ', health, i, rawAdc, percentage);
+        });
+    }
+    
+    // ============ PUMP TASK ============
+    // Usage is per local day, or per 24 h of uptime until the clock is set
+    interlockDay() {
+        const now = this.clock.localTime(this.config.timezone);
+        if (now) return now.year * 400 + now.yday;
+        return -1 - Math.floor(this.millis() / 86400000);
+    }
+    
+    // Copies the interlock's usage into the pump state for the dashboard
+    publishInterlock(zone) {
+        const { lock, pump } = this.zones[zone];
+        pump.locked_out = lock.lockedOut;
+        pump.lockout_reason = lock.lockoutReason;
+        pump.runs_today = lock.runsToday;
+        pump.runtime_today_s = Math.floor(lock.runtimeTodayMs / 1000);
+    }
+    
+    setRelay(zone, on) {
+        const lock = this.zones[zone].lock;
+        if (on === lock.relayOn) return;
+        
+        lock.relayOn = on;
+        if (on) {
+            lock.relayOnSince = this.millis();
+            lock.countedSince = lock.relayOnSince;
+            lock.runsToday++;
+        } else {
+            lock.relayOffSince = this.millis();
+            lock.runtimeTodayMs += lock.relayOffSince - lock.countedSince;
+            lock.hasRun = true;
+        }
+        this.publishInterlock(zone);
+    }
+    
+    setPumpState(zone, active, status, retryCount) {
+        const pump = this.zones[zone].pump;
+        if (pump.active !== active) {
+            pump.last_change = this.epochMs();
+            pump.last_change_uptime = this.millis();
+        }
+        pump.active = active;
+        pump.retry_count = retryCount;
+        pump.status = status;
+    }
+    
+    pumpOff(zone, event, reason) {
+        this.setRelay(zone, false);
+        this.logZoneEvent(zone, event, reason);
+    }
+    
+    pumpLockout(zone, reason) {
+        const lock = this.zones[zone].lock;
+        lock.lockedOut = true;
+        lock.lockoutReason = reason.slice(0, 47);
+        this.logZoneEvent(zone, 'PUMP_LOCKOUT', reason);
+        this.publishInterlock(zone);
+        this.setPumpState(zone, false, 'LOCKED_OUT', 0);
+    }
+    
+    // Seconds of minimum off-time left since the pump last stopped
+    pumpCooldownSeconds(zone) {
+        const pump = this.zones[zone].pump;
+        if (pump.active || pump.last_change_uptime === 0) return 0;
+        
+        const offMs = this.millis() - pump.last_change_uptime;
+        const minOffMs = this.config.pump_min_off_s * 1000;
+        return offMs < minOffMs ? Math.ceil((minOffMs - offMs) / 1000) : 0;
+    }
+    
+    // Null when a run of durationMs may start now, otherwise the reason.
+    // Running into a daily limit locks the zone out rather than just refusing this run.
+    pumpStartBlocked(zone, durationMs) {
+        const lock = this.zones[zone].lock;
+        const offMs = this.millis() - lock.relayOffSince;
+        const minOffMs = this.config.pump_min_off_s * 1000;
+        let reason;
+        
+        if (lock.lockedOut) {
+            return `Locked out: ${lock.lockoutReason}`;
+        } else if (durationMs > this.config.pump_max_run_s * 1000) {
+            return `Longer than the ${this.config.pump_max_run_s} s run limit`;
+        } else if (lock.hasRun && offMs < minOffMs) {
+            return `Cooling down, ${Math.ceil((minOffMs - offMs) / 1000)} s left`;
+        } else if (lock.runsToday >= this.config.pump_max_runs_day) {
+            reason = `Daily limit of ${this.config.pump_max_runs_day} runs reached`;
+        } else if (lock.runtimeTodayMs >= this.config.pump_max_runtime_day_min * 60000) {
+            reason = `Daily limit of ${this.config.pump_max_runtime_day_min} min runtime reached`;
+        } else {
+            return null;
+        }
+        
+        this.pumpLockout(zone, reason);
+        return reason;
+    }
+    
+    // Runs after runZone() so a run that ends on its limit finishes normally. A
+    // relay still on past the run limit or the daily runtime is cut and locked out.
+    enforceInterlocks(zone) {
+        const { ctl, lock } = this.zones[zone];
+        
+        const day = this.interlockDay();
+        if (day !== lock.usageDay) {
+            lock.usageDay = day;
+            lock.runsToday = lock.relayOn ? 1 : 0;
+            lock.runtimeTodayMs = 0;
+            lock.countedSince = this.millis();
+            this.publishInterlock(zone);
+        }
+        
+        if (!lock.relayOn) return;
+        
+        const runMs = this.millis() - lock.relayOnSince;
+        const todayMs = lock.runtimeTodayMs + (this.millis() - lock.countedSince);
+        let reason;
+        
+        if (runMs > this.config.pump_max_run_s * 1000) {
+            reason = `Ran past the ${this.config.pump_max_run_s} s run limit`;
+        } else if (todayMs >= this.config.pump_max_runtime_day_min * 60000) {
+            reason = `Daily limit of ${this.config.pump_max_runtime_day_min} min runtime reached`;
+        } else {
+            return;
+        }
+        
+        this.pumpOff(zone, 'PUMP_INTERLOCK_STOP', reason);
+        ctl.runActive = false;
+        ctl.deferred = false;
+        ctl.retryCount = 0;
+        ctl.phase = 'IDLE';
+        ctl.phaseStarted = this.millis();
+        this.pumpLockout(zone, reason);
+    }
+    
+    // Whether the pump may run right now, as null or the reason it may not.
+    // Blackouts block everything; when any window is enabled, threshold
+    // watering must also fall inside one of them.
+    wateringBlocked(thresholdWatering) {
+        const now = this.clock.localTime(this.config.timezone);
+        if (!now) return null;
+        
+        let hasWindow = false;
+        let inWindow = false;
+        for (const schedule of this.schedules) {
+            if (!schedule.enabled) continue;
+            
+            if (schedule.type === 'blackout' && scheduleCovers(schedule, now)) {
+                return `Blackout: ${schedule.name || 'unnamed'}`;
+            } else if (schedule.type === 'window') {
+                hasWindow = true;
+                if (scheduleCovers(schedule, now)) inWindow = true;
+            }
+        }
+        
+        if (thresholdWatering && hasWindow && !inWindow) return 'Outside watering windows';
+        return null;
+    }
+    
+    // The zone's fixed run that starts this minute, once per day. The run
+    // counts as today's whether the caller starts it or skips it.
+    dueScheduledRun(zone) {
+        const now = this.clock.localTime(this.config.timezone);
+        if (!now) return null;
+        
+        for (const schedule of this.schedules) {
+            if (!schedule.enabled || schedule.type !== 'run' || schedule.zone !== zone) continue;
+            if (!(schedule.days & (1 << now.wday)) || schedule.start_min !== now.minute) continue;
+            if (schedule.last_run_yday === now.yday) continue;
+            
+            schedule.last_run_yday = now.yday;
+            return { name: schedule.name || 'Scheduled run', durationMs: schedule.duration_s * 1000 };
+        }
+        return null;
+    }
+    
+    // A stop jumps the queue; stopping every zone also discards anything still waiting
+    queuePumpCommand(type, zone, durationMs, reason) {
+        const command = { type, zone, durationMs, reason };
+        if (type === 'STOP') {
+            if (zone === 'all') this.pumpCommands = [];
+            this.pumpCommands.unshift(command);
+        } else {
+            this.pumpCommands.push(command);
+        }
+    }
+    
+    handlePumpCommand(zone, command) {
+        const { ctl, lock } = this.zones[zone];
+        const cycleRunning = ctl.phase === 'WATERING' || ctl.phase === 'SOAKING';
+        
+        if (command.type === 'STOP') {
+            // Always drive the relay off, even if nothing appears to be running
+            if (ctl.runActive || cycleRunning) {
+                this.pumpOff(zone, 'PUMP_EMERGENCY_STOP', command.reason);
+            } else {
+                this.setRelay(zone, false);
+                this.logZoneEvent(zone, 'PUMP_EMERGENCY_STOP', 'No run active');
+            }
+            ctl.runActive = false;
+            ctl.deferred = false;
+            this.setPumpState(zone, false, lock.lockedOut ? 'LOCKED_OUT' : 'STOPPED', ctl.retryCount);
+            ctl.phase = 'STOPPED';
+            ctl.phaseStarted = this.millis();
+        } else if (command.type === 'ACK') {
+            // The operator has seen why; the day's usage starts over so a budget
+            // lockout does not come straight back on the next run
+            if (!lock.lockedOut) return;
+            
+            this.logZoneEvent(zone, 'PUMP_LOCKOUT_CLEARED', `${command.reason} (${lock.lockoutReason})`);
+            lock.lockedOut = false;
+            lock.lockoutReason = '';
+            lock.runsToday = 0;
+            lock.runtimeTodayMs = 0;
+            this.publishInterlock(zone);
+            
+            this.setPumpState(zone, false, 'IDLE', 0);
+            ctl.retryCount = 0;
+            ctl.phase = 'IDLE';
+            ctl.phaseStarted = this.millis();
+        } else if (ctl.runActive || cycleRunning) {
+            this.logZoneEvent(zone, 'PUMP_COMMAND_REJECTED', ctl.runActive ? 'Run in progress' : 'Auto cycle in progress');
+        } else {
+            const blocked = this.pumpStartBlocked(zone, command.durationMs);
+            if (blocked) {
+                this.logZoneEvent(zone, 'PUMP_COMMAND_REJECTED', blocked);
+                return;
+            }
+            
+            const isTest = command.type === 'TEST';
+            this.logZoneEvent(zone, isTest ? 'PUMP_TEST_START' : 'PUMP_MANUAL_START', `${command.reason} for ${command.durationMs} ms`);
+            this.setRelay(zone, true);
+            this.setPumpState(zone, true, isTest ? 'TEST' : 'MANUAL', 0);
+            ctl.runActive = true;
+            ctl.runType = command.type;
+            ctl.runStarted = this.millis();
+            ctl.runDuration = command.durationMs;
+        }
+    }
+    
+    runZone(zone) {
+        const { ctl, lock } = this.zones[zone];
+        const zoneConfig = this.config.zones[zone];
+        
+        // Fixed daily runs only start when nothing else owns the pump
+        const scheduled = this.dueScheduledRun(zone);
+        
+        if (scheduled) {
+            const cycleRunning = ctl.phase === 'WATERING' || ctl.phase === 'SOAKING';
+            let reason;
+            
+            if (ctl.runActive) {
+                this.logZoneEvent(zone, 'SCHEDULE_SKIPPED', `${scheduled.name}: ${ctl.runType.toLowerCase()} run in progress`);
+            } else if (cycleRunning || ctl.phase === 'STOPPED') {
+                this.logZoneEvent(zone, 'SCHEDULE_SKIPPED',
+                    `${scheduled.name}: ${cycleRunning ? 'auto cycle in progress' : 'emergency stop hold'}`);
+            } else if ((reason = this.wateringBlocked(false) || this.pumpStartBlocked(zone, scheduled.durationMs))) {
+                this.logZoneEvent(zone, 'SCHEDULE_SKIPPED', `${scheduled.name}: ${reason}`);
+            } else {
+                this.logZoneEvent(zone, 'PUMP_SCHEDULED_START', `${scheduled.name} for ${scheduled.durationMs} ms`);
+                this.setRelay(zone, true);
+                this.setPumpState(zone, true, 'SCHEDULED', 0);
+                ctl.runActive = true;
+                ctl.runType = 'SCHEDULED';
+                ctl.runStarted = this.millis();
+                ctl.runDuration = scheduled.durationMs;
+            }
+        }
+        
+        if (ctl.runActive) {
+            const blackout = ctl.runType === 'SCHEDULED' ? this.wateringBlocked(false) : null;
+            if (blackout) {
+                this.pumpOff(zone, 'PUMP_SCHEDULED_STOP', blackout);
+                this.setPumpState(zone, false, 'IDLE', 0);
+                ctl.runActive = false;
+                ctl.phase = 'IDLE';
+                ctl.phaseStarted = this.millis();
+            } else if (this.millis() - ctl.runStarted >= ctl.runDuration) {
+                if (ctl.runType === 'SCHEDULED') {
+                    this.pumpOff(zone, 'PUMP_SCHEDULED_STOP', 'Scheduled run completed');
+                } else if (ctl.runType === 'TEST') {
+                    this.pumpOff(zone, 'PUMP_TEST_STOP', 'Test completed');
+                } else {
+                    this.pumpOff(zone, 'PUMP_MANUAL_STOP', 'Manual completed');
+                }
+                this.setPumpState(zone, false, 'IDLE', 0);
+                ctl.runActive = false;
+                
+                // Operator watering clears any retry lockout
+                ctl.phase = 'IDLE';
+                ctl.phaseStarted = this.millis();
+            }
+            return;
+        }
+        
+        // A locked-out zone does nothing on its own until acknowledged
+        if (lock.lockedOut) return;
+        
+        // Auto-watering only acts on healthy readings; a fault stops it
+        const { moisture, valid, health } = this.zones[zone].reading;
+        const elapsed = this.millis() - ctl.phaseStarted;
+        let reason;
+        
+        switch (ctl.phase) {
+            case 'IDLE':
+            case 'TARGET_REACHED':
+                if (valid && moisture < zoneConfig.dry_threshold) {
+                    if ((reason = this.wateringBlocked(true))) {
+                        if (!ctl.deferred) {
+                            ctl.deferred = true;
+                            this.logZoneEvent(zone, 'WATERING_DEFERRED', reason);
+                            this.setPumpState(zone, false, 'DEFERRED', 0);
+                        }
+                        break;
+                    }
+                    
+                    // Wait out the minimum off-time; a daily limit locks the zone out
+                    if (this.pumpStartBlocked(zone, PUMP_PULSE_MS)) break;
+                    
+                    ctl.deferred = false;
+                    ctl.retryCount = 0;
+                    this.logZoneEvent(zone, 'PUMP_AUTO_START', `Moisture ${moisture.toFixed(1)}% below ${zoneConfig.dry_threshold.toFixed(1)}%`);
+                    this.setRelay(zone, true);
+                    this.setPumpState(zone, true, 'WATERING', ctl.retryCount);
+                    ctl.phase = 'WATERING';
+                    ctl.phaseStarted = this.millis();
+                } else if (ctl.deferred) {
+                    // Soil recovered on its own while waiting
+                    ctl.deferred = false;
+                    this.setPumpState(zone, false, 'IDLE', 0);
+                }
+                break;
+            
+            case 'WATERING':
+                if ((reason = this.wateringBlocked(true))) {
+                    this.pumpOff(zone, 'PUMP_AUTO_STOP', reason);
+                    this.logZoneEvent(zone, 'WATERING_DEFERRED', reason);
+                    this.setPumpState(zone, false, 'DEFERRED', ctl.retryCount);
+                    ctl.deferred = true;
+                    ctl.phase = 'IDLE';
+                    ctl.phaseStarted = this.millis();
+                } else if (!valid) {
+                    this.pumpOff(zone, 'PUMP_AUTO_STOP', `Aborted: sensor ${health}`);
+                    this.setPumpState(zone, false, 'IDLE', ctl.retryCount);
+                    ctl.phase = 'IDLE';
+                    ctl.phaseStarted = this.millis();
+                } else if (moisture >= zoneConfig.expected_value) {
+                    this.pumpOff(zone, 'PUMP_AUTO_STOP', 'Target reached during pulse');
+                    this.setPumpState(zone, false, 'TARGET_REACHED', ctl.retryCount);
+                    this.logZoneEvent(zone, 'WATERING_TARGET_REACHED', `Reached ${moisture.toFixed(1)}% during pulse`);
+                    ctl.phase = 'TARGET_REACHED';
+                    ctl.phaseStarted = this.millis();
+                } else if (elapsed >= PUMP_PULSE_MS) {
+                    this.pumpOff(zone, 'PUMP_AUTO_STOP', 'Pulse complete, soaking');
+                    this.setPumpState(zone, false, 'SOAKING', ctl.retryCount);
+                    ctl.phase = 'SOAKING';
+                    ctl.phaseStarted = this.millis();
+                }
+                break;
+            
+            case 'SOAKING':
+                // Wait one extra sampling interval so the decision uses a post-soak reading
+                if (elapsed < SOAK_TIME_MS + this.config.sampling_interval) break;
+                
+                if (!valid) {
+                    this.setPumpState(zone, false, 'IDLE', ctl.retryCount);
+                    this.logZoneEvent(zone, 'WATERING_ABORTED', `Sensor ${health} after soak`);
+                    ctl.phase = 'IDLE';
+                } else if (moisture >= zoneConfig.expected_value) {
+                    this.setPumpState(zone, false, 'TARGET_REACHED', ctl.retryCount);
+                    this.logZoneEvent(zone, 'WATERING_TARGET_REACHED', `Reached ${moisture.toFixed(1)}% after ${ctl.retryCount} retries`);
+                    ctl.phase = 'TARGET_REACHED';
+                } else if (ctl.retryCount >= zoneConfig.max_retries) {
+                    this.setPumpState(zone, false, 'RETRY_EXHAUSTED', ctl.retryCount);
+                    this.logZoneEvent(zone, 'WATERING_RETRY_EXHAUSTED', `Stuck at ${moisture.toFixed(1)}% after ${ctl.retryCount} retries`);
+                    ctl.phase = 'RETRY_EXHAUSTED';
+                } else if ((reason = this.wateringBlocked(true))) {
+                    this.setPumpState(zone, false, 'DEFERRED', ctl.retryCount);
+                    this.logZoneEvent(zone, 'WATERING_DEFERRED', reason);
+                    ctl.deferred = true;
+                    ctl.phase = 'IDLE';
+                } else if (this.pumpStartBlocked(zone, PUMP_PULSE_MS)) {
+                    // Keep soaking through the minimum off-time; a lockout ends the cycle
+                    if (!lock.lockedOut) break;
+                    ctl.phase = 'IDLE';
+                } else {
+                    ctl.retryCount++;
+                    this.logZoneEvent(zone, 'PUMP_AUTO_START', `Retry ${ctl.retryCount}/${zoneConfig.max_retries} at ${moisture.toFixed(1)}%`);
+                    this.setRelay(zone, true);
+                    this.setPumpState(zone, true, 'WATERING', ctl.retryCount);
+                    ctl.phase = 'WATERING';
+                }
+                ctl.phaseStarted = this.millis();
+                break;
+            
+            case 'RETRY_EXHAUSTED':
+                // Stay locked out until the soil recovers on its own or the cooldown passes
+                if ((valid && moisture >= zoneConfig.dry_threshold) || elapsed >= RETRY_EXHAUSTED_COOLDOWN_MS) {
+                    this.setPumpState(zone, false, 'IDLE', 0);
+                    ctl.phase = 'IDLE';
+                    ctl.phaseStarted = this.millis();
+                }
+                break;
+            
+            case 'STOPPED':
+                // Hold off auto-watering after an emergency stop; a manual run also resumes it
+                if (elapsed >= EMERGENCY_STOP_HOLD_MS) {
+                    this.setPumpState(zone, false, 'IDLE', 0);
+                    ctl.phase = 'IDLE';
+                    ctl.phaseStarted = this.millis();
+                }
+                break;
+        }
+    }
+    
+    runPumpTask() {
+        for (const command of this.pumpCommands.splice(0)) {
+            this.zones.forEach((zone, i) => {
+                if (command.zone === i || command.zone === 'all') this.handlePumpCommand(i, command);
+            });
+        }
+        
+        this.zones.forEach((zone, i) => {
+            this.runZone(i);
+            this.enforceInterlocks(i);
+        });
+    }
+    
+    // ============ CALIBRATION WIZARD ============
+    // Averages a burst of readings so one noisy sample cannot become a calibration point
+    captureAdc(zone) {
+        const stats = computeAdcStats(Array.from({ length: CAL_CAPTURE_SAMPLES }, () => this.zones[zone].soil.sampleAdc()));
+        const capture = { adc: Math.round(stats.mean) };
+        addAdcStatsJson(capture, stats);
+        capture.stable = stats.stddev <= CAL_STABLE_STDDEV;
+        return capture;
+    }
+    
+    // One "calibration_sample" frame for a zone with an open wizard
+    calibrationSample(zone) {
+        const stream = this.zones[zone].stream;
+        const adc = this.zones[zone].soil.sampleAdc();
+        stream.push(adc);
+        if (stream.length > CAL_STREAM_WINDOW) stream.shift();
+        
+        const stats = computeAdcStats(stream);
+        const data = { zone, adc };
+        addAdcStatsJson(data, stats);
+        data.window = CAL_STREAM_WINDOW;
+        data.threshold = CAL_STABLE_STDDEV;
+        data.stable = stream.length === CAL_STREAM_WINDOW && stats.stddev <= CAL_STABLE_STDDEV;
+        return data;
+    }
+    
+    resetCalibrationStream(zone) {
+        this.zones[zone].stream = [];
+    }
+    
+    // ============ ZONE STATE ============
+    sensorJson(zone) {
+        const reading = this.zones[zone].reading;
+        return {
+            moisture: reading.moisture,
+            raw_adc: reading.raw_adc,
+            filtered_adc: reading.filtered_adc,
+            noise: round1(reading.noise),
+            timestamp: this.clock.resolveTimestamp(reading.timestamp, reading.uptime, this.bootId, this.bootId),
+            uptime: reading.uptime,
+            valid: reading.valid,
+            health: reading.health
+        };
+    }
+    
+    pumpJson(zone) {
+        const pump = this.zones[zone].pump;
+        return {
+            active: pump.active,
+            status: pump.status,
+            retry_count: pump.retry_count,
+            last_change: this.clock.resolveTimestamp(pump.last_change, pump.last_change_uptime, this.bootId, this.bootId),
+            last_change_uptime: pump.last_change_uptime,
+            locked_out: pump.locked_out,
+            lockout_reason: pump.lockout_reason,
+            runs_today: pump.runs_today,
+            runtime_today_s: pump.runtime_today_s,
+            cooldown_s: this.pumpCooldownSeconds(zone)
+        };
+    }
+    
+    calibrationJson(zone) {
+        return addCalibrationJson({}, this.config.zones[zone]);
+    }
+    
+    // One entry per zone with its reading, pump state, calibration and settings
+    zonesJson() {
+        return this.zones.map((zone, i) => {
+            const zoneConfig = this.config.zones[i];
+            return {
+                id: i,
+                name: zoneConfig.name,
+                tag: this.hardware[i].tag,
+                sensor: this.sensorJson(i),
+                pump: this.pumpJson(i),
+                calibration: this.calibrationJson(i),
+                config: {
+                    dry_threshold: zoneConfig.dry_threshold,
+                    expected_value: zoneConfig.expected_value,
+                    max_retries: zoneConfig.max_retries
+                }
+            };
+        });
+    }
+    
+    networkJson() {
+        return {
+            connected: true,
+            ip: this.ip,
+            mac: '24:0A:C4:00:5E:01',
+            gateway: '127.0.0.1',
+            subnet: '255.0.0.0',
+            dns: '127.0.0.1',
+            ssid: this.wifi.networks.length > 0 ? this.wifi.networks[0].ssid : '',
+            rssi: -58 + Math.round(Math.random() * 6),
+            provisioning: false
+        };
+    }
+    
+    // The fast-changing part of the system data
+    systemStatusJson() {
+        return {
+            uptime: this.millis(),
+            time: this.epochMs(),
+            time_synced: this.clock.timeSynced(),
+            free_heap: 180000 + Math.round(Math.random() * 4000),
+            fs_total: FS_TOTAL_BYTES,
+            fs_used: Math.min(FS_ASSET_BYTES + this.logs.length * LOG_ROW_BYTES, FS_TOTAL_BYTES),
+            log_segments: this.logSegmentCount(),
+            firmware: {
+                version: FIRMWARE_VERSION,
+                partition: 'simulator',
+                firmware_max: 1966080,
+                filesystem_max: FS_TOTAL_BYTES,
+                updates_enabled: false,
+                pending_verify: false,
+                updating: false
+            }
+        };
+    }
+    
+    systemJson() {
+        return { ...this.systemStatusJson(), boot_id: this.bootId, fs_available: true, build_date: this.buildDate };
+    }
+    
+    // ============ SIMULATION CONTROL ============
+    // Everything the physics model knows, for tests and the /sim routes
+    simulationJson() {
+        return {
+            uptime: this.millis(),
+            time: this.epochMs(),
+            zones: this.zones.map((zone, i) => ({
+                id: i,
+                tag: this.hardware[i].tag,
+                soil: zone.soil.toJSON(),
+                relay_on: zone.lock.relayOn,
+                phase: zone.ctl.phase
+            }))
+        };
+    }
+}
+
+module.exports = { Device, FIRMWARE_VERSION, PUMP_TASK_MS };
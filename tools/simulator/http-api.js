@@ -0,0 +1,844 @@
+// The device's web server: dashboard assets from data/ and every route that
+// web_task registers, with the same roles, status codes, messages and JSON.
+// Routes the firmware does not have answer 404, as they would on the device.
+//
+// The /sim/ routes are the simulator's own remote control for tests and
+// demos: zone physics, sensor faults, link faults and time. They need no login.
+
+const fs = require('fs');
+const path = require('path');
+const { AUTH_MIN_PASSWORD_LENGTH, AUTH_SESSION_IDLE_MS, sessionJson } = require('./auth');
+const {
+    MANUAL_PUMP_DURATION_MS, ZONE_ALL, commandCalibrate, commandCalibrationCapture, commandCalibrationSet,
+    commandConfigSet, commandPumpAck, commandPumpStart, commandPumpStop, intParam
+} = require('./commands');
+const { CONFIG_SCHEMA_VERSION, addConfigJson, addGlobalConfigJson, cloneConfig, defaultConfig, diffConfig,
+    importConfig } = require('./config');
+const { FIRMWARE_VERSION } = require('./device');
+const { historyJson, logsCsv, parseLogQuery, runLogQuery, toInt } = require('./logs');
+const { MAX_SCHEDULES, newSchedule, scheduleFromJson, scheduleToJson } = require('./schedules');
+
+const WIFI_MAX_NETWORKS = 4;
+const WIFI_SCAN_MS = 2500;
+const MAX_BODY_BYTES = 1048576;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html',
+    '.css': 'text/css',
+    '.js': 'application/javascript',
+    '.json': 'application/json',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2',
+    '.ttf': 'font/ttf'
+};
+
+// serveStatic() prefixes and their Cache-Control
+const STATIC_ROUTES = [
+    ['/css/', 'no-cache'],
+    ['/js/', 'no-cache'],
+    ['/vendor/', 'public, max-age=604800'],
+    ['/sw.js', 'no-cache']
+];
+
+// Networks the fake scan finds besides the saved ones
+const NEIGHBOUR_NETWORKS = [
+    { ssid: 'Greenhouse-Guest', rssi: -67, channel: 6, secure: false },
+    { ssid: 'Shed AP', rssi: -74, channel: 11, secure: true },
+    { ssid: 'NEIGHBOUR-5G', rssi: -83, channel: 1, secure: true }
+];
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+// IPAddress::fromString(): four dotted numbers from 0 to 255
+function validIp(text) {
+    return typeof text === 'string' && /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/.test(text) &&
+        text.split('.').every(part => Number(part) <= 255);
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function sendJsonError(res, status, message) {
+    sendJson(res, status, { error: message });
+}
+
+function sendText(res, status, text, type = 'text/plain') {
+    res.writeHead(status, { 'Content-Type': type });
+    res.end(text);
+}
+
+// Validation failures keep their field-level details next to the message
+function sendCommandResponse(res, result, response) {
+    if (result.error && response.errors === undefined) {
+        sendJsonError(res, result.status, result.error);
+    } else if (result.error) {
+        sendJson(res, result.status, { ...response, error: result.error });
+    } else {
+        sendJson(res, 200, response);
+    }
+}
+
+// The built-in update page, taken from the sketch so the two never differ
+function loadUpdatePage(sketchPath) {
+    try {
+        const match = /UPDATE_PAGE\[\] PROGMEM = R"rawliteral\(([\s\S]*?)\)rawliteral"/.exec(fs.readFileSync(sketchPath, 'utf8'));
+        return match ? match[1] : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+class HttpApi {
+    // `simulation` runs the device (see simulator.js); `dataDir` holds the dashboard
+    constructor(simulation, { dataDir, sketchPath }) {
+        this.simulation = simulation;
+        this.device = simulation.device;
+        this.dataDir = path.resolve(dataDir);
+        this.updatePage = loadUpdatePage(sketchPath);
+        this.handle = this.handle.bind(this);
+        
+        const h = handler => handler.bind(this);
+        this.routes = [
+            ['POST', '/api/auth/login', null, h(this.handleLogin)],
+            ['POST', '/api/auth/logout', 'viewer', h(this.handleLogout)],
+            ['GET', '/api/auth/session', 'viewer', h(this.handleGetSession)],
+            ['POST', '/api/auth/password', 'viewer', h(this.handleChangePassword)],
+            ['GET', '/api/state', 'viewer', h(this.handleGetState)],
+            ['POST', '/api/pump/manual', 'operator', h(this.handleManualPump)],
+            ['POST', '/api/pump/test', 'operator', h(this.handleTestPump)],
+            ['POST', '/api/pump/stop', 'operator', h(this.handleStopPump)],
+            ['POST', '/api/pump/ack', 'operator', h(this.handleAckPump)],
+            ['POST', '/api/calibrate', 'operator', h(this.handleCalibrate)],
+            ['POST', '/api/calibration', 'operator', h(this.handleSetCalibration)],
+            ['POST', '/api/calibration/capture', 'operator', h(this.handleCalibrationCapture)],
+            ['POST', '/api/config', 'operator', h(this.handleUpdateConfig)],
+            ['GET', '/api/config/export', 'viewer', h(this.handleExportConfig)],
+            ['POST', '/api/config/import', 'operator', h(this.handleImportConfig)],
+            ['POST', '/api/config/reset', 'operator', h(this.handleResetConfig)],
+            ['GET', '/api/schedules', 'viewer', h(this.handleGetSchedules)],
+            ['POST', '/api/schedules', 'operator', h(this.handleCreateSchedule)],
+            ['PUT', '/api/schedules', 'operator', h(this.handleUpdateSchedule)],
+            ['DELETE', '/api/schedules', 'operator', h(this.handleDeleteSchedule)],
+            ['GET', '/api/logs', 'viewer', h(this.handleGetLogs)],
+            ['GET', '/api/history', 'viewer', h(this.handleGetHistory)],
+            ['GET', '/api/logs/download', 'viewer', h(this.handleDownloadLogs)],
+            ['POST', '/api/logs/clear', 'operator', h(this.handleClearLogs)],
+            ['GET', '/api/wifi', 'viewer', h(this.handleGetWifi)],
+            ['POST', '/api/wifi', 'operator', h(this.handleAddWifi)],
+            ['DELETE', '/api/wifi', 'operator', h(this.handleForgetWifi)],
+            ['GET', '/api/wifi/scan', 'operator', h(this.handleScanWifi)],
+            ['POST', '/api/wifi/static', 'operator', h(this.handleStaticIp)],
+            ['POST', '/api/update', 'operator', h(this.handleUpdate)],
+            
+            ['GET', '/sim', null, h(this.handleSimState)],
+            ['POST', '/sim/zone', null, h(this.handleSimZone)],
+            ['POST', '/sim/advance', null, h(this.handleSimAdvance)],
+            ['POST', '/sim/speed', null, h(this.handleSimSpeed)],
+            ['POST', '/sim/clock', null, h(this.handleSimClock)],
+            ['POST', '/sim/websocket', null, h(this.handleSimWebSocket)]
+        ];
+    }
+    
+    handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const chunks = [];
+        let size = 0;
+        
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+        });
+        req.on('end', () => {
+            const ctx = {
+                req,
+                res,
+                path: url.pathname,
+                args: Object.fromEntries(url.searchParams),
+                body: size > 0 && size <= MAX_BODY_BYTES ? Buffer.concat(chunks).toString() : undefined,
+                session: null
+            };
+            
+            try {
+                this.route(ctx);
+            } catch (error) {
+                console.error(error);
+                if (!res.headersSent) sendText(res, 500, 'Internal error');
+            }
+        });
+    }
+    
+    route(ctx) {
+        const route = this.routes.find(([method, pathname]) => method === ctx.req.method && pathname === ctx.path);
+        if (route) {
+            const [, , role, handler] = route;
+            if (role && !this.authorize(ctx, role)) return;
+            handler(ctx);
+        } else if (!['GET', 'HEAD'].includes(ctx.req.method) || !this.serveFile(ctx)) {
+            sendText(ctx.res, 404, 'File not found');
+        }
+    }
+    
+    // Sends 401 without a valid session and 403 when its role is too low
+    authorize(ctx, role) {
+        const header = ctx.req.headers.authorization || '';
+        ctx.session = this.device.accounts.findSession(header.startsWith('Bearer ') ? header.slice(7) : '');
+        
+        if (!ctx.session) {
+            sendJsonError(ctx.res, 401, 'Login required');
+            return false;
+        }
+        if (!this.device.accounts.hasRole(ctx.session, role)) {
+            sendJsonError(ctx.res, 403, 'Operator role required');
+            return false;
+        }
+        return true;
+    }
+    
+    // Parses the JSON body, or answers "No data"/"Parse error" and returns undefined
+    readJson(ctx) {
+        if (ctx.body === undefined) {
+            sendJsonError(ctx.res, 400, 'No data');
+            return undefined;
+        }
+        
+        try {
+            return JSON.parse(ctx.body);
+        } catch (error) {
+            sendJsonError(ctx.res, 400, 'Parse error');
+            return undefined;
+        }
+    }
+    
+    // Zone index from ?zone= or the JSON body, defaulting to the first zone
+    requestZone(ctx) {
+        if (ctx.args.zone !== undefined) return toInt(ctx.args.zone);
+        
+        if (ctx.body !== undefined) {
+            try {
+                const doc = JSON.parse(ctx.body);
+                return intParam(isObject(doc) ? doc.zone : undefined, 0);
+            } catch (error) {
+                // Same as no body
+            }
+        }
+        return 0;
+    }
+    
+    // ============ STATIC FILES ============
+    serveFile(ctx) {
+        const pathname = decodeURIComponent(ctx.path);
+        let cacheControl;
+        
+        if (pathname === '/') {
+            // The service worker revalidates the shell, so browsers must not serve it stale
+            return this.streamFile(ctx, 'index.html', 'no-cache', '/update');
+        } else if (pathname === '/portal') {
+            return this.streamFile(ctx, 'portal.html', null, null);
+        } else if (pathname === '/update') {
+            if (!this.updatePage) return false;
+            sendText(ctx.res, 200, this.updatePage, 'text/html');
+            return true;
+        }
+        
+        for (const [prefix, cache] of STATIC_ROUTES) {
+            if (pathname === prefix || (prefix.endsWith('/') && pathname.startsWith(prefix))) cacheControl = cache;
+        }
+        if (!cacheControl) return false;
+        
+        return this.streamFile(ctx, pathname.slice(1), cacheControl, null);
+    }
+    
+    // Answers with "<file>.gz" when only the compressed copy exists, like serveStatic()
+    streamFile(ctx, relative, cacheControl, missingRedirect) {
+        const file = path.join(this.dataDir, relative);
+        if (!file.startsWith(this.dataDir + path.sep)) return false;
+        
+        const headers = { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' };
+        if (cacheControl) headers['Cache-Control'] = cacheControl;
+        
+        let source = file;
+        if (!fs.existsSync(file) || !fs.statSync(file).isFile()) {
+            if (fs.existsSync(`${file}.gz`)) {
+                source = `${file}.gz`;
+                headers['Content-Encoding'] = 'gzip';
+            } else if (missingRedirect) {
+                // No web interface on the filesystem: offer the built-in update page
+                ctx.res.writeHead(302, { Location: missingRedirect, 'Content-Type': 'text/plain' });
+                ctx.res.end('index.html not found');
+                return true;
+            } else {
+                return false;
+            }
+        }
+        
+        ctx.res.writeHead(200, headers);
+        fs.createReadStream(source).pipe(ctx.res);
+        return true;
+    }
+    
+    // ============ AUTH ============
+    handleLogin(ctx) {
+        const doc = this.readJson(ctx);
+        if (doc === undefined) return;
+        
+        // Repeated failures lock this client out for a while to slow down guessing
+        const accounts = this.device.accounts;
+        const address = ctx.req.socket.remoteAddress;
+        if (accounts.loginLocked(address)) {
+            sendJsonError(ctx.res, 429, 'Too many failed attempts, try again later');
+            return;
+        }
+        
+        const username = isObject(doc) && typeof doc.username === 'string' ? doc.username : '';
+        const password = isObject(doc) && typeof doc.password === 'string' ? doc.password : '';
+        const user = accounts.authenticate(username, password, address);
+        
+        if (!user) {
+            this.device.logEvent('AUTH_FAILED', `${username} from ${address}`.slice(0, 63));
+            sendJsonError(ctx.res, 401, 'Invalid username or password');
+            return;
+        }
+        
+        const session = accounts.createSession(user);
+        if (!session) {
+            sendJsonError(ctx.res, 503, 'Too many active sessions, try again later');
+            return;
+        }
+        
+        this.device.logEvent('AUTH_LOGIN', session.user.username);
+        sendJson(ctx.res, 200, {
+            status: 'logged_in',
+            token: session.token,
+            ...sessionJson(session.user),
+            idle_timeout: AUTH_SESSION_IDLE_MS,
+            timestamp: this.device.epochMs()
+        });
+    }
+    
+    handleLogout(ctx) {
+        this.device.logEvent('AUTH_LOGOUT', ctx.session.user.username);
+        this.device.accounts.endSession(ctx.session);
+        sendJson(ctx.res, 200, { status: 'logged_out' });
+    }
+    
+    handleGetSession(ctx) {
+        sendJson(ctx.res, 200, sessionJson(ctx.session.user));
+    }
+    
+    // Users change their own password with the current one; operators can also
+    // reset other accounts. The account's other sessions are ended.
+    handleChangePassword(ctx) {
+        const doc = this.readJson(ctx);
+        if (doc === undefined) return;
+        
+        const accounts = this.device.accounts;
+        const params = isObject(doc) ? doc : {};
+        const caller = ctx.session.user;
+        const user = accounts.findUser(typeof params.username === 'string' ? params.username : caller.username);
+        if (!user) {
+            sendJsonError(ctx.res, 404, 'Unknown user');
+            return;
+        }
+        
+        if (user === caller) {
+            if (user.password !== (typeof params.current_password === 'string' ? params.current_password : '')) {
+                sendJsonError(ctx.res, 403, 'Current password is incorrect');
+                return;
+            }
+        } else if (!accounts.hasRole(ctx.session, 'operator')) {
+            sendJsonError(ctx.res, 403, 'Operator role required');
+            return;
+        }
+        
+        const newPassword = typeof params.new_password === 'string' ? params.new_password : '';
+        if (newPassword.length < AUTH_MIN_PASSWORD_LENGTH) {
+            sendJsonError(ctx.res, 400, 'Password must be at least 8 characters');
+            return;
+        }
+        
+        accounts.setPassword(user, newPassword, ctx.session);
+        this.device.logEvent('AUTH_PASSWORD_CHANGED', user.username);
+        sendJson(ctx.res, 200, { status: 'password_changed', username: user.username, timestamp: this.device.epochMs() });
+    }
+    
+    // ============ STATE AND COMMANDS ============
+    handleGetState(ctx) {
+        const device = this.device;
+        sendJson(ctx.res, 200, {
+            zones: device.zonesJson(),
+            network: device.networkJson(),
+            system: device.systemJson(),
+            // Configuration data (zone settings are reported per zone)
+            config: addGlobalConfigJson({}, device.config)
+        });
+    }
+    
+    handleManualPump(ctx) {
+        const response = {};
+        sendCommandResponse(ctx.res, commandPumpStart(this.device, 'MANUAL', this.requestZone(ctx), MANUAL_PUMP_DURATION_MS, response), response);
+    }
+    
+    handleTestPump(ctx) {
+        const doc = this.readJson(ctx);
+        if (doc === undefined) return;
+        
+        const params = isObject(doc) ? doc : {};
+        const response = {};
+        sendCommandResponse(ctx.res, commandPumpStart(this.device, 'TEST', intParam(params.zone, 0), intParam(params.duration, 0), response), response);
+    }
+    
+    handleStopPump(ctx) {
+        // Without a zone, every pump is stopped
+        let zone = ZONE_ALL;
+        if (ctx.args.zone !== undefined) {
+            zone = toInt(ctx.args.zone);
+        } else if (ctx.body !== undefined) {
+            try {
+                const doc = JSON.parse(ctx.body);
+                if (isObject(doc) && 'zone' in doc) zone = intParam(doc.zone, -1);
+            } catch (error) {
+                // An unreadable body stops everything
+            }
+        }
+        
+        const response = {};
+        sendCommandResponse(ctx.res, commandPumpStop(this.device, zone, response), response);
+    }
+    
+    handleAckPump(ctx) {
+        const response = {};
+        sendCommandResponse(ctx.res, commandPumpAck(this.device, this.requestZone(ctx), response), response);
+    }
+    
+    handleCalibrate(ctx) {
+        const doc = this.readJson(ctx);
+        if (doc === undefined) return;
+        
+        const response = {};
+        sendCommandResponse(ctx.res, commandCalibrate(this.device, isObject(doc) ? doc : {}, response), response);
+    }
+    
+    handleCalibrationCapture(ctx) {
+        const doc = this.readJson(ctx);
+        if (doc === undefined) return;
+        
+        const response = {};
+        const zone = intParam(isObject(doc) ? doc.zone : undefined, 0);
+        sendCommandResponse(ctx.res, commandCalibrationCapture(this.device, zone, response), response);
+    }
+    
+    handleSetCalibration(ctx) {
+        const doc = this.readJson(ctx);
+        if (doc === undefined) return;
+        
+        const response = {};
+        sendCommandResponse(ctx.res, commandCalibrationSet(this.device, isObject(doc) ? doc : {}, response), response);
+    }
+    
+    handleUpdateConfig(ctx) {
+        const doc = this.readJson(ctx);
+        if (doc === undefined) return;
+        
+        const response = {};
+        sendCommandResponse(ctx.res, commandConfigSet(this.device, isObject(doc) ? doc : {}, response), response);
+    }
+    
+    // ============ CONFIG FILES ============
+    handleExportConfig(ctx) {
+        const device = this.device;
+        const doc = addConfigJson({}, device.config, device.hardware);
+        doc.firmware = FIRMWARE_VERSION;
+        doc.exported_at = device.epochMs();
+        
+        ctx.res.setHeader('Content-Disposition', 'attachment; filename="terranurture-config.json"');
+        sendJson(ctx.res, 200, doc);
+    }
+    
+    // Lists what `next` changes and, unless the request asks for ?dry_run=1,
+    // makes it the running configuration
+    applyConfigChanges(ctx, next, response, status, event) {
+        const device = this.device;
+        const changes = response.changes = diffConfig(device.config, next, device.hardware);
+        
+        const dryRun = ctx.args.dry_run === '1';
+        if (!dryRun && changes.length > 0) {
+            device.config = next;
+            device.zones.forEach((zone, i) => {
+                device.emit('config', i);
+                device.emit('calibration', i);
+            });
+            device.logEvent(event, `${changes.length} settings changed`);
+        }
+        
+        response.status = dryRun ? 'dry_run' : status;
+        response.timestamp = device.epochMs();
+        sendJson(ctx.res, 200, response);
+    }
+    
+    handleImportConfig(ctx) {
+        if (ctx.body === undefined) {
+            sendJsonError(ctx.res, 400, 'No data');
+            return;
+        }
+        
+        let doc;
+        try {
+            doc = JSON.parse(ctx.body);
+        } catch (error) {
+            doc = null;
+        }
+        if (!isObject(doc)) {
+            sendJsonError(ctx.res, 400, 'Parse error');
+            return;
+        }
+        
+        const schema = intParam(doc.schema, 0);
+        if (schema < 1) {
+            sendJsonError(ctx.res, 400, 'Missing schema version');
+            return;
+        }
+        if (schema > CONFIG_SCHEMA_VERSION) {
+            sendJsonError(ctx.res, 400, 'File is from newer firmware, update this controller first');
+            return;
+        }
+        
+        const response = { errors: [], warnings: [] };
+        const next = cloneConfig(this.device.config);
+        importConfig(doc, next, this.device.hardware, response.errors, response.warnings);
+        
+        if (response.errors.length > 0) {
+            response.error = 'Invalid configuration';
+            sendJson(ctx.res, 400, response);
+            return;
+        }
+        
+        delete response.errors;
+        this.applyConfigChanges(ctx, next, response, 'config_imported', 'CONFIG_IMPORTED');
+    }
+    
+    handleResetConfig(ctx) {
+        this.applyConfigChanges(ctx, defaultConfig(this.device.hardware), {}, 'config_reset', 'CONFIG_RESET');
+    }
+    
+    // ============ SCHEDULES ============
+    handleGetSchedules(ctx) {
+        const device = this.device;
+        
+        // Schedules only take effect once the device knows the local time
+        sendJson(ctx.res, 200, {
+            schedules: device.schedules.map(scheduleToJson),
+            time_synced: device.clock.timeSynced(),
+            time: device.epochMs(),
+            timezone: device.config.timezone
+        });
+    }
+    
+    sendScheduleResponse(ctx, status, schedule) {
+        sendJson(ctx.res, 200, { status, schedule: scheduleToJson(schedule), timestamp: this.device.epochMs() });
+    }
+    
+    handleCreateSchedule(ctx) {
+        const doc = this.readJson(ctx);
+        if (doc === undefined) return;
+        
+        const device = this.device;
+        const schedule = newSchedule();
+        if (!isObject(doc) || typeof doc.type !== 'string' || typeof doc.start !== 'string') {
+            sendJsonError(ctx.res, 400, 'Type and start are required');
+            return;
+        }
+        
+        const invalid = scheduleFromJson(doc, schedule, device.zones.length);
+        if (invalid) {
+            sendJsonError(ctx.res, 400, invalid);
+            return;
+        }
+        if (device.schedules.length >= MAX_SCHEDULES) {
+            sendJsonError(ctx.res, 409, 'Schedule limit reached');
+            return;
+        }
+        
+        schedule.id = device.nextScheduleId++;
+        device.schedules.push(schedule);
+        device.logEvent('SCHEDULE_CREATED', schedule.name || schedule.type);
+        this.sendScheduleResponse(ctx, 'schedule_created', schedule);
+    }
+    
+    handleUpdateSchedule(ctx) {
+        if (ctx.args.id === undefined || ctx.body === undefined) {
+            sendJsonError(ctx.res, 400, 'No data');
+            return;
+        }
+        const doc = this.readJson(ctx);
+        if (doc === undefined) return;
+        
+        const device = this.device;
+        const index = device.schedules.findIndex(schedule => schedule.id === toInt(ctx.args.id));
+        if (index < 0) {
+            sendJsonError(ctx.res, 404, 'Schedule not found');
+            return;
+        }
+        
+        const updated = { ...device.schedules[index] };
+        const invalid = scheduleFromJson(isObject(doc) ? doc : {}, updated, device.zones.length);
+        if (invalid) {
+            sendJsonError(ctx.res, 400, invalid);
+            return;
+        }
+        
+        // Let an edited run fire again today if its new time is still ahead
+        updated.last_run_yday = -1;
+        device.schedules[index] = updated;
+        device.logEvent('SCHEDULE_UPDATED', updated.name || updated.type);
+        this.sendScheduleResponse(ctx, 'schedule_updated', updated);
+    }
+    
+    handleDeleteSchedule(ctx) {
+        if (ctx.args.id === undefined) {
+            sendJsonError(ctx.res, 400, 'No data');
+            return;
+        }
+        
+        const device = this.device;
+        const index = device.schedules.findIndex(schedule => schedule.id === toInt(ctx.args.id));
+        if (index < 0) {
+            sendJsonError(ctx.res, 404, 'Schedule not found');
+            return;
+        }
+        
+        const [removed] = device.schedules.splice(index, 1);
+        device.logEvent('SCHEDULE_DELETED', removed.name || removed.type);
+        this.sendScheduleResponse(ctx, 'schedule_deleted', removed);
+    }
+    
+    // ============ LOGS ============
+    handleGetLogs(ctx) {
+        // Query args become string parameters for the shared log query
+        const parsed = parseLogQuery(this.device, ctx.args);
+        if (parsed.error) {
+            sendJsonError(ctx.res, 400, parsed.error);
+            return;
+        }
+        sendJson(ctx.res, 200, runLogQuery(this.device, parsed.query));
+    }
+    
+    handleGetHistory(ctx) {
+        const result = historyJson(this.device, ctx.args.range === undefined ? '1h' : ctx.args.range, this.requestZone(ctx));
+        if (result.error) {
+            sendJsonError(ctx.res, 400, result.error);
+            return;
+        }
+        sendJson(ctx.res, 200, result.history);
+    }
+    
+    // segment=all (default) or 0, the only segment the simulator keeps
+    handleDownloadLogs(ctx) {
+        const segment = ctx.args.segment === undefined ? 'all' : ctx.args.segment;
+        let filename = 'terra_logs.csv';
+        
+        if (segment !== 'all') {
+            const index = toInt(segment);
+            if (index !== 0 || segment !== '0') {
+                sendText(ctx.res, 404, 'No such log segment');
+                return;
+            }
+            filename = `terra_logs_${index}.csv`;
+        }
+        
+        ctx.res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+        sendText(ctx.res, 200, logsCsv(this.device), 'text/csv');
+    }
+    
+    handleClearLogs(ctx) {
+        this.device.clearLogs();
+        sendJson(ctx.res, 200, { status: 'logs_cleared', timestamp: this.device.epochMs() });
+    }
+    
+    // ============ WI-FI ============
+    handleGetWifi(ctx) {
+        const wifi = this.device.wifi;
+        sendJson(ctx.res, 200, {
+            networks: wifi.networks.map(network => ({ ssid: network.ssid, secure: network.password !== '' })),
+            static_ip: { ...wifi.static_ip },
+            provisioning: false,
+            ap_ssid: '',
+            connected_ssid: this.device.networkJson().ssid
+        });
+    }
+    
+    // Scans run in the background; clients poll until the results are ready
+    handleScanWifi(ctx) {
+        const wifi = this.device.wifi;
+        if (wifi.scan_ready_at === null) wifi.scan_ready_at = Date.now() + WIFI_SCAN_MS;
+        
+        if (Date.now() < wifi.scan_ready_at) {
+            sendJson(ctx.res, 202, { status: 'scanning' });
+            return;
+        }
+        wifi.scan_ready_at = null;
+        
+        const saved = wifi.networks.map((network, i) => ({ ssid: network.ssid, rssi: -55 - i * 6, channel: 6, secure: network.password !== '' }));
+        const networks = [...saved, ...NEIGHBOUR_NETWORKS.filter(network => !saved.some(item => item.ssid === network.ssid))];
+        sendJson(ctx.res, 200, { status: 'complete', networks: networks.sort((a, b) => b.rssi - a.rssi) });
+    }
+    
+    // Saves a network as the first choice
+    handleAddWifi(ctx) {
+        const doc = this.readJson(ctx);
+        if (doc === undefined) return;
+        
+        const params = isObject(doc) ? doc : {};
+        const ssid = typeof params.ssid === 'string' ? params.ssid : '';
+        const password = typeof params.password === 'string' ? params.password : '';
+        
+        if (ssid.length === 0 || ssid.length > 32) {
+            sendJsonError(ctx.res, 400, 'SSID must be 1-32 characters');
+            return;
+        }
+        if (password.length > 0 && (password.length < 8 || password.length > 63)) {
+            sendJsonError(ctx.res, 400, 'Password must be 8-63 characters, or empty for an open network');
+            return;
+        }
+        
+        // When the list is full the last (oldest) one drops off
+        const wifi = this.device.wifi;
+        wifi.networks = [{ ssid, password }, ...wifi.networks.filter(network => network.ssid !== ssid)].slice(0, WIFI_MAX_NETWORKS);
+        
+        this.device.logEvent('WIFI_NETWORK_SAVED', ssid);
+        sendJson(ctx.res, 200, { status: 'wifi_saved', ssid, timestamp: this.device.epochMs() });
+    }
+    
+    handleForgetWifi(ctx) {
+        if (ctx.args.ssid === undefined) {
+            sendJsonError(ctx.res, 400, 'No data');
+            return;
+        }
+        
+        const wifi = this.device.wifi;
+        const ssid = ctx.args.ssid;
+        const index = wifi.networks.findIndex(network => network.ssid === ssid);
+        if (index < 0) {
+            sendJsonError(ctx.res, 404, 'Network not found');
+            return;
+        }
+        
+        wifi.networks.splice(index, 1);
+        this.device.logEvent('WIFI_NETWORK_FORGOTTEN', ssid);
+        sendJson(ctx.res, 200, { status: 'wifi_forgotten', ssid, timestamp: this.device.epochMs() });
+    }
+    
+    handleStaticIp(ctx) {
+        const doc = this.readJson(ctx);
+        if (doc === undefined) return;
+        
+        const params = isObject(doc) ? doc : {};
+        const text = field => typeof params[field] === 'string' ? params[field] : '';
+        const enabled = params.enabled === true;
+        const settings = { enabled, ip: text('ip'), gateway: text('gateway'), subnet: text('subnet'), dns: text('dns') };
+        
+        // Addresses are kept when switching back to DHCP so they can be re-enabled later
+        if (enabled) {
+            let error = null;
+            if (!validIp(settings.ip)) {
+                error = 'Invalid IP address';
+            } else if (!validIp(settings.gateway)) {
+                error = 'Invalid gateway';
+            } else if (!validIp(settings.subnet)) {
+                error = 'Invalid subnet mask';
+            } else if (settings.dns.length > 0 && !validIp(settings.dns)) {
+                error = 'Invalid DNS server';
+            }
+            if (error) {
+                sendJsonError(ctx.res, 400, error);
+                return;
+            }
+        }
+        
+        this.device.wifi.static_ip = settings;
+        this.device.logEvent('WIFI_STATIC_IP', enabled ? settings.ip : 'DHCP');
+        sendJson(ctx.res, 200, { status: 'static_ip_saved', enabled, timestamp: this.device.epochMs() });
+    }
+    
+    // There is no flash to write; the dashboard already hides updates when
+    // "updates_enabled" is false
+    handleUpdate(ctx) {
+        sendJsonError(ctx.res, 503, 'Updates are not available in the simulator');
+    }
+    
+    // ============ SIMULATION CONTROL ============
+    handleSimState(ctx) {
+        sendJson(ctx.res, 200, this.simulation.stateJson());
+    }
+    
+    // {"zone", "fault", "water", "moisture", and any soil setting}
+    handleSimZone(ctx) {
+        const doc = this.readJson(ctx);
+        if (doc === undefined) return;
+        
+        const error = isObject(doc) ? this.simulation.applyStep(doc) : 'Expected an object';
+        if (error) {
+            sendJsonError(ctx.res, 400, error);
+            return;
+        }
+        sendJson(ctx.res, 200, this.simulation.stateJson());
+    }
+    
+    // {"duration": "10m"} fast-forwards simulated time
+    handleSimAdvance(ctx) {
+        const doc = this.readJson(ctx);
+        if (doc === undefined) return;
+        
+        const error = isObject(doc) ? this.simulation.fastForward(doc.duration) : 'Expected an object';
+        if (error) {
+            sendJsonError(ctx.res, 400, error);
+            return;
+        }
+        sendJson(ctx.res, 200, this.simulation.stateJson());
+    }
+    
+    // {"speed": 60, "paused": false}
+    handleSimSpeed(ctx) {
+        const doc = this.readJson(ctx);
+        if (doc === undefined) return;
+        
+        const error = isObject(doc) ? this.simulation.setSpeed(doc) : 'Expected an object';
+        if (error) {
+            sendJsonError(ctx.res, 400, error);
+            return;
+        }
+        sendJson(ctx.res, 200, this.simulation.stateJson());
+    }
+    
+    // {"synced": false} makes the device lose wall-clock time, as before SNTP answers
+    handleSimClock(ctx) {
+        const doc = this.readJson(ctx);
+        if (doc === undefined) return;
+        
+        if (!isObject(doc) || typeof doc.synced !== 'boolean') {
+            sendJsonError(ctx.res, 400, 'Expected {"synced": true|false}');
+            return;
+        }
+        this.device.clock.synced = doc.synced;
+        sendJson(ctx.res, 200, this.simulation.stateJson());
+    }
+    
+    // {"action": "stall"|"drop"} for every open dashboard socket
+    handleSimWebSocket(ctx) {
+        const doc = this.readJson(ctx);
+        if (doc === undefined) return;
+        
+        if (!isObject(doc) || !['stall', 'drop'].includes(doc.action)) {
+            sendJsonError(ctx.res, 400, 'Action must be stall or drop');
+            return;
+        }
+        this.simulation.applyStep({ websocket: doc.action });
+        sendJson(ctx.res, 200, this.simulation.stateJson());
+    }
+}
+
+module.exports = { HttpApi };
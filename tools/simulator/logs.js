@@ -0,0 +1,234 @@
+// Log pages, moisture history and CSV downloads over the device's in-memory
+// log. The simulator keeps a single segment, so cursors are "0:<row index>"
+// and pages are read backwards from the newest row.
+
+const LOG_HEADER = 'timestamp,raw_adc,percentage,event,details,uptime,boot_id,zone';
+const LOG_PAGE_DEFAULT = 50;
+const LOG_PAGE_MAX = 200;
+const LOG_SCAN_MAX_LINES = 2000;
+const HISTORY_MAX_POINTS = 240;
+const HISTORY_MAX_PUMP_SPANS = 50;
+const HISTORY_RANGES = { '1h': 3600000, '24h': 86400000, '7d': 604800000 };
+const HISTORY_LOG_RANGE_MS = 3600000;
+const HISTORY_RECORD_MS = 300000;
+const HISTORY_RECORDS = 2048;
+
+// Parameters arrive as strings from HTTP query args and as JSON values from WebSocket commands
+function paramString(value) {
+    if (value === undefined || value === null) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Arduino's String::toInt(): leading digits, 0 when there are none
+function toInt(text) {
+    return parseInt(text, 10) || 0;
+}
+
+// Rows logged before zones existed belong to the first zone
+function logEntryInZone(device, row, zone) {
+    if (row.zone === '') return zone === 0;
+    return row.zone === device.hardware[zone].tag;
+}
+
+function logMatchesFilter(row, category, query) {
+    const event = row.event;
+    if (category === 'sensor' && !event.includes('SENSOR')) return false;
+    if (category === 'pump' && !event.includes('PUMP') && !event.includes('WATERING') && !event.includes('SCHEDULE')) return false;
+    if (category === 'system' && !['SYSTEM', 'WIFI', 'AUTH', 'OTA', 'CONFIG'].some(part => event.includes(part))) return false;
+    
+    if (query.length > 0 && !`${event} ${row.details}`.toLowerCase().includes(query)) return false;
+    return true;
+}
+
+// Returns {query} or {error}
+function parseLogQuery(device, params) {
+    // from/to are epoch milliseconds; rows without wall-clock time never match them
+    const from = paramString(params.from);
+    const to = paramString(params.to);
+    const query = {
+        timeFilter: from.length > 0 || to.length > 0,
+        from: from.length > 0 ? toInt(from) : 0,
+        to: to.length > 0 ? toInt(to) : Infinity,
+        category: params.event === undefined || params.event === null ? 'all' : paramString(params.event),
+        query: paramString(params.q).toLowerCase()
+    };
+    
+    const zone = paramString(params.zone);
+    query.zone = zone.length > 0 ? toInt(zone) : -1;
+    if (zone.length > 0 && !device.validZone(query.zone)) return { error: 'Invalid zone' };
+    
+    const limit = paramString(params.limit);
+    query.limit = Math.min(Math.max(limit.length > 0 ? toInt(limit) : LOG_PAGE_DEFAULT, 1), LOG_PAGE_MAX);
+    
+    query.segment = 0;
+    query.position = Infinity;
+    const cursor = paramString(params.cursor);
+    if (cursor.length > 0) {
+        const separator = cursor.indexOf(':');
+        if (separator === -1) return { error: 'Invalid cursor' };
+        query.segment = toInt(cursor.slice(0, separator));
+        query.position = toInt(cursor.slice(separator + 1));
+    }
+    return { query };
+}
+
+// {logs, next_cursor}; a page cut short by the scan budget still returns a cursor
+function runLogQuery(device, query) {
+    const logs = [];
+    if (query.segment !== 0) return { logs, next_cursor: null };
+    
+    let position = Math.min(query.position, device.logs.length);
+    let scanned = 0;
+    
+    while (position > 0 && logs.length < query.limit && scanned < LOG_SCAN_MAX_LINES) {
+        const row = device.logs[--position];
+        scanned++;
+        
+        if (query.timeFilter) {
+            const timestamp = device.rowTimestamp(row);
+            if (timestamp === 0 || timestamp < query.from || timestamp > query.to) continue;
+        }
+        if (query.zone >= 0 && !logEntryInZone(device, row, query.zone)) continue;
+        if (!logMatchesFilter(row, query.category, query.query)) continue;
+        
+        logs.push(device.logRowJson(row));
+    }
+    
+    return { logs, next_cursor: position > 0 ? `0:${position}` : null };
+}
+
+// Sensor reads averaged into fixed buckets plus pump runs, for the trend chart.
+// Returns {history} or {error}.
+function historyJson(device, range, zone) {
+    const rangeMs = HISTORY_RANGES[range];
+    if (!rangeMs) return { error: 'Invalid range' };
+    if (!device.validZone(zone)) return { error: 'Invalid zone' };
+    
+    // Without wall-clock time, history falls back to this boot's uptime
+    const synced = device.clock.timeSynced();
+    const now = synced ? device.epochMs() : device.millis();
+    const from = now > rangeMs ? now - rangeMs : 0;
+    const bucketMs = Math.max(Math.floor(rangeMs / HISTORY_MAX_POINTS), 1);
+    const sums = new Array(HISTORY_MAX_POINTS).fill(0);
+    const counts = new Array(HISTORY_MAX_POINTS).fill(0);
+    
+    const history = {
+        range,
+        zone,
+        now,
+        from,
+        bucket_ms: bucketMs,
+        time_synced: synced,
+        threshold: device.config.zones[zone].dry_threshold,
+        target: device.config.zones[zone].expected_value,
+        pump: []
+    };
+    
+    // 24h and 7d come from the stored history; the log only reaches back hours
+    if (synced && rangeMs > HISTORY_LOG_RANGE_MS) {
+        addStoredHistory(device, zone, from, now, bucketMs, sums, counts, history.pump);
+    } else {
+        addLoggedHistory(device, zone, synced, from, now, bucketMs, sums, counts, history.pump);
+    }
+    
+    history.points = [];
+    for (let i = 0; i < HISTORY_MAX_POINTS; i++) {
+        if (counts[i] === 0) continue;
+        history.points.push({ t: from + i * bucketMs + Math.floor(bucketMs / 2), moisture: sums[i] / counts[i] });
+    }
+    return { history };
+}
+
+function addLoggedHistory(device, zone, synced, from, now, bucketMs, sums, counts, pump) {
+    // Oldest first so pump start/stop events pair up in order
+    let spanStart = 0;
+    let spanOpen = false;
+    
+    for (const row of device.logs) {
+        let timestamp;
+        if (synced) {
+            timestamp = device.rowTimestamp(row);
+        } else {
+            timestamp = row.boot_id === device.bootId ? row.uptime : 0;
+        }
+        if (timestamp === 0 || timestamp < from || timestamp > now) continue;
+        if (!logEntryInZone(device, row, zone)) continue;
+        
+        if (row.event === 'SENSOR_READ') {
+            // Faulted readings are left out of the curve
+            if (row.details !== 'OK') continue;
+            
+            const index = Math.min(Math.floor((timestamp - from) / bucketMs), HISTORY_MAX_POINTS - 1);
+            sums[index] += row.percentage;
+            counts[index]++;
+        } else if (row.event.startsWith('PUMP_') && row.event.endsWith('_START')) {
+            if (!spanOpen) {
+                spanStart = timestamp;
+                spanOpen = true;
+            }
+        } else if (row.event.startsWith('PUMP_') && row.event.endsWith('_STOP')) {
+            if (spanOpen && pump.length < HISTORY_MAX_PUMP_SPANS) {
+                pump.push({ start: spanStart, end: timestamp });
+            }
+            spanOpen = false;
+        }
+    }
+    
+    // A pump run still in progress is reported without an end
+    if (spanOpen && pump.length < HISTORY_MAX_PUMP_SPANS) pump.push({ start: spanStart });
+}
+
+// The device's 5-minute buckets between `from` and `now`, like addStoredHistory()
+function addStoredHistory(device, zone, from, now, bucketMs, sums, counts, pump) {
+    const { records, pending, pumpOn } = device.history[zone];
+    let spanStart = 0;
+    let spanEnd = 0;
+    let spanOpen = false;
+    
+    // Oldest first, so pump buckets join up into spans in order
+    const last = Math.floor(now / HISTORY_RECORD_MS);
+    for (let bucket = Math.floor(from / HISTORY_RECORD_MS); bucket <= last; bucket++) {
+        // Slots still holding an older lap of the ring are gaps
+        const stored = records[bucket % HISTORY_RECORDS];
+        const record = pending?.bucket === bucket ? pending : (stored?.bucket === bucket ? stored : null);
+        const start = bucket * HISTORY_RECORD_MS;
+        const middle = start + HISTORY_RECORD_MS / 2;
+        
+        if (record && record.samples > 0 && middle >= from && middle <= now) {
+            const index = Math.min(Math.floor((middle - from) / bucketMs), HISTORY_MAX_POINTS - 1);
+            sums[index] += record.moisture * record.samples;
+            counts[index] += record.samples;
+        }
+        
+        if (record?.pump) {
+            if (!spanOpen) spanStart = Math.max(start, from);
+            spanEnd = Math.min(start + HISTORY_RECORD_MS, now);
+            spanOpen = true;
+        } else if (spanOpen) {
+            if (pump.length < HISTORY_MAX_PUMP_SPANS) pump.push({ start: spanStart, end: spanEnd });
+            spanOpen = false;
+        }
+    }
+    
+    // A pump run still in progress is reported without an end
+    if (spanOpen && pump.length < HISTORY_MAX_PUMP_SPANS) {
+        pump.push(pumpOn ? { start: spanStart } : { start: spanStart, end: spanEnd });
+    }
+}
+
+function csvField(value) {
+    if (!/[,"\r\n]/.test(value)) return value;
+    return `"${value.replace(/"/g, '""').replace(/[\r\n]/g, ' ')}"`;
+}
+
+// The log file as the device stores it, header included
+function logsCsv(device) {
+    const lines = [LOG_HEADER];
+    for (const row of device.logs) {
+        lines.push([row.timestamp, row.raw_adc, row.percentage.toFixed(2), csvField(row.event), csvField(row.details),
+            row.uptime, row.boot_id, csvField(row.zone)].join(','));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = { HISTORY_RECORDS, HISTORY_RECORD_MS, historyJson, logsCsv, parseLogQuery, runLogQuery, toInt };
@@ -0,0 +1,93 @@
+// Scenario files describe a simulated installation and what happens to it:
+//
+//   {
+//     "description": "Hot afternoon, sensor cable works loose",
+//     "time_synced": true,
+//     "start": "2026-07-14T11:00:00Z",
+//     "warmup": "6h",
+//     "zones": [{ "name": "Tomatoes", "moisture": 48, "evaporation": 4 }],
+//     "config": { "sampling_interval": 5000, "zones": [{ "dry_threshold": 40 }] },
+//     "steps": [
+//       { "at": "20m", "zone": 0, "fault": "disconnected" },
+//       { "at": "25m", "zone": 0, "fault": null },
+//       { "at": "40m", "websocket": "stall" }
+//     ]
+//   }
+//
+// Zone entries take any SoilModel setting (see soil.js). "warmup" runs the
+// device before the servers start so charts and logs have history; "start"
+// is the wall-clock time once it is done. Step times count from the end of
+// the warmup; a step can change a zone's soil settings ("set"), add water,
+// set the moisture, start or clear a fault, or put a fault on the
+// dashboard's WebSocket links.
+
+const fs = require('fs');
+const { FAULTS } = require('./soil');
+
+const DURATION_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// "90s", "10m", "2h", "1d" or a number of seconds -> milliseconds, or null
+function parseDuration(value) {
+    if (typeof value === 'number') return value >= 0 ? Math.round(value * 1000) : null;
+    if (typeof value !== 'string') return null;
+    
+    const match = /^\s*(\d+(?:\.\d+)?)\s*([smhd])\s*$/.exec(value);
+    return match ? Math.round(Number(match[1]) * DURATION_UNITS[match[2]]) : null;
+}
+
+// Checks one step or /sim/zone request against a device with `zoneCount` zones.
+// Returns null when it can be applied, otherwise the problem.
+function validateStep(step, zoneCount) {
+    const touchesZone = ['fault', 'set', 'water', 'moisture'].some(key => key in step);
+    
+    if (touchesZone && !(Number.isInteger(step.zone) && step.zone >= 0 && step.zone < zoneCount)) {
+        return `Step needs a zone from 0 to ${zoneCount - 1}`;
+    }
+    if ('fault' in step && step.fault !== null && !FAULTS.includes(step.fault)) {
+        return `Fault must be null or one of ${FAULTS.join(', ')}`;
+    }
+    if ('set' in step && (typeof step.set !== 'object' || step.set === null)) return 'set must be an object';
+    if ('water' in step && typeof step.water !== 'number') return 'water must be a number of percent';
+    if ('moisture' in step && (typeof step.moisture !== 'number' || step.moisture < 0 || step.moisture > 100)) {
+        return 'moisture must be from 0 to 100';
+    }
+    if ('websocket' in step && !['stall', 'drop'].includes(step.websocket)) return 'websocket must be stall or drop';
+    return null;
+}
+
+// Checks a parsed scenario; steps come back sorted with "at" in milliseconds.
+// `file` only names the source in error messages.
+function normalizeScenario(scenario, file = 'scenario') {
+    const zones = Array.isArray(scenario.zones) && scenario.zones.length > 0 ? scenario.zones : [{}];
+    
+    const warmup = scenario.warmup === undefined ? 0 : parseDuration(scenario.warmup);
+    if (warmup === null) throw new Error(`${file}: warmup must be a duration like "6h"`);
+    
+    const start = scenario.start === undefined ? Date.now() : Date.parse(scenario.start);
+    if (Number.isNaN(start)) throw new Error(`${file}: start must be an ISO date`);
+    
+    const steps = (scenario.steps || []).map((step, i) => {
+        const at = parseDuration(step.at);
+        if (at === null) throw new Error(`${file}: step ${i + 1} needs "at", like "10m"`);
+        
+        const problem = validateStep(step, zones.length);
+        if (problem) throw new Error(`${file}: step ${i + 1}: ${problem}`);
+        return { ...step, at };
+    });
+    
+    return {
+        description: scenario.description || '',
+        timeSynced: scenario.time_synced !== false,
+        start,
+        warmup,
+        zones,
+        config: scenario.config || {},
+        steps: steps.sort((a, b) => a.at - b.at)
+    };
+}
+
+function loadScenario(file) {
+    return normalizeScenario(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+}
+
+module.exports = { loadScenario, normalizeScenario, parseDuration, validateStep };
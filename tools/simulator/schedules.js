@@ -0,0 +1,103 @@
+// Watering schedules: fixed runs, watering windows and blackouts, with the
+// firmware's JSON layout and validation messages.
+
+const MAX_SCHEDULES = 16;
+const SCHEDULE_RUN_MAX_S = 600;
+const SCHEDULE_ALL_DAYS = 0x7F;
+const SCHEDULE_TYPES = ['run', 'window', 'blackout'];
+
+// "HH:MM" -> minutes since midnight, or -1 if malformed
+function parseScheduleTime(text) {
+    const match = /^\s*(-?\d+):(-?\d+)$/.exec(text);
+    if (!match) return -1;
+    
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) return -1;
+    return hours * 60 + minutes;
+}
+
+function formatScheduleTime(minutes) {
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function newSchedule() {
+    return { id: 0, type: 'run', start_min: 0, enabled: true, days: SCHEDULE_ALL_DAYS, end_min: 0, duration_s: 0, zone: 0, name: '', last_run_yday: -1 };
+}
+
+function scheduleToJson(schedule) {
+    const out = {
+        id: schedule.id,
+        type: schedule.type,
+        name: schedule.name,
+        enabled: schedule.enabled,
+        days: schedule.days,
+        start: formatScheduleTime(schedule.start_min)
+    };
+    if (schedule.type === 'run') {
+        out.duration = schedule.duration_s;
+        out.zone = schedule.zone;
+    } else {
+        out.end = formatScheduleTime(schedule.end_min);
+    }
+    return out;
+}
+
+// Fills a schedule from JSON, keeping existing values for missing fields.
+// Returns null on success or a message describing the first invalid field.
+function scheduleFromJson(input, schedule, zoneCount) {
+    if (typeof input.type === 'string') {
+        if (!SCHEDULE_TYPES.includes(input.type)) return 'Invalid type';
+        schedule.type = input.type;
+    }
+    if (typeof input.start === 'string') {
+        const start = parseScheduleTime(input.start);
+        if (start < 0) return 'Invalid start time';
+        schedule.start_min = start;
+    }
+    if (typeof input.end === 'string') {
+        const end = parseScheduleTime(input.end);
+        if (end < 0) return 'Invalid end time';
+        schedule.end_min = end;
+    }
+    if ('duration' in input) {
+        const duration = Number.isInteger(input.duration) ? input.duration : 0;
+        if (duration < 1 || duration > SCHEDULE_RUN_MAX_S) return 'Invalid duration';
+        schedule.duration_s = duration;
+    }
+    if ('zone' in input) {
+        const zone = Number.isInteger(input.zone) ? input.zone : -1;
+        if (zone < 0 || zone >= zoneCount) return 'Invalid zone';
+        schedule.zone = zone;
+    }
+    if ('days' in input) {
+        const days = Number.isInteger(input.days) ? input.days : -1;
+        if (days < 1 || days > SCHEDULE_ALL_DAYS) return 'Invalid days';
+        schedule.days = days;
+    }
+    if ('enabled' in input) {
+        schedule.enabled = typeof input.enabled === 'boolean' ? input.enabled : true;
+    }
+    if (typeof input.name === 'string') {
+        schedule.name = input.name.slice(0, 23);
+    }
+    
+    if (schedule.type === 'run' && schedule.duration_s === 0) return 'Missing duration';
+    if (schedule.type !== 'run' && schedule.start_min === schedule.end_min) return 'Start and end must differ';
+    return null;
+}
+
+function scheduleCovers(schedule, now) {
+    const today = 1 << now.wday;
+    const yesterday = 1 << ((now.wday + 6) % 7);
+    
+    if (schedule.start_min < schedule.end_min) {
+        return Boolean(schedule.days & today) && now.minute >= schedule.start_min && now.minute < schedule.end_min;
+    }
+    // Overnight range: the evening part belongs to today, the morning part to yesterday
+    if (now.minute >= schedule.start_min) return Boolean(schedule.days & today);
+    if (now.minute < schedule.end_min) return Boolean(schedule.days & yesterday);
+    return false;
+}
+
+module.exports = { MAX_SCHEDULES, newSchedule, scheduleCovers, scheduleFromJson, scheduleToJson };
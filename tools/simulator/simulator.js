@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+// TerraNurture device simulator: serves data/ and the controller's HTTP and
+// WebSocket API from simulated zones, so the dashboard can run end-to-end
+// without an ESP32. See README.md for usage and the /sim/ control routes.
+//
+//   node tools/simulator/simulator.js [--port 8080] [--ws-port 81] [--host 0.0.0.0]
+//                                     [--scenario file.json] [--speed 1] [--data dir]
+//
+// Tests can require() this file and call startSimulator() instead.
+
+const http = require('http');
+const path = require('path');
+const { SimClock } = require('./clock');
+const { Device, PUMP_TASK_MS } = require('./device');
+const { HttpApi } = require('./http-api');
+const { loadScenario, normalizeScenario, parseDuration, validateStep } = require('./scenario');
+const { WebSocketServer } = require('./websocket');
+const { WsApi } = require('./ws-api');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+const TICK_MS = 100;
+const MAX_SPEED = 3600;
+
+// At most this many pump_task steps per tick; faster runs take coarser steps
+const MAX_STEPS_PER_TICK = 60;
+
+// Warmups and fast-forwards use whole seconds; pump runs still end within one
+const FAST_FORWARD_STEP_MS = 1000;
+
+function formatUptime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const pad = value => String(value).padStart(2, '0');
+    return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}`;
+}
+
+// Runs a device in simulated time and applies the scenario's steps on schedule
+class Simulation {
+    constructor(scenario, { speed = 1, quiet = false } = {}) {
+        this.scenario = scenario;
+        this.quiet = quiet;
+        this.speed = speed;
+        this.paused = false;
+        this.wsApi = null;
+        this.ticker = null;
+        
+        const clock = new SimClock({ start: scenario.start - scenario.warmup, synced: scenario.timeSynced });
+        this.device = new Device({ zones: scenario.zones, config: scenario.config, clock });
+        
+        this.device.advance(scenario.warmup, FAST_FORWARD_STEP_MS);
+        this.stepsFrom = this.device.millis();
+        this.nextStep = 0;
+    }
+    
+    log(message) {
+        if (!this.quiet) console.log(`[sim ${formatUptime(this.device.millis() - this.stepsFrom)}] ${message}`);
+    }
+    
+    start() {
+        this.ticker = setInterval(() => {
+            if (!this.paused) this.run(TICK_MS * this.speed);
+        }, TICK_MS);
+    }
+    
+    stop() {
+        clearInterval(this.ticker);
+        this.ticker = null;
+    }
+    
+    // Advances the device by `ms`, stopping at each scenario step that falls due
+    run(ms, step = Math.max(PUMP_TASK_MS, Math.ceil(ms / MAX_STEPS_PER_TICK))) {
+        const device = this.device;
+        const end = device.millis() + ms;
+        
+        while (device.millis() < end) {
+            const pending = this.scenario.steps[this.nextStep];
+            const until = pending ? Math.min(end, this.stepsFrom + pending.at) : end;
+            
+            if (until > device.millis()) device.advance(until - device.millis(), step);
+            if (pending && device.millis() >= this.stepsFrom + pending.at) {
+                this.nextStep++;
+                this.applyStep(pending);
+            }
+        }
+    }
+    
+    fastForward(duration) {
+        const ms = parseDuration(duration);
+        if (ms === null) return 'duration must be like "90s", "10m", "2h" or a number of seconds';
+        
+        this.run(ms, ms > 600000 ? FAST_FORWARD_STEP_MS : PUMP_TASK_MS);
+        this.log(`Fast-forwarded ${duration}`);
+        return null;
+    }
+    
+    setSpeed({ speed, paused }) {
+        if (speed !== undefined && !(typeof speed === 'number' && speed > 0 && speed <= MAX_SPEED)) {
+            return `speed must be a number above 0, up to ${MAX_SPEED}`;
+        }
+        if (paused !== undefined && typeof paused !== 'boolean') return 'paused must be true or false';
+        
+        if (speed !== undefined) this.speed = speed;
+        if (paused !== undefined) this.paused = paused;
+        return null;
+    }
+    
+    // One scenario step or /sim/zone request. Returns null or what is wrong with it.
+    applyStep(step) {
+        const problem = validateStep(step, this.device.zones.length);
+        if (problem) return problem;
+        
+        const zone = step.zone === undefined ? null : this.device.zones[step.zone];
+        const tag = zone ? this.device.hardware[step.zone].tag : '';
+        
+        if (step.set) {
+            zone.soil.set(step.set);
+            this.log(`${tag} soil ${JSON.stringify(step.set)}`);
+        }
+        if (step.moisture !== undefined) {
+            zone.soil.moisture = step.moisture;
+            this.log(`${tag} moisture set to ${step.moisture}%`);
+        }
+        if (step.water !== undefined) {
+            zone.soil.addWater(step.water);
+            this.log(`${tag} watered by hand, +${step.water}%`);
+        }
+        if ('fault' in step) {
+            zone.soil.setFault(step.fault);
+            this.log(step.fault ? `${tag} sensor fault: ${step.fault}` : `${tag} sensor fault cleared`);
+        }
+        if (step.websocket && this.wsApi) {
+            if (step.websocket === 'stall') {
+                this.wsApi.stallClients();
+            } else {
+                this.wsApi.dropClients();
+            }
+            this.log(`WebSocket links ${step.websocket === 'stall' ? 'stalled' : 'dropped'}`);
+        }
+        return null;
+    }
+    
+    stateJson() {
+        const next = this.scenario.steps[this.nextStep];
+        return {
+            description: this.scenario.description,
+            speed: this.speed,
+            paused: this.paused,
+            elapsed: this.device.millis() - this.stepsFrom,
+            next_step_at: next ? next.at : null,
+            ...this.device.simulationJson()
+        };
+    }
+}
+
+function listen(server, port, host) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            server.off('error', reject);
+            resolve(server.address().port);
+        });
+    });
+}
+
+// Starts the HTTP server and, unless wsPort is null, a second server for the
+// dashboard's WebSocket (it always connects to port 81). The HTTP port accepts
+// WebSocket upgrades too, which is easier for tests. `scenario` is a file path
+// or a scenario object. Resolves to {simulation, device, port, wsPort, close()}.
+async function startSimulator({ port = 8080, wsPort = 81, host = '0.0.0.0', scenario = {}, speed = 1,
+    dataDir = path.join(REPO_ROOT, 'data'), quiet = false } = {}) {
+    const loaded = typeof scenario === 'string' ? loadScenario(scenario) : normalizeScenario(scenario);
+    const simulation = new Simulation(loaded, { speed, quiet });
+    const wsServer = new WebSocketServer();
+    simulation.wsApi = new WsApi(simulation.device, wsServer);
+    
+    const httpApi = new HttpApi(simulation, { dataDir, sketchPath: path.join(REPO_ROOT, 'TerraNurture_Irrigation_System.ino') });
+    const servers = [http.createServer(httpApi.handle)];
+    servers[0].on('upgrade', (request, socket) => wsServer.handleUpgrade(request, socket));
+    
+    const ports = { port: await listen(servers[0], port, host), wsPort: null };
+    if (wsPort !== null) {
+        const server = http.createServer((req, res) => {
+            res.writeHead(426, { 'Content-Type': 'text/plain' });
+            res.end('WebSocket only');
+        });
+        server.on('upgrade', (request, socket) => wsServer.handleUpgrade(request, socket));
+        
+        try {
+            ports.wsPort = await listen(server, wsPort, host);
+            servers.push(server);
+        } catch (error) {
+            await new Promise(resolve => servers[0].close(resolve));
+            throw error;
+        }
+    }
+    
+    simulation.start();
+    
+    return {
+        simulation,
+        device: simulation.device,
+        ...ports,
+        close() {
+            simulation.stop();
+            simulation.wsApi.close();
+            wsServer.close();
+            return Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+        }
+    };
+}
+
+function parseArgs(argv) {
+    const options = {};
+    const flags = {
+        '--port': value => { options.port = Number(value); },
+        '--ws-port': value => { options.wsPort = value === 'none' ? null : Number(value); },
+        '--host': value => { options.host = value; },
+        '--scenario': value => { options.scenario = path.resolve(value); },
+        '--speed': value => { options.speed = Number(value); },
+        '--data': value => { options.dataDir = path.resolve(value); }
+    };
+    
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--help' || argv[i] === '-h') return null;
+        if (!flags[argv[i]] || argv[i + 1] === undefined) throw new Error(`Unknown option ${argv[i]}, see --help`);
+        flags[argv[i]](argv[++i]);
+    }
+    
+    if (options.speed !== undefined && !(options.speed > 0 && options.speed <= MAX_SPEED)) {
+        throw new Error(`--speed must be above 0, up to ${MAX_SPEED}`);
+    }
+    return options;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+    
+    if (!options) {
+        console.log('Usage: node tools/simulator/simulator.js [--port 8080] [--ws-port 81|none] [--host 0.0.0.0]\n' +
+            '                                        [--scenario file.json] [--speed 1] [--data dir]');
+        return;
+    }
+    
+    let sim;
+    try {
+        sim = await startSimulator(options);
+    } catch (error) {
+        if (error.code === 'EACCES') {
+            console.error(`${error.message}: ports below 1024 need extra rights on Linux, see README.md`);
+        } else {
+            console.error(error.message);
+        }
+        process.exit(1);
+    }
+    
+    const { description, zones } = sim.simulation.scenario;
+    if (description) console.log(description);
+    console.log(`Dashboard on http://localhost:${sim.port}/ (admin / terranurture, viewer / viewonly)`);
+    console.log(sim.wsPort ? `WebSocket on port ${sim.wsPort}` : 'WebSocket on the HTTP port only');
+    console.log(`${zones.length} zone${zones.length === 1 ? '' : 's'}, speed ${sim.simulation.speed}x`);
+    
+    const shutdown = () => sim.close().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) main();
+
+module.exports = { Simulation, startSimulator };
@@ -0,0 +1,129 @@
+// Soil and sensor physics for one zone.
+//
+// Moisture is a percentage on the same scale the calibration maps to. Water
+// from the pump first collects near the emitter and soaks into the bed over
+// `soak_s`, so readings keep rising for a while after a pulse, as the
+// firmware's soak phase expects. Evaporation is fastest in wet soil and stops
+// at `residual`. The sensor turns moisture into ADC counts between its own
+// `sensor_dry` and `sensor_wet` points, with gaussian noise.
+//
+// Faults change what the sensor reports without touching the soil:
+//   disconnected  floating input, wide random readings near the top rail
+//   shorted       input pulled to ground
+//   out_of_range  plausible noise but outside SENSOR_ADC_MIN..SENSOR_ADC_MAX
+//   stuck         the last reading repeats without any noise
+//   spikes        occasional single readings far from the rest
+//   noisy         noise well above what the filter settles
+//   offset        readings shifted by `offset_adc` (drifted calibration)
+
+const FAULTS = ['disconnected', 'shorted', 'out_of_range', 'stuck', 'spikes', 'noisy', 'offset'];
+
+const DEFAULT_SOIL = {
+    moisture: 55,           // %
+    capacity: 90,           // % the bed holds before water runs off
+    residual: 8,            // % evaporation cannot go below
+    evaporation: 1.5,       // % per hour at capacity
+    flow: 1.2,              // % added per second of pumping
+    soak_s: 25,             // time constant of water soaking in
+    sensor_dry: 3250,       // ADC in completely dry soil
+    sensor_wet: 1350,       // ADC in saturated soil
+    noise: 6,               // ADC standard deviation per sample
+    offset_adc: 250,
+    spike_adc: 900,
+    spike_chance: 0.05
+};
+
+function gaussian() {
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+const clampAdc = value => Math.min(Math.max(Math.round(value), 0), 4095);
+
+class SoilModel {
+    constructor(options = {}) {
+        Object.assign(this, DEFAULT_SOIL);
+        this.set(options);
+        this.pending = 0;       // % of water not yet soaked in
+        this.fault = null;
+        this.stuckAdc = null;
+    }
+    
+    // Unknown keys are ignored so scenarios can carry notes
+    set(options) {
+        for (const [key, value] of Object.entries(options)) {
+            if (key in DEFAULT_SOIL) this[key] = value;
+        }
+    }
+    
+    setFault(fault) {
+        if (fault !== null && !FAULTS.includes(fault)) throw new Error(`Unknown fault "${fault}"`);
+        this.fault = fault;
+        this.stuckAdc = null;
+    }
+    
+    // Adds water directly, as rain or a hand-held watering can would
+    addWater(percent) {
+        this.pending += percent;
+    }
+    
+    step(ms, pumping) {
+        const seconds = ms / 1000;
+        if (pumping) this.pending += this.flow * seconds;
+        
+        const soaked = this.pending * (1 - Math.exp(-seconds / this.soak_s));
+        this.pending -= soaked;
+        this.moisture = Math.min(this.moisture + soaked, this.capacity);
+        
+        const wetness = (this.moisture - this.residual) / (this.capacity - this.residual);
+        if (wetness > 0) {
+            this.moisture = Math.max(this.moisture - this.evaporation * wetness * seconds / 3600, this.residual);
+        }
+    }
+    
+    // The reading a healthy sensor would give right now, before noise
+    idealAdc() {
+        return this.sensor_wet + (this.sensor_dry - this.sensor_wet) * (1 - this.moisture / 100);
+    }
+    
+    sampleAdc() {
+        switch (this.fault) {
+            case 'disconnected':
+                return clampAdc(4095 - Math.abs(gaussian()) * 400);
+            case 'shorted':
+                return clampAdc(Math.abs(gaussian()) * 4);
+            case 'out_of_range':
+                return clampAdc(4040 + gaussian() * this.noise);
+            case 'stuck':
+                if (this.stuckAdc === null) this.stuckAdc = clampAdc(this.idealAdc());
+                return this.stuckAdc;
+            case 'noisy':
+                return clampAdc(this.idealAdc() + gaussian() * 200);
+            case 'offset':
+                return clampAdc(this.idealAdc() + this.offset_adc + gaussian() * this.noise);
+        }
+        return clampAdc(this.idealAdc() + gaussian() * this.noise);
+    }
+    
+    // A spike lands on a whole oversampled reading, like interference on the
+    // line during one sampling burst
+    sampleBurst(count) {
+        if (this.fault === 'spikes' && Math.random() < this.spike_chance) {
+            const level = clampAdc(this.idealAdc() + this.spike_adc);
+            return Array.from({ length: count }, () => clampAdc(level + gaussian() * this.noise));
+        }
+        
+        return Array.from({ length: count }, () => this.sampleAdc());
+    }
+    
+    toJSON() {
+        const json = { fault: this.fault, pending: Math.round(this.pending * 100) / 100 };
+        for (const key of Object.keys(DEFAULT_SOIL)) json[key] = this[key];
+        json.moisture = Math.round(this.moisture * 100) / 100;
+        json.ideal_adc = Math.round(this.idealAdc());
+        return json;
+    }
+}
+
+module.exports = { FAULTS, SoilModel };
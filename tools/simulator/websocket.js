@@ -0,0 +1,232 @@
+// A small RFC 6455 server on top of Node's http "upgrade" event: text frames,
+// fragmentation, close and ping/pong, which is all the dashboard uses. Like
+// the device's WebSocketsServer it pings every client and drops the ones that
+// miss too many pongs.
+//
+// Two faults can be put on a connection for testing the dashboard's link handling:
+//   stall()  the link goes half-open: nothing is sent or read, the socket stays up
+//   drop()   the TCP connection is cut without a close frame
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const WS_MAX_MESSAGE = 65536;
+
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_BINARY = 0x2;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xA;
+
+function encodeFrame(opcode, payload) {
+    const length = payload.length;
+    let header;
+    
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+// Events: "message" (text), "close" ()
+class WebSocketClient extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.open = true;
+        this.stalled = false;
+        this.missedPongs = 0;
+        this.awaitingPong = false;
+        
+        socket.setNoDelay(true);
+        socket.on('data', data => this.receive(data));
+        socket.on('close', () => this.closed());
+        socket.on('error', () => socket.destroy());
+    }
+    
+    send(text) {
+        this.sendFrame(OP_TEXT, Buffer.from(text));
+    }
+    
+    sendFrame(opcode, payload) {
+        if (!this.open || this.stalled) return;
+        this.socket.write(encodeFrame(opcode, payload));
+    }
+    
+    close(code = 1000, reason = '') {
+        if (!this.open) return;
+        
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(OP_CLOSE, payload);
+        this.socket.end();
+        this.closed();
+    }
+    
+    stall() {
+        this.stalled = true;
+    }
+    
+    drop() {
+        this.socket.destroy();
+        this.closed();
+    }
+    
+    closed() {
+        if (!this.open) return;
+        this.open = false;
+        this.emit('close');
+    }
+    
+    receive(data) {
+        // A half-open link loses everything the browser sends
+        if (this.stalled) return;
+        
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (this.open && this.readFrame()) {
+            // Keep going until the buffer holds no complete frame
+        }
+    }
+    
+    // Handles one frame from the buffer; false when it is not complete yet
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return false;
+        
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+        
+        if (length === 126) {
+            if (buffer.length < 4) return false;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return false;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        
+        // Browsers always mask; anything else is not a WebSocket client
+        if (!masked) {
+            this.close(1002, 'Frames must be masked');
+            return false;
+        }
+        if (length > WS_MAX_MESSAGE) {
+            this.close(1009, 'Message too big');
+            return false;
+        }
+        if (buffer.length < offset + 4 + length) return false;
+        
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        this.buffer = buffer.subarray(offset + 4 + length);
+        
+        switch (opcode) {
+            case OP_TEXT:
+            case OP_BINARY:
+            case OP_CONTINUATION:
+                this.fragments.push(payload);
+                if (this.fragments.reduce((total, part) => total + part.length, 0) > WS_MAX_MESSAGE) {
+                    this.close(1009, 'Message too big');
+                    return false;
+                }
+                if (fin) {
+                    const message = Buffer.concat(this.fragments).toString();
+                    this.fragments = [];
+                    this.emit('message', message);
+                }
+                break;
+            case OP_CLOSE:
+                this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                return false;
+            case OP_PING:
+                this.sendFrame(OP_PONG, payload);
+                break;
+            case OP_PONG:
+                this.awaitingPong = false;
+                this.missedPongs = 0;
+                break;
+            default:
+                this.close(1002, 'Unknown opcode');
+                return false;
+        }
+        return true;
+    }
+}
+
+// Events: "connection" (client, request)
+class WebSocketServer extends EventEmitter {
+    constructor({ pingInterval = 15000, pongTimeout = 5000, missedPongs = 2 } = {}) {
+        super();
+        this.clients = new Set();
+        this.pongTimeout = pongTimeout;
+        this.maxMissedPongs = missedPongs;
+        this.heartbeat = setInterval(() => this.ping(), pingInterval);
+        this.heartbeat.unref();
+    }
+    
+    // Completes the handshake for an http "upgrade" request
+    handleUpgrade(request, socket) {
+        const key = request.headers['sec-websocket-key'];
+        if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+            return;
+        }
+        
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write('HTTP/1.1 101 Switching Protocols\r\n' +
+            'Upgrade: websocket\r\n' +
+            'Connection: Upgrade\r\n' +
+            `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+        
+        const client = new WebSocketClient(socket);
+        this.clients.add(client);
+        client.on('close', () => this.clients.delete(client));
+        this.emit('connection', client, request);
+    }
+    
+    broadcast(text) {
+        for (const client of this.clients) client.send(text);
+    }
+    
+    // A stalled client stays connected: on a real half-open link the
+    // browser would not learn that the device gave up on it either
+    ping() {
+        for (const client of this.clients) {
+            if (client.stalled) continue;
+            
+            client.awaitingPong = true;
+            client.sendFrame(OP_PING, Buffer.alloc(0));
+            setTimeout(() => {
+                if (!client.awaitingPong) return;
+                if (++client.missedPongs >= this.maxMissedPongs) client.drop();
+            }, this.pongTimeout).unref();
+        }
+    }
+    
+    close() {
+        clearInterval(this.heartbeat);
+        for (const client of this.clients) client.drop();
+    }
+}
+
+module.exports = { WebSocketServer };
@@ -0,0 +1,264 @@
+// The device's WebSocket protocol on top of websocket.js. Clients get one full
+// "state" snapshot when they connect. After that only changes are pushed:
+// "zones" deltas, "log" rows, "config" and "calibration" updates, and a
+// small periodic "system" frame. Commands follow handleWebSocketCommand().
+//
+// Push timers run on real time, so a fast-forwarded simulation does not
+// flood the browser; change detection uses the device's own uptime.
+
+const { addCalibrationJson } = require('./calibration');
+const {
+    MANUAL_PUMP_DURATION_MS, ZONE_ALL, commandCalibrate, commandCalibrationCapture, commandCalibrationSet,
+    commandCalibrationStream, commandConfigSet, commandPumpAck, commandPumpStart, commandPumpStop, intParam
+} = require('./commands');
+const { addConfigUpdateJson } = require('./config');
+const { parseLogQuery, runLogQuery } = require('./logs');
+
+const AUTH_TOKEN_LENGTH = 32;
+const ZONE_PUSH_CHECK_MS = 250;
+const CAL_STREAM_INTERVAL_MS = 250;
+const SYSTEM_PUSH_MS = 10000;
+const SENSOR_DELTA_PERCENT = 0.5;
+const SENSOR_PUSH_MAX_MS = 30000;
+
+const PUMP_DELTA_FIELDS = ['active', 'retry_count', 'last_change_uptime', 'locked_out', 'runs_today', 'runtime_today_s', 'status'];
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+class WsApi {
+    constructor(device, server) {
+        this.device = device;
+        this.server = server;
+        this.sentReadings = device.zones.map(() => ({ moisture: 0 }));
+        this.sentPumps = device.zones.map(() => ({}));
+        this.sensorPushedAt = device.zones.map(() => 0);
+        
+        server.on('connection', (client, request) => this.connected(client, request));
+        
+        device.on('log', row => this.broadcast({ type: 'log', data: device.logRowJson(row) }));
+        device.on('config', zone => this.broadcast({ type: 'config', data: addConfigUpdateJson({}, device.config, zone) }));
+        device.on('calibration', zone => {
+            this.broadcast({ type: 'calibration', data: addCalibrationJson({ zone }, device.config.zones[zone]) });
+        });
+        
+        // Ending a session also closes the sockets opened with its token
+        device.accounts.on('session-ended', session => {
+            for (const client of server.clients) {
+                if (client.token === session.token) client.close();
+            }
+        });
+        
+        this.timers = [
+            setInterval(() => this.hasClients() && this.broadcastZoneChanges(), ZONE_PUSH_CHECK_MS),
+            setInterval(() => this.hasClients() && this.streamCalibrationSamples(), CAL_STREAM_INTERVAL_MS),
+            setInterval(() => this.hasClients() && this.broadcastSystemStatus(), SYSTEM_PUSH_MS)
+        ];
+        for (const timer of this.timers) timer.unref();
+    }
+    
+    close() {
+        for (const timer of this.timers) clearInterval(timer);
+    }
+    
+    hasClients() {
+        return this.server.clients.size > 0;
+    }
+    
+    broadcast(frame) {
+        if (this.hasClients()) this.server.broadcast(JSON.stringify(frame));
+    }
+    
+    send(client, frame) {
+        client.send(JSON.stringify(frame));
+    }
+    
+    // `details` carries field-level "errors" and "warnings" from validation, if any
+    sendError(client, id, code, message, details = {}) {
+        const frame = { type: 'error', id, code, message };
+        if (details.errors) frame.errors = details.errors;
+        if (details.warnings) frame.warnings = details.warnings;
+        this.send(client, frame);
+    }
+    
+    // Browsers cannot set headers on a WebSocket, so the token comes in the URL (/?token=...)
+    connected(client, request) {
+        const url = request.url || '';
+        const start = url.indexOf('token=');
+        const token = start >= 0 ? url.slice(start + 6, start + 6 + AUTH_TOKEN_LENGTH) : '';
+        const session = this.device.accounts.findSession(token);
+        
+        if (!session) {
+            this.sendError(client, null, 401, 'Login required');
+            client.close();
+            return;
+        }
+        
+        client.token = session.token;
+        client.calibrationZone = -1;
+        client.on('message', text => this.handleCommand(client, text));
+        this.send(client, this.stateJson());
+    }
+    
+    stateJson() {
+        const device = this.device;
+        return {
+            type: 'state',
+            zones: device.zonesJson(),
+            network: device.networkJson(),
+            // A "system" frame follows at least this often, so clients can spot a dead link
+            system: { ...device.systemJson(), push_interval: SYSTEM_PUSH_MS }
+        };
+    }
+    
+    handleCommand(client, text) {
+        let request;
+        try {
+            request = JSON.parse(text);
+        } catch (error) {
+            this.sendError(client, null, 400, 'Parse error');
+            return;
+        }
+        if (!isObject(request)) request = {};
+        
+        const device = this.device;
+        const id = request.id === undefined ? null : request.id;
+        const command = typeof request.command === 'string' ? request.command : '';
+        const params = isObject(request.params) ? request.params : {};
+        
+        // The session may have expired or been ended since the socket was opened
+        const session = device.accounts.findSession(client.token);
+        if (!session) {
+            this.sendError(client, id, 401, 'Login required');
+            client.close();
+            return;
+        }
+        
+        // Everything except log queries and pings changes the device
+        const readOnly = command === 'logs_query' || command === 'ping';
+        if (!readOnly && !device.accounts.hasRole(session, 'operator')) {
+            this.sendError(client, id, 403, 'Operator role required');
+            return;
+        }
+        
+        const data = {};
+        let result;
+        
+        switch (command) {
+            case 'logs_query': {
+                const parsed = parseLogQuery(device, params);
+                if (parsed.error) {
+                    this.sendError(client, id, 400, parsed.error);
+                    return;
+                }
+                this.send(client, { type: 'ack', id, command, data: runLogQuery(device, parsed.query) });
+                return;
+            }
+            case 'ping':
+                // Clients ping a quiet socket to tell an idle link from a dead one
+                data.uptime = device.millis();
+                data.timestamp = device.epochMs();
+                result = { status: 200 };
+                break;
+            case 'pump_start':
+                // A duration makes it a bounded test run, like POST /api/pump/test
+                if ('duration' in params) {
+                    result = commandPumpStart(device, 'TEST', intParam(params.zone, 0), intParam(params.duration, 0), data);
+                } else {
+                    result = commandPumpStart(device, 'MANUAL', intParam(params.zone, 0), MANUAL_PUMP_DURATION_MS, data);
+                }
+                break;
+            case 'pump_stop':
+                result = commandPumpStop(device, 'zone' in params ? intParam(params.zone, -1) : ZONE_ALL, data);
+                break;
+            case 'pump_ack':
+                result = commandPumpAck(device, intParam(params.zone, 0), data);
+                break;
+            case 'calibrate':
+                result = commandCalibrate(device, params, data);
+                break;
+            case 'calibration_capture':
+                result = commandCalibrationCapture(device, intParam(params.zone, 0), data);
+                break;
+            case 'calibration_stream':
+                result = commandCalibrationStream(device, client, intParam(params.zone, -1), data);
+                break;
+            case 'calibration_set':
+                result = isObject(request.params) ? commandCalibrationSet(device, params, data) : { status: 400, error: 'No data' };
+                break;
+            case 'config_set':
+                result = isObject(request.params) ? commandConfigSet(device, params, data) : { status: 400, error: 'No data' };
+                break;
+            default:
+                result = { status: 400, error: 'Unknown command' };
+        }
+        
+        if (result.error) {
+            this.sendError(client, id, result.status, result.error, data);
+            return;
+        }
+        this.send(client, { type: 'ack', id, command, data });
+    }
+    
+    // Pushes the sensor and pump sections that changed since the last push. A new
+    // reading is always pushed after SENSOR_PUSH_MAX_MS so its age stays truthful.
+    broadcastZoneChanges() {
+        const device = this.device;
+        const zones = [];
+        
+        device.zones.forEach((zone, i) => {
+            const reading = zone.reading;
+            const sent = this.sentReadings[i];
+            const sensorChanged = reading.valid !== sent.valid || reading.health !== sent.health ||
+                Math.abs(reading.moisture - sent.moisture) >= SENSOR_DELTA_PERCENT ||
+                (reading.uptime !== sent.uptime && device.millis() - this.sensorPushedAt[i] >= SENSOR_PUSH_MAX_MS);
+            
+            const pump = zone.pump;
+            const pumpChanged = PUMP_DELTA_FIELDS.some(field => pump[field] !== this.sentPumps[i][field]);
+            
+            if (!sensorChanged && !pumpChanged) return;
+            
+            const update = { id: i };
+            if (sensorChanged) {
+                update.sensor = device.sensorJson(i);
+                this.sentReadings[i] = { ...reading };
+                this.sensorPushedAt[i] = device.millis();
+            }
+            if (pumpChanged) {
+                update.pump = device.pumpJson(i);
+                this.sentPumps[i] = { ...pump };
+            }
+            zones.push(update);
+        });
+        
+        if (zones.length > 0) this.broadcast({ type: 'zones', zones });
+    }
+    
+    broadcastSystemStatus() {
+        this.broadcast({ type: 'system', data: this.device.systemStatusJson() });
+    }
+    
+    streamCalibrationSamples() {
+        const device = this.device;
+        device.zones.forEach((zone, i) => {
+            const watchers = [...this.server.clients].filter(client => client.calibrationZone === i);
+            if (watchers.length === 0) {
+                device.resetCalibrationStream(i);
+                return;
+            }
+            
+            const frame = JSON.stringify({ type: 'calibration_sample', data: device.calibrationSample(i) });
+            for (const client of watchers) client.send(frame);
+        });
+    }
+    
+    // Link faults for testing reconnects; they apply to the sockets open right now
+    stallClients() {
+        for (const client of this.server.clients) client.stall();
+    }
+    
+    dropClients() {
+        for (const client of this.server.clients) client.drop();
+    }
+}
+
+module.exports = { WsApi };